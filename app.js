@@ -0,0 +1,165 @@
+const express = require('express');
+const cors = require('cors');
+const bodyParser = require('body-parser');
+const helmet = require('helmet');
+const rateLimit = require('express-rate-limit');
+const compression = require('compression');
+require('dotenv').config();
+
+const { authenticate, authorize } = require('./middleware/auth');
+const { resolveTenant, requireProvisioningKey } = require('./middleware/tenant');
+const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { ForbiddenError } = require('./utils/errors');
+const { requestContext } = require('./utils/requestContext');
+
+// Import routes
+const schoolRoutes = require('./routes/schools');
+const studentRoutes = require('./routes/students');
+const searchRoutes = require('./routes/search');
+const authRoutes = require('./routes/auth');
+const userRoutes = require('./routes/users');
+const adminRoutes = require('./routes/admin');
+const auditRoutes = require('./routes/audit');
+const teacherRoutes = require('./routes/teachers');
+const courseRoutes = require('./routes/courses');
+const classRoutes = require('./routes/classes');
+const webhookRoutes = require('./routes/webhooks');
+const syncRoutes = require('./routes/sync');
+const statsRoutes = require('./routes/stats');
+const districtRoutes = require('./routes/districts');
+const swaggerUi = require('swagger-ui-express');
+const { buildSpec } = require('./docs/openapi');
+
+const app = express();
+
+// Security middleware
+app.use(helmet());
+
+// Compression middleware
+app.use(compression());
+
+// Rate limiting
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 100, // limit each IP to 100 requests per windowMs
+  message: {
+    success: false,
+    code: 'TOO_MANY_REQUESTS',
+    message: 'Too many requests from this IP, please try again later.'
+  }
+});
+app.use('/api/', limiter);
+
+// CORS configuration
+const corsOptions = {
+  origin: function (origin, callback) {
+    // Allow requests with no origin (like mobile apps or curl requests)
+    if (!origin) return callback(null, true);
+
+    if (process.env.NODE_ENV === 'development') {
+      return callback(null, true);
+    }
+
+    // In production, check allowed origins
+    const allowedOrigins = process.env.ALLOWED_ORIGINS?.split(',') || [];
+
+    // Allow Postman and testing tools
+    if (origin.includes('postman') ||
+        origin.includes('localhost') ||
+        origin.includes('127.0.0.1') ||
+        allowedOrigins.includes(origin)) {
+      return callback(null, true);
+    }
+
+    callback(new ForbiddenError('Not allowed by CORS'));
+  },
+  credentials: true,
+  optionsSuccessStatus: 200,
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Request-Id', 'X-District', 'If-Match'],
+  exposedHeaders: ['X-Request-Id', 'ETag']
+};
+app.use(cors(corsOptions));
+
+// Body parsing middleware
+// Includes the JSON Patch and JSON Merge Patch types of PATCH requests
+app.use(bodyParser.json({ limit: '10mb', type: ['application/json', 'application/*+json'] }));
+app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
+
+// Request id and acting user for audit logging
+app.use(requestContext);
+
+// Routes: the same table drives mounting and the OpenAPI document. Every
+// route but district provisioning is scoped to the request's district.
+const mounts = [
+  { path: '/api/auth', router: authRoutes, tag: 'Auth', middleware: [resolveTenant] },
+  { path: '/api/users', router: userRoutes, tag: 'Users', middleware: [resolveTenant, authenticate, authorize('district_admin')] },
+  { path: '/api/schools', router: schoolRoutes, tag: 'Schools', middleware: [resolveTenant, authenticate] },
+  { path: '/api/students', router: studentRoutes, tag: 'Students', middleware: [resolveTenant, authenticate] },
+  { path: '/api/teachers', router: teacherRoutes, tag: 'Teachers', middleware: [resolveTenant, authenticate, authorize('district_admin', 'school_admin', 'teacher')] },
+  { path: '/api/courses', router: courseRoutes, tag: 'Courses', middleware: [resolveTenant, authenticate] },
+  { path: '/api/classes', router: classRoutes, tag: 'Classes', middleware: [resolveTenant, authenticate] },
+  { path: '/api/search', router: searchRoutes, tag: 'Search', middleware: [resolveTenant, authenticate] },
+  { path: '/api/admin', router: adminRoutes, tag: 'Admin', middleware: [resolveTenant, authenticate, authorize('district_admin')] },
+  { path: '/api/audit', router: auditRoutes, tag: 'Audit', middleware: [resolveTenant, authenticate, authorize('district_admin')] },
+  { path: '/api/webhooks', router: webhookRoutes, tag: 'Webhooks', middleware: [resolveTenant, authenticate, authorize('district_admin')] },
+  { path: '/api/sync', router: syncRoutes, tag: 'Sync', middleware: [resolveTenant, authenticate, authorize('district_admin')] },
+  { path: '/api/stats', router: statsRoutes, tag: 'Stats', middleware: [resolveTenant, authenticate, authorize('district_admin')] },
+  { path: '/api/districts', router: districtRoutes, tag: 'Districts', middleware: [requireProvisioningKey] }
+];
+
+mounts.forEach(({ path, router, middleware }) => {
+  app.use(path, ...middleware, router);
+});
+
+// API documentation
+app.get('/api/openapi.json', (req, res) => {
+  res.json(buildSpec(app, mounts));
+});
+app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(null, {
+  swaggerOptions: { url: '/api/openapi.json' }
+}));
+
+// Health check endpoint
+app.get('/api/health', (req, res) => {
+  res.json({
+    success: true,
+    message: 'School Management API is running',
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV
+  });
+});
+
+// Root endpoint
+app.get('/', (req, res) => {
+  res.json({
+    success: true,
+    message: 'Welcome to School Management API',
+    version: '1.0.0',
+    endpoints: {
+      auth: '/api/auth',
+      users: '/api/users',
+      schools: '/api/schools',
+      students: '/api/students',
+      teachers: '/api/teachers',
+      courses: '/api/courses',
+      classes: '/api/classes',
+      search: '/api/search',
+      audit: '/api/audit',
+      webhooks: '/api/webhooks',
+      sync: '/api/sync/changes',
+      stats: '/api/stats',
+      districts: '/api/districts',
+      docs: '/api/docs',
+      health: '/api/health'
+    }
+  });
+});
+
+// 404 handler
+app.use('*', notFound);
+
+// Error handling middleware: one envelope for every error
+app.use(errorHandler);
+
+module.exports = { app, mounts };
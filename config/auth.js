@@ -0,0 +1,10 @@
+require('dotenv').config();
+
+if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('JWT_SECRET must be set in production');
+}
+
+module.exports = {
+  jwtSecret: process.env.JWT_SECRET || 'development-secret-change-me',
+  jwtExpiresIn: process.env.JWT_EXPIRES_IN || '1d'
+};
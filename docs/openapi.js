@@ -0,0 +1,306 @@
+const mongoose = require('mongoose');
+const operations = require('./operations');
+const { authenticate } = require('../middleware/auth');
+const { resolveTenant, requireProvisioningKey } = require('../middleware/tenant');
+const { OBJECT_ID } = require('../middleware/validate');
+const { version, description } = require('../package.json');
+
+// Paths set by the API rather than the client
+const READ_ONLY_PATHS = ['_id', 'createdAt', 'updatedAt', 'deletedAt', 'deletedBy', 'gpa', 'averagePercent'];
+
+// Mongoose options are either a value or [value, message]
+const optionValue = (option) => (Array.isArray(option) ? option[0] : option);
+
+const schemaForType = (schemaType) => {
+  const { options } = schemaType;
+
+  switch (schemaType.instance) {
+    case 'String': {
+      const schema = { type: 'string' };
+      const enumValues = schemaType.enumValues;
+      if (enumValues && enumValues.length) schema.enum = enumValues;
+      if (options.maxlength) schema.maxLength = optionValue(options.maxlength);
+      if (options.minlength) schema.minLength = optionValue(options.minlength);
+      if (options.match) schema.pattern = optionValue(options.match).source;
+      return schema;
+    }
+    case 'Number': {
+      const schema = { type: 'number' };
+      if (options.min !== undefined) schema.minimum = optionValue(options.min);
+      if (options.max !== undefined) schema.maximum = optionValue(options.max);
+      return schema;
+    }
+    case 'Date':
+      return { type: 'string', format: 'date-time' };
+    case 'Boolean':
+      return { type: 'boolean' };
+    case 'ObjectId':
+    case 'ObjectID':
+      return options.ref
+        ? { ...OBJECT_ID, description: `${options.ref} id` }
+        : { ...OBJECT_ID };
+    case 'Array':
+      return {
+        type: 'array',
+        items: schemaType.schema
+          ? schemaFromMongoose(schemaType.schema)
+          : schemaForType(schemaType.caster)
+      };
+    case 'Embedded':
+      return schemaFromMongoose(schemaType.schema);
+    default:
+      return {};
+  }
+};
+
+/**
+ * Convert a mongoose schema into a JSON Schema object, keeping enums,
+ * lengths, patterns, bounds and required fields.
+ */
+const schemaFromMongoose = (mongooseSchema) => {
+  const root = { type: 'object', properties: {}, required: [] };
+
+  mongooseSchema.eachPath((path, schemaType) => {
+    if (path === '__v') return;
+
+    // Nested objects such as address.city become nested properties
+    const keys = path.split('.');
+    let parent = root;
+    keys.slice(0, -1).forEach((key) => {
+      parent.properties[key] = parent.properties[key] || { type: 'object', properties: {}, required: [] };
+      parent = parent.properties[key];
+    });
+
+    const key = keys[keys.length - 1];
+    const property = schemaForType(schemaType);
+    if (READ_ONLY_PATHS.includes(path)) property.readOnly = true;
+    if (schemaType.defaultValue !== undefined && typeof schemaType.defaultValue !== 'function') {
+      property.default = schemaType.defaultValue;
+    }
+    parent.properties[key] = property;
+
+    const required = optionValue(schemaType.options.required);
+    if (required === true) parent.required.push(key);
+  });
+
+  // Drop empty required lists, which are invalid in OpenAPI 3.0
+  const prune = (schema) => {
+    if (!schema.properties) return schema;
+    if (!schema.required.length) delete schema.required;
+    Object.values(schema.properties).forEach(prune);
+    return schema;
+  };
+  return prune(root);
+};
+
+const toOpenApiPath = (path) => path.replace(/:([A-Za-z0-9_]+)/g, '{$1}');
+
+const joinPaths = (base, path) => (path === '/' && base ? base : `${base}${path}`);
+
+const DEFAULT_SECURITY = [{ bearerAuth: [], district: [] }];
+
+// Security requirement of a mount, from the middleware it runs
+const securityFor = (middleware) => {
+  const requirement = {};
+  if (middleware.includes(authenticate)) requirement.bearerAuth = [];
+  if (middleware.includes(resolveTenant)) requirement.district = [];
+  if (middleware.includes(requireProvisioningKey)) requirement.provisioningKey = [];
+  return Object.keys(requirement).length ? [requirement] : [];
+};
+
+// Request schemas of a route's validate() middleware
+const schemasFor = (route) => {
+  const layer = route.stack.find(item => item.handle.schemas);
+  return layer ? layer.handle.schemas : {};
+};
+
+/**
+ * Every route registered on the app, as { method, path, tag, security,
+ * schemas }. Paths use OpenAPI syntax, e.g. /api/students/{id}.
+ */
+const listRoutes = (app, mounts) => {
+  const routes = [];
+
+  const addRoutes = (stack, base, tag, security) => {
+    stack.filter(layer => layer.route).forEach((layer) => {
+      Object.keys(layer.route.methods)
+        .filter(method => method !== '_all')
+        .forEach((method) => {
+          routes.push({
+            method: method.toUpperCase(),
+            path: toOpenApiPath(joinPaths(base, layer.route.path)),
+            tag,
+            security,
+            schemas: schemasFor(layer.route)
+          });
+        });
+    });
+  };
+
+  addRoutes(app._router.stack, '', 'System', []);
+  mounts.forEach(({ path, router, tag, middleware }) => {
+    addRoutes(router.stack, path, tag, securityFor(middleware));
+  });
+
+  return routes;
+};
+
+const operationKey = ({ method, path }) => `${method} ${path}`;
+
+// Path parameters are all ids, checked by the routers' validateId
+const buildParameters = (path, operation, schemas) => {
+  const pathParams = (path.match(/{([^}]+)}/g) || []).map(match => ({
+    name: match.slice(1, -1),
+    in: 'path',
+    required: true,
+    schema: OBJECT_ID
+  }));
+
+  const querySchemas = schemas.query || {};
+  const queryNames = [...new Set([...Object.keys(operation.query || {}), ...Object.keys(querySchemas)])];
+  const queryParams = queryNames.map(name => ({
+    name,
+    in: 'query',
+    required: false,
+    ...(operation.query && operation.query[name] && { description: operation.query[name] }),
+    schema: querySchemas[name] || { type: 'string' }
+  }));
+
+  const headerParams = Object.entries(operation.headers || {}).map(([name, description]) => ({
+    name,
+    in: 'header',
+    required: false,
+    description,
+    schema: { type: 'string' }
+  }));
+
+  return [...pathParams, ...queryParams, ...headerParams];
+};
+
+const refOrInline = (schema) => {
+  if (typeof schema !== 'string') return schema;
+  if (schema.endsWith('[]')) {
+    return { type: 'array', items: { $ref: `#/components/schemas/${schema.slice(0, -2)}` } };
+  }
+  return { $ref: `#/components/schemas/${schema}` };
+};
+
+const buildOperation = (route, operation) => {
+  const result = {
+    tags: [route.tag],
+    summary: operation.summary,
+    parameters: buildParameters(route.path, operation, route.schemas),
+    responses: {
+      [operation.status || 200]: {
+        description: operation.responseDescription || 'Successful response',
+        content: {
+          [operation.produces || 'application/json']: {
+            schema: operation.produces
+              ? { type: 'string', format: 'binary' }
+              : {
+                type: 'object',
+                properties: {
+                  success: { type: 'boolean' },
+                  ...(operation.response && { data: refOrInline(operation.response) })
+                }
+              }
+          }
+        }
+      },
+      default: { $ref: '#/components/responses/Error' }
+    }
+  };
+
+  if (operation.description) result.description = operation.description;
+  if (JSON.stringify(route.security) !== JSON.stringify(DEFAULT_SECURITY)) result.security = route.security;
+
+  // `bodies` maps content types to schemas for routes accepting several
+  const body = operation.body || route.schemas.body;
+  const bodies = operation.bodies || (body && { [operation.consumes || 'application/json']: body });
+  if (bodies) {
+    result.requestBody = {
+      required: true,
+      content: Object.entries(bodies).reduce((content, [type, schema]) => (
+        { ...content, [type]: { schema: refOrInline(schema) } }
+      ), {})
+    };
+  }
+
+  return result;
+};
+
+/**
+ * Build the OpenAPI 3 document: component schemas come from every registered
+ * mongoose model and paths from the routes registered on the app, described
+ * by docs/operations.js.
+ */
+const buildSpec = (app, mounts) => {
+  const schemas = {};
+  mongoose.modelNames().sort().forEach((name) => {
+    schemas[name] = schemaFromMongoose(mongoose.model(name).schema);
+  });
+
+  const paths = {};
+  listRoutes(app, mounts).forEach((route) => {
+    const operation = operations[operationKey(route)] || { summary: 'Undocumented route' };
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method.toLowerCase()] = buildOperation(route, operation);
+  });
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'School Management API',
+      version,
+      description
+    },
+    servers: [{ url: '/' }],
+    security: DEFAULT_SECURITY,
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        // The district can also be given by subdomain or DEFAULT_DISTRICT
+        district: { type: 'apiKey', in: 'header', name: 'X-District' },
+        provisioningKey: { type: 'apiKey', in: 'header', name: 'X-Provisioning-Key' }
+      },
+      responses: {
+        Error: {
+          description: 'Error response',
+          content: {
+            'application/json': {
+              schema: {
+                type: 'object',
+                required: ['success', 'code', 'message'],
+                properties: {
+                  success: { type: 'boolean', example: false },
+                  code: { type: 'string', example: 'VALIDATION_ERROR' },
+                  message: { type: 'string' },
+                  errors: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        code: { type: 'string', example: 'REQUIRED' },
+                        field: { type: 'string', example: 'email' },
+                        message: { type: 'string' }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      schemas
+    }
+  };
+};
+
+module.exports = {
+  schemaFromMongoose,
+  listRoutes,
+  operationKey,
+  buildSpec
+};
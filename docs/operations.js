@@ -0,0 +1,544 @@
+
+const School = require('../models/School');
+const Student = require('../models/Student');
+const DuplicateCandidate = require('../models/DuplicateCandidate');
+const { MERGE_FIELDS } = require('../services/duplicates');
+const { MERGE_PATCH, JSON_PATCH, JSON_PATCH_SCHEMA } = require('../utils/patch');
+
+/**
+ * Descriptions of every API route, keyed by "METHOD /openapi/path".
+ * docs/openapi.js combines these with the routes registered on the app and
+ * the mongoose models; test-openapi.js fails when a route has no entry here.
+ *
+ * body/response name a component schema (a model name, "[]" for arrays) or
+ * give an inline JSON schema. Request bodies and query parameter schemas
+ * validated by a route's validate() middleware are taken from the route.
+ * `bodies` maps content types to body schemas; `headers` describes request
+ * headers.
+ */
+
+const IF_MATCH = {
+  'If-Match': 'ETag of the version the change is based on; the write fails with 412 if the record has changed since'
+};
+
+const LIST_QUERY = {
+  page: 'Page number (default 1)',
+  limit: 'Items per page (default 20, max 100)',
+  after: 'Cursor: the _id of the last item of the previous page',
+  sort: 'Comma-separated indexed fields, "-" prefix for descending',
+  fields: 'Comma-separated fields to return'
+};
+
+const STUDENT_FILTERS = {
+  school: 'School id',
+  grade: 'Grade',
+  minGrade: "Lowest grade, in each school's ordering",
+  maxGrade: "Highest grade, in each school's ordering",
+  isActive: 'true or false',
+  archived: 'true to list deleted students'
+};
+
+const AUDIT_FILTERS = {
+  action: 'create, update, delete, restore or purge',
+  from: 'Earliest timestamp (ISO date)',
+  to: 'Latest timestamp (ISO date)'
+};
+
+const NOTIFICATION_FILTERS = {
+  status: 'queued, sending, sent or failed',
+  event: 'enrolled, transferred, unenrolled, absent or updated',
+  channel: 'email or sms'
+};
+
+const DATE_RANGE = {
+  from: 'First day (YYYY-MM-DD)',
+  to: 'Last day (YYYY-MM-DD)'
+};
+
+const EXPORT_QUERY = { format: 'csv (default), xlsx or pdf' };
+
+const STUDENT_STATS = {
+    type: 'object',
+    properties: {
+      total: { type: 'integer' },
+      active: { type: 'integer' },
+      inactive: { type: 'integer' },
+      byGrade: { type: 'array', items: { type: 'object', properties: { grade: { type: 'string' }, count: { type: 'integer' } } } },
+      ageDistribution: { type: 'array', items: { type: 'object', properties: { age: { type: 'integer', nullable: true }, count: { type: 'integer' } } } },
+      enrollmentTrend: { type: 'array', items: { type: 'object', properties: { month: { type: 'string' }, count: { type: 'integer' } } } },
+      byLocation: {
+        type: 'array',
+        items: { type: 'object', properties: { state: { type: 'string' }, city: { type: 'string' }, count: { type: 'integer' } } }
+      },
+      generatedAt: { type: 'string', format: 'date-time' }
+    }
+  };
+
+const STATS_QUERY = {
+  grade: STUDENT_FILTERS.grade,
+  minGrade: STUDENT_FILTERS.minGrade,
+  maxGrade: STUDENT_FILTERS.maxGrade,
+  isActive: STUDENT_FILTERS.isActive,
+  archived: 'true for deleted students only',
+  months: 'Months in the enrollment trend (default 12, max 60)'
+};
+
+module.exports = {
+  // System
+  'GET /': { summary: 'API information' },
+  'GET /api/health': { summary: 'Health check' },
+  'GET /api/openapi.json': { summary: 'This OpenAPI document' },
+
+  // Auth
+  'POST /api/auth/login': { summary: 'Log in and get a signed token', response: 'User' },
+  'GET /api/auth/me': { summary: 'Get the logged-in user', response: 'User' },
+
+  // Users
+  'GET /api/users': { summary: 'List users', query: { role: 'Role', school: 'School id' }, response: 'User[]' },
+  'POST /api/users': {
+    summary: 'Create a user',
+    description: 'school is required for school admins and teachers; students lists the children of a parent.',
+    response: 'User',
+    status: 201
+  },
+  'PUT /api/users/{id}': { summary: 'Update a user (role, scope, password or status)', response: 'User' },
+  'DELETE /api/users/{id}': { summary: 'Delete a user' },
+
+  // Schools
+  'GET /api/schools': {
+    summary: 'List schools',
+    description: 'The students array is only included with fields=students.',
+    query: { ...LIST_QUERY, archived: 'true to list deleted schools' },
+    response: 'School[]'
+  },
+  'GET /api/schools/export': {
+    summary: 'Export schools as CSV, XLSX or PDF',
+    query: EXPORT_QUERY,
+    produces: 'application/octet-stream'
+  },
+  'GET /api/schools/{id}': {
+    summary: 'Get a school with its students',
+    description: 'The ETag header gives the version of the school, for If-Match on updates.',
+    response: 'School'
+  },
+  'POST /api/schools': {
+    summary: 'Create a school',
+    description: `Only these fields can be set: ${School.MUTABLE_FIELDS.join(', ')}.`,
+    body: 'School',
+    response: 'School',
+    status: 201
+  },
+  'PUT /api/schools/{id}': {
+    summary: 'Update a school',
+    description: `Only these fields can be changed: ${School.MUTABLE_FIELDS.join(', ')}. The response carries the new ETag.`,
+    headers: IF_MATCH,
+    body: 'School',
+    response: 'School'
+  },
+  'PATCH /api/schools/{id}': {
+    summary: 'Partially update a school',
+    description: 'Takes a JSON Merge Patch (RFC 7396) or a JSON Patch (RFC 6902) of the fields PUT can change. A failed JSON Patch test is a 409.',
+    headers: IF_MATCH,
+    bodies: { [MERGE_PATCH]: 'School', [JSON_PATCH]: JSON_PATCH_SCHEMA },
+    response: 'School'
+  },
+  'DELETE /api/schools/{id}': { summary: 'Delete (archive) a school and unlink its students' },
+  'POST /api/schools/{id}/restore': { summary: 'Restore a deleted school and re-link its students', response: 'School' },
+  'GET /api/schools/{id}/students': { summary: 'List the students of a school', response: 'Student[]' },
+  'GET /api/schools/{id}/stats': {
+    summary: 'Get student statistics of a school',
+    description: 'Headcount by grade, active and inactive counts, ages, monthly enrollments and cities of the students matching the filters. Results are cached for a few minutes; cached tells whether they came from the cache.',
+    query: STATS_QUERY,
+    response: STUDENT_STATS
+  },
+  'GET /api/schools/{id}/classes': {
+    summary: 'List the classes of a school',
+    query: { term: 'Term' },
+    response: 'Class[]'
+  },
+  'GET /api/schools/{id}/attendance': {
+    summary: "Get a grade's attendance sheet for a date",
+    query: { date: 'School day (YYYY-MM-DD)', grade: 'Grade' }
+  },
+  'POST /api/schools/{id}/attendance': {
+    summary: "Record a whole grade's attendance for a date",
+    description: 'Re-submitting a date replaces its records. Students left out get defaultStatus when it is given.'
+  },
+  'GET /api/schools/{id}/attendance/summary': {
+    summary: 'Daily attendance rates and chronically absent students',
+    query: { ...DATE_RANGE, grade: 'Grade' }
+  },
+  'GET /api/schools/{id}/academic-years': { summary: "List a school's academic years", response: 'AcademicYear[]' },
+  'GET /api/schools/{id}/academic-years/current': {
+    summary: 'Get the academic year and term containing a date',
+    query: { date: 'Date to look up (defaults to today)' }
+  },
+  'POST /api/schools/{id}/academic-years': {
+    summary: 'Create an academic year with its terms',
+    description: 'Years of one school cannot overlap; terms must fall within the year and not overlap each other.',
+    body: 'AcademicYear',
+    response: 'AcademicYear',
+    status: 201
+  },
+  'PUT /api/schools/{id}/academic-years/{yearId}': { summary: 'Update an academic year', body: 'AcademicYear', response: 'AcademicYear' },
+  'DELETE /api/schools/{id}/academic-years/{yearId}': { summary: 'Delete an academic year' },
+
+  // Students
+  'GET /api/students': {
+    summary: 'List students',
+    query: { ...STUDENT_FILTERS, ...LIST_QUERY },
+    response: 'Student[]'
+  },
+  'GET /api/students/export': {
+    summary: 'Export students as CSV, XLSX or a PDF roster grouped by grade',
+    query: { ...STUDENT_FILTERS, ...EXPORT_QUERY },
+    produces: 'application/octet-stream'
+  },
+  'POST /api/students/import': {
+    summary: 'Bulk import students from a CSV or XLSX file',
+    query: { dryRun: 'true to validate without saving' },
+    consumes: 'multipart/form-data',
+    body: {
+      type: 'object',
+      required: ['file'],
+      properties: { file: { type: 'string', format: 'binary' } }
+    }
+  },
+  'POST /api/students/bulk': {
+    summary: 'Apply one operation to many students',
+    description: 'Enrolls (schoolId, optional grade and notes), unenrolls (optional reason and notes), sets the grade or isActive of, or deletes the students given by ids or matching a filter. Each student is checked as the single-student routes would; valid ones are changed in chunks, each in one transaction. With dryRun=true nothing is changed.',
+    query: { dryRun: 'true to check without changing anything' },
+    response: {
+      type: 'object',
+      properties: {
+        operation: { type: 'string' },
+        dryRun: { type: 'boolean' },
+        matched: { type: 'integer' },
+        valid: { type: 'integer' },
+        updated: { type: 'integer' },
+        skipped: { type: 'integer' },
+        failed: { type: 'integer' },
+        results: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              student: { type: 'string' },
+              name: { type: 'string' },
+              status: { type: 'string', enum: ['valid', 'updated', 'skipped', 'failed'] },
+              code: { type: 'string' },
+              message: { type: 'string' }
+            }
+          }
+        }
+      }
+    }
+  },
+  'GET /api/students/duplicates': {
+    summary: 'Get pairs of students that may be the same child',
+    description: `Open candidates found by the duplicate detection job, highest score first. The score adds up the weights of the matching signals (name similarity, date of birth, a shared guardian or guardian contact, address); reasons lists them (${DuplicateCandidate.REASONS.join(', ')}). School admins only see pairs of their own students.`,
+    response: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          _id: { type: 'string' },
+          studentA: { $ref: '#/components/schemas/Student' },
+          studentB: { $ref: '#/components/schemas/Student' },
+          score: { type: 'number' },
+          reasons: { type: 'array', items: { type: 'string', enum: DuplicateCandidate.REASONS } },
+          status: { type: 'string', enum: DuplicateCandidate.STATUSES },
+          detectedAt: { type: 'string', format: 'date-time' }
+        }
+      }
+    }
+  },
+  'POST /api/students/duplicates/{candidateId}/dismiss': {
+    summary: 'Mark a pair of students as not the same child',
+    description: 'Dismissed pairs are no longer listed, and later detection runs leave them dismissed. School admins can only dismiss pairs of their own students; merged pairs cannot be dismissed.',
+    response: 'DuplicateCandidate'
+  },
+  'POST /api/students/merge': {
+    summary: 'Merge a duplicate student into another',
+    description: `fields picks, per field (${MERGE_FIELDS.join(', ')}), whether the duplicate's value replaces the primary's. The primary keeps its school and gains the duplicate's past enrollments; attendance, scores, final grades, guardian links, classes, notifications, parent accounts and promotion runs move to it, except records clashing with the primary's own (counted in kept). The duplicate is archived for good.`,
+    response: {
+      type: 'object',
+      properties: {
+        student: { $ref: '#/components/schemas/Student' },
+        moved: { type: 'object', additionalProperties: { type: 'integer' } },
+        kept: { type: 'object', additionalProperties: { type: 'integer' } }
+      }
+    }
+  },
+  'GET /api/students/{id}': {
+    summary: 'Get a student',
+    description: 'The ETag header gives the version of the student, for If-Match on updates.',
+    response: 'Student'
+  },
+  'POST /api/students': {
+    summary: 'Create a student',
+    description: `Only these fields can be set: ${Student.CREATE_FIELDS.join(', ')}.`,
+    body: 'Student',
+    response: 'Student',
+    status: 201
+  },
+  'PUT /api/students/{id}': {
+    summary: 'Update a student',
+    description: `Only these fields can be changed: ${Student.MUTABLE_FIELDS.join(', ')}. The response carries the new ETag.`,
+    headers: IF_MATCH,
+    body: 'Student',
+    response: 'Student'
+  },
+  'PATCH /api/students/{id}': {
+    summary: 'Partially update a student',
+    description: 'Takes a JSON Merge Patch (RFC 7396) or a JSON Patch (RFC 6902) of the fields PUT can change. A failed JSON Patch test is a 409.',
+    headers: IF_MATCH,
+    bodies: { [MERGE_PATCH]: 'Student', [JSON_PATCH]: JSON_PATCH_SCHEMA },
+    response: 'Student'
+  },
+  'DELETE /api/students/{id}': { summary: 'Delete (archive) a student' },
+  'POST /api/students/{id}/restore': { summary: 'Restore a deleted student', response: 'Student' },
+  'PATCH /api/students/{id}/enroll': { summary: 'Enroll a student in a school', response: 'Student' },
+  'PATCH /api/students/{id}/unenroll': { summary: 'Unenroll a student from their school', response: 'Student' },
+  'POST /api/students/{id}/transfer': { summary: 'Transfer a student to another school', response: 'Student' },
+  'GET /api/students/{id}/enrollments': { summary: 'Get the enrollment history of a student' },
+  'GET /api/students/{id}/guardians': {
+    summary: "Get a student's guardians, primary contact first",
+    response: 'StudentGuardian[]'
+  },
+  'POST /api/students/{id}/guardians': {
+    summary: 'Link a new or existing guardian to a student',
+    description: "guardian is the id of an existing guardian, e.g. a sibling's parent, or the details of a new one. The first guardian becomes the primary contact unless isPrimary is given.",
+    response: 'StudentGuardian',
+    status: 201
+  },
+  'PUT /api/students/{id}/guardians/{guardianId}': {
+    summary: 'Update a guardian and their link to the student',
+    description: 'Changes to guardian (the contact details) apply to every student linked to the guardian.',
+    response: 'StudentGuardian'
+  },
+  'DELETE /api/students/{id}/guardians/{guardianId}': {
+    summary: 'Unlink a guardian from a student',
+    description: 'A guardian left without any students is removed.'
+  },
+  'GET /api/students/{id}/siblings': { summary: 'Get the students who share a guardian with a student' },
+  'GET /api/students/{id}/schedule': {
+    summary: "Get a student's classes and weekly timetable",
+    query: { term: 'Term' }
+  },
+  'GET /api/students/{id}/report-card': {
+    summary: "Get a student's report card",
+    description: 'Final grades and in-progress averages grouped by term, with term and cumulative GPA. format=pdf downloads a printable report card.',
+    query: { term: 'Term', format: 'json (default) or pdf' }
+  },
+  'GET /api/students/{id}/attendance': {
+    summary: 'Get the attendance records of a student with totals',
+    query: DATE_RANGE,
+    response: 'Attendance[]'
+  },
+  'GET /api/students/{id}/history': {
+    summary: 'Get the audit trail of a student',
+    query: { ...AUDIT_FILTERS, ...LIST_QUERY },
+    response: 'AuditLog[]'
+  },
+  'GET /api/students/{id}/notifications': {
+    summary: "List the notifications sent to a student's guardians",
+    description: 'Each notification records its channel, recipient, delivery status, attempts and last error.',
+    query: { ...NOTIFICATION_FILTERS, ...LIST_QUERY },
+    response: 'Notification[]'
+  },
+
+  // Teachers
+  'GET /api/teachers': {
+    summary: 'List teachers',
+    query: { school: 'School id', subject: 'Subject', isActive: 'true or false', ...LIST_QUERY },
+    response: 'Teacher[]'
+  },
+  'GET /api/teachers/{id}': { summary: 'Get a teacher with their classes', response: 'Teacher' },
+  'POST /api/teachers': { summary: 'Create a teacher', body: 'Teacher', response: 'Teacher', status: 201 },
+  'PUT /api/teachers/{id}': { summary: 'Update a teacher', body: 'Teacher', response: 'Teacher' },
+  'DELETE /api/teachers/{id}': { summary: 'Delete a teacher who has no classes' },
+
+  // Courses
+  'GET /api/courses': {
+    summary: 'List the course catalog',
+    query: { subject: 'Subject', gradeLevel: 'Grade level', isActive: 'true or false', ...LIST_QUERY },
+    response: 'Course[]'
+  },
+  'GET /api/courses/{id}': { summary: 'Get a course', response: 'Course' },
+  'POST /api/courses': { summary: 'Create a course', body: 'Course', response: 'Course', status: 201 },
+  'PUT /api/courses/{id}': { summary: 'Update a course', body: 'Course', response: 'Course' },
+  'DELETE /api/courses/{id}': { summary: 'Delete a course that has no classes' },
+
+  // Classes
+  'GET /api/classes': {
+    summary: 'List classes',
+    description: 'Rosters are only included with fields=students.',
+    query: { school: 'School id', course: 'Course id', teacher: 'Teacher id', term: 'Term', ...LIST_QUERY },
+    response: 'Class[]'
+  },
+  'GET /api/classes/{id}': { summary: 'Get a class with its roster', response: 'Class' },
+  'POST /api/classes': { summary: 'Create a class', body: 'Class', response: 'Class', status: 201 },
+  'PUT /api/classes/{id}': { summary: 'Update a class', body: 'Class', response: 'Class' },
+  'DELETE /api/classes/{id}': { summary: 'Delete a class' },
+  'POST /api/classes/{id}/students': { summary: 'Add students of the school to a class', response: 'Class' },
+  'DELETE /api/classes/{id}/students/{studentId}': { summary: 'Remove a student from a class' },
+
+  'GET /api/classes/{id}/assignments': { summary: 'List the assignments of a class', response: 'Assignment[]' },
+  'POST /api/classes/{id}/assignments': {
+    summary: 'Create an assignment',
+    body: 'Assignment',
+    response: 'Assignment',
+    status: 201
+  },
+  'PUT /api/classes/{id}/assignments/{assignmentId}': {
+    summary: 'Update an assignment',
+    body: 'Assignment',
+    response: 'Assignment'
+  },
+  'DELETE /api/classes/{id}/assignments/{assignmentId}': { summary: 'Delete an assignment and its scores' },
+  'PUT /api/classes/{id}/assignments/{assignmentId}/scores': {
+    summary: 'Record scores for an assignment',
+    description: 'Re-submitting a student replaces their score. Nothing is saved unless every entry is valid.'
+  },
+  'GET /api/classes/{id}/gradebook': { summary: 'Get the scores and current average of every student in a class' },
+  'POST /api/classes/{id}/final-grades': {
+    summary: 'Store the term-final grades of a class',
+    description: 'Finalizing again replaces the earlier final grades. Students with nothing graded are reported as ungraded.'
+  },
+
+  // Search
+  'GET /api/search': {
+    summary: 'Ranked search across students, schools and guardians',
+    description: 'Words match by prefix, and words of 4 to 20 letters also with one typo (a wrong, missing or extra letter); exact matches rank first.',
+    query: { q: 'Search text', type: 'Comma-separated students, schools and/or guardians (default all)', limit: 'Results per type' }
+  },
+
+  // Admin
+  'GET /api/admin/integrity': { summary: 'Report drift between Student.school and School.students' },
+  'POST /api/admin/integrity/repair': { summary: 'Repair drift between Student.school and School.students' },
+  'GET /api/admin/promotion/preview': {
+    summary: 'List the changes a promotion run would make',
+    query: { school: 'Limit to one school' }
+  },
+  'POST /api/admin/promotion/run': {
+    summary: "Promote active students to their school's next grade level",
+    description: "Students in their school's last grade level graduate; students with retainGrade stay in their grade and have the flag cleared. Students whose grade their school does not offer are returned as unmatched and left alone. Each academic year is promoted once per school: a second run for the same year covering the same school (or a district-wide run after a school's run, and the reverse) is a 409 until the first is rolled back.",
+    status: 201
+  },
+  'POST /api/admin/promotion/rollback': {
+    summary: 'Undo the latest promotion run',
+    description: 'With school, the latest run of that school; without, the latest district-wide run. Students changed since the run are left alone and reported as skipped.'
+  },
+  'GET /api/admin/promotion/runs': { summary: 'List recent promotion runs', response: 'PromotionRun[]' },
+  'GET /api/admin/export': {
+    summary: "Download all of the district's data",
+    description: 'Newline-delimited JSON: a first line with the district, then one { collection, data } line per record, archived records included. Passwords and webhook secrets are left out.',
+    produces: 'application/x-ndjson'
+  },
+  'GET /api/admin/notifications': {
+    summary: 'List guardian notifications and their delivery status',
+    query: { ...NOTIFICATION_FILTERS, student: 'Student id', ...LIST_QUERY },
+    response: 'Notification[]'
+  },
+  'POST /api/admin/notifications/{id}/retry': {
+    summary: 'Queue a failed notification for delivery again',
+    description: 'Resets the attempts of a failed notification so the queue worker sends it on its next run.',
+    response: 'Notification'
+  },
+
+  // Audit
+  'GET /api/audit': {
+    summary: 'List audit entries',
+    query: { entity: 'Student or School', entityId: 'Entity id', actor: 'User id', ...AUDIT_FILTERS, ...LIST_QUERY },
+    response: 'AuditLog[]'
+  },
+
+  // Webhooks
+  'GET /api/webhooks': {
+    summary: 'List webhooks',
+    query: { event: 'Only webhooks subscribed to this event', isActive: 'true or false' },
+    response: 'Webhook[]'
+  },
+  'GET /api/webhooks/{id}': { summary: 'Get a webhook', response: 'Webhook' },
+  'POST /api/webhooks': {
+    summary: 'Subscribe a URL to lifecycle events',
+    description: 'A secret is generated unless one is given. It signs every delivery and is only returned in this response. URLs whose host resolves to a private or reserved address are refused.',
+    response: 'Webhook',
+    status: 201
+  },
+  'PUT /api/webhooks/{id}': {
+    summary: 'Update a webhook',
+    description: 'Sending a secret rotates it. URLs whose host resolves to a private or reserved address are refused.',
+    response: 'Webhook'
+  },
+  'DELETE /api/webhooks/{id}': { summary: 'Delete a webhook and its delivery log' },
+  'GET /api/webhooks/{id}/deliveries': {
+    summary: 'List the delivery log of a webhook',
+    query: { status: 'pending, sending, delivered or failed', event: 'Event name', ...LIST_QUERY },
+    response: 'WebhookDelivery[]'
+  },
+  'POST /api/webhooks/{id}/deliveries/{deliveryId}/replay': {
+    summary: 'Send a logged delivery again',
+    description: 'Queues a new delivery with the same event id and payload, so receivers can detect the duplicate.',
+    response: 'WebhookDelivery'
+  },
+
+  // Sync
+  'GET /api/sync/changes': {
+    summary: 'Get students and schools changed after a cursor',
+    description: 'Changes are returned oldest first. Pass the returned cursor as since on the next call; hasMore tells whether to call again right away. Deletions carry the deleted record id and no data. Changes from the last few seconds are returned on a later call.',
+    query: {
+      since: 'Cursor returned by the previous call; omit for a full sync',
+      limit: 'Changes per call (default 100, max 1000)',
+      types: 'Comma-separated students and/or schools (default both)'
+    },
+    response: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          entity: { type: 'string', enum: ['student', 'school'] },
+          change: { type: 'string', enum: ['created', 'updated', 'deleted'] },
+          id: { type: 'string' },
+          timestamp: { type: 'string', format: 'date-time' },
+          purged: { type: 'boolean' },
+          data: { type: 'object' }
+        }
+      }
+    }
+  },
+
+  // Stats
+  'GET /api/stats': {
+    summary: 'Get district-wide student statistics',
+    description: 'The statistics of GET /api/schools/{id}/stats across all schools, or one school with school=.',
+    query: { school: STUDENT_FILTERS.school, ...STATS_QUERY },
+    response: STUDENT_STATS
+  },
+
+  // Districts (operators, with the provisioning key)
+  'GET /api/districts': { summary: 'List districts', response: 'District[]' },
+  'GET /api/districts/{id}': { summary: 'Get a district', response: 'District' },
+  'POST /api/districts': {
+    summary: 'Provision a district with its first district admin',
+    response: {
+      type: 'object',
+      properties: {
+        district: { $ref: '#/components/schemas/District' },
+        admin: { $ref: '#/components/schemas/User' }
+      }
+    },
+    status: 201
+  },
+  'PUT /api/districts/{id}': {
+    summary: 'Update a district',
+    description: 'The slug cannot change. Requests for an inactive district are rejected.',
+    response: 'District'
+  },
+  'GET /api/districts/{id}/export': {
+    summary: "Download all of a district's data",
+    description: 'The same newline-delimited JSON as GET /api/admin/export.',
+    produces: 'application/x-ndjson'
+  }
+};
@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+
+/**
+ * Duplicate student detection (see services/duplicates.js), for one
+ * district or, without --district, for every district.
+ * Usage: node jobs/duplicates.js [--district <slug>]
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const District = require('../models/District');
+const { detectDuplicates } = require('../services/duplicates');
+const { runAsDistrict } = require('../utils/requestContext');
+
+const parseArgs = (argv) => {
+  const index = argv.indexOf('--district');
+  return { district: index === -1 ? undefined : argv[index + 1] };
+};
+
+// Each district is scanned inside its own context, so students are only
+// compared with students of the same district
+const detectAll = async ({ district: slug } = {}) => {
+  const districts = await District.find(slug ? { slug } : {}).select('slug');
+  if (slug && !districts.length) throw new Error(`District ${slug} not found`);
+
+  const found = {};
+  for (const district of districts) {
+    found[district.slug] = await runAsDistrict(district._id, () => detectDuplicates());
+  }
+  return found;
+};
+
+const formatFound = found => Object.entries(found)
+  .map(([slug, count]) => `${slug}: ${count}`)
+  .join(', ') || 'no districts';
+
+// Run detectAll every `hours` hours inside the API process
+const scheduleDuplicateDetection = (hours) => {
+  const timer = setInterval(() => {
+    detectAll()
+      .then(found => console.log(`🔍 Possible duplicate students (${formatFound(found)})`))
+      .catch(error => console.error('Duplicate detection failed:', error.message));
+  }, hours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => detectAll(parseArgs(process.argv.slice(2))))
+    .then(async (found) => {
+      console.log(`✅ Possible duplicate students (${formatFound(found)})`);
+      await mongoose.disconnect();
+    })
+    .catch(async (error) => {
+      console.error('❌ Duplicate detection failed:', error.message);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { detectAll, scheduleDuplicateDetection };
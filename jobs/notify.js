@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * Deliver queued guardian notifications (see services/notifications.js).
+ * Usage: node jobs/notify.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { processQueue } = require('../services/notifications');
+const { assertTransportsConfigured } = require('../services/transports');
+
+const DEFAULT_INTERVAL_SECONDS = 60;
+
+// NOTIFY_INTERVAL_SECONDS=0 turns the in-process worker off
+const getIntervalSeconds = () => {
+  const seconds = parseInt(process.env.NOTIFY_INTERVAL_SECONDS, 10);
+  return Number.isNaN(seconds) ? DEFAULT_INTERVAL_SECONDS : seconds;
+};
+
+const formatResult = ({ sent, retried, failed }) =>
+  `${sent} sent, ${retried} to retry, ${failed} failed`;
+
+// Run processQueue every `seconds` seconds inside the API process; runs
+// never overlap
+const scheduleNotifications = (seconds) => {
+  let running = false;
+  const timer = setInterval(() => {
+    if (running) return;
+    running = true;
+    processQueue()
+      .then((result) => {
+        if (result.sent + result.retried + result.failed) console.log(`✉️  Notifications: ${formatResult(result)}`);
+      })
+      .catch(error => console.error('Notification job failed:', error.message))
+      .finally(() => { running = false; });
+  }, seconds * 1000);
+  timer.unref();
+  return timer;
+};
+
+if (require.main === module) {
+  try {
+    assertTransportsConfigured();
+  } catch (error) {
+    console.error('❌ Notification job failed:', error.message);
+    process.exit(1);
+  }
+
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => processQueue())
+    .then(async (result) => {
+      console.log(`✅ Notifications: ${formatResult(result)}`);
+      await mongoose.disconnect();
+    })
+    .catch(async (error) => {
+      console.error('❌ Notification job failed:', error.message);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { getIntervalSeconds, scheduleNotifications };
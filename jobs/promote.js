@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+
+/**
+ * End-of-year grade promotion (see services/promotion.js) of one district.
+ * Usage: node jobs/promote.js --district <slug> --year <name> [--school <id>]
+ *        node jobs/promote.js --district <slug> --preview [--school <id>]
+ *        node jobs/promote.js --district <slug> --rollback [--school <id>]
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const District = require('../models/District');
+const promotion = require('../services/promotion');
+const { runAsDistrict } = require('../utils/requestContext');
+
+const parseArgs = (argv) => {
+  const valueOf = (flag) => {
+    const index = argv.indexOf(flag);
+    return index === -1 ? undefined : argv[index + 1];
+  };
+  return {
+    preview: argv.includes('--preview'),
+    rollback: argv.includes('--rollback'),
+    school: valueOf('--school'),
+    academicYear: valueOf('--year'),
+    district: valueOf('--district') || process.env.DEFAULT_DISTRICT
+  };
+};
+
+const formatCounts = ({ promote, retain, graduate }) =>
+  `${promote} promoted, ${retain} retained, ${graduate} graduated`;
+
+const main = async ({ preview, rollback, school, academicYear }) => {
+  if (rollback) {
+    const { run, skipped } = await promotion.rollbackLastRun({ school });
+    console.log(`✅ Rolled back run ${run._id} from ${run.runAt.toISOString()} (${formatCounts(run.counts)})`);
+    if (skipped.length) console.log(`⚠️  Skipped ${skipped.length} students changed since the run: ${skipped.join(', ')}`);
+    return;
+  }
+
+  if (preview) {
+    const plan = await promotion.planPromotion({ school });
+    plan.changes.forEach(change => {
+      console.log(`${change.action.padEnd(8)} ${change.name} (${change.student}): ${change.fromGrade} -> ${change.toGrade || 'graduated'}`);
+    });
+    plan.unmatched.forEach(entry => {
+      console.log(`${'skip'.padEnd(8)} ${entry.name} (${entry.student}): ${entry.fromGrade} is not a grade of their school`);
+    });
+    console.log(`📋 Preview: ${formatCounts(plan.counts)}`);
+    return;
+  }
+
+  if (!academicYear) throw new Error('--year <name> is required, e.g. --year 2024-2025');
+  const { run, unmatched } = await promotion.runPromotion({ academicYear, school });
+  console.log(`✅ Promotion run ${run._id}: ${formatCounts(run.counts)}`);
+  if (unmatched.length) console.log(`⚠️  Skipped ${unmatched.length} students whose grade their school does not offer`);
+};
+
+// Run inside the district's context so every query is scoped to it
+const runForDistrict = async ({ district: slug, ...options }) => {
+  if (!slug) throw new Error('--district <slug> is required');
+  const district = await District.findOne({ slug });
+  if (!district) throw new Error(`District ${slug} not found`);
+  return runAsDistrict(district._id, () => main(options));
+};
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => runForDistrict(parseArgs(process.argv.slice(2))))
+    .then(() => mongoose.disconnect())
+    .catch(async (error) => {
+      console.error('❌ Promotion failed:', error.message);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+
+/**
+ * Permanently remove students and schools that were soft deleted longer ago
+ * than the retention period (SOFT_DELETE_RETENTION_DAYS, default 7 years).
+ * Usage: node jobs/purge.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Student = require('../models/Student');
+const School = require('../models/School');
+const Attendance = require('../models/Attendance');
+const Score = require('../models/Score');
+const FinalGrade = require('../models/FinalGrade');
+const Tombstone = require('../models/Tombstone');
+const DuplicateCandidate = require('../models/DuplicateCandidate');
+const { removeLinksOfStudents } = require('../services/guardians');
+
+const DEFAULT_RETENTION_DAYS = 7 * 365;
+
+const getRetentionDays = () =>
+  parseInt(process.env.SOFT_DELETE_RETENTION_DAYS, 10) || DEFAULT_RETENTION_DAYS;
+
+const purgeDeleted = async ({ retentionDays = getRetentionDays() } = {}) => {
+  const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+  const expired = { deletedAt: { $ne: null, $lt: cutoff } };
+
+  const studentIds = await Student.distinct('_id', expired);
+  const schoolIds = await School.distinct('_id', expired);
+
+  if (studentIds.length) {
+    // Drop purged students from the snapshots kept by deleted schools
+    await School.updateMany(
+      { students: { $in: studentIds } },
+      { $pull: { students: { $in: studentIds } } }
+    ).setOptions({ withDeleted: true });
+    await Student.deleteMany({ _id: { $in: studentIds }, ...expired });
+    await Attendance.deleteMany({ student: { $in: studentIds } });
+    await Score.deleteMany({ student: { $in: studentIds } });
+    await FinalGrade.deleteMany({ student: { $in: studentIds } });
+    await removeLinksOfStudents(studentIds);
+    await DuplicateCandidate.deleteMany({
+      $or: [{ studentA: { $in: studentIds } }, { studentB: { $in: studentIds } }]
+    });
+  }
+
+  if (schoolIds.length) {
+    // Deleted students may still point at a purged school
+    await Student.updateMany(
+      { school: { $in: schoolIds } },
+      { $set: { school: null } }
+    ).setOptions({ withDeleted: true });
+    await School.deleteMany({ _id: { $in: schoolIds }, ...expired });
+  }
+
+  // Change feed consumers are long past deletions older than the retention period
+  await Tombstone.deleteMany({ deletedAt: { $lt: cutoff } });
+
+  return {
+    cutoff,
+    students: studentIds.length,
+    schools: schoolIds.length
+  };
+};
+
+// Run purgeDeleted every `hours` hours inside the API process
+const schedulePurge = (hours) => {
+  const timer = setInterval(() => {
+    purgeDeleted()
+      .then(result => console.log(`🧹 Purged ${result.students} students and ${result.schools} schools deleted before ${result.cutoff.toISOString()}`))
+      .catch(error => console.error('Purge job failed:', error.message));
+  }, hours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => purgeDeleted())
+    .then(async (result) => {
+      console.log(`✅ Purged ${result.students} students and ${result.schools} schools deleted before ${result.cutoff.toISOString()}`);
+      await mongoose.disconnect();
+    })
+    .catch(async (error) => {
+      console.error('❌ Purge failed:', error.message);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { purgeDeleted, schedulePurge };
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Send queued webhook deliveries (see services/webhooks.js).
+ * Usage: node jobs/webhooks.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { processDeliveries } = require('../services/webhooks');
+
+const DEFAULT_INTERVAL_SECONDS = 30;
+
+// WEBHOOK_INTERVAL_SECONDS=0 turns the in-process worker off
+const getIntervalSeconds = () => {
+  const seconds = parseInt(process.env.WEBHOOK_INTERVAL_SECONDS, 10);
+  return Number.isNaN(seconds) ? DEFAULT_INTERVAL_SECONDS : seconds;
+};
+
+const formatResult = ({ delivered, retried, failed }) =>
+  `${delivered} delivered, ${retried} to retry, ${failed} failed`;
+
+// Run processDeliveries every `seconds` seconds inside the API process;
+// runs never overlap
+const scheduleWebhooks = (seconds) => {
+  let running = false;
+  const timer = setInterval(() => {
+    if (running) return;
+    running = true;
+    processDeliveries()
+      .then((result) => {
+        if (result.delivered + result.retried + result.failed) console.log(`🔗 Webhooks: ${formatResult(result)}`);
+      })
+      .catch(error => console.error('Webhook job failed:', error.message))
+      .finally(() => { running = false; });
+  }, seconds * 1000);
+  timer.unref();
+  return timer;
+};
+
+if (require.main === module) {
+  mongoose.connect(process.env.MONGODB_URI)
+    .then(() => processDeliveries())
+    .then(async (result) => {
+      console.log(`✅ Webhooks: ${formatResult(result)}`);
+      await mongoose.disconnect();
+    })
+    .catch(async (error) => {
+      console.error('❌ Webhook job failed:', error.message);
+      await mongoose.disconnect();
+      process.exit(1);
+    });
+}
+
+module.exports = { getIntervalSeconds, scheduleWebhooks };
@@ -0,0 +1,141 @@
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Student = require('../models/Student');
+const Teacher = require('../models/Teacher');
+const { jwtSecret, jwtExpiresIn } = require('../config/auth');
+const { setActor } = require('../utils/requestContext');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+const sameId = (a, b) => !!a && !!b && String(a) === String(b);
+
+const signToken = (user) => jwt.sign(
+  { sub: String(user._id), role: user.role },
+  jwtSecret,
+  { expiresIn: jwtExpiresIn }
+);
+
+// Require a valid "Authorization: Bearer <token>" header
+const authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return next(new UnauthorizedError('Authentication required'));
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, jwtSecret);
+  } catch (error) {
+    return next(new UnauthorizedError('Invalid or expired token'));
+  }
+
+  try {
+    const user = await User.findById(payload.sub);
+
+    if (!user || !user.isActive) {
+      return next(new UnauthorizedError('User no longer has access'));
+    }
+
+    req.user = user;
+    setActor(user);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Allow only the given roles through
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return next(new ForbiddenError('You do not have permission to perform this action'));
+  }
+  next();
+};
+
+// Mongo filter limiting the students a user may read
+const getStudentScope = (user) => {
+  switch (user.role) {
+    case 'district_admin':
+      return {};
+    case 'school_admin':
+    case 'teacher':
+      return { school: user.school };
+    default:
+      return { _id: { $in: user.students } };
+  }
+};
+
+// Mongo filter limiting the schools a user may read
+const getSchoolScope = async (user) => {
+  switch (user.role) {
+    case 'district_admin':
+      return {};
+    case 'school_admin':
+    case 'teacher':
+      return { _id: user.school };
+    default: {
+      const schools = await Student.distinct('school', { _id: { $in: user.students } });
+      return { _id: { $in: schools.filter(Boolean) } };
+    }
+  }
+};
+
+// Mongo filter limiting the teachers a user may read
+const getTeacherScope = (user) => (
+  user.role === 'district_admin' ? {} : { school: user.school }
+);
+
+// Mongo filter limiting the classes a user may read; parents see their
+// children's classes
+const getClassScope = (user) => {
+  switch (user.role) {
+    case 'district_admin':
+      return {};
+    case 'school_admin':
+    case 'teacher':
+      return { school: user.school };
+    default:
+      return { students: { $in: user.students } };
+  }
+};
+
+const canModifyStudent = (user, student) => {
+  if (user.role === 'district_admin') return true;
+  return user.role === 'school_admin' &&
+    sameId(user.school, student.school && (student.school._id || student.school));
+};
+
+const canModifySchool = (user, schoolId) => {
+  if (user.role === 'district_admin') return true;
+  return user.role === 'school_admin' && sameId(user.school, schoolId);
+};
+
+// Teachers and admins of a school record its attendance
+const canRecordAttendance = (user, schoolId) => {
+  if (user.role === 'district_admin') return true;
+  return ['school_admin', 'teacher'].includes(user.role) && sameId(user.school, schoolId);
+};
+
+// Admins of the school and the class's own teacher enter grades
+const canGradeClass = async (user, klass) => {
+  if (user.role === 'district_admin') return true;
+  if (!sameId(user.school, klass.school)) return false;
+  if (user.role === 'school_admin') return true;
+  return user.role === 'teacher' && !!klass.teacher &&
+    !!(await Teacher.exists({ _id: klass.teacher, user: user._id }));
+};
+
+module.exports = {
+  signToken,
+  authenticate,
+  authorize,
+  getStudentScope,
+  getSchoolScope,
+  getTeacherScope,
+  getClassScope,
+  canModifyStudent,
+  canModifySchool,
+  canRecordAttendance,
+  canGradeClass
+};
@@ -0,0 +1,31 @@
+const { NotFoundError, toApiError } = require('../utils/errors');
+
+/**
+ * Every error response has the same envelope:
+ * { success: false, code, message, errors: [{ code, field, message }] }
+ * with `errors` present when there are field-level details.
+ */
+const errorHandler = (error, req, res, next) => {
+  // Once a response has started streaming, only the connection can be closed
+  if (res.headersSent) return next(error);
+
+  const apiError = toApiError(error);
+  if (apiError.statusCode >= 500) console.error('Error:', error);
+
+  res.status(apiError.statusCode).json({
+    success: false,
+    code: apiError.code,
+    message: apiError.message,
+    ...(apiError.errors.length && { errors: apiError.errors }),
+    ...(apiError.statusCode >= 500 && process.env.NODE_ENV === 'development' && { error: error.message })
+  });
+};
+
+const notFound = (req, res, next) => {
+  next(new NotFoundError('Route not found'));
+};
+
+module.exports = {
+  errorHandler,
+  notFound
+};
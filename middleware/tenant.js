@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const District = require('../models/District');
+const { setDistrict } = require('../utils/requestContext');
+const { createTtlCache } = require('../utils/ttlCache');
+const { BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+// Districts are looked up on every request; deactivation takes up to a minute
+const districts = createTtlCache({ ttlMs: 60 * 1000 });
+
+/**
+ * Slug of the district a request is for: the X-District header, else the
+ * subdomain when the host is "<slug>.<TENANT_BASE_DOMAIN>", else
+ * DEFAULT_DISTRICT for single-district deployments.
+ */
+const getDistrictSlug = (req) => {
+  if (req.headers['x-district']) return String(req.headers['x-district']).toLowerCase();
+
+  const baseDomain = process.env.TENANT_BASE_DOMAIN;
+  const host = (req.hostname || '').toLowerCase();
+  if (baseDomain && host.endsWith(`.${baseDomain}`)) {
+    const subdomain = host.slice(0, -baseDomain.length - 1);
+    if (subdomain && !subdomain.includes('.')) return subdomain;
+  }
+
+  return process.env.DEFAULT_DISTRICT || null;
+};
+
+const findDistrict = async (slug) => {
+  const { value } = await districts.wrap(slug, async () => {
+    const district = await District.findOne({ slug, isActive: true }).select('_id slug name').lean();
+    return district || null;
+  });
+  return value;
+};
+
+// Scope the request, and every query made for it, to its district
+const resolveTenant = async (req, res, next) => {
+  const slug = getDistrictSlug(req);
+
+  if (!slug) {
+    return next(new BadRequestError('District is required: send the X-District header or use the district subdomain'));
+  }
+
+  try {
+    const district = await findDistrict(slug);
+
+    if (!district) {
+      return next(new NotFoundError('District not found'));
+    }
+
+    req.district = district;
+    setDistrict(district._id);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Drop cached lookups after a district is changed
+const forgetDistrict = (slug) => {
+  districts.delete(slug);
+};
+
+const sameSecret = (given, expected) => {
+  const a = crypto.createHash('sha256').update(String(given)).digest();
+  const b = crypto.createHash('sha256').update(String(expected)).digest();
+  return crypto.timingSafeEqual(a, b);
+};
+
+// Operators provision districts with "X-Provisioning-Key: <PROVISIONING_KEY>"
+const requireProvisioningKey = (req, res, next) => {
+  const expected = process.env.PROVISIONING_KEY;
+  const given = req.headers['x-provisioning-key'];
+
+  if (!expected) {
+    return next(new ForbiddenError('District provisioning is disabled'));
+  }
+
+  if (!given || !sameSecret(given, expected)) {
+    return next(new UnauthorizedError('Invalid provisioning key'));
+  }
+  next();
+};
+
+module.exports = {
+  resolveTenant,
+  forgetDistrict,
+  requireProvisioningKey
+};
@@ -0,0 +1,33 @@
+const multer = require('multer');
+const { BadRequestError, RequestValidationError } = require('../utils/errors');
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5 MB
+
+// Keep uploads in memory; they are parsed and discarded
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: 1 }
+});
+
+// Accept a single file field and report upload problems as 400s
+const singleFile = (field) => (req, res, next) => {
+  upload.single(field)(req, res, (error) => {
+    if (error) {
+      return next(error.code === 'LIMIT_FILE_SIZE'
+        ? new BadRequestError(`File is too large; the maximum is ${MAX_FILE_SIZE / (1024 * 1024)} MB`, [
+          { code: 'TOO_LARGE', field, message: `${field} must be at most ${MAX_FILE_SIZE / (1024 * 1024)} MB` }
+        ])
+        : new BadRequestError(error.message));
+    }
+
+    if (!req.file) {
+      return next(new RequestValidationError(`A file is required in the '${field}' field`, [
+        { code: 'REQUIRED', field, message: `${field} is required` }
+      ]));
+    }
+
+    next();
+  });
+};
+
+module.exports = { singleFile };
@@ -0,0 +1,159 @@
+const { RequestValidationError } = require('../utils/errors');
+
+/**
+ * Request validation against JSON schemas, the same schemas that describe
+ * the route in the OpenAPI document. Supports type, nullable, enum, format
+ * (date, date-time, email, uri, objectid), pattern, string lengths, number
+ * bounds, required and nested properties, items, item counts and oneOf;
+ * $ref schemas name models, which validate themselves on save.
+ */
+
+const OBJECT_ID = { type: 'string', format: 'objectid', pattern: '^[0-9a-fA-F]{24}$' };
+
+const FORMATS = {
+  objectid: { test: value => /^[0-9a-fA-F]{24}$/.test(value), description: 'a valid id' },
+  date: {
+    test: value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+    description: 'a date (YYYY-MM-DD)'
+  },
+  'date-time': { test: value => !Number.isNaN(Date.parse(value)), description: 'a date and time' },
+  email: { test: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value), description: 'an email address' },
+  uri: {
+    test: (value) => {
+      try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+      } catch (error) {
+        return false;
+      }
+    },
+    description: 'an http or https URL'
+  }
+};
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => typeof value === 'object' && value !== null && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+// Query and path parameters arrive as strings
+const fromString = (schema, value) => {
+  if (typeof value !== 'string') return value;
+  if (['number', 'integer'].includes(schema.type) && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && ['true', 'false'].includes(value)) return value === 'true';
+  return value;
+};
+
+const fieldError = (code, field, message) => ({ code, field, message: `${field} ${message}` });
+
+const joinPath = (base, key) => (base ? `${base}.${key}` : String(key));
+
+/**
+ * Errors of `value` against `schema`, as { code, field, message }, reporting
+ * the first failed check of each field. `field` is the dotted path.
+ */
+const checkValue = (schema, value, field, options = {}) => {
+  if (!schema || schema.$ref) return [];
+  if (value === null && schema.nullable) return [];
+
+  if (schema.oneOf) {
+    const matches = schema.oneOf.some(option => !checkValue(option, value, field, options).length);
+    return matches ? [] : [fieldError('INVALID_TYPE', field, 'does not match any of the allowed forms')];
+  }
+
+  const parsed = options.strings ? fromString(schema, value) : value;
+  const label = field || 'body';
+
+  if (schema.type && !TYPE_CHECKS[schema.type](parsed)) {
+    const article = /^[aeiou]/.test(schema.type) ? 'an' : 'a';
+    return [fieldError('INVALID_TYPE', label, `must be ${article} ${schema.type}`)];
+  }
+  if (schema.enum && !schema.enum.includes(parsed)) {
+    return [fieldError('INVALID_VALUE', label, `must be one of: ${schema.enum.join(', ')}`)];
+  }
+
+  if (typeof parsed === 'string') {
+    const format = FORMATS[schema.format];
+    if (format && !format.test(parsed)) {
+      return [fieldError('INVALID_FORMAT', label, `must be ${format.description}`)];
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(parsed)) {
+      return [fieldError('INVALID_FORMAT', label, `must match ${schema.pattern}`)];
+    }
+    if (schema.minLength !== undefined && parsed.length < schema.minLength) {
+      return [fieldError('TOO_SHORT', label, `must be at least ${schema.minLength} characters`)];
+    }
+    if (schema.maxLength !== undefined && parsed.length > schema.maxLength) {
+      return [fieldError('TOO_LONG', label, `must be at most ${schema.maxLength} characters`)];
+    }
+  }
+
+  if (typeof parsed === 'number') {
+    if (schema.minimum !== undefined && parsed < schema.minimum) {
+      return [fieldError('TOO_SMALL', label, `must be at least ${schema.minimum}`)];
+    }
+    if (schema.maximum !== undefined && parsed > schema.maximum) {
+      return [fieldError('TOO_LARGE', label, `must be at most ${schema.maximum}`)];
+    }
+  }
+
+  if (Array.isArray(parsed)) {
+    if (schema.minItems !== undefined && parsed.length < schema.minItems) {
+      return [fieldError('TOO_SHORT', label, `must have at least ${schema.minItems} items`)];
+    }
+    if (schema.maxItems !== undefined && parsed.length > schema.maxItems) {
+      return [fieldError('TOO_LONG', label, `must have at most ${schema.maxItems} items`)];
+    }
+    return parsed.flatMap((item, index) => checkValue(schema.items, item, joinPath(field, index), options));
+  }
+
+  if (TYPE_CHECKS.object(parsed)) {
+    const missing = (schema.required || [])
+      .filter(key => parsed[key] === undefined || parsed[key] === null || parsed[key] === '')
+      .map(key => fieldError('REQUIRED', joinPath(field, key), 'is required'));
+    const invalid = Object.entries(schema.properties || {})
+      .filter(([key]) => parsed[key] !== undefined && parsed[key] !== null && parsed[key] !== '')
+      .flatMap(([key, property]) => checkValue(property, parsed[key], joinPath(field, key), options));
+    return [...missing, ...invalid];
+  }
+
+  return [];
+};
+
+/**
+ * Middleware validating a request against `{ params, query, body }`:
+ * params and query map parameter names to schemas, body is a schema.
+ * Invalid requests are passed on as a RequestValidationError. The schemas
+ * are kept on the middleware for the OpenAPI document.
+ */
+const validate = (schemas) => {
+  const middleware = (req, res, next) => {
+    const errors = [
+      ...checkValue({ type: 'object', properties: schemas.params }, req.params, '', { strings: true }),
+      ...checkValue({ type: 'object', properties: schemas.query }, req.query, '', { strings: true }),
+      ...(schemas.body ? checkValue(schemas.body, req.body === undefined ? {} : req.body, '') : [])
+    ];
+    next(errors.length ? new RequestValidationError('Validation error', errors) : undefined);
+  };
+  middleware.schemas = schemas;
+  return middleware;
+};
+
+// router.param() callback rejecting path parameters that are not ids, so
+// a malformed id is a 400 rather than a failed database cast
+const validateId = (req, res, next, value, name) => {
+  const errors = checkValue(OBJECT_ID, value, name);
+  next(errors.length ? new RequestValidationError(`Invalid ${name}`, errors) : undefined);
+};
+
+module.exports = {
+  OBJECT_ID,
+  checkValue,
+  validate,
+  validateId
+};
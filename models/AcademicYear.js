@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+
+const termSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Term name is required'],
+    trim: true,
+    maxlength: [50, 'Term name cannot exceed 50 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Term start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'Term end date is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value > this.startDate;
+      },
+      message: 'Term end date must be after its start date'
+    }
+  }
+});
+
+// A school year, e.g. "2024-2025", split into terms
+const academicYearSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'School is required']
+  },
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [50, 'Name cannot exceed 50 characters']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required'],
+    validate: {
+      validator: function(value) {
+        return !this.startDate || value > this.startDate;
+      },
+      message: 'End date must be after the start date'
+    }
+  },
+  terms: {
+    type: [termSchema],
+    validate: {
+      validator: function(terms) {
+        const names = new Set(terms.map(term => term.name.toLowerCase()));
+        if (names.size !== terms.length) return false;
+
+        const sorted = [...terms].sort((a, b) => a.startDate - b.startDate);
+        return sorted.every((term, index) =>
+          term.startDate >= this.startDate && term.endDate <= this.endDate &&
+          (index === 0 || term.startDate >= sorted[index - 1].endDate));
+      },
+      message: 'Terms must have unique names, fall within the year and not overlap'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+academicYearSchema.index({ school: 1, name: 1 }, { unique: true });
+academicYearSchema.index({ school: 1, startDate: 1 });
+
+module.exports = mongoose.model('AcademicYear', academicYearSchema);
@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+const assignmentSchema = new mongoose.Schema({
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: [true, 'Class is required']
+  },
+  title: {
+    type: String,
+    required: [true, 'Title is required'],
+    trim: true,
+    maxlength: [100, 'Title cannot exceed 100 characters']
+  },
+  // One of the class's grading categories
+  category: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  maxPoints: {
+    type: Number,
+    required: [true, 'Maximum points are required'],
+    validate: {
+      validator: value => value > 0,
+      message: 'Maximum points must be greater than 0'
+    }
+  },
+  dueDate: {
+    type: Date
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+assignmentSchema.index({ class: 1, dueDate: 1 });
+
+module.exports = mongoose.model('Assignment', assignmentSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const ATTENDANCE_STATUSES = ['present', 'absent', 'tardy', 'excused'];
+
+// One student's attendance on one school day
+const attendanceSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'School is required']
+  },
+  // Midnight UTC of the school day
+  date: {
+    type: Date,
+    required: [true, 'Date is required']
+  },
+  // The student's grade on that day
+  grade: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    required: [true, 'Status is required'],
+    enum: {
+      values: ATTENDANCE_STATUSES,
+      message: `Status must be one of: ${ATTENDANCE_STATUSES.join(', ')}`
+    }
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Note cannot exceed 500 characters']
+  },
+  recordedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// A day is recorded once per student; re-submitting replaces it
+attendanceSchema.index({ student: 1, date: 1 }, { unique: true });
+attendanceSchema.index({ school: 1, date: 1, grade: 1 });
+
+attendanceSchema.statics.STATUSES = ATTENDANCE_STATUSES;
+
+module.exports = mongoose.model('Attendance', attendanceSchema);
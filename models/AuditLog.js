@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const tenant = require('./plugins/tenant');
+
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge'];
+
+const changeSchema = new mongoose.Schema({
+  path: {
+    type: String,
+    required: true
+  },
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  // Instead of before and after for id lists such as School.students
+  added: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+  removed: { type: [mongoose.Schema.Types.Mixed], default: undefined }
+}, { _id: false });
+
+const auditLogSchema = new mongoose.Schema({
+  entity: {
+    type: String,
+    required: [true, 'Entity is required'],
+    trim: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity id is required']
+  },
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    enum: AUDIT_ACTIONS
+  },
+  // Null when the change came from a script or background job
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorRole: {
+    type: String,
+    default: null
+  },
+  requestId: {
+    type: String,
+    default: null
+  },
+  changes: [changeSchema],
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  versionKey: false
+});
+
+auditLogSchema.plugin(tenant);
+
+// Index for better query performance
+auditLogSchema.index({ entity: 1, entityId: 1, timestamp: -1 });
+auditLogSchema.index({ actor: 1, timestamp: -1 });
+auditLogSchema.index({ timestamp: -1 });
+
+// Entries are append-only
+const rejectChange = function() {
+  throw new Error('Audit log entries are immutable');
+};
+
+auditLogSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange();
+  next();
+});
+
+[
+  'updateOne',
+  'updateMany',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'replaceOne',
+  'deleteOne',
+  'deleteMany',
+  'findOneAndDelete'
+].forEach(hook => auditLogSchema.pre(hook, rejectChange));
+
+auditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
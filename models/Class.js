@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const tenant = require('./plugins/tenant');
+
+const MEETING_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// A weekly time slot, e.g. Monday 09:00-09:50
+const meetingSchema = new mongoose.Schema({
+  day: {
+    type: String,
+    required: [true, 'Meeting day is required'],
+    lowercase: true,
+    enum: {
+      values: MEETING_DAYS,
+      message: `Meeting day must be one of: ${MEETING_DAYS.join(', ')}`
+    }
+  },
+  startTime: {
+    type: String,
+    required: [true, 'Start time is required'],
+    match: [TIME_PATTERN, 'Start time must be HH:MM']
+  },
+  endTime: {
+    type: String,
+    required: [true, 'End time is required'],
+    match: [TIME_PATTERN, 'End time must be HH:MM'],
+    validate: {
+      validator: function(value) {
+        return !this.startTime || value > this.startTime;
+      },
+      message: 'End time must be after start time'
+    }
+  }
+}, { _id: false });
+
+// A weighted part of the class grade, e.g. Homework 30%
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Category name is required'],
+    trim: true,
+    maxlength: [50, 'Category name cannot exceed 50 characters']
+  },
+  weight: {
+    type: Number,
+    required: [true, 'Category weight is required'],
+    min: [0, 'Category weight cannot be negative'],
+    max: [100, 'Category weight cannot exceed 100']
+  }
+}, { _id: false });
+
+// One section of a course taught at a school in a term
+const classSchema = new mongoose.Schema({
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'School is required']
+  },
+  teacher: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Teacher',
+    default: null
+  },
+  term: {
+    type: String,
+    required: [true, 'Term is required'],
+    trim: true,
+    maxlength: [50, 'Term cannot exceed 50 characters']
+  },
+  section: {
+    type: String,
+    trim: true,
+    maxlength: [20, 'Section cannot exceed 20 characters']
+  },
+  room: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Room cannot exceed 50 characters']
+  },
+  capacity: {
+    type: Number,
+    min: [1, 'Capacity must be at least 1']
+  },
+  meetings: [meetingSchema],
+  // Without categories every assignment counts by its points
+  gradingCategories: {
+    type: [categorySchema],
+    validate: {
+      validator: function(categories) {
+        if (!categories.length) return true;
+        const names = new Set(categories.map(category => category.name.toLowerCase()));
+        const total = categories.reduce((sum, category) => sum + category.weight, 0);
+        return names.size === categories.length && Math.abs(total - 100) < 0.001;
+      },
+      message: 'Category names must be unique and weights must add up to 100'
+    }
+  },
+  students: {
+    type: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Student'
+    }],
+    validate: {
+      validator: function(value) {
+        return !this.capacity || value.length <= this.capacity;
+      },
+      message: 'Class is full'
+    }
+  }
+}, {
+  timestamps: true
+});
+
+classSchema.plugin(tenant);
+
+classSchema.index({ school: 1, term: 1 });
+classSchema.index({ course: 1 });
+classSchema.index({ teacher: 1 });
+classSchema.index({ students: 1 });
+
+classSchema.statics.MEETING_DAYS = MEETING_DAYS;
+
+module.exports = mongoose.model('Class', classSchema);
@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+const tenant = require('./plugins/tenant');
+
+// A subject taught at one grade level, shared by every school in the district
+const courseSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Course code is required'],
+    trim: true,
+    uppercase: true,
+    maxlength: [20, 'Course code cannot exceed 20 characters']
+  },
+  name: {
+    type: String,
+    required: [true, 'Course name is required'],
+    trim: true,
+    maxlength: [100, 'Course name cannot exceed 100 characters']
+  },
+  subject: {
+    type: String,
+    required: [true, 'Subject is required'],
+    trim: true,
+    maxlength: [50, 'Subject cannot exceed 50 characters']
+  },
+  // Classes of the course can only be held at schools offering this level
+  gradeLevel: {
+    type: String,
+    required: [true, 'Grade level is required'],
+    trim: true,
+    maxlength: [20, 'Grade level cannot exceed 20 characters']
+  },
+  // Weight of the course in GPA calculations
+  credits: {
+    type: Number,
+    min: [0, 'Credits cannot be negative'],
+    default: 1
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Description cannot exceed 500 characters']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+courseSchema.plugin(tenant);
+
+// Unique within a district
+courseSchema.index({ district: 1, code: 1 }, { unique: true });
+courseSchema.index({ subject: 1, gradeLevel: 1 });
+courseSchema.index({ gradeLevel: 1 });
+
+module.exports = mongoose.model('Course', courseSchema);
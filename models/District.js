@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A tenant: one school district and everything it owns
+const districtSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'District name is required'],
+    trim: true,
+    maxlength: [100, 'District name cannot exceed 100 characters']
+  },
+  // Sent in the X-District header or used as the subdomain
+  slug: {
+    type: String,
+    required: [true, 'Slug is required'],
+    trim: true,
+    lowercase: true,
+    unique: true,
+    immutable: true,
+    match: [/^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/, 'Slug may only contain lowercase letters, digits and inner hyphens']
+  },
+  contactEmail: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  // Requests for an inactive district are rejected
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('District', districtSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const tenant = require('./plugins/tenant');
+
+const MATCH_REASONS = ['name', 'dateOfBirth', 'guardian', 'address'];
+// Dismissed pairs were checked by a person and are not the same child;
+// detection leaves them alone
+const CANDIDATE_STATUSES = ['open', 'merged', 'dismissed'];
+
+// Two students the duplicate detection job thinks may be the same child.
+// The pair is stored with the lower id first.
+const duplicateCandidateSchema = new mongoose.Schema({
+  studentA: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  studentB: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  // 0 to 1; the sum of the weights of the matching signals
+  score: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 1
+  },
+  reasons: [{
+    type: String,
+    enum: MATCH_REASONS
+  }],
+  status: {
+    type: String,
+    enum: CANDIDATE_STATUSES,
+    default: 'open'
+  },
+  detectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  dismissedAt: {
+    type: Date,
+    default: null
+  },
+  dismissedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+duplicateCandidateSchema.plugin(tenant);
+
+// Unique within a district
+duplicateCandidateSchema.index({ district: 1, studentA: 1, studentB: 1 }, { unique: true });
+duplicateCandidateSchema.index({ status: 1, score: -1 });
+duplicateCandidateSchema.index({ studentB: 1 });
+
+duplicateCandidateSchema.statics.REASONS = MATCH_REASONS;
+duplicateCandidateSchema.statics.STATUSES = CANDIDATE_STATUSES;
+
+module.exports = mongoose.model('DuplicateCandidate', duplicateCandidateSchema);
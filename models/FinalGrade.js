@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+// A student's grade for a class at the end of its term
+const finalGradeSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: [true, 'Class is required']
+  },
+  course: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Course',
+    required: [true, 'Course is required']
+  },
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'School is required']
+  },
+  term: {
+    type: String,
+    required: [true, 'Term is required'],
+    trim: true
+  },
+  percent: {
+    type: Number,
+    required: [true, 'Percentage is required'],
+    min: [0, 'Percentage cannot be negative']
+  },
+  letter: {
+    type: String,
+    required: [true, 'Letter grade is required'],
+    trim: true
+  },
+  gradePoints: {
+    type: Number,
+    required: [true, 'Grade points are required'],
+    min: [0, 'Grade points cannot be negative']
+  },
+  credits: {
+    type: Number,
+    min: [0, 'Credits cannot be negative'],
+    default: 1
+  },
+  finalizedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+finalGradeSchema.index({ student: 1, class: 1 }, { unique: true });
+finalGradeSchema.index({ student: 1, term: 1 });
+finalGradeSchema.index({ class: 1 });
+
+module.exports = mongoose.model('FinalGrade', finalGradeSchema);
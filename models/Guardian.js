@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+const tenant = require('./plugins/tenant');
+
+// A parent, guardian or emergency contact; linked to students through
+// StudentGuardian so one guardian can be shared by siblings
+const guardianSchema = new mongoose.Schema({
+  firstName: {
+    type: String,
+    required: [true, 'First name is required'],
+    trim: true,
+    maxlength: [50, 'First name cannot exceed 50 characters']
+  },
+  lastName: {
+    type: String,
+    required: [true, 'Last name is required'],
+    trim: true,
+    maxlength: [50, 'Last name cannot exceed 50 characters']
+  },
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^[\+]?[\d\s\-\(\)]{7,20}$/, 'Please enter a valid phone number']
+  },
+  alternatePhone: {
+    type: String,
+    trim: true,
+    match: [/^[\+]?[\d\s\-\(\)]{7,20}$/, 'Please enter a valid phone number']
+  }
+}, {
+  timestamps: true
+});
+
+guardianSchema.plugin(tenant);
+
+guardianSchema.index({ email: 1 });
+guardianSchema.index({ lastName: 1, firstName: 1 });
+
+// Text index used by GET /api/search
+guardianSchema.index({
+  firstName: 'text',
+  lastName: 'text',
+  email: 'text'
+}, {
+  name: 'guardian_search',
+  weights: {
+    firstName: 10,
+    lastName: 10,
+    email: 5
+  }
+});
+
+guardianSchema.virtual('fullName').get(function() {
+  return `${this.firstName} ${this.lastName}`;
+});
+
+guardianSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Guardian', guardianSchema);
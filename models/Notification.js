@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const tenant = require('./plugins/tenant');
+
+const NOTIFICATION_EVENTS = ['enrolled', 'transferred', 'unenrolled', 'absent', 'updated'];
+const NOTIFICATION_CHANNELS = ['email', 'sms'];
+const NOTIFICATION_STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+// One message to one guardian, kept as the outbound queue and its delivery log
+const notificationSchema = new mongoose.Schema({
+  event: {
+    type: String,
+    required: true,
+    enum: NOTIFICATION_EVENTS
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  guardian: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Guardian',
+    required: true
+  },
+  channel: {
+    type: String,
+    required: true,
+    enum: NOTIFICATION_CHANNELS
+  },
+  // Email address or phone number
+  to: {
+    type: String,
+    required: true
+  },
+  language: {
+    type: String,
+    default: 'en'
+  },
+  subject: String,
+  body: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: NOTIFICATION_STATUSES,
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  // Name of the transport that delivered the message and its message id
+  transport: String,
+  providerId: String
+}, {
+  timestamps: true
+});
+
+notificationSchema.plugin(tenant);
+
+notificationSchema.index({ status: 1, nextAttemptAt: 1 });
+notificationSchema.index({ student: 1, createdAt: -1 });
+notificationSchema.index({ createdAt: -1 });
+
+notificationSchema.statics.EVENTS = NOTIFICATION_EVENTS;
+notificationSchema.statics.CHANNELS = NOTIFICATION_CHANNELS;
+notificationSchema.statics.STATUSES = NOTIFICATION_STATUSES;
+
+module.exports = mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+const tenant = require('./plugins/tenant');
+
+const PROMOTION_ACTIONS = ['promote', 'retain', 'graduate'];
+
+// What the run did to one student, so it can be undone
+const promotionChangeSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: true
+  },
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School'
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: PROMOTION_ACTIONS
+  },
+  fromGrade: String,
+  toGrade: String
+}, { _id: false });
+
+// One execution of the end-of-year promotion
+const promotionRunSchema = new mongoose.Schema({
+  // The academic year being closed, e.g. "2024-2025"; each year and school
+  // is promoted once unless the run is rolled back. Null for runs made
+  // before runs were tied to a year.
+  academicYear: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Academic year cannot exceed 50 characters'],
+    default: null
+  },
+  // Null when the run covered every school
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    default: null
+  },
+  runAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  runBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  counts: {
+    promote: { type: Number, default: 0 },
+    retain: { type: Number, default: 0 },
+    graduate: { type: Number, default: 0 }
+  },
+  changes: [promotionChangeSchema],
+  rolledBackAt: {
+    type: Date,
+    default: null
+  },
+  rolledBackBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+promotionRunSchema.plugin(tenant);
+
+promotionRunSchema.index({ runAt: -1 });
+promotionRunSchema.index({ academicYear: 1, school: 1, rolledBackAt: 1 });
+
+promotionRunSchema.statics.ACTIONS = PROMOTION_ACTIONS;
+
+module.exports = mongoose.model('PromotionRun', promotionRunSchema);
@@ -1,4 +1,49 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const audit = require('./plugins/audit');
+const tombstone = require('./plugins/tombstone');
+const tenant = require('./plugins/tenant');
+const version = require('./plugins/version');
+
+// Letter grades by minimum percentage; a percentage gets the letter of the
+// highest step it reaches, so one step must start at 0
+const DEFAULT_GRADE_SCALE = [
+  { letter: 'A', minPercent: 90, points: 4 },
+  { letter: 'B', minPercent: 80, points: 3 },
+  { letter: 'C', minPercent: 70, points: 2 },
+  { letter: 'D', minPercent: 60, points: 1 },
+  { letter: 'F', minPercent: 0, points: 0 }
+];
+
+// Grade levels, lowest first, of schools that do not set their own; these
+// were the only grades before schools could define them
+const DEFAULT_GRADE_LEVELS = ['1st', '2nd', '3rd', '4th', '5th', '6th', '7th', '8th', '9th', '10th', '11th', '12th'];
+
+// Fields clients may change with PUT and PATCH; the students array follows
+// enrollments
+const MUTABLE_FIELDS = [
+  'name', 'address', 'phone', 'email', 'establishedYear', 'principal', 'gradeLevels', 'gradeScale'
+];
+
+const gradeStepSchema = new mongoose.Schema({
+  letter: {
+    type: String,
+    required: [true, 'Letter grade is required'],
+    trim: true,
+    maxlength: [5, 'Letter grade cannot exceed 5 characters']
+  },
+  minPercent: {
+    type: Number,
+    required: [true, 'Minimum percentage is required'],
+    min: [0, 'Minimum percentage cannot be negative'],
+    max: [100, 'Minimum percentage cannot exceed 100']
+  },
+  points: {
+    type: Number,
+    required: [true, 'Grade points are required'],
+    min: [0, 'Grade points cannot be negative']
+  }
+}, { _id: false });
 
 const schoolSchema = new mongoose.Schema({
   name: {
@@ -24,7 +69,6 @@ const schoolSchema = new mongoose.Schema({
     required: [true, 'Email is required'],
     trim: true,
     lowercase: true,
-    unique: true,
     match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
   establishedYear: {
@@ -41,12 +85,77 @@ const schoolSchema = new mongoose.Schema({
     type: String,
     trim: true,
     maxlength: [100, 'Principal name cannot exceed 100 characters']
+  },
+  // Ordered lowest to highest; students in the last level graduate when promoted
+  gradeLevels: {
+    type: [{
+      type: String,
+      trim: true,
+      maxlength: [20, 'Grade level cannot exceed 20 characters']
+    }],
+    default: () => [...DEFAULT_GRADE_LEVELS],
+    validate: {
+      validator: function(levels) {
+        const names = new Set(levels.map(level => level.toLowerCase()));
+        return levels.length > 0 && levels.every(Boolean) && names.size === levels.length;
+      },
+      message: 'Grade levels must be a non-empty list of unique names'
+    }
+  },
+  gradeScale: {
+    type: [gradeStepSchema],
+    default: () => DEFAULT_GRADE_SCALE.map(step => ({ ...step })),
+    validate: {
+      validator: function(scale) {
+        const letters = new Set(scale.map(step => step.letter));
+        return letters.size === scale.length && scale.some(step => step.minPercent === 0);
+      },
+      message: 'Grade scale letters must be unique and one step must start at 0%'
+    }
   }
 }, {
   timestamps: true
 });
 
+schoolSchema.plugin(softDelete);
+// Enrollments change School.students one id at a time
+schoolSchema.plugin(audit, { sets: ['students'] });
+schoolSchema.plugin(tombstone);
+schoolSchema.plugin(tenant);
+schoolSchema.plugin(version);
+
 // Index for better query performance
+schoolSchema.index({ updatedAt: 1, _id: 1 });
 schoolSchema.index({ name: 1 });
+// Unique within a district
+schoolSchema.index({ district: 1, email: 1 }, { unique: true });
+
+// Text index used by GET /api/search
+schoolSchema.index({
+  name: 'text',
+  address: 'text',
+  principal: 'text'
+}, {
+  name: 'school_search',
+  weights: {
+    name: 10,
+    principal: 5,
+    address: 2
+  }
+});
+
+/**
+ * The school's spelling of `grade` among `levels`, matched regardless of
+ * case as level names are unique regardless of case; undefined if the
+ * school does not offer it.
+ */
+schoolSchema.statics.matchGradeLevel = (levels, grade) => {
+  const wanted = String(grade).trim().toLowerCase();
+  return levels.find(level => level.toLowerCase() === wanted);
+};
+
+schoolSchema.statics.DEFAULT_GRADE_LEVELS = DEFAULT_GRADE_LEVELS;
+schoolSchema.statics.DEFAULT_GRADE_SCALE = DEFAULT_GRADE_SCALE;
+schoolSchema.statics.MUTABLE_FIELDS = MUTABLE_FIELDS;
 
 module.exports = mongoose.model('School', schoolSchema);
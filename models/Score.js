@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A student's result on one assignment
+const scoreSchema = new mongoose.Schema({
+  assignment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Assignment',
+    required: [true, 'Assignment is required']
+  },
+  class: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Class',
+    required: [true, 'Class is required']
+  },
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  // May exceed the assignment's maximum for extra credit
+  points: {
+    type: Number,
+    min: [0, 'Points cannot be negative'],
+    default: null
+  },
+  // Excused assignments do not count towards the average
+  excused: {
+    type: Boolean,
+    default: false
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Comment cannot exceed 500 characters']
+  },
+  gradedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+scoreSchema.index({ assignment: 1, student: 1 }, { unique: true });
+scoreSchema.index({ class: 1, student: 1 });
+scoreSchema.index({ student: 1 });
+
+module.exports = mongoose.model('Score', scoreSchema);
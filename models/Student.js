@@ -1,4 +1,56 @@
 const mongoose = require('mongoose');
+const softDelete = require('./plugins/softDelete');
+const audit = require('./plugins/audit');
+const tombstone = require('./plugins/tombstone');
+const tenant = require('./plugins/tenant');
+const version = require('./plugins/version');
+
+const ENROLLMENT_END_REASONS = ['transfer', 'graduation', 'withdrawal'];
+
+// Fields clients may change with PUT and PATCH; enrollment history and the
+// computed grades have endpoints and jobs of their own
+const MUTABLE_FIELDS = [
+  'firstName', 'lastName', 'email', 'phone', 'dateOfBirth', 'grade', 'school', 'address', 'isActive', 'retainGrade'
+];
+
+// Fields clients may set when creating a student; enrollmentDate starts the
+// first enrollment
+const CREATE_FIELDS = [...MUTABLE_FIELDS, 'enrollmentDate'];
+
+// One stay at a school; the entry without an endDate is the current one
+const enrollmentSchema = new mongoose.Schema({
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'Enrollment school is required']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Enrollment start date is required'],
+    default: Date.now
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  gradeAtEntry: {
+    type: String,
+    trim: true
+  },
+  reason: {
+    type: String,
+    enum: {
+      values: ENROLLMENT_END_REASONS,
+      message: `Reason must be one of: ${ENROLLMENT_END_REASONS.join(', ')}`
+    },
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+});
 
 const studentSchema = new mongoose.Schema({
   firstName: {
@@ -18,7 +70,6 @@ const studentSchema = new mongoose.Schema({
     required: [true, 'Email is required'],
     trim: true,
     lowercase: true,
-    unique: true,
     match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
   },
   phone: {
@@ -36,11 +87,12 @@ const studentSchema = new mongoose.Schema({
       message: 'Date of birth must be in the past'
     }
   },
+  // One of the grade levels of the student's school
   grade: {
     type: String,
     required: [true, 'Grade is required'],
     trim: true,
-    enum: ['1st', '2nd', '3rd', '4th', '5th', '6th', '7th', '8th', '9th', '10th', '11th', '12th']
+    maxlength: [20, 'Grade cannot exceed 20 characters']
   },
   school: {
     type: mongoose.Schema.Types.ObjectId,
@@ -69,46 +121,122 @@ const studentSchema = new mongoose.Schema({
       match: [/^\d{5}(-\d{4})?$/, 'Please enter a valid zip code']
     }
   },
-  parentInfo: {
-    parentName: {
-      type: String,
-      trim: true,
-      maxlength: [100, 'Parent name cannot exceed 100 characters']
-    },
-    parentPhone: {
-      type: String,
-      trim: true,
-      match: [/^[\+]?[\d\s\-\(\)]{7,20}$/, 'Please enter a valid phone number']
-    },
-    parentEmail: {
-      type: String,
-      trim: true,
-      lowercase: true,
-      match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
-    }
-  },
   enrollmentDate: {
     type: Date,
     default: Date.now
   },
+  enrollments: [enrollmentSchema],
+  // Computed from final grades by the gradebook; not set through the API
+  gpa: {
+    type: Number,
+    default: null
+  },
+  averagePercent: {
+    type: Number,
+    default: null
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  // Keep the student in their grade at the next promotion run
+  retainGrade: {
+    type: Boolean,
+    default: false
+  },
+  // Set on the archived duplicate when two records of a child are merged
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    default: null
   }
 }, {
   timestamps: true
 });
 
+studentSchema.plugin(softDelete);
+studentSchema.plugin(audit);
+studentSchema.plugin(tombstone);
+studentSchema.plugin(tenant);
+studentSchema.plugin(version);
+
 // Index for better query performance
-studentSchema.index({ email: 1 });
+studentSchema.index({ updatedAt: 1, _id: 1 });
+// Unique within a district
+studentSchema.index({ district: 1, email: 1 }, { unique: true });
 studentSchema.index({ school: 1 });
 studentSchema.index({ grade: 1 });
+studentSchema.index({ lastName: 1, firstName: 1 });
+
+// Text index used by GET /api/search
+studentSchema.index({
+  firstName: 'text',
+  lastName: 'text',
+  email: 'text',
+  'address.city': 'text'
+}, {
+  name: 'student_search',
+  weights: {
+    firstName: 10,
+    lastName: 10,
+    email: 5,
+    'address.city': 1
+  }
+});
 
 // Virtual for full name
 studentSchema.virtual('fullName').get(function() {
   return `${this.firstName} ${this.lastName}`;
 });
 
+// The primary guardian's link, when populated with
+// .populate({ path: 'primaryGuardian', populate: 'guardian' })
+studentSchema.virtual('primaryGuardian', {
+  ref: 'StudentGuardian',
+  localField: '_id',
+  foreignField: 'student',
+  justOne: true,
+  match: { isPrimary: true }
+});
+
+// Virtual for the open enrollment entry, if any
+studentSchema.virtual('currentEnrollment').get(function() {
+  return (this.enrollments || []).find(entry => !entry.endDate) || null;
+});
+
+// enrollmentDate always mirrors the start of the current enrollment
+studentSchema.pre('validate', function(next) {
+  const current = this.currentEnrollment;
+  if (current) this.enrollmentDate = current.startDate;
+  next();
+});
+
+// Checked whenever the grade or the school changes, e.g. on a transfer to a
+// school with other grade levels, and stored with the school's spelling.
+// The school may be archived.
+studentSchema.pre('validate', async function() {
+  if (!this.school || !this.grade) return;
+  if (!this.isNew && !this.isModified('grade') && !this.isModified('school')) return;
+
+  const School = mongoose.model('School');
+  const school = await School.findById(this.school)
+    .select('gradeLevels')
+    .setOptions({ withDeleted: true })
+    .session(this.$session());
+  if (!school) return;
+
+  const level = School.matchGradeLevel(school.gradeLevels, this.grade);
+  if (level) {
+    this.grade = level;
+  } else {
+    this.invalidate('grade', `Grade ${this.grade} is not offered at this school`, this.grade);
+  }
+});
+
+studentSchema.statics.ENROLLMENT_END_REASONS = ENROLLMENT_END_REASONS;
+studentSchema.statics.MUTABLE_FIELDS = MUTABLE_FIELDS;
+studentSchema.statics.CREATE_FIELDS = CREATE_FIELDS;
+
 // Ensure virtual fields are serialized
 studentSchema.set('toJSON', { virtuals: true });
 
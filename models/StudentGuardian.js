@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+const RELATIONSHIPS = ['mother', 'father', 'parent', 'stepparent', 'grandparent', 'guardian', 'foster parent', 'sibling', 'other'];
+const CONTACT_CHANNELS = ['email', 'phone', 'sms', 'mail'];
+
+// How one guardian relates to one student
+const studentGuardianSchema = new mongoose.Schema({
+  student: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student',
+    required: [true, 'Student is required']
+  },
+  guardian: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Guardian',
+    required: [true, 'Guardian is required']
+  },
+  relationship: {
+    type: String,
+    required: [true, 'Relationship is required'],
+    lowercase: true,
+    trim: true,
+    enum: {
+      values: RELATIONSHIPS,
+      message: `Relationship must be one of: ${RELATIONSHIPS.join(', ')}`
+    }
+  },
+  // The first guardian the school contacts; at most one per student
+  isPrimary: {
+    type: Boolean,
+    default: false
+  },
+  isEmergencyContact: {
+    type: Boolean,
+    default: false
+  },
+  // Whether the guardian may collect the student from school
+  canPickUp: {
+    type: Boolean,
+    default: false
+  },
+  preferredLanguage: {
+    type: String,
+    trim: true,
+    maxlength: [50, 'Preferred language cannot exceed 50 characters'],
+    default: 'en'
+  },
+  preferredChannel: {
+    type: String,
+    enum: {
+      values: CONTACT_CHANNELS,
+      message: `Preferred channel must be one of: ${CONTACT_CHANNELS.join(', ')}`
+    },
+    default: 'email'
+  },
+  // Custody arrangements and other restrictions staff should know about
+  notes: {
+    type: String,
+    trim: true,
+    maxlength: [500, 'Notes cannot exceed 500 characters']
+  }
+}, {
+  timestamps: true
+});
+
+studentGuardianSchema.index({ student: 1, guardian: 1 }, { unique: true });
+studentGuardianSchema.index({ guardian: 1 });
+
+studentGuardianSchema.statics.RELATIONSHIPS = RELATIONSHIPS;
+studentGuardianSchema.statics.CONTACT_CHANNELS = CONTACT_CHANNELS;
+
+module.exports = mongoose.model('StudentGuardian', studentGuardianSchema);
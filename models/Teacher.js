@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const tenant = require('./plugins/tenant');
+
+const teacherSchema = new mongoose.Schema({
+  firstName: {
+    type: String,
+    required: [true, 'First name is required'],
+    trim: true,
+    maxlength: [50, 'First name cannot exceed 50 characters']
+  },
+  lastName: {
+    type: String,
+    required: [true, 'Last name is required'],
+    trim: true,
+    maxlength: [50, 'Last name cannot exceed 50 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^[\+]?[\d\s\-\(\)]{7,20}$/, 'Please enter a valid phone number']
+  },
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    required: [true, 'School is required']
+  },
+  subjects: [{
+    type: String,
+    trim: true,
+    maxlength: [50, 'Subject cannot exceed 50 characters']
+  }],
+  // Login account, when the teacher has one
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+teacherSchema.plugin(tenant);
+
+// Unique within a district
+teacherSchema.index({ district: 1, email: 1 }, { unique: true });
+teacherSchema.index({ school: 1 });
+teacherSchema.index({ lastName: 1, firstName: 1 });
+
+teacherSchema.virtual('fullName').get(function() {
+  return `${this.firstName} ${this.lastName}`;
+});
+
+teacherSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Teacher', teacherSchema);
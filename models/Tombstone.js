@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const tenant = require('./plugins/tenant');
+
+// Marker left by a deleted record so the change feed can report the deletion
+const tombstoneSchema = new mongoose.Schema({
+  entity: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  deletedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // False for soft deletes, true when the record was removed outright
+  purged: {
+    type: Boolean,
+    default: false
+  }
+});
+
+tombstoneSchema.plugin(tenant);
+
+// Change feed order
+tombstoneSchema.index({ deletedAt: 1, _id: 1 });
+tombstoneSchema.index({ entity: 1, entityId: 1 });
+
+module.exports = mongoose.model('Tombstone', tombstoneSchema);
@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const tenant = require('./plugins/tenant');
+
+const ROLES = ['district_admin', 'school_admin', 'teacher', 'parent'];
+
+const userSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    trim: true,
+    lowercase: true,
+    match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+  },
+  password: {
+    type: String,
+    required: [true, 'Password is required'],
+    minlength: [8, 'Password must be at least 8 characters'],
+    select: false
+  },
+  role: {
+    type: String,
+    required: [true, 'Role is required'],
+    enum: {
+      values: ROLES,
+      message: `Role must be one of: ${ROLES.join(', ')}`
+    }
+  },
+  // School admins and teachers are scoped to a single school
+  school: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'School',
+    default: null,
+    validate: {
+      validator: function(value) {
+        return !['school_admin', 'teacher'].includes(this.role) || !!value;
+      },
+      message: 'School is required for school admins and teachers'
+    }
+  },
+  // Parents can only read their own children
+  students: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Student'
+  }],
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  lastLoginAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+userSchema.plugin(tenant);
+
+// Unique within a district
+userSchema.index({ district: 1, email: 1 }, { unique: true });
+
+// Hash the password whenever it is set or changed
+userSchema.pre('save', async function(next) {
+  if (!this.isModified('password')) return next();
+  this.password = await bcrypt.hash(this.password, 12);
+  next();
+});
+
+userSchema.methods.comparePassword = function(candidate) {
+  return bcrypt.compare(candidate, this.password);
+};
+
+// Never serialize the password hash
+userSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.password;
+    return ret;
+  }
+});
+
+userSchema.statics.ROLES = ROLES;
+
+module.exports = mongoose.model('User', userSchema);
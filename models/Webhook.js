@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const tenant = require('./plugins/tenant');
+
+const WEBHOOK_EVENTS = [
+  'student.created',
+  'student.updated',
+  'student.enrolled',
+  'student.unenrolled',
+  'student.deleted',
+  'school.created',
+  'school.deleted'
+];
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+// An integration subscribed to lifecycle events
+const webhookSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: [true, 'URL is required'],
+    trim: true,
+    validate: {
+      validator: isHttpUrl,
+      message: 'URL must be an http or https URL'
+    }
+  },
+  events: {
+    type: [{
+      type: String,
+      enum: {
+        values: WEBHOOK_EVENTS,
+        message: `Events must be among: ${WEBHOOK_EVENTS.join(', ')}`
+      }
+    }],
+    validate: {
+      validator: events => events.length > 0,
+      message: 'At least one event is required'
+    }
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  // Key of the HMAC signature; only returned when the webhook is created
+  secret: {
+    type: String,
+    required: true,
+    minlength: [16, 'Secret must be at least 16 characters'],
+    select: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookSchema.plugin(tenant);
+
+webhookSchema.index({ events: 1, isActive: 1 });
+
+webhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+const DELIVERY_STATUSES = ['pending', 'sending', 'delivered', 'failed'];
+
+// One event sent to one webhook, kept as the delivery queue and its log
+const webhookDeliverySchema = new mongoose.Schema({
+  webhook: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Webhook',
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  // Shared by every delivery (and replay) of the same event, for deduplication
+  eventId: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: DELIVERY_STATUSES,
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // Outcome of the latest attempt
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: String,
+  durationMs: Number,
+  deliveredAt: {
+    type: Date,
+    default: null
+  },
+  replayOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ createdAt: -1 });
+
+webhookDeliverySchema.statics.STATUSES = DELIVERY_STATUSES;
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
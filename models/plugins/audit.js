@@ -0,0 +1,115 @@
+const AuditLog = require('../AuditLog');
+const { getContext } = require('../../utils/requestContext');
+const { diffObjects } = require('../../utils/diff');
+
+const UPDATE_HOOKS = ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const SINGLE_DOC_HOOKS = ['updateOne', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'];
+const DELETE_HOOKS = ['deleteOne', 'deleteMany'];
+
+// Documents captured before a query runs, keyed on the query object
+const BEFORE = Symbol('auditBefore');
+
+const toPlain = (doc) => doc.toObject({ depopulate: true, virtuals: false, transform: false });
+
+const actionFor = (before, after) => {
+  if (!before) return 'create';
+  if (!before.deletedAt && after.deletedAt) return 'delete';
+  if (before.deletedAt && !after.deletedAt) return 'restore';
+  return 'update';
+};
+
+const writeEntries = (entity, entries, session) => {
+  if (!entries.length) return null;
+
+  const { actor = null, actorRole = null, requestId = null } = getContext();
+  return AuditLog.insertMany(
+    entries.map(entry => ({ ...entry, entity, actor, actorRole, requestId, timestamp: new Date() })),
+    { session }
+  );
+};
+
+const changeEntry = (before, after, sets) => {
+  const changes = diffObjects(before || {}, after, { sets });
+  if (!changes.length) return null;
+  return { entityId: after._id, district: after.district, action: actionFor(before, after), changes };
+};
+
+/**
+ * Write an immutable AuditLog entry, with field-level before/after values,
+ * for every create, update and delete made through the model. The actor and
+ * request id come from the request context. Apply after the softDelete
+ * plugin so its filters are in place when the "before" state is read.
+ *
+ * `sets` names array paths, such as School.students, whose entries record
+ * only the members added and removed rather than both whole arrays.
+ */
+module.exports = function audit(schema, { sets = [] } = {}) {
+  // Document saves
+  schema.pre('save', async function() {
+    this.$locals.auditBefore = this.isNew
+      ? null
+      : await this.constructor.findById(this._id)
+        .setOptions({ withDeleted: true })
+        .session(this.$session())
+        .lean();
+  });
+
+  schema.post('save', async function() {
+    const entry = changeEntry(this.$locals.auditBefore, toPlain(this), sets);
+    if (entry) await writeEntries(this.constructor.modelName, [entry], this.$session());
+  });
+
+  schema.post('insertMany', async function(docs) {
+    const entries = docs.map(doc => changeEntry(null, toPlain(doc), sets)).filter(Boolean);
+    await writeEntries(this.modelName, entries, docs[0] && docs[0].$session());
+  });
+
+  // Query updates
+  schema.pre(UPDATE_HOOKS, async function() {
+    const query = this.model.find(this.getFilter())
+      .setOptions({ withDeleted: true })
+      .session(this.getOptions().session)
+      .lean();
+    if (SINGLE_DOC_HOOKS.includes(this.op)) query.limit(1);
+    this[BEFORE] = await query;
+  });
+
+  schema.post(UPDATE_HOOKS, async function() {
+    const before = this[BEFORE] || [];
+    if (!before.length) return;
+
+    const session = this.getOptions().session;
+    const after = await this.model.find({ _id: { $in: before.map(doc => doc._id) } })
+      .setOptions({ withDeleted: true })
+      .session(session)
+      .lean();
+    const afterById = new Map(after.map(doc => [String(doc._id), doc]));
+
+    const entries = before
+      .filter(doc => afterById.has(String(doc._id)))
+      .map(doc => changeEntry(doc, afterById.get(String(doc._id)), sets))
+      .filter(Boolean);
+    await writeEntries(this.model.modelName, entries, session);
+  });
+
+  // Hard deletes (only the retention purge removes records)
+  schema.pre(DELETE_HOOKS, { document: false, query: true }, async function() {
+    const query = this.model.find(this.getFilter())
+      .setOptions({ withDeleted: true })
+      .session(this.getOptions().session)
+      .select('_id district')
+      .lean();
+    if (this.op === 'deleteOne') query.limit(1);
+    this[BEFORE] = await query;
+  });
+
+  schema.post(DELETE_HOOKS, { document: false, query: true }, async function() {
+    const entries = (this[BEFORE] || []).map(doc => ({
+      entityId: doc._id,
+      district: doc.district,
+      action: 'purge',
+      changes: []
+    }));
+    await writeEntries(this.model.modelName, entries, this.getOptions().session);
+  });
+};
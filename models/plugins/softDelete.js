@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const QUERY_HOOKS = [
+  'countDocuments',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+// Whether a filter asks about deletedAt itself, at the top level or in one
+// of its $and clauses (as the listing filters are built)
+const mentionsDeletedAt = filter => filter.deletedAt !== undefined ||
+  (Array.isArray(filter.$and) && filter.$and.some(mentionsDeletedAt));
+
+/**
+ * Soft delete: records get deletedAt/deletedBy instead of being removed, and
+ * are hidden from queries and aggregations unless the filter mentions
+ * deletedAt or the query runs with the `withDeleted` option, e.g.
+ * `Student.findById(id).setOptions({ withDeleted: true })`.
+ */
+module.exports = function softDelete(schema) {
+  schema.add({
+    deletedAt: {
+      type: Date,
+      default: null,
+      index: true
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  });
+
+  QUERY_HOOKS.forEach((hook) => {
+    schema.pre(hook, function() {
+      if (this.getOptions().withDeleted || mentionsDeletedAt(this.getFilter())) return;
+      this.where({ deletedAt: null });
+    });
+  });
+
+  schema.pre('aggregate', function() {
+    if (this.options.withDeleted) return;
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  });
+
+  schema.virtual('isDeleted').get(function() {
+    return !!this.deletedAt;
+  });
+};
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { getContext } = require('../../utils/requestContext');
+
+const QUERY_HOOKS = [
+  'countDocuments',
+  'deleteMany',
+  'deleteOne',
+  'distinct',
+  'find',
+  'findOne',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'findOneAndUpdate',
+  'replaceOne',
+  'updateMany',
+  'updateOne'
+];
+
+/**
+ * Multi-tenancy: records belong to a district, and while a request (or a
+ * job run with runAsDistrict) is scoped to one, every query and aggregation
+ * is limited to it and new records are assigned to it, whatever district
+ * the caller asked for. Without a district in the context, e.g. in the
+ * background workers and the retention purge, queries span all districts.
+ * Unique indexes of tenant models must lead with district.
+ */
+module.exports = function tenant(schema) {
+  schema.add({
+    district: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'District',
+      required: [true, 'District is required'],
+      immutable: true,
+      index: true
+    }
+  });
+
+  schema.pre('validate', function() {
+    const { district } = getContext();
+    if (this.isNew && district) this.district = district;
+  });
+
+  schema.pre('insertMany', function(next, docs) {
+    const { district } = getContext();
+    if (district) docs.forEach((doc) => { doc.district = district; });
+    next();
+  });
+
+  QUERY_HOOKS.forEach((hook) => {
+    schema.pre(hook, { document: false, query: true }, function() {
+      const { district } = getContext();
+      if (district) this.where({ district });
+    });
+  });
+
+  schema.pre('aggregate', function() {
+    const { district } = getContext();
+    if (district) this.pipeline().unshift({ $match: { district } });
+  });
+};
@@ -0,0 +1,51 @@
+const Tombstone = require('../Tombstone');
+
+const DELETE_HOOKS = ['deleteOne', 'deleteMany'];
+
+// Ids captured before a hard delete runs, keyed on the query object
+const BEFORE = Symbol('tombstoneBefore');
+
+const writeTombstones = (entity, docs, purged, session) => {
+  if (!docs.length) return null;
+  return Tombstone.insertMany(
+    docs.map(doc => ({
+      entity,
+      entityId: doc._id,
+      district: doc.district,
+      deletedAt: doc.deletedAt || new Date(),
+      purged
+    })),
+    { session }
+  );
+};
+
+/**
+ * Leave a Tombstone whenever a record is deleted, so GET /api/sync/changes
+ * can report deletions. Soft deletes get one when deletedAt is set; hard
+ * deletes only for records that were not soft deleted first, so the
+ * retention purge does not report a deletion twice. Apply after the
+ * softDelete plugin.
+ */
+module.exports = function tombstone(schema) {
+  schema.pre('save', function() {
+    this.$locals.softDeleted = !this.isNew && this.isModified('deletedAt') && !!this.deletedAt;
+  });
+
+  schema.post('save', async function() {
+    if (!this.$locals.softDeleted) return;
+    await writeTombstones(this.constructor.modelName, [this], false, this.$session());
+  });
+
+  schema.pre(DELETE_HOOKS, { document: false, query: true }, async function() {
+    const query = this.model.find({ $and: [this.getFilter(), { deletedAt: null }] })
+      .select('_id district')
+      .session(this.getOptions().session)
+      .lean();
+    if (this.op === 'deleteOne') query.limit(1);
+    this[BEFORE] = await query;
+  });
+
+  schema.post(DELETE_HOOKS, { document: false, query: true }, async function() {
+    await writeTombstones(this.model.modelName, this[BEFORE] || [], true, this.getOptions().session);
+  });
+};
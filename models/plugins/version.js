@@ -0,0 +1,39 @@
+const UPDATE_HOOKS = ['findOneAndUpdate', 'updateMany', 'updateOne'];
+
+// Replace any version the update sets with an increment of the current one
+const bumpVersion = (update, versionKey) => {
+  delete update[versionKey];
+  ['$set', '$setOnInsert', '$unset'].forEach((operator) => {
+    if (!update[operator]) return;
+    delete update[operator][versionKey];
+    if (!Object.keys(update[operator]).length) delete update[operator];
+  });
+  update.$inc = { ...update.$inc, [versionKey]: 1 };
+  return update;
+};
+
+/**
+ * Optimistic concurrency: the version key (__v) changes with every write,
+ * document saves, query updates and bulk writes alike, so it can serve as
+ * the ETag of a record. A save of a document that another write changed
+ * since it was loaded fails with a mongoose VersionError.
+ */
+module.exports = function version(schema) {
+  const versionKey = schema.options.versionKey;
+  schema.set('optimisticConcurrency', true);
+
+  schema.pre(UPDATE_HOOKS, { document: false, query: true }, function() {
+    const update = this.getUpdate();
+    // Aggregation pipeline updates set the version themselves if at all
+    if (!update || Array.isArray(update)) return;
+    this.setUpdate(bumpVersion(update, versionKey));
+  });
+
+  schema.pre('bulkWrite', function(next, ops) {
+    ops.forEach((op) => {
+      const write = op.updateOne || op.updateMany;
+      if (write && write.update && !Array.isArray(write.update)) bumpVersion(write.update, versionKey);
+    });
+    next();
+  });
+};
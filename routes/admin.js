@@ -0,0 +1,185 @@
+const express = require('express');
+const router = express.Router();
+const { findDrift, repairDrift } = require('../services/integrity');
+const promotion = require('../services/promotion');
+const Notification = require('../models/Notification');
+const { parseListQuery, buildPageInfo } = require('../utils/pagination');
+const {
+  NOTIFICATION_QUERY,
+  buildNotificationFilter,
+  findNotifications,
+  retryNotification
+} = require('../services/notifications');
+const District = require('../models/District');
+const { exportDistrict } = require('../services/districts');
+const { formatDate } = require('../services/export');
+const { RequestValidationError } = require('../utils/errors');
+const { OBJECT_ID, validate, validateId } = require('../middleware/validate');
+
+router.param('id', validateId);
+
+// GET /api/admin/integrity - Report drift between Student.school and School.students
+router.get('/integrity', async (req, res, next) => {
+  try {
+    const drift = await findDrift();
+
+    res.json({
+      success: true,
+      data: drift
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/integrity/repair - Repair drift, using Student.school as the source of truth
+router.post('/integrity/repair', async (req, res, next) => {
+  try {
+    const drift = await repairDrift();
+
+    res.json({
+      success: true,
+      message: `Repaired ${drift.total} inconsistencies`,
+      data: drift
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/promotion/preview - List the changes a promotion run would make
+router.get('/promotion/preview', validate({ query: { school: OBJECT_ID } }), async (req, res, next) => {
+  try {
+    const plan = await promotion.planPromotion({ school: req.query.school });
+
+    res.json({
+      success: true,
+      data: plan
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/promotion/run - Promote, retain and graduate active students
+router.post('/promotion/run', validate({
+  body: {
+    type: 'object',
+    required: ['academicYear'],
+    properties: {
+      academicYear: { type: 'string', maxLength: 50, description: 'The academic year being closed, e.g. 2024-2025' },
+      school: { ...OBJECT_ID, description: 'Limit to one school' }
+    }
+  }
+}), async (req, res, next) => {
+  try {
+    const { run, unmatched } = await promotion.runPromotion({
+      academicYear: req.body.academicYear,
+      school: req.body.school,
+      runBy: req.user._id
+    });
+    const { promote, retain, graduate } = run.counts;
+
+    res.status(201).json({
+      success: true,
+      message: `Promoted ${promote}, retained ${retain} and graduated ${graduate} students` +
+        (unmatched.length ? `; ${unmatched.length} students have a grade their school does not offer and were skipped` : ''),
+      data: { run, unmatched }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/promotion/rollback - Undo the latest promotion run of a school or of the district
+router.post('/promotion/rollback', validate({
+  body: {
+    type: 'object',
+    properties: { school: { ...OBJECT_ID, description: 'Roll back the latest run of this school' } }
+  }
+}), async (req, res, next) => {
+  try {
+    const { run, skipped } = await promotion.rollbackLastRun({ school: req.body.school, rolledBackBy: req.user._id });
+
+    res.json({
+      success: true,
+      message: `Rolled back promotion run ${run._id}` +
+        (skipped.length ? `; ${skipped.length} students changed since and were skipped` : ''),
+      data: { run, skipped }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/promotion/runs - Recent promotion runs
+router.get('/promotion/runs', async (req, res, next) => {
+  try {
+    const runs = await promotion.listRuns();
+
+    res.json({
+      success: true,
+      count: runs.length,
+      data: runs
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/notifications - Guardian notifications and their delivery status (filter by status, event, channel, student)
+router.get('/notifications', validate({ query: NOTIFICATION_QUERY }), async (req, res, next) => {
+  try {
+    const filter = buildNotificationFilter(req.query);
+    const options = parseListQuery(Notification, req.query, { defaultSort: '-createdAt' });
+
+    if (options.errors.length) {
+      throw new RequestValidationError('Invalid query parameters', options.errors);
+    }
+
+    const [notifications, total] = await findNotifications(filter, options);
+
+    res.json({
+      success: true,
+      count: notifications.length,
+      ...buildPageInfo(req, options, total, notifications),
+      data: notifications
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/admin/notifications/:id/retry - Queue a failed notification for delivery again
+router.post('/notifications/:id/retry', async (req, res, next) => {
+  try {
+    const notification = await retryNotification(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Notification queued for retry',
+      data: notification
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/admin/export - Download all of the district's data as newline-delimited JSON
+router.get('/export', async (req, res, next) => {
+  try {
+    const district = await District.findById(req.district._id);
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${district.slug}-${formatDate(new Date())}.ndjson"`
+    );
+    await exportDistrict(district, res);
+    res.end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
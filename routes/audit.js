@@ -0,0 +1,32 @@
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const { parseListQuery, buildPageInfo } = require('../utils/pagination');
+const { AUDIT_QUERY, buildAuditFilter, findAuditEntries } = require('../services/audit');
+const { RequestValidationError } = require('../utils/errors');
+const { validate } = require('../middleware/validate');
+
+// GET /api/audit - Get audit entries (filter by entity, entityId, actor, action, from, to)
+router.get('/', validate({ query: AUDIT_QUERY }), async (req, res, next) => {
+  try {
+    const filter = buildAuditFilter(req.query);
+    const options = parseListQuery(AuditLog, req.query, { defaultSort: '-timestamp' });
+
+    if (options.errors.length) {
+      throw new RequestValidationError('Invalid query parameters', options.errors);
+    }
+
+    const [entries, total] = await findAuditEntries(filter, options);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      ...buildPageInfo(req, options, total, entries),
+      data: entries
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { signToken, authenticate } = require('../middleware/auth');
+const { UnauthorizedError } = require('../utils/errors');
+const { validate } = require('../middleware/validate');
+
+const LOGIN_BODY = {
+  type: 'object',
+  required: ['email', 'password'],
+  properties: { email: { type: 'string' }, password: { type: 'string' } }
+};
+
+// POST /api/auth/login - Exchange email and password for a signed token
+router.post('/login', validate({ body: LOGIN_BODY }), async (req, res, next) => {
+  try {
+    const { email, password } = req.body;
+    const user = await User.findOne({ email: String(email).toLowerCase() }).select('+password');
+
+    if (!user || !user.isActive || !(await user.comparePassword(password))) {
+      throw new UnauthorizedError('Invalid email or password');
+    }
+
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Logged in successfully',
+      token: signToken(user),
+      data: user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/auth/me - Get the authenticated user
+router.get('/me', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: req.user
+  });
+});
+
+module.exports = router;
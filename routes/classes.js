@@ -0,0 +1,427 @@
+const express = require('express');
+const router = express.Router();
+const Class = require('../models/Class');
+const Assignment = require('../models/Assignment');
+const classes = require('../services/classes');
+const gradebook = require('../services/gradebook');
+const { parseListQuery, applyCursor, buildPageInfo } = require('../utils/pagination');
+const {
+  authorize,
+  getClassScope,
+  getStudentScope,
+  canModifySchool,
+  canGradeClass
+} = require('../middleware/auth');
+const { RequestValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { OBJECT_ID, validate, validateId } = require('../middleware/validate');
+
+const populateClass = (query, user) => query
+  .populate('course', 'code name subject gradeLevel')
+  .populate('teacher', 'firstName lastName email')
+  .populate('school', 'name')
+  .populate({
+    path: 'students',
+    select: 'firstName lastName email grade',
+    match: getStudentScope(user)
+  });
+
+const ROSTER_BODY = {
+  type: 'object',
+  required: ['students'],
+  properties: { students: { type: 'array', minItems: 1, items: OBJECT_ID } }
+};
+
+const SCORES_BODY = {
+  type: 'object',
+  required: ['scores'],
+  properties: {
+    scores: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['student'],
+        properties: {
+          student: OBJECT_ID,
+          points: { type: 'number', minimum: 0 },
+          excused: { type: 'boolean' },
+          comment: { type: 'string', maxLength: 500 }
+        }
+      }
+    }
+  }
+};
+
+router.param('id', validateId);
+router.param('assignmentId', validateId);
+router.param('studentId', validateId);
+
+// GET /api/classes - Get all classes
+router.get('/', async (req, res, next) => {
+  try {
+    const options = parseListQuery(Class, req.query);
+    if (options.errors.length) {
+      throw new RequestValidationError('Invalid query parameters', options.errors);
+    }
+
+    const filter = {};
+    ['school', 'course', 'teacher', 'term'].forEach((key) => {
+      if (req.query[key]) filter[key] = req.query[key];
+    });
+    const scoped = { $and: [filter, getClassScope(req.user)] };
+
+    // Rosters are only returned when asked for with ?fields=students
+    let query = Class.find(applyCursor(scoped, options))
+      .select(options.projection || '-students')
+      .sort(options.sort)
+      .skip(options.skip)
+      .limit(options.limit)
+      .populate('course', 'code name')
+      .populate('teacher', 'firstName lastName');
+
+    if (options.fields.includes('students')) {
+      query = query.populate({
+        path: 'students',
+        select: 'firstName lastName grade',
+        match: getStudentScope(req.user)
+      });
+    }
+
+    const [results, total] = await Promise.all([
+      query,
+      Class.countDocuments(scoped)
+    ]);
+
+    res.json({
+      success: true,
+      count: results.length,
+      ...buildPageInfo(req, options, total, results),
+      data: results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/classes/:id - Get a class with its roster
+router.get('/:id', async (req, res, next) => {
+  try {
+    const klass = await populateClass(
+      Class.findOne({ $and: [{ _id: req.params.id }, getClassScope(req.user)] }),
+      req.user
+    );
+
+    if (!klass) {
+      throw new NotFoundError('Class not found');
+    }
+
+    res.json({
+      success: true,
+      data: klass
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/classes - Create a new class
+router.post('/', authorize('district_admin', 'school_admin'), async (req, res, next) => {
+  try {
+    // School admins can only add classes to their own school
+    if (req.user.role === 'school_admin') {
+      if (req.body.school && !canModifySchool(req.user, req.body.school)) {
+        throw new ForbiddenError('You can only add classes to your own school');
+      }
+      req.body.school = req.user.school;
+    }
+
+    const savedClass = await classes.createClass(req.body);
+    const populatedClass = await populateClass(Class.findById(savedClass._id), req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Class created successfully',
+      data: populatedClass
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/classes/:id - Update a class
+router.put('/:id', authorize('district_admin', 'school_admin'), async (req, res, next) => {
+  try {
+    const klass = await Class.findById(req.params.id);
+
+    if (!klass) {
+      throw new NotFoundError('Class not found');
+    }
+
+    if (!canModifySchool(req.user, klass.school)) {
+      throw new ForbiddenError('You can only update classes of your own school');
+    }
+
+    await classes.updateClass(klass, req.body);
+    const populatedClass = await populateClass(Class.findById(klass._id), req.user);
+
+    res.json({
+      success: true,
+      message: 'Class updated successfully',
+      data: populatedClass
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/classes/:id - Delete a class
+router.delete('/:id', authorize('district_admin', 'school_admin'), async (req, res, next) => {
+  try {
+    const klass = await Class.findById(req.params.id);
+
+    if (!klass) {
+      throw new NotFoundError('Class not found');
+    }
+
+    if (!canModifySchool(req.user, klass.school)) {
+      throw new ForbiddenError('You can only delete classes of your own school');
+    }
+
+    await klass.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Class deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/classes/:id/students - Add students to a class (body: { students: [ids] })
+router.post('/:id/students', authorize('district_admin', 'school_admin'), validate({ body: ROSTER_BODY }), async (req, res, next) => {
+  try {
+    const { students } = req.body;
+
+    const klass = await Class.findById(req.params.id);
+
+    if (!klass) {
+      throw new NotFoundError('Class not found');
+    }
+
+    if (!canModifySchool(req.user, klass.school)) {
+      throw new ForbiddenError('You can only change classes of your own school');
+    }
+
+    await classes.addStudents(klass, students);
+    const populatedClass = await populateClass(Class.findById(klass._id), req.user);
+
+    res.json({
+      success: true,
+      message: `Class now has ${klass.students.length} students`,
+      data: populatedClass
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/classes/:id/students/:studentId - Remove a student from a class
+router.delete('/:id/students/:studentId', authorize('district_admin', 'school_admin'), async (req, res, next) => {
+  try {
+    const klass = await Class.findById(req.params.id);
+
+    if (!klass) {
+      throw new NotFoundError('Class not found');
+    }
+
+    if (!canModifySchool(req.user, klass.school)) {
+      throw new ForbiddenError('You can only change classes of your own school');
+    }
+
+    await classes.removeStudent(klass, req.params.studentId);
+
+    res.json({
+      success: true,
+      message: 'Student removed from class'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/classes/:id/assignments - Get the assignments of a class
+router.get('/:id/assignments', async (req, res, next) => {
+  try {
+    const klass = await Class.findOne({ $and: [{ _id: req.params.id }, getClassScope(req.user)] })
+      .select('_id');
+
+    if (!klass) {
+      throw new NotFoundError('Class not found');
+    }
+
+    const assignments = await Assignment.find({ class: klass._id }).sort({ dueDate: 1, _id: 1 });
+
+    res.json({
+      success: true,
+      count: assignments.length,
+      data: assignments
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/classes/:id/assignments - Create an assignment (class teacher or admins)
+router.post('/:id/assignments', authorize('district_admin', 'school_admin', 'teacher'), async (req, res, next) => {
+  try {
+    const klass = await Class.findById(req.params.id);
+
+    if (!klass) {
+      throw new NotFoundError('Class not found');
+    }
+
+    if (!(await canGradeClass(req.user, klass))) {
+      throw new ForbiddenError('Only the class teacher and school admins can manage assignments');
+    }
+
+    const assignment = await gradebook.createAssignment(klass, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Assignment created successfully',
+      data: assignment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/classes/:id/assignments/:assignmentId - Update an assignment
+router.put('/:id/assignments/:assignmentId', authorize('district_admin', 'school_admin', 'teacher'), async (req, res, next) => {
+  try {
+    const klass = await Class.findById(req.params.id);
+    const assignment = klass &&
+      await Assignment.findOne({ _id: req.params.assignmentId, class: klass._id });
+
+    if (!assignment) {
+      throw new NotFoundError('Assignment not found');
+    }
+
+    if (!(await canGradeClass(req.user, klass))) {
+      throw new ForbiddenError('Only the class teacher and school admins can manage assignments');
+    }
+
+    const savedAssignment = await gradebook.updateAssignment(klass, assignment, req.body);
+
+    res.json({
+      success: true,
+      message: 'Assignment updated successfully',
+      data: savedAssignment
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/classes/:id/assignments/:assignmentId - Delete an assignment and its scores
+router.delete('/:id/assignments/:assignmentId', authorize('district_admin', 'school_admin', 'teacher'), async (req, res, next) => {
+  try {
+    const klass = await Class.findById(req.params.id);
+    const assignment = klass &&
+      await Assignment.findOne({ _id: req.params.assignmentId, class: klass._id });
+
+    if (!assignment) {
+      throw new NotFoundError('Assignment not found');
+    }
+
+    if (!(await canGradeClass(req.user, klass))) {
+      throw new ForbiddenError('Only the class teacher and school admins can manage assignments');
+    }
+
+    await gradebook.deleteAssignment(assignment);
+
+    res.json({
+      success: true,
+      message: 'Assignment deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/classes/:id/assignments/:assignmentId/scores - Record scores (body: { scores: [{ student, points, excused, comment }] })
+router.put('/:id/assignments/:assignmentId/scores', authorize('district_admin', 'school_admin', 'teacher'), validate({
+  body: SCORES_BODY
+}), async (req, res, next) => {
+  try {
+    const klass = await Class.findById(req.params.id);
+    const assignment = klass &&
+      await Assignment.findOne({ _id: req.params.assignmentId, class: klass._id });
+
+    if (!assignment) {
+      throw new NotFoundError('Assignment not found');
+    }
+
+    if (!(await canGradeClass(req.user, klass))) {
+      throw new ForbiddenError('Only the class teacher and school admins can record scores');
+    }
+
+    const result = await gradebook.recordScores(klass, assignment, req.body.scores, req.user._id);
+
+    res.json({
+      success: true,
+      message: `Scores recorded for ${result.recorded} students`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/classes/:id/gradebook - Get every score and the current average of each student
+router.get('/:id/gradebook', authorize('district_admin', 'school_admin', 'teacher'), async (req, res, next) => {
+  try {
+    const klass = await Class.findOne({ $and: [{ _id: req.params.id }, getClassScope(req.user)] });
+
+    if (!klass) {
+      throw new NotFoundError('Class not found');
+    }
+
+    const book = await gradebook.getGradebook(klass);
+
+    res.json({
+      success: true,
+      data: book
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/classes/:id/final-grades - Store the term-final grades of the class and refresh GPAs
+router.post('/:id/final-grades', authorize('district_admin', 'school_admin', 'teacher'), async (req, res, next) => {
+  try {
+    const klass = await Class.findById(req.params.id);
+
+    if (!klass) {
+      throw new NotFoundError('Class not found');
+    }
+
+    if (!(await canGradeClass(req.user, klass))) {
+      throw new ForbiddenError('Only the class teacher and school admins can finalize grades');
+    }
+
+    const result = await gradebook.finalizeGrades(klass, req.user._id);
+
+    res.json({
+      success: true,
+      message: `Final grades stored for ${result.finalized.length} students`,
+      data: result
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,128 @@
+const express = require('express');
+const router = express.Router();
+const Course = require('../models/Course');
+const Class = require('../models/Class');
+const { parseListQuery, applyCursor, buildPageInfo } = require('../utils/pagination');
+const { authorize } = require('../middleware/auth');
+const { BadRequestError, RequestValidationError, NotFoundError } = require('../utils/errors');
+const { validateId } = require('../middleware/validate');
+
+router.param('id', validateId);
+
+// GET /api/courses - Get the course catalog
+router.get('/', async (req, res, next) => {
+  try {
+    const options = parseListQuery(Course, req.query, { defaultSort: 'code' });
+    if (options.errors.length) {
+      throw new RequestValidationError('Invalid query parameters', options.errors);
+    }
+
+    const filter = {};
+    if (req.query.subject) filter.subject = req.query.subject;
+    if (req.query.gradeLevel) filter.gradeLevel = req.query.gradeLevel;
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    let query = Course.find(applyCursor(filter, options))
+      .sort(options.sort)
+      .skip(options.skip)
+      .limit(options.limit);
+
+    if (options.projection) query = query.select(options.projection);
+
+    const [courses, total] = await Promise.all([
+      query,
+      Course.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      count: courses.length,
+      ...buildPageInfo(req, options, total, courses),
+      data: courses
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/courses/:id - Get a single course
+router.get('/:id', async (req, res, next) => {
+  try {
+    const course = await Course.findById(req.params.id);
+
+    if (!course) {
+      throw new NotFoundError('Course not found');
+    }
+
+    res.json({
+      success: true,
+      data: course
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/courses - Create a new course (district admins only)
+router.post('/', authorize('district_admin'), async (req, res, next) => {
+  try {
+    const course = new Course(req.body);
+    const savedCourse = await course.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Course created successfully',
+      data: savedCourse
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/courses/:id - Update a course (district admins only)
+router.put('/:id', authorize('district_admin'), async (req, res, next) => {
+  try {
+    const course = await Course.findByIdAndUpdate(
+      req.params.id,
+      req.body,
+      { new: true, runValidators: true }
+    );
+
+    if (!course) {
+      throw new NotFoundError('Course not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'Course updated successfully',
+      data: course
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/courses/:id - Delete a course that has no classes (district admins only)
+router.delete('/:id', authorize('district_admin'), async (req, res, next) => {
+  try {
+    const classCount = await Class.countDocuments({ course: req.params.id });
+    if (classCount) {
+      throw new BadRequestError(`Course is taught in ${classCount} classes; delete them or mark the course inactive`);
+    }
+
+    const course = await Course.findByIdAndDelete(req.params.id);
+
+    if (!course) {
+      throw new NotFoundError('Course not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'Course deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
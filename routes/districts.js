@@ -0,0 +1,114 @@
+const express = require('express');
+const router = express.Router();
+const District = require('../models/District');
+const districts = require('../services/districts');
+const { formatDate } = require('../services/export');
+const { validate, validateId } = require('../middleware/validate');
+
+const PROVISION_BODY = {
+  type: 'object',
+  required: ['name', 'slug', 'admin'],
+  properties: {
+    name: { type: 'string', maxLength: 100 },
+    slug: { type: 'string', pattern: '^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$' },
+    contactEmail: { type: 'string', format: 'email' },
+    admin: {
+      type: 'object',
+      required: ['email', 'password'],
+      properties: {
+        name: { type: 'string' },
+        email: { type: 'string', format: 'email' },
+        password: { type: 'string', minLength: 8 }
+      }
+    }
+  }
+};
+
+const UPDATE_BODY = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', maxLength: 100 },
+    contactEmail: { type: 'string', format: 'email' },
+    isActive: { type: 'boolean' }
+  }
+};
+
+router.param('id', validateId);
+
+// GET /api/districts - Get all districts
+router.get('/', async (req, res, next) => {
+  try {
+    const list = await District.find().sort({ name: 1 });
+
+    res.json({
+      success: true,
+      count: list.length,
+      data: list
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/districts/:id - Get a district
+router.get('/:id', async (req, res, next) => {
+  try {
+    const district = await districts.findDistrict(req.params.id);
+
+    res.json({
+      success: true,
+      data: district
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/districts - Provision a district with its first district admin
+router.post('/', validate({ body: PROVISION_BODY }), async (req, res, next) => {
+  try {
+    const { district, admin } = await districts.provisionDistrict(req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'District provisioned successfully',
+      data: { district, admin }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/districts/:id - Update a district's name, contact or status
+router.put('/:id', validate({ body: UPDATE_BODY }), async (req, res, next) => {
+  try {
+    const district = await districts.updateDistrict(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'District updated successfully',
+      data: district
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/districts/:id/export - Download all of a district's data as newline-delimited JSON
+router.get('/:id/export', async (req, res, next) => {
+  try {
+    const district = await districts.findDistrict(req.params.id);
+
+    res.setHeader('Content-Type', 'application/x-ndjson');
+    res.setHeader(
+      'Content-Disposition',
+      `attachment; filename="${district.slug}-${formatDate(new Date())}.ndjson"`
+    );
+    await districts.exportDistrict(district, res);
+    res.end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
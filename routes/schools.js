@@ -2,183 +2,538 @@ const express = require('express');
 const router = express.Router();
 const School = require('../models/School');
 const Student = require('../models/Student');
+const Class = require('../models/Class');
+const enrollment = require('../services/enrollment');
+const { parseListQuery, applyCursor, buildPageInfo } = require('../utils/pagination');
+const {
+  authorize,
+  getSchoolScope,
+  getStudentScope,
+  getClassScope,
+  canModifySchool,
+  canRecordAttendance
+} = require('../middleware/auth');
+const attendance = require('../services/attendance');
+const { TERM_QUERY } = require('../services/classes');
+const academicYears = require('../services/academicYears');
+const { findGradesInUse } = require('../services/gradeLevels');
+const { notifyGuardians } = require('../services/notifications');
+const { emitEvent } = require('../services/webhooks');
+const { buildStudentFilter } = require('../services/studentFilter');
+const { STATS_QUERY, getStudentStats } = require('../services/stats');
+const AcademicYear = require('../models/AcademicYear');
+const {
+  FORMATS,
+  setDownloadHeaders,
+  streamCsv,
+  streamXlsx,
+  streamPdf
+} = require('../services/export');
+const { BadRequestError, RequestValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { validate, validateId } = require('../middleware/validate');
+const { assertMutable, patchFields } = require('../utils/patch');
+const { setETag, checkIfMatch } = require('../utils/etag');
+
+const EXPORT_COLUMNS = [
+  { header: 'Name', value: s => s.name, width: 30 },
+  { header: 'Address', value: s => s.address, width: 40 },
+  { header: 'Phone', value: s => s.phone, width: 16 },
+  { header: 'Email', value: s => s.email, width: 30 },
+  { header: 'Established', value: s => s.establishedYear, width: 12 },
+  { header: 'Principal', value: s => s.principal, width: 25 },
+  { header: 'Students', value: s => s.students.length, width: 10 }
+];
+
+router.param('id', validateId);
+router.param('yearId', validateId);
 
 // GET /api/schools - Get all schools
-router.get('/', async (req, res) => {
+router.get('/', async (req, res, next) => {
   try {
-    const schools = await School.find().populate('students', 'firstName lastName email grade');
+    const options = parseListQuery(School, req.query);
+    if (options.errors.length) {
+      throw new RequestValidationError('Invalid query parameters', options.errors);
+    }
+
+    const extra = {};
+    // Deleted schools are hidden unless asked for
+    if (req.query.archived === 'true') extra.deletedAt = { $ne: null };
+    const filter = { $and: [await getSchoolScope(req.user), extra] };
+
+    // The students array can be huge, so it is only returned when asked for
+    // explicitly with ?fields=students
+    let query = School.find(applyCursor(filter, options))
+      .select(options.projection || '-students')
+      .sort(options.sort)
+      .skip(options.skip)
+      .limit(options.limit);
+
+    if (options.fields.includes('students')) {
+      query = query.populate('students', 'firstName lastName email grade');
+    }
+
+    const [schools, total] = await Promise.all([
+      query,
+      School.countDocuments(filter)
+    ]);
+
     res.json({
       success: true,
       count: schools.length,
+      ...buildPageInfo(req, options, total, schools),
       data: schools
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching schools',
-      error: error.message
-    });
+    next(error);
+  }
+});
+
+// GET /api/schools/export - Export schools as CSV, XLSX or PDF
+router.get('/export', validate({
+  query: { format: { type: 'string', enum: Object.keys(FORMATS) } }
+}), async (req, res, next) => {
+  const format = req.query.format || 'csv';
+
+  try {
+    const filter = await getSchoolScope(req.user);
+    const cursor = School.find(filter).sort({ name: 1 }).cursor();
+
+    setDownloadHeaders(res, format, 'schools');
+
+    if (format === 'csv') {
+      await streamCsv(res, cursor, EXPORT_COLUMNS);
+    } else if (format === 'xlsx') {
+      await streamXlsx(res, cursor, EXPORT_COLUMNS, 'Schools');
+    } else {
+      await streamPdf(res, {
+        title: 'Schools',
+        groups: [{ heading: 'All Schools', cursor }],
+        columns: EXPORT_COLUMNS.filter(column => column.header !== 'Email')
+      });
+    }
+  } catch (error) {
+    next(error);
   }
 });
 
 // GET /api/schools/:id - Get a specific school
-router.get('/:id', async (req, res) => {
+router.get('/:id', async (req, res, next) => {
   try {
-    const school = await School.findById(req.params.id).populate('students', 'firstName lastName email grade dateOfBirth');
+    const scope = await getSchoolScope(req.user);
+    const school = await School.findOne({ $and: [{ _id: req.params.id }, scope] })
+      .populate({
+        path: 'students',
+        select: 'firstName lastName email grade dateOfBirth',
+        match: getStudentScope(req.user)
+      });
     
     if (!school) {
-      return res.status(404).json({
-        success: false,
-        message: 'School not found'
-      });
+      throw new NotFoundError('School not found');
     }
 
+    setETag(res, school);
     res.json({
       success: true,
       data: school
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching school',
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // POST /api/schools - Create a new school
-router.post('/', async (req, res) => {
+router.post('/', authorize('district_admin'), async (req, res, next) => {
   try {
+    assertMutable(req.body, School.MUTABLE_FIELDS);
+
     const school = new School(req.body);
     const savedSchool = await school.save();
-    
+    await emitEvent('school.created', savedSchool);
+
     res.status(201).json({
       success: true,
       message: 'School created successfully',
       data: savedSchool
     });
   } catch (error) {
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: errors
-      });
+    next(error);
+  }
+});
+
+// Update the school of a PUT or PATCH request with the fields
+// `getUpdate(school)` returns, unless If-Match names an older version
+const updateSchool = async (req, res, getUpdate) => {
+  if (!canModifySchool(req.user, req.params.id)) {
+    throw new ForbiddenError('You can only update your own school');
+  }
+
+  const school = await School.findById(req.params.id);
+
+  if (!school) {
+    throw new NotFoundError('School not found');
+  }
+  checkIfMatch(req, school);
+
+  const update = getUpdate(school);
+
+  // Students must be moved out of a grade level before it is removed
+  if (Array.isArray(update.gradeLevels)) {
+    const inUse = await findGradesInUse(school._id, update.gradeLevels);
+    if (inUse.length) {
+      throw new BadRequestError(`Grade levels still in use by students: ${inUse.join(', ')}`);
+    }
+  }
+
+  // Fails with a 409 if the school changed since it was read
+  school.set(update);
+  await school.save();
+  await school.populate('students', 'firstName lastName email grade');
+
+  setETag(res, school);
+  res.json({
+    success: true,
+    message: 'School updated successfully',
+    data: school
+  });
+};
+
+// PUT /api/schools/:id - Update a school
+router.put('/:id', authorize('district_admin', 'school_admin'), async (req, res, next) => {
+  try {
+    assertMutable(req.body, School.MUTABLE_FIELDS);
+    await updateSchool(req, res, () => req.body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/schools/:id - Partially update a school with a JSON Merge Patch or JSON Patch
+router.patch('/:id', authorize('district_admin', 'school_admin'), async (req, res, next) => {
+  try {
+    await updateSchool(req, res, school => patchFields(req, school, School.MUTABLE_FIELDS));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/schools/:id - Delete a school
+router.delete('/:id', authorize('district_admin'), async (req, res, next) => {
+  try {
+    // Archives the school and unlinks its students
+    const school = await enrollment.deleteSchool(req.params.id, req.user._id);
+
+    if (!school) {
+      throw new NotFoundError('School not found');
     }
+
+    await emitEvent('school.deleted', school);
+
+    res.json({
+      success: true,
+      message: 'School deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/schools/:id/students - Get all students in a school
+router.get('/:id/students', async (req, res, next) => {
+  try {
+    const scope = await getSchoolScope(req.user);
+    const school = await School.findOne({ $and: [{ _id: req.params.id }, scope] });
+
+    if (!school) {
+      throw new NotFoundError('School not found');
+    }
+
+    const students = await Student.find({
+      $and: [{ school: req.params.id }, getStudentScope(req.user)]
+    });
     
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email already exists'
-      });
+    res.json({
+      success: true,
+      count: students.length,
+      data: students
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/schools/:id/stats - Student statistics of a school (same filters as the student listing)
+router.get('/:id/stats', authorize('district_admin', 'school_admin'), validate({ query: STATS_QUERY }), async (req, res, next) => {
+  try {
+    const scope = await getSchoolScope(req.user);
+    const school = await School.findOne({ $and: [{ _id: req.params.id }, scope] });
+
+    if (!school) {
+      throw new NotFoundError('School not found');
     }
 
-    res.status(500).json({
-      success: false,
-      message: 'Error creating school',
-      error: error.message
+    const filter = await buildStudentFilter({ ...req.query, school: String(school._id) }, req.user);
+    const { stats, cached } = await getStudentStats(filter, req.query);
+
+    res.json({
+      success: true,
+      cached,
+      data: stats
     });
+  } catch (error) {
+    next(error);
   }
 });
 
-// PUT /api/schools/:id - Update a school
-router.put('/:id', async (req, res) => {
+// GET /api/schools/:id/classes - Get the classes of a school, optionally for one term
+router.get('/:id/classes', validate({ query: TERM_QUERY }), async (req, res, next) => {
   try {
-    const school = await School.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('students', 'firstName lastName email grade');
+    const scope = await getSchoolScope(req.user);
+    const school = await School.findOne({ $and: [{ _id: req.params.id }, scope] }).select('_id');
 
     if (!school) {
-      return res.status(404).json({
-        success: false,
-        message: 'School not found'
-      });
+      throw new NotFoundError('School not found');
     }
 
+    const filter = { school: school._id };
+    if (req.query.term) filter.term = req.query.term;
+
+    const classes = await Class.find({ $and: [filter, getClassScope(req.user)] })
+      .select('-students')
+      .populate('course', 'code name subject gradeLevel')
+      .populate('teacher', 'firstName lastName')
+      .sort({ term: 1, _id: 1 });
+
     res.json({
       success: true,
-      message: 'School updated successfully',
-      data: school
+      count: classes.length,
+      data: classes
     });
   } catch (error) {
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: errors
-      });
+    next(error);
+  }
+});
+
+// GET /api/schools/:id/attendance - Get a grade's attendance sheet for a date (?date=&grade=)
+router.get('/:id/attendance', authorize('district_admin', 'school_admin', 'teacher'), validate({
+  query: attendance.DAY_SHEET_QUERY
+}), async (req, res, next) => {
+  try {
+    const scope = await getSchoolScope(req.user);
+    const school = await School.findOne({ $and: [{ _id: req.params.id }, scope] }).select('_id');
+
+    if (!school) {
+      throw new NotFoundError('School not found');
     }
 
-    res.status(500).json({
-      success: false,
-      message: 'Error updating school',
-      error: error.message
+    const sheet = await attendance.getDaySheet(school._id, req.query);
+
+    res.json({
+      success: true,
+      count: sheet.students.length,
+      data: sheet
     });
+  } catch (error) {
+    next(error);
   }
 });
 
-// DELETE /api/schools/:id - Delete a school
-router.delete('/:id', async (req, res) => {
+// POST /api/schools/:id/attendance - Record a whole grade's attendance for a date
+router.post('/:id/attendance', authorize('district_admin', 'school_admin', 'teacher'), validate({
+  body: attendance.ATTENDANCE_BODY
+}), async (req, res, next) => {
   try {
-    const school = await School.findById(req.params.id);
+    if (!canRecordAttendance(req.user, req.params.id)) {
+      throw new ForbiddenError('You can only record attendance for your own school');
+    }
+
+    const school = await School.findById(req.params.id).select('_id');
 
     if (!school) {
-      return res.status(404).json({
-        success: false,
-        message: 'School not found'
-      });
+      throw new NotFoundError('School not found');
     }
 
-    // Remove school reference from all students
-    await Student.updateMany(
-      { school: req.params.id },
-      { $unset: { school: 1 } }
-    );
+    const { newlyAbsent, ...result } = await attendance.recordAttendance(school._id, req.body, req.user._id);
 
-    await School.findByIdAndDelete(req.params.id);
+    for (const studentId of newlyAbsent) {
+      await notifyGuardians('absent', studentId, { date: result.date });
+    }
 
     res.json({
       success: true,
-      message: 'School deleted successfully'
+      message: `Attendance recorded for ${result.recorded} students`,
+      data: result
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error deleting school',
-      error: error.message
+    next(error);
+  }
+});
+
+// GET /api/schools/:id/attendance/summary - Daily attendance rates and chronic absence
+router.get('/:id/attendance/summary', authorize('district_admin', 'school_admin', 'teacher'), validate({
+  query: { ...attendance.DATE_RANGE_QUERY, grade: { type: 'string' } }
+}), async (req, res, next) => {
+  try {
+    const { range, errors } = attendance.parseDateRange(req.query);
+    if (errors.length) {
+      throw new RequestValidationError('Invalid query parameters', errors);
+    }
+
+    const scope = await getSchoolScope(req.user);
+    const school = await School.findOne({ $and: [{ _id: req.params.id }, scope] }).select('name');
+
+    if (!school) {
+      throw new NotFoundError('School not found');
+    }
+
+    const summary = await attendance.getSchoolSummary(school._id, {
+      range,
+      grade: req.query.grade
+    });
+
+    res.json({
+      success: true,
+      data: {
+        school,
+        from: req.query.from || null,
+        to: req.query.to || null,
+        grade: req.query.grade || null,
+        ...summary
+      }
     });
+  } catch (error) {
+    next(error);
   }
 });
 
-// GET /api/schools/:id/students - Get all students in a school
-router.get('/:id/students', async (req, res) => {
+// GET /api/schools/:id/academic-years - List a school's academic years
+router.get('/:id/academic-years', async (req, res, next) => {
   try {
-    const school = await School.findById(req.params.id);
-    
+    const scope = await getSchoolScope(req.user);
+    const school = await School.findOne({ $and: [{ _id: req.params.id }, scope] }).select('name');
+
     if (!school) {
-      return res.status(404).json({
-        success: false,
-        message: 'School not found'
-      });
+      throw new NotFoundError('School not found');
     }
 
-    const students = await Student.find({ school: req.params.id });
-    
+    const years = await AcademicYear.find({ school: school._id }).sort({ startDate: -1 });
+
     res.json({
       success: true,
-      count: students.length,
-      data: students
+      count: years.length,
+      data: years
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/schools/:id/academic-years/current - The academic year and term containing a date
+router.get('/:id/academic-years/current', validate({
+  query: { date: { type: 'string', format: 'date-time' } }
+}), async (req, res, next) => {
+  try {
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+
+    const scope = await getSchoolScope(req.user);
+    const school = await School.findOne({ $and: [{ _id: req.params.id }, scope] }).select('name');
+
+    if (!school) {
+      throw new NotFoundError('School not found');
+    }
+
+    const current = await academicYears.getCurrentYear(school._id, date);
+
+    if (!current) {
+      throw new NotFoundError('No academic year covers this date');
+    }
+
+    res.json({
+      success: true,
+      data: current
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/schools/:id/academic-years - Create an academic year with its terms
+router.post('/:id/academic-years', authorize('district_admin', 'school_admin'), async (req, res, next) => {
+  try {
+    if (!canModifySchool(req.user, req.params.id)) {
+      throw new ForbiddenError('You can only manage your own school');
+    }
+
+    const school = await School.findById(req.params.id).select('_id');
+
+    if (!school) {
+      throw new NotFoundError('School not found');
+    }
+
+    const year = await academicYears.createAcademicYear(school._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Academic year created successfully',
+      data: year
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/schools/:id/academic-years/:yearId - Update an academic year
+router.put('/:id/academic-years/:yearId', authorize('district_admin', 'school_admin'), async (req, res, next) => {
+  try {
+    if (!canModifySchool(req.user, req.params.id)) {
+      throw new ForbiddenError('You can only manage your own school');
+    }
+
+    const year = await academicYears.updateAcademicYear(req.params.id, req.params.yearId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Academic year updated successfully',
+      data: year
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching students',
-      error: error.message
+    next(error);
+  }
+});
+
+// DELETE /api/schools/:id/academic-years/:yearId - Delete an academic year
+router.delete('/:id/academic-years/:yearId', authorize('district_admin', 'school_admin'), async (req, res, next) => {
+  try {
+    if (!canModifySchool(req.user, req.params.id)) {
+      throw new ForbiddenError('You can only manage your own school');
+    }
+
+    await academicYears.deleteAcademicYear(req.params.id, req.params.yearId);
+
+    res.json({
+      success: true,
+      message: 'Academic year deleted successfully'
     });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/schools/:id/restore - Restore a deleted school and re-link its students
+router.post('/:id/restore', authorize('district_admin'), async (req, res, next) => {
+  try {
+    const school = await enrollment.restoreSchool(req.params.id);
+
+    if (!school) {
+      throw new NotFoundError('Deleted school not found');
+    }
+
+    res.json({
+      success: true,
+      message: `School restored successfully with ${school.students.length} students`,
+      data: school
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
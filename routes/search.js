@@ -0,0 +1,110 @@
+const express = require('express');
+const router = express.Router();
+const Student = require('../models/Student');
+const School = require('../models/School');
+const Guardian = require('../models/Guardian');
+const StudentGuardian = require('../models/StudentGuardian');
+const { tokenize, searchModel } = require('../utils/search');
+const { getStudentScope, getSchoolScope } = require('../middleware/auth');
+const { RequestValidationError } = require('../utils/errors');
+const { validate } = require('../middleware/validate');
+
+const SEARCH_TYPES = ['students', 'schools', 'guardians'];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+const SEARCH_QUERY = {
+  q: { type: 'string', maxLength: 200 },
+  type: { type: 'string' },
+  limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT }
+};
+
+// Guardians are found through the students a user may read; each result
+// lists those of its students
+const searchGuardians = async (q, { limit, studentScope }) => {
+  const studentIds = await Student.distinct('_id', studentScope);
+  const guardianIds = await StudentGuardian.distinct('guardian', { student: { $in: studentIds } });
+  const guardians = await searchModel(Guardian, q, { limit, filter: { _id: { $in: guardianIds } } });
+
+  const links = await StudentGuardian.find({
+    guardian: { $in: guardians.map(guardian => guardian._id) },
+    student: { $in: studentIds }
+  })
+    .select('guardian student relationship')
+    .populate('student', 'firstName lastName grade')
+    .lean();
+
+  return guardians.map(guardian => ({
+    ...guardian,
+    fullName: `${guardian.firstName} ${guardian.lastName}`,
+    students: links
+      .filter(link => String(link.guardian) === String(guardian._id))
+      .map(link => ({ ...link.student, relationship: link.relationship }))
+  }));
+};
+
+// GET /api/search?q= - Ranked search across students, schools and guardians
+router.get('/', validate({ query: SEARCH_QUERY }), async (req, res, next) => {
+  try {
+    const q = (req.query.q || '').trim();
+
+    if (tokenize(q).join('').length < 2) {
+      throw new RequestValidationError('Search query (q) must be at least 2 characters', [
+        { code: 'TOO_SHORT', field: 'q', message: 'q must be at least 2 characters' }
+      ]);
+    }
+
+    const types = req.query.type
+      ? req.query.type.split(',').map(type => type.trim())
+      : SEARCH_TYPES;
+    const unknownTypes = types.filter(type => !SEARCH_TYPES.includes(type));
+
+    if (unknownTypes.length) {
+      throw new RequestValidationError(`Unknown search type: ${unknownTypes.join(', ')}`, [
+        { code: 'INVALID_VALUE', field: 'type', message: `type must be among: ${SEARCH_TYPES.join(', ')}` }
+      ]);
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+    const studentScope = getStudentScope(req.user);
+    const schoolScope = await getSchoolScope(req.user);
+
+    const [students, schools, guardians] = await Promise.all([
+      types.includes('students')
+        ? searchModel(Student, q, {
+          limit,
+          filter: studentScope,
+          populate: { path: 'school', select: 'name' }
+        })
+        : [],
+      types.includes('schools')
+        ? searchModel(School, q, { limit, filter: schoolScope })
+        : [],
+      types.includes('guardians')
+        ? searchGuardians(q, { limit, studentScope })
+        : []
+    ]);
+
+    res.json({
+      success: true,
+      query: q,
+      count: students.length + schools.length + guardians.length,
+      data: {
+        students: students.map(student => ({
+          ...student,
+          fullName: `${student.firstName} ${student.lastName}`
+        })),
+        schools: schools.map(({ students: schoolStudents, ...school }) => ({
+          ...school,
+          studentCount: (schoolStudents || []).length
+        })),
+        guardians
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
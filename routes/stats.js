@@ -0,0 +1,23 @@
+const express = require('express');
+const router = express.Router();
+const { buildStudentFilter } = require('../services/studentFilter');
+const { STATS_QUERY, getStudentStats } = require('../services/stats');
+const { validate } = require('../middleware/validate');
+
+// GET /api/stats - District-wide student statistics (same filters as the student listing)
+router.get('/', validate({ query: STATS_QUERY }), async (req, res, next) => {
+  try {
+    const filter = await buildStudentFilter(req.query, req.user);
+    const { stats, cached } = await getStudentStats(filter, req.query);
+
+    res.json({
+      success: true,
+      cached,
+      data: stats
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -2,298 +2,898 @@ const express = require('express');
 const router = express.Router();
 const Student = require('../models/Student');
 const School = require('../models/School');
+const AuditLog = require('../models/AuditLog');
+const { DEFAULT_LIMIT, parseListQuery, applyCursor, buildPageInfo } = require('../utils/pagination');
+const {
+  authorize,
+  getStudentScope,
+  canModifyStudent,
+  canModifySchool
+} = require('../middleware/auth');
+const enrollment = require('../services/enrollment');
+const { singleFile } = require('../middleware/upload');
+const { AUDIT_QUERY, buildAuditFilter, findAuditEntries } = require('../services/audit');
+const { parseFile, importStudents } = require('../services/studentImport');
+const { DATE_RANGE_QUERY, parseDateRange, getStudentAttendance } = require('../services/attendance');
+const { TERM_QUERY, getSchedule } = require('../services/classes');
+const { getReportCard } = require('../services/gradebook');
+const { sortGrades } = require('../services/gradeLevels');
+const { STUDENT_QUERY, buildStudentFilter } = require('../services/studentFilter');
+const { BULK_BODY, runBulkOperation } = require('../services/studentBulk');
+const {
+  DUPLICATES_QUERY,
+  MERGE_BODY,
+  listCandidates,
+  dismissCandidate,
+  mergeStudents
+} = require('../services/duplicates');
+const guardians = require('../services/guardians');
+const Notification = require('../models/Notification');
+const {
+  notifyGuardians,
+  describeChanges,
+  NOTIFICATION_QUERY,
+  buildNotificationFilter,
+  findNotifications
+} = require('../services/notifications');
+const { emitEvent } = require('../services/webhooks');
+const {
+  FORMATS,
+  formatDate,
+  setDownloadHeaders,
+  streamCsv,
+  streamXlsx,
+  streamPdf
+} = require('../services/export');
+const { BadRequestError, RequestValidationError, ForbiddenError, NotFoundError, ConflictError } = require('../utils/errors');
+const { OBJECT_ID, validate, validateId } = require('../middleware/validate');
+const { assertMutable, patchFields } = require('../utils/patch');
+const { setETag, checkIfMatch } = require('../utils/etag');
+
+// Contact details of the populated primaryGuardian, if any
+const primaryContact = (s) => (s.primaryGuardian && s.primaryGuardian.guardian) || {};
+
+const EXPORT_COLUMNS = [
+  { header: 'Name', value: s => s.fullName, width: 25 },
+  { header: 'Email', value: s => s.email, width: 30 },
+  { header: 'Grade', value: s => s.grade, width: 8 },
+  { header: 'Date of Birth', value: s => formatDate(s.dateOfBirth), width: 14 },
+  { header: 'School', value: s => s.school && s.school.name, width: 25 },
+  { header: 'Guardian Name', value: s => primaryContact(s).fullName, width: 25 },
+  { header: 'Guardian Phone', value: s => primaryContact(s).phone, width: 16 },
+  { header: 'Guardian Email', value: s => primaryContact(s).email, width: 30 },
+  { header: 'Active', value: s => (s.isActive ? 'Yes' : 'No'), width: 8 },
+  { header: 'Enrollment Date', value: s => formatDate(s.enrollmentDate), width: 16 }
+];
+
+const REPORT_CARD_COLUMNS = [
+  { header: 'Code', value: e => e.course && e.course.code, width: 2 },
+  { header: 'Course', value: e => e.course && e.course.name, width: 4 },
+  { header: 'Teacher', value: e => e.teacher && `${e.teacher.firstName} ${e.teacher.lastName}`, width: 3 },
+  { header: 'Credits', value: e => e.credits, width: 1 },
+  { header: 'Percent', value: e => (e.percent == null ? '' : e.percent.toFixed(1)), width: 1 },
+  { header: 'Grade', value: e => e.letter, width: 1 },
+  { header: 'Status', value: e => (e.final ? 'Final' : 'In progress'), width: 2 }
+];
+
+const ROSTER_COLUMNS = [
+  { header: 'Name', value: s => s.fullName, width: 3 },
+  { header: 'Date of Birth', value: s => formatDate(s.dateOfBirth), width: 2 },
+  { header: 'Guardian', value: s => primaryContact(s).fullName, width: 3 },
+  { header: 'Guardian Phone', value: s => primaryContact(s).phone, width: 2 },
+  { header: 'Guardian Email', value: s => primaryContact(s).email, width: 3 }
+];
+
+const ENROLL_BODY = {
+  type: 'object',
+  required: ['schoolId'],
+  properties: { schoolId: OBJECT_ID, grade: { type: 'string' }, notes: { type: 'string' } }
+};
+
+const UNENROLL_BODY = {
+  type: 'object',
+  properties: {
+    reason: { type: 'string', enum: Student.ENROLLMENT_END_REASONS },
+    notes: { type: 'string' }
+  }
+};
+
+const TRANSFER_BODY = {
+  type: 'object',
+  required: ['schoolId'],
+  properties: {
+    schoolId: OBJECT_ID,
+    date: { type: 'string', format: 'date' },
+    grade: { type: 'string' },
+    notes: { type: 'string' }
+  }
+};
+
+router.param('id', validateId);
+router.param('guardianId', validateId);
+router.param('candidateId', validateId);
 
 // GET /api/students - Get all students
-router.get('/', async (req, res) => {
+router.get('/', validate({ query: STUDENT_QUERY }), async (req, res, next) => {
   try {
-    const { school, grade, isActive } = req.query;
-    let filter = {};
+    const filter = await buildStudentFilter(req.query, req.user);
 
-    if (school) filter.school = school;
-    if (grade) filter.grade = grade;
-    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    const options = parseListQuery(Student, req.query);
+    if (options.errors.length) {
+      throw new RequestValidationError('Invalid query parameters', options.errors);
+    }
+
+    let query = Student.find(applyCursor(filter, options))
+      .sort(options.sort)
+      .skip(options.skip)
+      .limit(options.limit);
+
+    if (options.projection) query = query.select(options.projection);
+    if (!options.projection || options.fields.includes('school')) {
+      query = query.populate('school', 'name address');
+    }
+
+    const [students, total] = await Promise.all([
+      query,
+      Student.countDocuments(filter)
+    ]);
 
-    const students = await Student.find(filter).populate('school', 'name address');
-    
     res.json({
       success: true,
       count: students.length,
+      ...buildPageInfo(req, options, total, students),
       data: students
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching students',
-      error: error.message
+    next(error);
+  }
+});
+
+// GET /api/students/export - Export students as CSV, XLSX or a PDF roster grouped by grade
+router.get('/export', validate({
+  query: { ...STUDENT_QUERY, format: { type: 'string', enum: Object.keys(FORMATS) } }
+}), async (req, res, next) => {
+  const format = req.query.format || 'csv';
+
+  try {
+    const filter = await buildStudentFilter(req.query, req.user);
+    const findStudents = (extra = {}) => Student.find({ $and: [filter, extra] })
+      .populate('school', 'name')
+      .populate({ path: 'primaryGuardian', populate: { path: 'guardian', select: 'firstName lastName phone email' } })
+      .sort({ lastName: 1, firstName: 1 })
+      .cursor();
+
+    setDownloadHeaders(res, format, 'students');
+
+    if (format === 'csv') {
+      await streamCsv(res, findStudents(), EXPORT_COLUMNS);
+    } else if (format === 'xlsx') {
+      await streamXlsx(res, findStudents(), EXPORT_COLUMNS, 'Students');
+    } else {
+      // One query per grade keeps the roster grouped without sorting in
+      // memory; grades follow the ordering of the schools in the export
+      const grades = await sortGrades(
+        await Student.distinct('grade', filter),
+        await Student.distinct('school', filter)
+      );
+      const groups = (function* () {
+        for (const grade of grades) {
+          yield { heading: `Grade ${grade}`, cursor: findStudents({ grade }) };
+        }
+      })();
+      await streamPdf(res, { title: 'Student Roster', groups, columns: ROSTER_COLUMNS });
+    }
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/students/duplicates - Get pairs of students that may be the same child, most likely first
+router.get('/duplicates', authorize('district_admin', 'school_admin'), validate({
+  query: DUPLICATES_QUERY
+}), async (req, res, next) => {
+  try {
+    const page = Number(req.query.page) || 1;
+    const limit = Number(req.query.limit) || DEFAULT_LIMIT;
+    // School admins only see pairs of their own students
+    const studentIds = req.user.role === 'district_admin'
+      ? null
+      : await Student.distinct('_id', getStudentScope(req.user));
+
+    const { candidates, total } = await listCandidates({
+      studentIds,
+      student: req.query.student,
+      minScore: Number(req.query.minScore) || 0,
+      page,
+      limit
+    });
+
+    res.json({
+      success: true,
+      count: candidates.length,
+      ...buildPageInfo(req, { page, limit }, total, candidates),
+      data: candidates
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/students/duplicates/:candidateId/dismiss - Mark a pair as not the same child
+router.post('/duplicates/:candidateId/dismiss', authorize('district_admin', 'school_admin'), async (req, res, next) => {
+  try {
+    const candidate = await dismissCandidate(req.params.candidateId, { user: req.user });
+
+    res.json({
+      success: true,
+      message: 'Duplicate candidate dismissed',
+      data: candidate
     });
+  } catch (error) {
+    next(error);
   }
 });
 
 // GET /api/students/:id - Get a specific student
-router.get('/:id', async (req, res) => {
+router.get('/:id', async (req, res, next) => {
   try {
-    const student = await Student.findById(req.params.id).populate('school', 'name address phone email');
+    const student = await Student.findOne({
+      $and: [{ _id: req.params.id }, getStudentScope(req.user)]
+    }).populate('school', 'name address phone email');
     
     if (!student) {
-      return res.status(404).json({
-        success: false,
-        message: 'Student not found'
-      });
+      throw new NotFoundError('Student not found');
     }
 
+    setETag(res, student);
     res.json({
       success: true,
       data: student
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error fetching student',
-      error: error.message
-    });
+    next(error);
   }
 });
 
 // POST /api/students - Create a new student
-router.post('/', async (req, res) => {
+router.post('/', authorize('district_admin', 'school_admin'), async (req, res, next) => {
   try {
-    const student = new Student(req.body);
-    const savedStudent = await student.save();
-    
-    // If student is assigned to a school, add to school's students array
-    if (savedStudent.school) {
-      await School.findByIdAndUpdate(
-        savedStudent.school,
-        { $addToSet: { students: savedStudent._id } }
-      );
+    assertMutable(req.body, Student.CREATE_FIELDS);
+
+    // School admins can only add students to their own school
+    if (req.user.role === 'school_admin') {
+      if (req.body.school && !canModifySchool(req.user, req.body.school)) {
+        throw new ForbiddenError('You can only add students to your own school');
+      }
+      req.body.school = req.user.school;
     }
 
+    // Creates the student and adds it to the school's students array
+    const savedStudent = await enrollment.createStudent(req.body);
+
     const populatedStudent = await Student.findById(savedStudent._id).populate('school', 'name address');
-    
+    await emitEvent('student.created', populatedStudent);
+
     res.status(201).json({
       success: true,
       message: 'Student created successfully  (v6)',
       data: populatedStudent
     });
   } catch (error) {
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: errors
-      });
+    next(error);
+  }
+});
+
+// POST /api/students/import - Bulk import students from a CSV or XLSX file
+router.post('/import', authorize('district_admin', 'school_admin'), singleFile('file'), async (req, res, next) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const records = await parseFile(req.file);
+
+    const report = await importStudents(records, {
+      dryRun,
+      forceSchool: req.user.role === 'school_admin' ? req.user.school : null
+    });
+
+    res.status(dryRun || !report.imported ? 200 : 201).json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${report.validRows} of ${report.totalRows} rows can be imported`
+        : `Imported ${report.imported} of ${report.totalRows} rows`,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/students/bulk - Enroll, unenroll, regrade, (de)activate or delete many students
+router.post('/bulk', authorize('district_admin', 'school_admin'), validate({
+  query: { dryRun: { type: 'boolean' } },
+  body: BULK_BODY
+}), async (req, res, next) => {
+  try {
+    const dryRun = req.query.dryRun === 'true';
+    const report = await runBulkOperation(req.body, { user: req.user, dryRun });
+
+    res.json({
+      success: true,
+      message: dryRun
+        ? `Dry run: ${report.valid} of ${report.matched} students can be changed`
+        : `Changed ${report.updated} of ${report.matched} students`,
+      data: report
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/students/merge - Merge a duplicate student into another and archive it
+router.post('/merge', authorize('district_admin', 'school_admin'), validate({ body: MERGE_BODY }), async (req, res, next) => {
+  try {
+    const { primary, moved, kept } = await mergeStudents(req.body, { user: req.user });
+
+    res.json({
+      success: true,
+      message: 'Students merged successfully',
+      data: { student: primary, moved, kept }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update the student of a PUT or PATCH request with the fields
+// `getUpdate(student)` returns, unless If-Match names an older version
+const updateStudent = async (req, res, getUpdate) => {
+  const oldStudent = await Student.findById(req.params.id);
+
+  if (!oldStudent) {
+    throw new NotFoundError('Student not found');
+  }
+  if (!canModifyStudent(req.user, oldStudent)) {
+    throw new ForbiddenError('You can only update students in your own school');
+  }
+  checkIfMatch(req, oldStudent);
+
+  const update = getUpdate(oldStudent);
+  if (update.school !== undefined && !canModifySchool(req.user, update.school)) {
+    throw new ForbiddenError('You can only update students in your own school');
+  }
+
+  // Moves the student between schools' students arrays if the school changed
+  const updated = await enrollment.updateStudent(oldStudent._id, update, { version: oldStudent.__v });
+
+  if (!updated) {
+    throw new NotFoundError('Student not found');
+  }
+
+  const student = await Student.findById(updated._id).populate('school', 'name address');
+
+  const changes = describeChanges(oldStudent, updated, Object.keys(update));
+  if (changes.length) {
+    await notifyGuardians('updated', updated._id, { fields: changes.join(', ') });
+    await emitEvent('student.updated', student);
+  }
+
+  setETag(res, student);
+  res.json({
+    success: true,
+    message: 'Student updated successfully✅ (V10)',
+    data: student
+  });
+};
+
+// PUT /api/students/:id - Update a student
+router.put('/:id', authorize('district_admin', 'school_admin'), async (req, res, next) => {
+  try {
+    assertMutable(req.body, Student.MUTABLE_FIELDS);
+    await updateStudent(req, res, () => req.body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PATCH /api/students/:id - Partially update a student with a JSON Merge Patch or JSON Patch
+router.patch('/:id', authorize('district_admin', 'school_admin'), async (req, res, next) => {
+  try {
+    await updateStudent(req, res, student => patchFields(req, student, Student.MUTABLE_FIELDS));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/students/:id - Delete a student
+router.delete('/:id', authorize('district_admin', 'school_admin'), async (req, res, next) => {
+  try {
+    const student = await Student.findById(req.params.id);
+
+    if (!student) {
+      throw new NotFoundError('Student not found');
     }
-    
-    if (error.code === 11000) {
-      return res.status(400).json({
-        success: false,
-        message: 'Email already exists'
-      });
+
+    if (!canModifyStudent(req.user, student)) {
+      throw new ForbiddenError('You can only delete students in your own school');
     }
 
-    res.status(500).json({
-      success: false,
-      message: 'Error creating student',
-      error: error.message
+    // Archives the student and removes it from the school's students array
+    await enrollment.deleteStudent(req.params.id, req.user._id);
+    await emitEvent('student.deleted', student);
+
+    res.json({
+      success: true,
+      message: 'Student deleted successfully'
     });
+  } catch (error) {
+    next(error);
   }
 });
 
-// PUT /api/students/:id - Update a student
-router.put('/:id', async (req, res) => {
+// PATCH /api/students/:id/enroll - Enroll student in a school
+router.patch('/:id/enroll', authorize('district_admin', 'school_admin'), validate({ body: ENROLL_BODY }), async (req, res, next) => {
   try {
-    const oldStudent = await Student.findById(req.params.id);
-    
-    if (!oldStudent) {
-      return res.status(404).json({
-        success: false,
-        message: 'Student not found'
-      });
+    const { schoolId, grade, notes } = req.body;
+    const student = await Student.findById(req.params.id);
+    const school = await School.findById(schoolId);
+
+    if (!student) {
+      throw new NotFoundError('Student not found');
     }
 
-    const student = await Student.findByIdAndUpdate(
-      req.params.id,
-      req.body,
-      { new: true, runValidators: true }
-    ).populate('school', 'name address');
+    if (!school) {
+      throw new NotFoundError('School not found');
+    }
 
-    // Handle school changes
-    if (oldStudent.school && oldStudent.school.toString() !== student.school?.toString()) {
-      // Remove from old school
-      await School.findByIdAndUpdate(
-        oldStudent.school,
-        { $pull: { students: student._id } }
-      );
+    // School admins may enroll unassigned students or their own, into their own school
+    if (!canModifySchool(req.user, schoolId) ||
+        (student.school && !canModifyStudent(req.user, student))) {
+      throw new ForbiddenError('You can only enroll students into your own school');
     }
 
-    if (student.school && (!oldStudent.school || oldStudent.school.toString() !== student.school.toString())) {
-      // Add to new school
-      await School.findByIdAndUpdate(
-        student.school,
-        { $addToSet: { students: student._id } }
-      );
+    const fromSchool = student.school && await School.findById(student.school).select('name');
+
+    // Moves the student from the old school (if any) to the new one
+    await enrollment.enrollStudent(student._id, schoolId, { grade, notes });
+
+    const updatedStudent = await Student.findById(student._id).populate('school', 'name address');
+
+    if (student.school) {
+      await notifyGuardians('transferred', student._id, { fromSchool: fromSchool && fromSchool.name });
+    } else {
+      await notifyGuardians('enrolled', student._id);
     }
+    await emitEvent('student.enrolled', updatedStudent);
 
     res.json({
       success: true,
-      message: 'Student updated successfully✅ (V10)',
-      data: student
+      message: 'Student enrolled successfully',
+      data: updatedStudent
     });
   } catch (error) {
-    if (error.name === 'ValidationError') {
-      const errors = Object.values(error.errors).map(err => err.message);
-      return res.status(400).json({
-        success: false,
-        message: 'Validation error',
-        errors: errors
-      });
+    next(error);
+  }
+});
+
+// PATCH /api/students/:id/unenroll - Unenroll student from school
+router.patch('/:id/unenroll', authorize('district_admin', 'school_admin'), validate({ body: UNENROLL_BODY }), async (req, res, next) => {
+  try {
+    const student = await Student.findById(req.params.id);
+
+    if (!student) {
+      throw new NotFoundError('Student not found');
     }
 
-    res.status(500).json({
-      success: false,
-      message: 'Error updating student',
-      error: error.message
+    if (!student.school) {
+      throw new BadRequestError('Student is not enrolled in any school');
+    }
+
+    if (!canModifyStudent(req.user, student)) {
+      throw new ForbiddenError('You can only unenroll students from your own school');
+    }
+
+    const { reason, notes } = req.body;
+    const school = await School.findById(student.school).select('name');
+    const updatedStudent = await enrollment.unenrollStudent(student._id, { reason, notes });
+
+    await notifyGuardians('unenrolled', student._id, {
+      school: school && school.name,
+      reason: reason || 'withdrawal'
     });
+    await emitEvent('student.unenrolled', updatedStudent);
+
+    res.json({
+      success: true,
+      message: 'Student unenrolled successfully',
+      data: updatedStudent
+    });
+  } catch (error) {
+    next(error);
   }
 });
 
-// DELETE /api/students/:id - Delete a student
-router.delete('/:id', async (req, res) => {
+// GET /api/students/:id/enrollments - Get a student's enrollment history
+router.get('/:id/enrollments', async (req, res, next) => {
   try {
-    const student = await Student.findById(req.params.id);
+    const student = await Student.findOne({
+      $and: [{ _id: req.params.id }, getStudentScope(req.user)]
+    })
+      .select('firstName lastName enrollments')
+      .populate('enrollments.school', 'name address');
 
     if (!student) {
-      return res.status(404).json({
-        success: false,
-        message: 'Student not found'
-      });
+      throw new NotFoundError('Student not found');
     }
 
-    // Remove student from school's students array
-    if (student.school) {
-      await School.findByIdAndUpdate(
-        student.school,
-        { $pull: { students: student._id } }
-      );
+    const enrollments = [...student.enrollments]
+      .sort((a, b) => b.startDate - a.startDate);
+
+    res.json({
+      success: true,
+      count: enrollments.length,
+      data: enrollments
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/students/:id/guardians - Get a student's guardians, primary contact first
+router.get('/:id/guardians', async (req, res, next) => {
+  try {
+    const student = await Student.findOne({
+      $and: [{ _id: req.params.id }, getStudentScope(req.user)]
+    }).select('_id');
+
+    if (!student) {
+      throw new NotFoundError('Student not found');
     }
 
-    await Student.findByIdAndDelete(req.params.id);
+    const links = await guardians.listGuardians(student._id);
 
     res.json({
       success: true,
-      message: 'Student deleted successfully'
+      count: links.length,
+      data: links
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error deleting student',
-      error: error.message
+    next(error);
+  }
+});
+
+// POST /api/students/:id/guardians - Link a new or existing guardian to a student
+router.post('/:id/guardians', authorize('district_admin', 'school_admin'), validate({
+  body: guardians.ADD_GUARDIAN_BODY
+}), async (req, res, next) => {
+  try {
+    const student = await Student.findById(req.params.id).select('school');
+
+    if (!student) {
+      throw new NotFoundError('Student not found');
+    }
+
+    if (!canModifyStudent(req.user, student)) {
+      throw new ForbiddenError('You can only manage guardians of students in your own school');
+    }
+
+    const link = await guardians.addGuardian(student._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: 'Guardian added successfully',
+      data: link
     });
+  } catch (error) {
+    next(error);
   }
 });
 
-// PATCH /api/students/:id/enroll - Enroll student in a school
-router.patch('/:id/enroll', async (req, res) => {
+// PUT /api/students/:id/guardians/:guardianId - Update a guardian and their link to the student
+router.put('/:id/guardians/:guardianId', authorize('district_admin', 'school_admin'), validate({
+  body: guardians.UPDATE_GUARDIAN_BODY
+}), async (req, res, next) => {
   try {
-    const { schoolId } = req.body;
+    const student = await Student.findById(req.params.id).select('school');
 
-    if (!schoolId) {
-      return res.status(400).json({
-        success: false,
-        message: 'School ID is required'
-      });
+    if (!student) {
+      throw new NotFoundError('Student not found');
     }
 
-    const student = await Student.findById(req.params.id);
-    const school = await School.findById(schoolId);
+    if (!canModifyStudent(req.user, student)) {
+      throw new ForbiddenError('You can only manage guardians of students in your own school');
+    }
+
+    const link = await guardians.updateGuardian(student._id, req.params.guardianId, req.body);
+
+    res.json({
+      success: true,
+      message: 'Guardian updated successfully',
+      data: link
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/students/:id/guardians/:guardianId - Unlink a guardian from a student
+router.delete('/:id/guardians/:guardianId', authorize('district_admin', 'school_admin'), async (req, res, next) => {
+  try {
+    const student = await Student.findById(req.params.id).select('school');
 
     if (!student) {
-      return res.status(404).json({
-        success: false,
-        message: 'Student not found'
-      });
+      throw new NotFoundError('Student not found');
     }
 
-    if (!school) {
-      return res.status(404).json({
-        success: false,
-        message: 'School not found'
+    if (!canModifyStudent(req.user, student)) {
+      throw new ForbiddenError('You can only manage guardians of students in your own school');
+    }
+
+    await guardians.removeGuardian(student._id, req.params.guardianId);
+
+    res.json({
+      success: true,
+      message: 'Guardian removed successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/students/:id/siblings - Get the students who share a guardian with a student
+router.get('/:id/siblings', async (req, res, next) => {
+  try {
+    const scope = getStudentScope(req.user);
+    const student = await Student.findOne({ $and: [{ _id: req.params.id }, scope] }).select('_id');
+
+    if (!student) {
+      throw new NotFoundError('Student not found');
+    }
+
+    const siblings = await guardians.findSiblings(student._id, scope);
+
+    res.json({
+      success: true,
+      count: siblings.length,
+      data: siblings
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/students/:id/schedule - Get a student's classes and weekly timetable
+router.get('/:id/schedule', validate({ query: TERM_QUERY }), async (req, res, next) => {
+  try {
+    const student = await Student.findOne({
+      $and: [{ _id: req.params.id }, getStudentScope(req.user)]
+    }).select('_id');
+
+    if (!student) {
+      throw new NotFoundError('Student not found');
+    }
+
+    const schedule = await getSchedule(student._id, { term: req.query.term });
+
+    res.json({
+      success: true,
+      count: schedule.classes.length,
+      data: schedule
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/students/:id/report-card - Get a student's report card as JSON or PDF (?term=&format=pdf)
+router.get('/:id/report-card', validate({
+  query: { ...TERM_QUERY, format: { type: 'string', enum: ['json', 'pdf'] } }
+}), async (req, res, next) => {
+  const format = req.query.format || 'json';
+
+  try {
+    const student = await Student.findOne({
+      $and: [{ _id: req.params.id }, getStudentScope(req.user)]
+    }).populate('school', 'name');
+
+    if (!student) {
+      throw new NotFoundError('Student not found');
+    }
+
+    const reportCard = await getReportCard(student, { term: req.query.term });
+
+    if (format === 'json') {
+      return res.json({
+        success: true,
+        data: reportCard
       });
     }
 
-    // Remove from old school if exists
-    if (student.school) {
-      await School.findByIdAndUpdate(
-        student.school,
-        { $pull: { students: student._id } }
-      );
+    setDownloadHeaders(res, 'pdf', `report-card-${student.lastName}-${student.firstName}`.toLowerCase());
+    await streamPdf(res, {
+      title: 'Report Card',
+      subtitle: [
+        `${student.fullName} - Grade ${student.grade}`,
+        student.school ? student.school.name : 'Not enrolled',
+        `Cumulative GPA: ${reportCard.gpa == null ? 'n/a' : reportCard.gpa.toFixed(2)}`
+      ],
+      groups: reportCard.terms.map(term => ({
+        heading: `${term.term} - GPA ${term.gpa == null ? 'n/a' : term.gpa.toFixed(2)}`,
+        cursor: term.classes
+      })),
+      columns: REPORT_CARD_COLUMNS
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/students/:id/attendance - Get a student's attendance, optionally between from and to
+router.get('/:id/attendance', validate({ query: DATE_RANGE_QUERY }), async (req, res, next) => {
+  try {
+    const { range, errors } = parseDateRange(req.query);
+    if (errors.length) {
+      throw new RequestValidationError('Invalid query parameters', errors);
     }
 
-    // Add to new school
-    student.school = schoolId;
-    await student.save();
+    const student = await Student.findOne({
+      $and: [{ _id: req.params.id }, getStudentScope(req.user)]
+    }).select('_id');
 
-    await School.findByIdAndUpdate(
-      schoolId,
-      { $addToSet: { students: student._id } }
-    );
+    if (!student) {
+      throw new NotFoundError('Student not found');
+    }
 
-    const updatedStudent = await Student.findById(student._id).populate('school', 'name address');
+    const { summary, records } = await getStudentAttendance(student._id, range);
 
     res.json({
       success: true,
-      message: 'Student enrolled successfully',
-      data: updatedStudent
+      count: records.length,
+      summary,
+      data: records
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error enrolling student',
-      error: error.message
+    next(error);
+  }
+});
+
+// GET /api/students/:id/history - Get the audit trail of a student (district and school admins)
+router.get('/:id/history', authorize('district_admin', 'school_admin'), validate({ query: AUDIT_QUERY }), async (req, res, next) => {
+  try {
+    // History stays available for archived students
+    const student = await Student.findOne({
+      $and: [{ _id: req.params.id }, getStudentScope(req.user)]
+    }).setOptions({ withDeleted: true });
+
+    if (!student) {
+      throw new NotFoundError('Student not found');
+    }
+
+    const filter = buildAuditFilter({
+      ...req.query,
+      entity: 'Student',
+      entityId: String(student._id)
+    });
+    const options = parseListQuery(AuditLog, req.query, { defaultSort: '-timestamp' });
+
+    if (options.errors.length) {
+      throw new RequestValidationError('Invalid query parameters', options.errors);
+    }
+
+    const [entries, total] = await findAuditEntries(filter, options);
+
+    res.json({
+      success: true,
+      count: entries.length,
+      ...buildPageInfo(req, options, total, entries),
+      data: entries
     });
+  } catch (error) {
+    next(error);
   }
 });
 
-// PATCH /api/students/:id/unenroll - Unenroll student from school
-router.patch('/:id/unenroll', async (req, res) => {
+// GET /api/students/:id/notifications - Get the messages sent to a student's guardians and their delivery status
+router.get('/:id/notifications', authorize('district_admin', 'school_admin'), validate({
+  query: NOTIFICATION_QUERY
+}), async (req, res, next) => {
   try {
+    const student = await Student.findOne({
+      $and: [{ _id: req.params.id }, getStudentScope(req.user)]
+    }).setOptions({ withDeleted: true });
+
+    if (!student) {
+      throw new NotFoundError('Student not found');
+    }
+
+    const filter = buildNotificationFilter({ ...req.query, student: String(student._id) });
+    const options = parseListQuery(Notification, req.query, { defaultSort: '-createdAt' });
+
+    if (options.errors.length) {
+      throw new RequestValidationError('Invalid query parameters', options.errors);
+    }
+
+    const [notifications, total] = await findNotifications(filter, options);
+
+    res.json({
+      success: true,
+      count: notifications.length,
+      ...buildPageInfo(req, options, total, notifications),
+      data: notifications
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/students/:id/transfer - Close the current enrollment and open one at another school
+router.post('/:id/transfer', authorize('district_admin', 'school_admin'), validate({ body: TRANSFER_BODY }), async (req, res, next) => {
+  try {
+    const { schoolId, date, grade, notes } = req.body;
     const student = await Student.findById(req.params.id);
 
     if (!student) {
-      return res.status(404).json({
-        success: false,
-        message: 'Student not found'
-      });
+      throw new NotFoundError('Student not found');
     }
 
-    if (!student.school) {
-      return res.status(400).json({
-        success: false,
-        message: 'Student is not enrolled in any school'
-      });
+    // The sending school's admin can transfer a student out
+    if (!canModifyStudent(req.user, student)) {
+      throw new ForbiddenError('You can only transfer students from your own school');
     }
 
-    // Remove from school
-    await School.findByIdAndUpdate(
-      student.school,
-      { $pull: { students: student._id } }
-    );
+    const fromSchool = await School.findById(student.school).select('name');
+
+    await enrollment.transferStudent(student._id, schoolId, {
+      date: date ? new Date(date) : undefined,
+      grade,
+      notes
+    });
+
+    await notifyGuardians('transferred', student._id, {
+      fromSchool: fromSchool && fromSchool.name,
+      ...(date && { date: formatDate(date) })
+    });
 
-    student.school = null;
-    await student.save();
+    const updatedStudent = await Student.findById(student._id)
+      .populate('school', 'name address')
+      .populate('enrollments.school', 'name');
+    await emitEvent('student.enrolled', updatedStudent);
 
     res.json({
       success: true,
-      message: 'Student unenrolled successfully',
-      data: student
+      message: 'Student transferred successfully',
+      data: updatedStudent
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: 'Error unenrolling student',
-      error: error.message
+    next(error);
+  }
+});
+
+// POST /api/students/:id/restore - Restore a deleted student
+router.post('/:id/restore', authorize('district_admin', 'school_admin'), async (req, res, next) => {
+  try {
+    const archived = await Student.findOne({ _id: req.params.id, deletedAt: { $ne: null } });
+
+    if (!archived) {
+      throw new NotFoundError('Deleted student not found');
+    }
+
+    if (!canModifyStudent(req.user, archived)) {
+      throw new ForbiddenError('You can only restore students in your own school');
+    }
+
+    // Merged duplicates stay archived
+    if (archived.mergedInto) {
+      throw new ConflictError(`Student was merged into ${archived.mergedInto}`);
+    }
+
+    const student = await enrollment.restoreStudent(archived._id);
+
+    res.json({
+      success: true,
+      message: 'Student restored successfully',
+      data: student
     });
+  } catch (error) {
+    next(error);
   }
 });
 
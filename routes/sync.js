@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { getChanges } = require('../services/sync');
+
+// GET /api/sync/changes - Get students and schools created, updated or deleted after a cursor
+router.get('/changes', async (req, res, next) => {
+  try {
+    const { changes, cursor, hasMore } = await getChanges(req.query);
+
+    res.json({
+      success: true,
+      count: changes.length,
+      cursor,
+      hasMore,
+      data: changes
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
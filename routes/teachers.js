@@ -0,0 +1,182 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Teacher = require('../models/Teacher');
+const School = require('../models/School');
+const Class = require('../models/Class');
+const { parseListQuery, applyCursor, buildPageInfo } = require('../utils/pagination');
+const { authorize, getTeacherScope, canModifySchool } = require('../middleware/auth');
+const { BadRequestError, RequestValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { validateId } = require('../middleware/validate');
+
+router.param('id', validateId);
+
+// GET /api/teachers - Get all teachers
+router.get('/', async (req, res, next) => {
+  try {
+    const options = parseListQuery(Teacher, req.query);
+    if (options.errors.length) {
+      throw new RequestValidationError('Invalid query parameters', options.errors);
+    }
+
+    const filter = {};
+    if (req.query.school) filter.school = req.query.school;
+    if (req.query.subject) filter.subjects = req.query.subject;
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+    const scoped = { $and: [filter, getTeacherScope(req.user)] };
+
+    let query = Teacher.find(applyCursor(scoped, options))
+      .sort(options.sort)
+      .skip(options.skip)
+      .limit(options.limit);
+
+    if (options.projection) query = query.select(options.projection);
+    if (!options.projection || options.fields.includes('school')) {
+      query = query.populate('school', 'name');
+    }
+
+    const [teachers, total] = await Promise.all([
+      query,
+      Teacher.countDocuments(scoped)
+    ]);
+
+    res.json({
+      success: true,
+      count: teachers.length,
+      ...buildPageInfo(req, options, total, teachers),
+      data: teachers
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/teachers/:id - Get a teacher with their classes
+router.get('/:id', async (req, res, next) => {
+  try {
+    const teacher = await Teacher.findOne({
+      $and: [{ _id: req.params.id }, getTeacherScope(req.user)]
+    }).populate('school', 'name');
+
+    if (!teacher) {
+      throw new NotFoundError('Teacher not found');
+    }
+
+    const classes = await Class.find({ teacher: teacher._id })
+      .select('-students')
+      .populate('course', 'code name');
+
+    res.json({
+      success: true,
+      data: { ...teacher.toJSON(), classes }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/teachers - Create a new teacher
+router.post('/', authorize('district_admin', 'school_admin'), async (req, res, next) => {
+  try {
+    // School admins can only add teachers to their own school
+    if (req.user.role === 'school_admin') {
+      if (req.body.school && !canModifySchool(req.user, req.body.school)) {
+        throw new ForbiddenError('You can only add teachers to your own school');
+      }
+      req.body.school = req.user.school;
+    }
+
+    // A missing school is reported by the model's validation
+    if (req.body.school && (!mongoose.Types.ObjectId.isValid(req.body.school) ||
+        !(await School.exists({ _id: req.body.school })))) {
+      throw new BadRequestError(`School ${req.body.school} does not exist`, [
+        { code: 'NOT_FOUND', field: 'school', message: `School ${req.body.school} does not exist` }
+      ]);
+    }
+
+    const teacher = new Teacher(req.body);
+    const savedTeacher = await teacher.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Teacher created successfully',
+      data: savedTeacher
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/teachers/:id - Update a teacher
+router.put('/:id', authorize('district_admin', 'school_admin'), async (req, res, next) => {
+  try {
+    const teacher = await Teacher.findById(req.params.id);
+
+    if (!teacher) {
+      throw new NotFoundError('Teacher not found');
+    }
+
+    if (!canModifySchool(req.user, teacher.school)) {
+      throw new ForbiddenError('You can only update teachers of your own school');
+    }
+
+    // Classes are tied to the teacher's school, so moving needs a free teacher
+    const { school, ...fields } = req.body;
+    if (school !== undefined && String(school) !== String(teacher.school)) {
+      if (req.user.role !== 'district_admin') {
+        throw new ForbiddenError('Only district admins can move teachers between schools');
+      }
+      if (await Class.exists({ teacher: teacher._id })) {
+        throw new BadRequestError('Reassign the teacher\'s classes before moving them to another school');
+      }
+      if (!mongoose.Types.ObjectId.isValid(school) || !(await School.exists({ _id: school }))) {
+        throw new BadRequestError(`School ${school} does not exist`, [
+          { code: 'NOT_FOUND', field: 'school', message: `School ${school} does not exist` }
+        ]);
+      }
+      fields.school = school;
+    }
+
+    teacher.set(fields);
+    const savedTeacher = await teacher.save();
+
+    res.json({
+      success: true,
+      message: 'Teacher updated successfully',
+      data: savedTeacher
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/teachers/:id - Delete a teacher without classes
+router.delete('/:id', authorize('district_admin', 'school_admin'), async (req, res, next) => {
+  try {
+    const teacher = await Teacher.findById(req.params.id);
+
+    if (!teacher) {
+      throw new NotFoundError('Teacher not found');
+    }
+
+    if (!canModifySchool(req.user, teacher.school)) {
+      throw new ForbiddenError('You can only delete teachers of your own school');
+    }
+
+    const classCount = await Class.countDocuments({ teacher: teacher._id });
+    if (classCount) {
+      throw new BadRequestError(`Teacher is assigned to ${classCount} classes; reassign them or mark the teacher inactive`);
+    }
+
+    await teacher.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Teacher deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+const { OBJECT_ID, validate, validateId } = require('../middleware/validate');
+const { assertMutable } = require('../utils/patch');
+
+// Fields of a user that district admins set; lastLoginAt and the district
+// are managed by the API
+const USER_FIELDS = ['name', 'email', 'password', 'role', 'school', 'students', 'isActive'];
+
+const USER_QUERY = {
+  role: { type: 'string', enum: User.ROLES },
+  school: OBJECT_ID
+};
+
+const USER_PROPERTIES = {
+  name: { type: 'string', maxLength: 100 },
+  email: { type: 'string', format: 'email' },
+  password: { type: 'string', minLength: 8 },
+  role: { type: 'string', enum: User.ROLES },
+  school: { ...OBJECT_ID, nullable: true },
+  students: { type: 'array', items: OBJECT_ID },
+  isActive: { type: 'boolean' }
+};
+
+const CREATE_USER_BODY = {
+  type: 'object',
+  required: ['name', 'email', 'password', 'role'],
+  properties: USER_PROPERTIES
+};
+
+const UPDATE_USER_BODY = { type: 'object', properties: USER_PROPERTIES };
+
+router.param('id', validateId);
+
+// GET /api/users - Get all users
+router.get('/', validate({ query: USER_QUERY }), async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.role) filter.role = req.query.role;
+    if (req.query.school) filter.school = req.query.school;
+
+    const users = await User.find(filter).populate('school', 'name');
+
+    res.json({
+      success: true,
+      count: users.length,
+      data: users
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/users - Create a new user
+router.post('/', validate({ body: CREATE_USER_BODY }), async (req, res, next) => {
+  try {
+    assertMutable(req.body, USER_FIELDS);
+
+    const user = new User(req.body);
+    const savedUser = await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'User created successfully',
+      data: savedUser
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/users/:id - Update a user (role, scope, password or status)
+router.put('/:id', validate({ body: UPDATE_USER_BODY }), async (req, res, next) => {
+  try {
+    assertMutable(req.body, USER_FIELDS);
+
+    const user = await User.findById(req.params.id);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    // Use save() so the password hook and role-dependent validators run
+    user.set(req.body);
+    const savedUser = await user.save();
+
+    res.json({
+      success: true,
+      message: 'User updated successfully',
+      data: savedUser
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/users/:id - Delete a user
+router.delete('/:id', async (req, res, next) => {
+  try {
+    if (String(req.params.id) === String(req.user._id)) {
+      throw new BadRequestError('You cannot delete your own account');
+    }
+
+    const user = await User.findByIdAndDelete(req.params.id);
+
+    if (!user) {
+      throw new NotFoundError('User not found');
+    }
+
+    res.json({
+      success: true,
+      message: 'User deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
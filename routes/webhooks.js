@@ -0,0 +1,141 @@
+const express = require('express');
+const router = express.Router();
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { parseListQuery, buildPageInfo } = require('../utils/pagination');
+const webhooks = require('../services/webhooks');
+const { RequestValidationError } = require('../utils/errors');
+const { validate, validateId } = require('../middleware/validate');
+
+const WEBHOOK_PROPERTIES = {
+  url: { type: 'string', format: 'uri' },
+  events: { type: 'array', minItems: 1, items: { type: 'string', enum: Webhook.EVENTS } },
+  description: { type: 'string', maxLength: 200 },
+  isActive: { type: 'boolean' },
+  secret: { type: 'string', minLength: 16 }
+};
+
+router.param('id', validateId);
+router.param('deliveryId', validateId);
+
+// GET /api/webhooks - Get all webhooks (filter by event, isActive)
+router.get('/', validate({
+  query: { event: { type: 'string', enum: Webhook.EVENTS }, isActive: { type: 'boolean' } }
+}), async (req, res, next) => {
+  try {
+    const filter = {};
+    if (req.query.event) filter.events = req.query.event;
+    if (req.query.isActive !== undefined) filter.isActive = req.query.isActive === 'true';
+
+    const list = await Webhook.find(filter).sort({ createdAt: 1 });
+
+    res.json({
+      success: true,
+      count: list.length,
+      data: list
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/webhooks/:id - Get a webhook
+router.get('/:id', async (req, res, next) => {
+  try {
+    const webhook = await webhooks.findWebhook(req.params.id);
+
+    res.json({
+      success: true,
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/webhooks - Subscribe a URL to events; the response is the only one that includes the secret
+router.post('/', validate({
+  body: { type: 'object', required: ['url', 'events'], properties: WEBHOOK_PROPERTIES }
+}), async (req, res, next) => {
+  try {
+    const webhook = await webhooks.createWebhook(req.body, req.user);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/webhooks/:id - Update a webhook's URL, events, status or secret
+router.put('/:id', validate({ body: { type: 'object', properties: WEBHOOK_PROPERTIES } }), async (req, res, next) => {
+  try {
+    const webhook = await webhooks.updateWebhook(req.params.id, req.body);
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: webhook
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/webhooks/:id - Delete a webhook and its delivery log
+router.delete('/:id', async (req, res, next) => {
+  try {
+    await webhooks.deleteWebhook(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/webhooks/:id/deliveries - Get the delivery log of a webhook (filter by status, event)
+router.get('/:id/deliveries', validate({ query: webhooks.DELIVERY_QUERY }), async (req, res, next) => {
+  try {
+    const webhook = await webhooks.findWebhook(req.params.id);
+    const filter = webhooks.buildDeliveryFilter(webhook._id, req.query);
+    const options = parseListQuery(WebhookDelivery, req.query, { defaultSort: '-createdAt' });
+
+    if (options.errors.length) {
+      throw new RequestValidationError('Invalid query parameters', options.errors);
+    }
+
+    const [deliveries, total] = await webhooks.findDeliveries(filter, options);
+
+    res.json({
+      success: true,
+      count: deliveries.length,
+      ...buildPageInfo(req, options, total, deliveries),
+      data: deliveries
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/webhooks/:id/deliveries/:deliveryId/replay - Send a logged delivery again
+router.post('/:id/deliveries/:deliveryId/replay', async (req, res, next) => {
+  try {
+    const delivery = await webhooks.replayDelivery(req.params.id, req.params.deliveryId);
+
+    res.json({
+      success: true,
+      message: 'Delivery queued for replay',
+      data: delivery
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+
+/**
+ * Create a district admin account in an existing district
+ * Usage: node scripts/create-admin.js <district slug> <email> <password> [name]
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const District = require('../models/District');
+const User = require('../models/User');
+
+async function createAdmin() {
+  const [slug, email, password, name = 'District Admin'] = process.argv.slice(2);
+
+  if (!slug || !email || !password) {
+    console.error('Usage: node scripts/create-admin.js <district slug> <email> <password> [name]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const district = await District.findOne({ slug });
+  if (!district) throw new Error(`District ${slug} not found`);
+
+  const user = await User.create({ name, email, password, role: 'district_admin', district: district._id });
+  console.log(`✅ Created district admin ${user.email} in ${district.slug} (${user._id})`);
+
+  await mongoose.disconnect();
+}
+
+createAdmin().catch(async (error) => {
+  console.error('❌ Could not create admin:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * Move a single-district deployment to districts: create the district (or
+ * reuse it when the slug exists), assign every record without a district
+ * to it, and rebuild the indexes so that emails and course codes are
+ * unique per district instead of globally.
+ * Usage: node scripts/migrate-districts.js <slug> <name>
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const District = require('../models/District');
+const School = require('../models/School');
+const Student = require('../models/Student');
+const Guardian = require('../models/Guardian');
+const Teacher = require('../models/Teacher');
+const Course = require('../models/Course');
+const Class = require('../models/Class');
+const User = require('../models/User');
+const Webhook = require('../models/Webhook');
+const AuditLog = require('../models/AuditLog');
+const Tombstone = require('../models/Tombstone');
+const Notification = require('../models/Notification');
+const PromotionRun = require('../models/PromotionRun');
+
+const TENANT_MODELS = [
+  School, Student, Guardian, Teacher, Course, Class, User,
+  Webhook, AuditLog, Tombstone, Notification, PromotionRun
+];
+
+async function migrate() {
+  const [slug, name] = process.argv.slice(2);
+
+  if (!slug || !name) {
+    console.error('Usage: node scripts/migrate-districts.js <slug> <name>');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const district = await District.findOne({ slug }) || await District.create({ slug, name });
+
+  for (const model of TENANT_MODELS) {
+    // Through the driver: the audit log is immutable through mongoose
+    const { modifiedCount } = await model.collection.updateMany(
+      { district: { $exists: false } },
+      { $set: { district: district._id } }
+    );
+    // Drops the global unique indexes replaced by per-district ones
+    await model.syncIndexes();
+    console.log(`${model.collection.collectionName}: ${modifiedCount} assigned`);
+  }
+
+  console.log(`✅ Assigned existing records to district ${district.slug} (${district._id})`);
+  await mongoose.disconnect();
+}
+
+migrate().catch(async (error) => {
+  console.error('❌ Migration failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Backfill enrollment history for students created before it existed:
+ * enrolled students without history get one open entry starting at their
+ * enrollmentDate.
+ * Usage: node scripts/migrate-enrollment-history.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Student = require('../models/Student');
+
+const BATCH_SIZE = 500;
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const cursor = Student.collection.find({
+    school: { $ne: null },
+    $or: [{ enrollments: { $exists: false } }, { enrollments: { $size: 0 } }]
+  });
+
+  let ops = [];
+  let migrated = 0;
+
+  for await (const student of cursor) {
+    ops.push({
+      updateOne: {
+        filter: { _id: student._id },
+        update: {
+          $set: {
+            enrollments: [{
+              _id: new mongoose.Types.ObjectId(),
+              school: student.school,
+              startDate: student.enrollmentDate || student.createdAt || new Date(),
+              endDate: null,
+              gradeAtEntry: student.grade,
+              reason: null
+            }]
+          }
+        }
+      }
+    });
+
+    if (ops.length === BATCH_SIZE) {
+      await Student.collection.bulkWrite(ops);
+      migrated += ops.length;
+      ops = [];
+    }
+  }
+
+  if (ops.length) {
+    await Student.collection.bulkWrite(ops);
+    migrated += ops.length;
+  }
+
+  console.log(`✅ Backfilled enrollment history for ${migrated} students`);
+  await mongoose.disconnect();
+}
+
+migrate().catch(async (error) => {
+  console.error('❌ Migration failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * Give schools created before grade levels were configurable the grades of
+ * the former fixed enum (1st to 12th), then list students whose grade is not
+ * one of their school's levels so they can be corrected.
+ * Usage: node scripts/migrate-grade-levels.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const School = require('../models/School');
+const Student = require('../models/Student');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const result = await School.collection.updateMany(
+    { $or: [{ gradeLevels: { $exists: false } }, { gradeLevels: { $size: 0 } }] },
+    { $set: { gradeLevels: School.DEFAULT_GRADE_LEVELS } }
+  );
+  console.log(`✅ Set default grade levels on ${result.modifiedCount} schools`);
+
+  const mismatched = await Student.collection.aggregate([
+    { $match: { school: { $ne: null } } },
+    { $lookup: { from: School.collection.name, localField: 'school', foreignField: '_id', as: 'schoolDoc' } },
+    { $unwind: '$schoolDoc' },
+    { $match: { $expr: { $not: { $in: ['$grade', '$schoolDoc.gradeLevels'] } } } },
+    { $project: { grade: 1, school: 1 } }
+  ]).toArray();
+
+  mismatched.forEach(student => {
+    console.log(`⚠️  Student ${student._id}: grade '${student.grade}' is not a level of school ${student.school}`);
+  });
+  console.log(`${mismatched.length} students need their grade corrected`);
+
+  await mongoose.disconnect();
+}
+
+migrate().catch(async (error) => {
+  console.error('❌ Migration failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
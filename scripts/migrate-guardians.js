@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+
+/**
+ * Move the single parent stored in Student.parentInfo to a Guardian linked
+ * as the student's primary contact, then remove parentInfo. Parents with
+ * the same email become one guardian shared by their children. Also
+ * rebuilds the student search index, which no longer covers parentInfo.
+ * Usage: node scripts/migrate-guardians.js
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Student = require('../models/Student');
+const Guardian = require('../models/Guardian');
+const StudentGuardian = require('../models/StudentGuardian');
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  const cursor = Student.collection.find({ parentInfo: { $exists: true } });
+  const guardianByEmail = new Map();
+  let migrated = 0;
+  let created = 0;
+  let skipped = 0;
+
+  for await (const student of cursor) {
+    const { parentName, parentPhone, parentEmail } = student.parentInfo || {};
+
+    if (parentName) {
+      const email = parentEmail && parentEmail.toLowerCase();
+      let guardianId = email && guardianByEmail.get(email);
+
+      if (!guardianId) {
+        const [firstName, ...rest] = parentName.trim().split(/\s+/);
+        const guardian = await Guardian.create({
+          firstName,
+          lastName: rest.join(' ') || student.lastName,
+          email,
+          phone: parentPhone
+        });
+        guardianId = guardian._id;
+        created += 1;
+        if (email) guardianByEmail.set(email, guardianId);
+      }
+
+      await StudentGuardian.updateOne(
+        { student: student._id, guardian: guardianId },
+        { $setOnInsert: { relationship: 'parent', isPrimary: true } },
+        { upsert: true }
+      );
+      migrated += 1;
+    } else {
+      skipped += 1;
+    }
+
+    await Student.collection.updateOne({ _id: student._id }, { $unset: { parentInfo: '' } });
+  }
+
+  try {
+    await Student.collection.dropIndex('student_search');
+  } catch (error) {
+    // The index may not exist yet
+  }
+  await Student.createIndexes();
+
+  console.log(`✅ Moved ${migrated} parents to guardians (${created} guardians created); ${skipped} students had no parent name`);
+  await mongoose.disconnect();
+}
+
+migrate().catch(async (error) => {
+  console.error('❌ Migration failed:', error.message);
+  await mongoose.disconnect();
+  process.exit(1);
+});
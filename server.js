@@ -1,119 +1,37 @@
-const express = require('express');
-const cors = require('cors');
-const bodyParser = require('body-parser');
-const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
-const compression = require('compression');
 require('dotenv').config();
 
 const connectDB = require('./config/database');
-
-// Import routes
-const schoolRoutes = require('./routes/schools');
-const studentRoutes = require('./routes/students');
-
-const app = express();
+const { schedulePurge } = require('./jobs/purge');
+const { scheduleDuplicateDetection } = require('./jobs/duplicates');
+const { getIntervalSeconds, scheduleNotifications } = require('./jobs/notify');
+const webhookJob = require('./jobs/webhooks');
+const { assertTransportsConfigured } = require('./services/transports');
+const { app } = require('./app');
 
 // Connect to MongoDB
 connectDB();
 
-// Security middleware
-app.use(helmet());
-
-// Compression middleware
-app.use(compression());
-
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 100, // limit each IP to 100 requests per windowMs
-  message: {
-    success: false,
-    message: 'Too many requests from this IP, please try again later.'
-  }
-});
-app.use('/api/', limiter);
-
-// CORS configuration
-const corsOptions = {
-  origin: function (origin, callback) {
-    // Allow requests with no origin (like mobile apps or curl requests)
-    if (!origin) return callback(null, true);
-
-    if (process.env.NODE_ENV === 'development') {
-      return callback(null, true);
-    }
-
-    // In production, check allowed origins
-    const allowedOrigins = process.env.ALLOWED_ORIGINS?.split(',') || [];
-
-    // Allow Postman and testing tools
-    if (origin.includes('postman') ||
-        origin.includes('localhost') ||
-        origin.includes('127.0.0.1') ||
-        allowedOrigins.includes(origin)) {
-      return callback(null, true);
-    }
-
-    callback(new Error('Not allowed by CORS'));
-  },
-  credentials: true,
-  optionsSuccessStatus: 200,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
-};
-app.use(cors(corsOptions));
-
-// Body parsing middleware
-app.use(bodyParser.json({ limit: '10mb' }));
-app.use(bodyParser.urlencoded({ extended: true, limit: '10mb' }));
-
-// Routes
-app.use('/api/schools', schoolRoutes);
-app.use('/api/students', studentRoutes);
-
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  res.json({
-    success: true,
-    message: 'School Management API is running',
-    timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV
-  });
-});
-
-// Root endpoint
-app.get('/', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Welcome to School Management API',
-    version: '1.0.0',
-    endpoints: {
-      schools: '/api/schools',
-      students: '/api/students',
-      health: '/api/health'
-    }
-  });
-});
-
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    message: 'Route not found'
-  });
-});
-
-// Error handling middleware
-app.use((error, req, res, next) => {
-  console.error('Error:', error);
-  res.status(500).json({
-    success: false,
-    message: 'Internal server error',
-    error: process.env.NODE_ENV === 'development' ? error.message : 'Something went wrong'
-  });
-});
-
+// Periodically purge soft-deleted records past their retention period
+if (process.env.PURGE_INTERVAL_HOURS) {
+  schedulePurge(Number(process.env.PURGE_INTERVAL_HOURS));
+}
+
+// Periodically look for students entered twice
+if (process.env.DUPLICATES_INTERVAL_HOURS) {
+  scheduleDuplicateDetection(Number(process.env.DUPLICATES_INTERVAL_HOURS));
+}
+
+// Deliver queued guardian notifications; refuses to start without
+// transports in production
+if (getIntervalSeconds() > 0) {
+  assertTransportsConfigured();
+  scheduleNotifications(getIntervalSeconds());
+}
+
+// Send queued webhook deliveries
+if (webhookJob.getIntervalSeconds() > 0) {
+  webhookJob.scheduleWebhooks(webhookJob.getIntervalSeconds());
+}
 
 const PORT = process.env.PORT || 3300;
 
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const AcademicYear = require('../models/AcademicYear');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Academic years belong to one school and must not overlap, so any date
+ * maps to at most one year (and, through its terms, one term).
+ */
+
+class AcademicYearError extends ApiError {
+  constructor(message, statusCode = 400) {
+    super(message, { statusCode });
+    this.name = 'AcademicYearError';
+  }
+}
+
+const assertNoOverlap = async (year) => {
+  const overlapping = await AcademicYear.findOne({
+    _id: { $ne: year._id },
+    school: year.school,
+    startDate: { $lt: year.endDate },
+    endDate: { $gt: year.startDate }
+  }).select('name');
+
+  if (overlapping) {
+    throw new AcademicYearError(`The year overlaps with ${overlapping.name}`);
+  }
+};
+
+const findYear = async (schoolId, yearId) => {
+  const year = mongoose.Types.ObjectId.isValid(schoolId) && mongoose.Types.ObjectId.isValid(yearId)
+    ? await AcademicYear.findOne({ _id: yearId, school: schoolId })
+    : null;
+  if (!year) throw new AcademicYearError('Academic year not found', 404);
+  return year;
+};
+
+const createAcademicYear = async (schoolId, data) => {
+  const year = new AcademicYear({ ...data, school: schoolId });
+  await year.validate();
+  await assertNoOverlap(year);
+  return year.save();
+};
+
+// Terms are validated against the whole year, so updates go through save()
+const updateAcademicYear = async (schoolId, yearId, data) => {
+  const { school, ...fields } = data;
+  const year = await findYear(schoolId, yearId);
+  year.set(fields);
+  await year.validate();
+  await assertNoOverlap(year);
+  return year.save();
+};
+
+const deleteAcademicYear = async (schoolId, yearId) => {
+  const year = await findYear(schoolId, yearId);
+  await year.deleteOne();
+  return year;
+};
+
+// The year containing `date` and the term within it, if any
+const getCurrentYear = async (schoolId, date = new Date()) => {
+  const year = await AcademicYear.findOne({
+    school: schoolId,
+    startDate: { $lte: date },
+    endDate: { $gte: date }
+  });
+  if (!year) return null;
+
+  const term = year.terms.find(item => item.startDate <= date && item.endDate >= date) || null;
+  return { year, term };
+};
+
+module.exports = {
+  AcademicYearError,
+  createAcademicYear,
+  updateAcademicYear,
+  deleteAcademicYear,
+  getCurrentYear
+};
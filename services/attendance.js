@@ -0,0 +1,376 @@
+const mongoose = require('mongoose');
+const Attendance = require('../models/Attendance');
+const Student = require('../models/Student');
+const { ApiError, toFieldErrors } = require('../utils/errors');
+const { OBJECT_ID } = require('../middleware/validate');
+
+/**
+ * Daily attendance. Days are stored as midnight UTC, so "2024-09-03" means
+ * the same school day wherever the request comes from. Absent and excused
+ * days count as missed; tardy students were in school.
+ */
+
+const DEFAULT_CHRONIC_ABSENCE_THRESHOLD = 0.1;
+const MISSED_STATUSES = ['absent', 'excused'];
+
+class AttendanceError extends ApiError {
+  constructor(message, errors = [], statusCode = 400) {
+    super(message, { statusCode, errors });
+    this.name = 'AttendanceError';
+  }
+}
+
+// Share of missed days above which a student is flagged as chronically absent
+const getChronicAbsenceThreshold = () => {
+  const threshold = parseFloat(process.env.CHRONIC_ABSENCE_THRESHOLD);
+  return threshold > 0 && threshold < 1 ? threshold : DEFAULT_CHRONIC_ABSENCE_THRESHOLD;
+};
+
+// Midnight UTC of the given day, or null when the value is not a date
+const toSchoolDay = (value) => {
+  if (value == null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * Build a date filter from optional `from` and `to` query parameters
+ * (inclusive). Returns the filter (null when neither is given) and any
+ * validation errors.
+ */
+const parseDateRange = ({ from, to }) => {
+  const errors = [];
+  const range = {};
+
+  if (from !== undefined) {
+    const day = toSchoolDay(from);
+    if (day) range.$gte = day;
+    else errors.push({ code: 'INVALID_FORMAT', field: 'from', message: 'from must be a valid date (YYYY-MM-DD)' });
+  }
+  if (to !== undefined) {
+    const day = toSchoolDay(to);
+    if (day) range.$lte = day;
+    else errors.push({ code: 'INVALID_FORMAT', field: 'to', message: 'to must be a valid date (YYYY-MM-DD)' });
+  }
+  if (range.$gte && range.$lte && range.$gte > range.$lte) {
+    errors.push({ code: 'INVALID_VALUE', field: 'from', message: 'from must not be after to' });
+  }
+
+  return { range: Object.keys(range).length ? range : null, errors };
+};
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Counts per status plus attendance and absence rates
+const summarizeCounts = (counts) => {
+  const summary = { days: 0 };
+  Attendance.STATUSES.forEach((status) => {
+    summary[status] = counts[status] || 0;
+    summary.days += summary[status];
+  });
+
+  const missed = MISSED_STATUSES.reduce((sum, status) => sum + summary[status], 0);
+  summary.attendanceRate = summary.days ? round((summary.days - missed) / summary.days) : null;
+  summary.absenceRate = summary.days ? round(missed / summary.days) : null;
+  return summary;
+};
+
+const isChronicallyAbsent = (summary, threshold) => summary.days > 0 && summary.absenceRate > threshold;
+
+// $group accumulators counting each status
+const statusCounters = () => Object.fromEntries(Attendance.STATUSES.map(status => [
+  status,
+  { $sum: { $cond: [{ $eq: ['$status', status] }, 1, 0] } }
+]));
+
+const activeRoster = (schoolId, grade) => Student.find({ school: schoolId, grade, isActive: true })
+  .select('firstName lastName grade')
+  .sort({ lastName: 1, firstName: 1 })
+  .lean();
+
+const assertDay = (date) => {
+  const day = toSchoolDay(date);
+  if (!day) {
+    throw new AttendanceError('Invalid attendance date', [
+      { code: 'INVALID_FORMAT', field: 'date', message: 'date must be a valid date (YYYY-MM-DD)' }
+    ]);
+  }
+  if (day > toSchoolDay(new Date())) {
+    throw new AttendanceError('Invalid attendance date', [
+      { code: 'INVALID_VALUE', field: 'date', message: 'date cannot be in the future' }
+    ]);
+  }
+  return day;
+};
+
+/**
+ * The active students of a grade with what was recorded for them on a day;
+ * `attendance` is null for students without a record yet.
+ */
+const getDaySheet = async (schoolId, { date, grade }) => {
+  const day = assertDay(date);
+  if (!grade) {
+    throw new AttendanceError('Invalid attendance query', [{ code: 'REQUIRED', field: 'grade', message: 'grade is required' }]);
+  }
+
+  const roster = await activeRoster(schoolId, grade);
+  const records = await Attendance.find({ student: { $in: roster.map(s => s._id) }, date: day })
+    .select('student status note recordedBy updatedAt')
+    .lean();
+  const byStudent = new Map(records.map(record => [String(record.student), record]));
+
+  return {
+    date: formatDay(day),
+    grade,
+    students: roster.map(student => ({
+      student,
+      attendance: byStudent.get(String(student._id)) || null
+    }))
+  };
+};
+
+// Query parameters of getDaySheet, validated by the route
+const DAY_SHEET_QUERY = {
+  date: { type: 'string', format: 'date' },
+  grade: { type: 'string' }
+};
+
+// Query parameters of attendance reports, validated by the routes
+const DATE_RANGE_QUERY = {
+  from: { type: 'string', format: 'date' },
+  to: { type: 'string', format: 'date' }
+};
+
+// Body of recordAttendance, validated by the route
+const ATTENDANCE_BODY = {
+  type: 'object',
+  required: ['date', 'grade', 'records'],
+  properties: {
+    date: { type: 'string', format: 'date' },
+    grade: { type: 'string' },
+    defaultStatus: { type: 'string', enum: Attendance.STATUSES },
+    records: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['student', 'status'],
+        properties: {
+          student: OBJECT_ID,
+          status: { type: 'string', enum: Attendance.STATUSES },
+          note: { type: 'string', maxLength: 500 }
+        }
+      }
+    }
+  }
+};
+
+/**
+ * Record a whole grade's attendance for one day. `records` is a list of
+ * { student, status, note } for active students of the grade; students left
+ * out get `defaultStatus` when it is given and are otherwise reported as
+ * unrecorded. Re-submitting a day replaces the earlier records. Nothing is
+ * written unless every record is valid. `newlyAbsent` lists the students
+ * who were not already recorded as absent that day.
+ */
+const recordAttendance = async (schoolId, { date, grade, records, defaultStatus }, recordedBy = null) => {
+  const day = assertDay(date);
+
+  const errors = [];
+  if (!grade) errors.push({ code: 'REQUIRED', field: 'grade', message: 'grade is required' });
+  if (!Array.isArray(records)) {
+    errors.push({ code: 'INVALID_TYPE', field: 'records', message: 'records must be an array' });
+  }
+  if (defaultStatus !== undefined && !Attendance.STATUSES.includes(defaultStatus)) {
+    errors.push({
+      code: 'INVALID_VALUE',
+      field: 'defaultStatus',
+      message: `defaultStatus must be one of: ${Attendance.STATUSES.join(', ')}`
+    });
+  }
+  if (errors.length) {
+    throw new AttendanceError('Invalid attendance submission', errors);
+  }
+
+  const roster = await activeRoster(schoolId, grade);
+  const rosterIds = new Set(roster.map(student => String(student._id)));
+  const seen = new Set();
+  const docs = [];
+
+  records.forEach((record, index) => {
+    const studentId = String((record && record.student) || '');
+    const label = `records.${index}`;
+
+    if (!rosterIds.has(studentId)) {
+      errors.push({
+        code: 'INVALID_VALUE',
+        field: `${label}.student`,
+        message: `${label}: student ${studentId} is not an active student in grade ${grade} at this school`
+      });
+      return;
+    }
+    if (seen.has(studentId)) {
+      errors.push({
+        code: 'DUPLICATE_VALUE',
+        field: `${label}.student`,
+        message: `${label}: student ${studentId} is listed more than once`
+      });
+      return;
+    }
+    seen.add(studentId);
+
+    const doc = new Attendance({
+      student: studentId,
+      school: schoolId,
+      date: day,
+      grade,
+      status: record.status,
+      note: record.note,
+      recordedBy
+    });
+    const validationError = doc.validateSync();
+    if (validationError) {
+      errors.push(...toFieldErrors(validationError, label));
+      return;
+    }
+    docs.push(doc);
+  });
+
+  if (errors.length) {
+    throw new AttendanceError('Invalid attendance submission', errors);
+  }
+
+  const unrecorded = roster.filter(student => !seen.has(String(student._id)));
+  if (defaultStatus) {
+    unrecorded.forEach((student) => {
+      docs.push(new Attendance({ student: student._id, school: schoolId, date: day, grade, status: defaultStatus, recordedBy }));
+    });
+  }
+
+  const absentIds = docs.filter(doc => doc.status === 'absent').map(doc => doc.student);
+  const alreadyAbsent = new Set((await Attendance.distinct('student', {
+    student: { $in: absentIds },
+    date: day,
+    status: 'absent'
+  })).map(String));
+
+  const result = docs.length
+    ? await Attendance.bulkWrite(docs.map(doc => ({
+      updateOne: {
+        filter: { student: doc.student, date: day },
+        update: {
+          $set: {
+            school: doc.school,
+            grade: doc.grade,
+            status: doc.status,
+            note: doc.note || null,
+            recordedBy: doc.recordedBy
+          }
+        },
+        upsert: true
+      }
+    })), { ordered: false })
+    : { upsertedCount: 0, modifiedCount: 0 };
+
+  return {
+    date: formatDay(day),
+    grade,
+    recorded: docs.length,
+    created: result.upsertedCount,
+    updated: result.modifiedCount,
+    unrecorded: defaultStatus ? [] : unrecorded,
+    newlyAbsent: absentIds.filter(id => !alreadyAbsent.has(String(id)))
+  };
+};
+
+// A student's attendance records in a date range, with totals
+const getStudentAttendance = async (studentId, range) => {
+  const filter = { student: studentId };
+  if (range) filter.date = range;
+
+  const records = await Attendance.find(filter)
+    .select('school date grade status note recordedBy')
+    .populate('school', 'name')
+    .sort({ date: 1 })
+    .lean();
+
+  const counts = {};
+  records.forEach(({ status }) => { counts[status] = (counts[status] || 0) + 1; });
+
+  const summary = summarizeCounts(counts);
+  summary.chronicallyAbsent = isChronicallyAbsent(summary, getChronicAbsenceThreshold());
+
+  return { summary, records };
+};
+
+/**
+ * Attendance of a school over a date range: the rate for each school day
+ * and the students whose share of missed days is above the chronic-absence
+ * threshold.
+ */
+const getSchoolSummary = async (schoolId, { range, grade } = {}) => {
+  const threshold = getChronicAbsenceThreshold();
+  const match = { school: new mongoose.Types.ObjectId(String(schoolId)) };
+  if (range) match.date = range;
+  if (grade) match.grade = grade;
+
+  const [{ daily, students }] = await Attendance.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        daily: [
+          { $group: { _id: '$date', ...statusCounters() } },
+          { $sort: { _id: 1 } }
+        ],
+        students: [
+          { $group: { _id: '$student', ...statusCounters() } }
+        ]
+      }
+    }
+  ]);
+
+  const totals = {};
+  daily.forEach((day) => {
+    Attendance.STATUSES.forEach((status) => { totals[status] = (totals[status] || 0) + day[status]; });
+  });
+
+  const flagged = students
+    .map(({ _id, ...counts }) => ({ student: _id, ...summarizeCounts(counts) }))
+    .filter(summary => isChronicallyAbsent(summary, threshold))
+    .sort((a, b) => b.absenceRate - a.absenceRate);
+
+  // Students deleted since keep their name in the report
+  const names = await Student.find({ _id: { $in: flagged.map(summary => summary.student) } })
+    .select('firstName lastName grade')
+    .setOptions({ withDeleted: true })
+    .lean();
+  const namesById = new Map(names.map(student => [String(student._id), student]));
+
+  return {
+    threshold,
+    totals: summarizeCounts(totals),
+    daily: daily.map(({ _id, ...counts }) => ({ date: formatDay(_id), ...summarizeCounts(counts) })),
+    chronicAbsence: {
+      count: flagged.length,
+      students: flagged.map(summary => ({
+        ...summary,
+        student: namesById.get(String(summary.student)) || { _id: summary.student }
+      }))
+    }
+  };
+};
+
+module.exports = {
+  AttendanceError,
+  getChronicAbsenceThreshold,
+  DAY_SHEET_QUERY,
+  DATE_RANGE_QUERY,
+  ATTENDANCE_BODY,
+  parseDateRange,
+  getDaySheet,
+  recordAttendance,
+  getStudentAttendance,
+  getSchoolSummary
+};
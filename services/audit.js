@@ -0,0 +1,53 @@
+const AuditLog = require('../models/AuditLog');
+const { applyCursor } = require('../utils/pagination');
+const { OBJECT_ID } = require('../middleware/validate');
+
+// Query parameters of audit listings, validated by the routes
+const AUDIT_QUERY = {
+  entity: { type: 'string' },
+  entityId: OBJECT_ID,
+  actor: OBJECT_ID,
+  action: { type: 'string', enum: AuditLog.ACTIONS },
+  from: { type: 'string', format: 'date-time' },
+  to: { type: 'string', format: 'date-time' }
+};
+
+/**
+ * Build an AuditLog filter from entity, entityId, actor, action, from and
+ * to query parameters checked against AUDIT_QUERY.
+ */
+const buildAuditFilter = (query) => {
+  const filter = {};
+
+  if (query.entity) {
+    // Accept "student" as well as the model name "Student"
+    filter.entity = query.entity.charAt(0).toUpperCase() + query.entity.slice(1).toLowerCase();
+  }
+
+  ['entityId', 'actor', 'action'].forEach((key) => {
+    if (query[key]) filter[key] = query[key];
+  });
+
+  ['from', 'to'].forEach((key) => {
+    if (!query[key]) return;
+    filter.timestamp = { ...filter.timestamp, [key === 'from' ? '$gte' : '$lte']: new Date(query[key]) };
+  });
+
+  return filter;
+};
+
+// One page of audit entries plus the total count for the filter
+const findAuditEntries = (filter, options) => Promise.all([
+  AuditLog.find(applyCursor(filter, options))
+    .sort(options.sort)
+    .skip(options.skip)
+    .limit(options.limit)
+    .populate('actor', 'name email role'),
+  AuditLog.countDocuments(filter)
+]);
+
+module.exports = {
+  AUDIT_QUERY,
+  buildAuditFilter,
+  findAuditEntries
+};
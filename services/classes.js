@@ -0,0 +1,171 @@
+const mongoose = require('mongoose');
+const Class = require('../models/Class');
+const Course = require('../models/Course');
+const Teacher = require('../models/Teacher');
+const Student = require('../models/Student');
+const School = require('../models/School');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Classes tie a course, a teacher and students to one school. This module
+ * checks that every reference belongs to the class's school before saving;
+ * students leaving a school are dropped from its classes by the enrollment
+ * service.
+ */
+
+class ClassError extends ApiError {
+  constructor(message, statusCode = 400) {
+    super(message, { statusCode });
+    this.name = 'ClassError';
+  }
+}
+
+const sameId = (a, b) => String(a || '') === String(b || '');
+
+const assertExists = async (model, id, label) => {
+  if (!mongoose.Types.ObjectId.isValid(id) || !(await model.exists({ _id: id }))) {
+    throw new ClassError(`${label} ${id} does not exist`);
+  }
+};
+
+// The course's grade level must be one the school offers
+const assertCourseOffered = async (courseId, schoolId) => {
+  const course = mongoose.Types.ObjectId.isValid(courseId)
+    ? await Course.findById(courseId).select('gradeLevel')
+    : null;
+  if (!course) throw new ClassError(`Course ${courseId} does not exist`);
+
+  const school = await School.findById(schoolId).select('gradeLevels');
+  if (school && !School.matchGradeLevel(school.gradeLevels, course.gradeLevel)) {
+    throw new ClassError(`This school does not offer grade ${course.gradeLevel}`);
+  }
+};
+
+const assertTeacherAtSchool = async (teacherId, schoolId) => {
+  if (!teacherId) return;
+  const teacher = mongoose.Types.ObjectId.isValid(teacherId)
+    ? await Teacher.findById(teacherId).select('school')
+    : null;
+  if (!teacher) throw new ClassError(`Teacher ${teacherId} does not exist`);
+  if (!sameId(teacher.school, schoolId)) {
+    throw new ClassError('The teacher does not work at this school');
+  }
+};
+
+const assertStudentsAtSchool = async (studentIds, schoolId) => {
+  if (!studentIds.length) return;
+  const enrolled = await Student.find({
+    _id: { $in: studentIds.filter(id => mongoose.Types.ObjectId.isValid(id)) },
+    school: schoolId
+  }).select('_id');
+  const enrolledIds = new Set(enrolled.map(student => String(student._id)));
+  const missing = studentIds.filter(id => !enrolledIds.has(String(id)));
+
+  if (missing.length) {
+    throw new ClassError(`Students not enrolled at this school: ${missing.join(', ')}`);
+  }
+};
+
+const createClass = async (data) => {
+  const { students = [], ...fields } = data;
+
+  await assertExists(School, fields.school, 'School');
+  await assertCourseOffered(fields.course, fields.school);
+  await assertTeacherAtSchool(fields.teacher, fields.school);
+  await assertStudentsAtSchool(students, fields.school);
+
+  return new Class({ ...fields, students }).save();
+};
+
+// A class never changes school; create a new one instead
+const updateClass = async (klass, update) => {
+  const { school, ...fields } = update;
+
+  if (school !== undefined && !sameId(school, klass.school)) {
+    throw new ClassError('A class cannot be moved to another school');
+  }
+  if (fields.course !== undefined && !sameId(fields.course, klass.course)) {
+    await assertCourseOffered(fields.course, klass.school);
+  }
+  if (fields.teacher && !sameId(fields.teacher, klass.teacher)) {
+    await assertTeacherAtSchool(fields.teacher, klass.school);
+  }
+  if (fields.students !== undefined) {
+    await assertStudentsAtSchool(fields.students, klass.school);
+  }
+
+  klass.set(fields);
+  return klass.save();
+};
+
+const addStudents = async (klass, studentIds) => {
+  await assertStudentsAtSchool(studentIds, klass.school);
+  klass.students.addToSet(...studentIds);
+  return klass.save();
+};
+
+const removeStudent = async (klass, studentId) => {
+  if (!klass.students.some(id => sameId(id, studentId))) {
+    throw new ClassError('Student is not in this class', 404);
+  }
+  klass.students.pull(studentId);
+  return klass.save();
+};
+
+// Sort key for a class: its first meeting of the week, classes without
+// meetings last
+const firstMeetingKey = (klass) => klass.meetings
+  .map(({ day, startTime }) => `${Class.MEETING_DAYS.indexOf(day)}-${startTime}`)
+  .sort()[0] || '~';
+
+// Term filter of class listings, schedules and report cards
+const TERM_QUERY = {
+  term: { type: 'string', maxLength: 50 }
+};
+
+/**
+ * A student's classes, optionally for one term, with the weekly timetable
+ * grouped by day.
+ */
+const getSchedule = async (studentId, { term } = {}) => {
+  const filter = { students: studentId };
+  if (term) filter.term = term;
+
+  const classes = await Class.find(filter)
+    .select('-students')
+    .populate('course', 'code name subject gradeLevel')
+    .populate('teacher', 'firstName lastName email')
+    .populate('school', 'name');
+
+  const week = {};
+  Class.MEETING_DAYS.forEach((day) => { week[day] = []; });
+  classes.forEach((klass) => {
+    klass.meetings.forEach((meeting) => {
+      week[meeting.day].push({
+        startTime: meeting.startTime,
+        endTime: meeting.endTime,
+        class: klass._id,
+        course: klass.course,
+        teacher: klass.teacher,
+        room: klass.room
+      });
+    });
+  });
+  Object.values(week).forEach(slots => slots.sort((a, b) => a.startTime.localeCompare(b.startTime)));
+
+  return {
+    classes: classes.sort((a, b) =>
+      a.term.localeCompare(b.term) || firstMeetingKey(a).localeCompare(firstMeetingKey(b))),
+    week
+  };
+};
+
+module.exports = {
+  ClassError,
+  createClass,
+  updateClass,
+  addStudents,
+  removeStudent,
+  TERM_QUERY,
+  getSchedule
+};
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const District = require('../models/District');
+const User = require('../models/User');
+const School = require('../models/School');
+const Student = require('../models/Student');
+const Guardian = require('../models/Guardian');
+const StudentGuardian = require('../models/StudentGuardian');
+const Teacher = require('../models/Teacher');
+const Course = require('../models/Course');
+const Class = require('../models/Class');
+const AcademicYear = require('../models/AcademicYear');
+const Attendance = require('../models/Attendance');
+const Assignment = require('../models/Assignment');
+const Score = require('../models/Score');
+const FinalGrade = require('../models/FinalGrade');
+const PromotionRun = require('../models/PromotionRun');
+const Notification = require('../models/Notification');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const AuditLog = require('../models/AuditLog');
+const Tombstone = require('../models/Tombstone');
+const { runInTransaction } = require('./enrollment');
+const { forgetDistrict } = require('../middleware/tenant');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Districts are the tenants of the API. Provisioning creates a district
+ * together with its first district admin; the export dumps everything a
+ * district owns, e.g. before it leaves the platform.
+ */
+
+class DistrictError extends ApiError {
+  constructor(message, statusCode = 400) {
+    super(message, { statusCode });
+    this.name = 'DistrictError';
+  }
+}
+
+const DISTRICT_FIELDS = ['name', 'slug', 'contactEmail', 'isActive'];
+// The slug names the tenant in URLs and headers and never changes
+const UPDATABLE_FIELDS = ['name', 'contactEmail', 'isActive'];
+
+const pick = (data, fields) => fields.reduce((picked, field) => (
+  data[field] === undefined ? picked : { ...picked, [field]: data[field] }
+), {});
+
+const findDistrict = async (id) => {
+  const district = mongoose.Types.ObjectId.isValid(id) ? await District.findById(id) : null;
+  if (!district) throw new DistrictError('District not found', 404);
+  return district;
+};
+
+/**
+ * Create a district and its first district admin from
+ * `{ name, slug, contactEmail, admin: { name, email, password } }`.
+ */
+const provisionDistrict = async (data) => {
+  const admin = data.admin || {};
+  if (!admin.email || !admin.password) {
+    throw new DistrictError('admin.email and admin.password are required');
+  }
+
+  return runInTransaction(async (session) => {
+    const [district] = await District.create([pick(data, DISTRICT_FIELDS)], { session });
+    const [user] = await User.create([{
+      name: admin.name || 'District Admin',
+      email: admin.email,
+      password: admin.password,
+      role: 'district_admin',
+      district: district._id
+    }], { session });
+
+    return { district, admin: user };
+  });
+};
+
+const updateDistrict = async (id, data) => {
+  const district = await findDistrict(id);
+  district.set(pick(data, UPDATABLE_FIELDS));
+  await district.save();
+  forgetDistrict(district.slug);
+  return district;
+};
+
+// Records owned by a district, directly or through its schools, classes,
+// students and webhooks; soft-deleted records included
+const exportSources = async (districtId) => {
+  const owned = { district: districtId };
+  const ids = (model, filter = owned) => model.distinct('_id', filter).setOptions({ withDeleted: true });
+
+  const [schools, students, classes, webhooks] = await Promise.all([
+    ids(School), ids(Student), ids(Class), ids(Webhook)
+  ]);
+
+  return [
+    ['schools', School, owned],
+    ['students', Student, owned],
+    ['guardians', Guardian, owned],
+    ['studentGuardians', StudentGuardian, { student: { $in: students } }],
+    ['teachers', Teacher, owned],
+    ['courses', Course, owned],
+    ['classes', Class, owned],
+    ['academicYears', AcademicYear, { school: { $in: schools } }],
+    ['attendance', Attendance, { school: { $in: schools } }],
+    ['assignments', Assignment, { class: { $in: classes } }],
+    ['scores', Score, { class: { $in: classes } }],
+    ['finalGrades', FinalGrade, { class: { $in: classes } }],
+    ['promotionRuns', PromotionRun, owned],
+    ['users', User, owned],
+    ['notifications', Notification, owned],
+    ['webhooks', Webhook, owned],
+    ['webhookDeliveries', WebhookDelivery, { webhook: { $in: webhooks } }],
+    ['auditLog', AuditLog, owned],
+    ['tombstones', Tombstone, owned]
+  ];
+};
+
+// Resolves once the line is written or buffered; rejects if the stream
+// closes or fails first, e.g. when the client disconnects
+const writeLine = (stream, value) => new Promise((resolve, reject) => {
+  if (stream.destroyed) {
+    reject(new Error('Export stream closed'));
+    return;
+  }
+  if (stream.write(`${JSON.stringify(value)}\n`)) {
+    resolve();
+    return;
+  }
+
+  const settle = (error) => {
+    stream.off('drain', onDrain);
+    stream.off('close', onClose);
+    stream.off('error', settle);
+    if (error) reject(error);
+    else resolve();
+  };
+  const onDrain = () => settle();
+  const onClose = () => settle(new Error('Export stream closed'));
+  stream.on('drain', onDrain);
+  stream.on('close', onClose);
+  stream.on('error', settle);
+});
+
+/**
+ * Write every record of a district to `stream` as newline-delimited JSON,
+ * one { collection, data } object per line, after a first line describing
+ * the district. Passwords and webhook secrets are left out.
+ */
+const exportDistrict = async (district, stream) => {
+  await writeLine(stream, { collection: 'district', data: district });
+  let total = 0;
+
+  for (const [collection, model, filter] of await exportSources(district._id)) {
+    const cursor = model.find(filter).setOptions({ withDeleted: true }).lean().cursor();
+    try {
+      for await (const doc of cursor) {
+        await writeLine(stream, { collection, data: doc });
+        total += 1;
+      }
+    } finally {
+      // Stops the export and frees the cursor if writing failed
+      await cursor.close();
+    }
+  }
+
+  return total;
+};
+
+module.exports = {
+  DistrictError,
+  findDistrict,
+  provisionDistrict,
+  updateDistrict,
+  exportDistrict
+};
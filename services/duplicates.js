@@ -0,0 +1,474 @@
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const Guardian = require('../models/Guardian');
+const StudentGuardian = require('../models/StudentGuardian');
+const Attendance = require('../models/Attendance');
+const Score = require('../models/Score');
+const FinalGrade = require('../models/FinalGrade');
+const Class = require('../models/Class');
+const Notification = require('../models/Notification');
+const PromotionRun = require('../models/PromotionRun');
+const User = require('../models/User');
+const DuplicateCandidate = require('../models/DuplicateCandidate');
+const { canModifyStudent } = require('../middleware/auth');
+const { OBJECT_ID } = require('../middleware/validate');
+const { DEFAULT_LIMIT, MAX_LIMIT } = require('../utils/pagination');
+const { runInTransaction, archiveStudent } = require('./enrollment');
+const { refreshAcademics } = require('./gradebook');
+const { emitEvent } = require('./webhooks');
+const { ApiError, ForbiddenError, NotFoundError, RequestValidationError } = require('../utils/errors');
+
+/**
+ * Duplicate students: the same child entered twice, e.g. under two emails
+ * or with a typo in the name. Detection scores pairs of students by name
+ * similarity, date of birth, guardian contacts and address; a merge folds
+ * one record into the other and archives it.
+ */
+
+// Weight of each signal in a pair's score; they add up to 1
+const WEIGHTS = {
+  name: 0.45,
+  dateOfBirth: 0.3,
+  guardian: 0.15,
+  address: 0.1
+};
+
+// Both first and last names must be at least this similar to count
+const NAME_THRESHOLD = 0.8;
+
+const DEFAULT_MIN_SCORE = 0.65;
+
+// Students sharing a value this common (e.g. a school's phone number given
+// as every guardian's) are not compared on it
+const MAX_BLOCK_SIZE = 200;
+
+// Fields whose value can be taken from the duplicate on a merge; the
+// primary keeps its school and enrollment
+const MERGE_FIELDS = Student.MUTABLE_FIELDS.filter(field => field !== 'school');
+
+const MERGE_BODY = {
+  type: 'object',
+  required: ['primary', 'duplicate'],
+  properties: {
+    primary: OBJECT_ID,
+    duplicate: OBJECT_ID,
+    fields: {
+      type: 'object',
+      properties: Object.fromEntries(MERGE_FIELDS.map(field => [
+        field, { type: 'string', enum: ['primary', 'duplicate'] }
+      ]))
+    }
+  }
+};
+
+const DUPLICATES_QUERY = {
+  minScore: { type: 'number', minimum: 0, maximum: 1 },
+  student: OBJECT_ID,
+  page: { type: 'integer', minimum: 1 },
+  limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT }
+};
+
+class DuplicateError extends ApiError {
+  constructor(message, statusCode = 400) {
+    super(message, { statusCode });
+    this.name = 'DuplicateError';
+  }
+}
+
+const getMinScore = () => {
+  const score = parseFloat(process.env.DUPLICATE_MIN_SCORE);
+  return Number.isNaN(score) ? DEFAULT_MIN_SCORE : score;
+};
+
+// Lowercase letters only, accents removed: "José-Luis" -> "joseluis"
+const normalizeName = value => String(value || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z]/g, '');
+
+const normalizePhone = value => String(value || '').replace(/\D/g, '').slice(-10);
+
+const normalizeAddress = address => (
+  address && address.street && address.zipCode
+    ? `${address.street.toLowerCase().replace(/[^a-z0-9]/g, '')}|${address.zipCode.slice(0, 5)}`
+    : null
+);
+
+const dayOf = date => (date ? new Date(date).toISOString().slice(0, 10) : null);
+
+/**
+ * Jaro-Winkler similarity of two strings, from 0 (nothing in common) to 1
+ * (equal); tolerant of typos and transpositions, and favouring strings
+ * that share a prefix.
+ */
+const jaroWinkler = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const window = Math.max(Math.floor(Math.max(a.length, b.length) / 2) - 1, 0);
+  const matchedA = new Array(a.length).fill(false);
+  const matchedB = new Array(b.length).fill(false);
+  let matches = 0;
+
+  for (let i = 0; i < a.length; i += 1) {
+    const from = Math.max(0, i - window);
+    const to = Math.min(i + window + 1, b.length);
+    for (let j = from; j < to; j += 1) {
+      if (!matchedB[j] && a[i] === b[j]) {
+        matchedA[i] = true;
+        matchedB[j] = true;
+        matches += 1;
+        break;
+      }
+    }
+  }
+  if (!matches) return 0;
+
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    if (!matchedA[i]) continue;
+    while (!matchedB[k]) k += 1;
+    if (a[i] !== b[k]) transpositions += 1;
+    k += 1;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix += 1;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+// Similarity of two people's names, also trying first and last swapped;
+// 0 unless both parts are close
+const nameSimilarity = (a, b) => {
+  const pairs = [
+    [jaroWinkler(a.first, b.first), jaroWinkler(a.last, b.last)],
+    [jaroWinkler(a.first, b.last), jaroWinkler(a.last, b.first)]
+  ];
+  return Math.max(...pairs.map(([first, last]) => (
+    first >= NAME_THRESHOLD && last >= NAME_THRESHOLD ? (first + last) / 2 : 0
+  )));
+};
+
+// Guardian ids, emails and phone numbers of each student
+const loadGuardianContacts = async (studentIds) => {
+  const links = await StudentGuardian.find({ student: { $in: studentIds } })
+    .select('student guardian')
+    .lean();
+  const guardians = await Guardian.find({ _id: { $in: links.map(link => link.guardian) } })
+    .select('email phone')
+    .lean();
+  const guardianById = new Map(guardians.map(guardian => [String(guardian._id), guardian]));
+
+  const contacts = new Map();
+  links.forEach((link) => {
+    const guardian = guardianById.get(String(link.guardian));
+    if (!guardian) return;
+    const keys = contacts.get(String(link.student)) || new Set();
+    keys.add(`id:${guardian._id}`);
+    if (guardian.email) keys.add(`email:${guardian.email.toLowerCase()}`);
+    if (normalizePhone(guardian.phone).length >= 7) keys.add(`phone:${normalizePhone(guardian.phone)}`);
+    contacts.set(String(link.student), keys);
+  });
+  return contacts;
+};
+
+const toProfile = (student, contacts) => ({
+  id: String(student._id),
+  first: normalizeName(student.firstName),
+  last: normalizeName(student.lastName),
+  dateOfBirth: dayOf(student.dateOfBirth),
+  address: normalizeAddress(student.address),
+  guardians: contacts.get(String(student._id)) || new Set()
+});
+
+// Keys of the groups a student is compared within, so that only students
+// with something in common are scored against each other
+const blockingKeys = profile => [
+  profile.dateOfBirth && `dob:${profile.dateOfBirth}`,
+  profile.last && `last:${profile.last}:${profile.first.charAt(0)}`,
+  profile.first && `first:${profile.first}:${profile.last.charAt(0)}`,
+  profile.address && `address:${profile.address}`,
+  ...[...profile.guardians].map(key => `guardian:${key}`)
+].filter(Boolean);
+
+/**
+ * Score a pair of students: the weights of the signals they share, with
+ * the name weighted by its similarity.
+ */
+const scorePair = (a, b) => {
+  const signals = {
+    name: nameSimilarity(a, b),
+    dateOfBirth: a.dateOfBirth && a.dateOfBirth === b.dateOfBirth ? 1 : 0,
+    guardian: [...a.guardians].some(key => b.guardians.has(key)) ? 1 : 0,
+    address: a.address && a.address === b.address ? 1 : 0
+  };
+
+  const score = Object.entries(signals).reduce((sum, [signal, value]) => sum + WEIGHTS[signal] * value, 0);
+  return {
+    score: Math.round(score * 100) / 100,
+    reasons: Object.keys(signals).filter(signal => signals[signal] > 0)
+  };
+};
+
+/**
+ * Find likely duplicates among the students of the current district, as
+ * [{ studentA, studentB, score, reasons }] with the lower id first.
+ */
+const findDuplicates = async ({ minScore = getMinScore() } = {}) => {
+  const students = await Student.find()
+    .select('firstName lastName dateOfBirth address')
+    .lean();
+  const contacts = await loadGuardianContacts(students.map(student => student._id));
+  const profiles = students.map(student => toProfile(student, contacts));
+
+  const blocks = new Map();
+  profiles.forEach((profile) => {
+    blockingKeys(profile).forEach((key) => {
+      if (!blocks.has(key)) blocks.set(key, []);
+      blocks.get(key).push(profile);
+    });
+  });
+
+  const pairs = new Map();
+  blocks.forEach((members) => {
+    if (members.length > MAX_BLOCK_SIZE) return;
+    members.forEach((a, i) => {
+      members.slice(i + 1).forEach((b) => {
+        const [first, second] = a.id < b.id ? [a, b] : [b, a];
+        const key = `${first.id}:${second.id}`;
+        if (pairs.has(key)) return;
+        pairs.set(key, { studentA: first.id, studentB: second.id, ...scorePair(first, second) });
+      });
+    });
+  });
+
+  return [...pairs.values()]
+    .filter(pair => pair.score >= minScore)
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Store the current district's likely duplicates as open candidates,
+ * replacing those of the previous run. Dismissed pairs stay dismissed.
+ * Returns the number found.
+ */
+const detectDuplicates = async (options = {}) => {
+  const detectedAt = new Date();
+  const pairs = await findDuplicates(options);
+  const dismissed = await DuplicateCandidate.find({ status: 'dismissed' }).select('studentA studentB').lean();
+  const dismissedKeys = new Set(dismissed.map(({ studentA, studentB }) => `${studentA}:${studentB}`));
+
+  for (const { studentA, studentB, score, reasons } of pairs) {
+    if (dismissedKeys.has(`${studentA}:${studentB}`)) continue;
+    await DuplicateCandidate.findOneAndUpdate(
+      { studentA, studentB },
+      { $set: { score, reasons, status: 'open', detectedAt } },
+      { upsert: true }
+    );
+  }
+  await DuplicateCandidate.deleteMany({ status: 'open', detectedAt: { $lt: detectedAt } });
+
+  return pairs.length;
+};
+
+/**
+ * Open candidates among `studentIds` (all students when null), highest
+ * score first, with both students populated.
+ */
+const listCandidates = async ({ studentIds = null, student, minScore = 0, page = 1, limit = DEFAULT_LIMIT }) => {
+  const filter = { status: 'open', score: { $gte: minScore } };
+  if (studentIds) {
+    filter.studentA = { $in: studentIds };
+    filter.studentB = { $in: studentIds };
+  }
+  if (student) filter.$or = [{ studentA: student }, { studentB: student }];
+
+  const select = 'firstName lastName email phone dateOfBirth grade school address';
+  const [candidates, total] = await Promise.all([
+    DuplicateCandidate.find(filter)
+      .sort({ score: -1, _id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate({ path: 'studentA', select, populate: { path: 'school', select: 'name' } })
+      .populate({ path: 'studentB', select, populate: { path: 'school', select: 'name' } }),
+    DuplicateCandidate.countDocuments(filter)
+  ]);
+
+  return { candidates, total };
+};
+
+/**
+ * Mark a candidate pair as not being the same child, so detection no
+ * longer lists it. School admins can only dismiss pairs of their own
+ * students.
+ */
+const dismissCandidate = async (id, { user }) => {
+  const candidate = mongoose.Types.ObjectId.isValid(id) ? await DuplicateCandidate.findById(id) : null;
+  if (!candidate) throw new NotFoundError('Duplicate candidate not found');
+  if (candidate.status === 'merged') {
+    throw new DuplicateError('The students of this pair were already merged', 409);
+  }
+
+  const students = await Student.find({ _id: { $in: [candidate.studentA, candidate.studentB] } }).select('school');
+  if (!students.every(student => canModifyStudent(user, student))) {
+    throw new ForbiddenError('You can only dismiss pairs of students in your own school');
+  }
+
+  if (candidate.status === 'open') {
+    candidate.set({ status: 'dismissed', dismissedAt: new Date(), dismissedBy: user._id });
+    await candidate.save();
+  }
+  return candidate;
+};
+
+// Re-point `Model`'s records of the duplicate to the primary, except those
+// whose `key` the primary already has a record for, which stay behind
+const movePerStudent = async (Model, key, primary, duplicate, session) => {
+  const taken = await Model.distinct(key, { student: primary }).session(session);
+  const { modifiedCount } = await Model.updateMany(
+    { student: duplicate, [key]: { $nin: taken } },
+    { $set: { student: primary } },
+    { session }
+  );
+  const kept = await Model.countDocuments({ student: duplicate }).session(session);
+  return { moved: modifiedCount, kept };
+};
+
+// Replace the duplicate by the primary in an array of student ids
+const replaceInArray = async (Model, path, primary, duplicate, session) => {
+  const filter = { [path]: duplicate };
+  const ids = await Model.distinct('_id', filter).setOptions({ withDeleted: true }).session(session);
+  if (!ids.length) return 0;
+
+  await Model.updateMany({ _id: { $in: ids } }, { $addToSet: { [path]: primary } }, { session })
+    .setOptions({ withDeleted: true });
+  await Model.updateMany({ _id: { $in: ids } }, { $pull: { [path]: duplicate } }, { session })
+    .setOptions({ withDeleted: true });
+  return ids.length;
+};
+
+// Guardians of the duplicate become the primary's; the primary keeps its
+// primary contact
+const moveGuardianLinks = async (primary, duplicate, session) => {
+  const taken = await StudentGuardian.distinct('guardian', { student: primary }).session(session);
+  const hasPrimaryContact = await StudentGuardian.exists({ student: primary, isPrimary: true }).session(session);
+  const { modifiedCount } = await StudentGuardian.updateMany(
+    { student: duplicate, guardian: { $nin: taken } },
+    { $set: { student: primary, ...(hasPrimaryContact && { isPrimary: false }) } },
+    { session }
+  );
+  const kept = await StudentGuardian.countDocuments({ student: duplicate }).session(session);
+  return { moved: modifiedCount, kept };
+};
+
+const assertChoices = (fields) => {
+  const errors = Object.keys(fields)
+    .filter(field => !MERGE_FIELDS.includes(field))
+    .map(field => ({ code: 'READ_ONLY', field: `fields.${field}`, message: `${field} cannot be taken from the duplicate` }));
+  if (errors.length) throw new RequestValidationError('Validation error', errors);
+};
+
+/**
+ * Merge the duplicate student into the primary one. `fields` picks, per
+ * field, whether the duplicate's value replaces the primary's; the primary
+ * keeps its school and current enrollment and gains the duplicate's past
+ * enrollments. Attendance, scores, final grades, guardian links, class
+ * rosters, notifications, parent accounts and promotion runs move to the
+ * primary, except records clashing with one the primary already has
+ * (e.g. attendance on the same day), which stay with the duplicate. The
+ * duplicate is archived with mergedInto set and cannot be restored.
+ */
+const mergeStudents = async ({ primary: primaryId, duplicate: duplicateId, fields = {} }, { user }) => {
+  assertChoices(fields);
+  if (String(primaryId) === String(duplicateId)) {
+    throw new DuplicateError('A student cannot be merged into itself');
+  }
+
+  const result = await runInTransaction(async (session) => {
+    const [primary, duplicate] = await Promise.all([
+      Student.findById(primaryId).session(session),
+      Student.findById(duplicateId).session(session)
+    ]);
+    if (!primary || !duplicate) throw new NotFoundError('Student not found');
+    if (!canModifyStudent(user, primary) || !canModifyStudent(user, duplicate)) {
+      throw new ForbiddenError('You can only merge students in your own school');
+    }
+
+    const moved = {};
+    const kept = {};
+    const record = (name, counts) => {
+      moved[name] = counts.moved;
+      kept[name] = counts.kept;
+    };
+    record('attendance', await movePerStudent(Attendance, 'date', primary._id, duplicate._id, session));
+    record('scores', await movePerStudent(Score, 'assignment', primary._id, duplicate._id, session));
+    record('finalGrades', await movePerStudent(FinalGrade, 'class', primary._id, duplicate._id, session));
+    record('guardians', await moveGuardianLinks(primary._id, duplicate._id, session));
+
+    const { modifiedCount: notifications } = await Notification.updateMany(
+      { student: duplicate._id },
+      { $set: { student: primary._id } },
+      { session }
+    );
+    moved.notifications = notifications;
+    moved.classes = await replaceInArray(Class, 'students', primary._id, duplicate._id, session);
+    moved.parentAccounts = await replaceInArray(User, 'students', primary._id, duplicate._id, session);
+    const { modifiedCount: promotionRuns } = await PromotionRun.updateMany(
+      { 'changes.student': duplicate._id },
+      { $set: { 'changes.$[change].student': primary._id } },
+      { session, arrayFilters: [{ 'change.student': duplicate._id }] }
+    );
+    moved.promotionRuns = promotionRuns;
+
+    const chosen = MERGE_FIELDS
+      .filter(field => fields[field] === 'duplicate')
+      .reduce((values, field) => ({ ...values, [field]: duplicate.get(field) }), {});
+    const pastEnrollments = duplicate.enrollments
+      .filter(entry => entry.endDate)
+      .map(entry => entry.toObject());
+
+    // The duplicate's email is freed so the primary can take it
+    await archiveStudent(duplicate, session, user._id);
+    duplicate.email = `merged-${duplicate._id}-${duplicate.email}`;
+    duplicate.mergedInto = primary._id;
+    await duplicate.save({ session });
+
+    primary.set(chosen);
+    primary.enrollments.push(...pastEnrollments);
+    primary.enrollments.sort((a, b) => a.startDate - b.startDate);
+    await primary.save({ session });
+
+    await DuplicateCandidate.updateMany(
+      { $or: [{ studentA: duplicate._id }, { studentB: duplicate._id }], status: 'open' },
+      { $set: { status: 'merged' } },
+      { session }
+    );
+
+    return { primary, duplicate, moved, kept };
+  });
+
+  // Final grades may have moved
+  await refreshAcademics([result.primary._id]);
+  await emitEvent('student.updated', result.primary);
+  await emitEvent('student.deleted', result.duplicate);
+
+  return result;
+};
+
+module.exports = {
+  MERGE_FIELDS,
+  MERGE_BODY,
+  DUPLICATES_QUERY,
+  DuplicateError,
+  jaroWinkler,
+  toProfile,
+  scorePair,
+  findDuplicates,
+  detectDuplicates,
+  listCandidates,
+  dismissCandidate,
+  mergeStudents
+};
@@ -0,0 +1,386 @@
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const School = require('../models/School');
+const Class = require('../models/Class');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Student.school and School.students are two sides of the same link. Every
+ * change to the link goes through this module so both sides are written in
+ * one MongoDB transaction (this requires a replica set). Each change is also
+ * recorded in the student's enrollment history, and a student leaving a
+ * school is dropped from its classes.
+ */
+
+class EnrollmentError extends ApiError {
+  constructor(message, statusCode = 400) {
+    super(message, { statusCode });
+    this.name = 'EnrollmentError';
+  }
+}
+
+const sameId = (a, b) => String(a || '') === String(b || '');
+
+// Only the fields a client may set; ids, history, computed grades and
+// archive and merge markers are managed here and by the jobs
+const creatableFields = data => Student.CREATE_FIELDS.reduce((fields, field) => (
+  data[field] === undefined ? fields : { ...fields, [field]: data[field] }
+), {});
+
+const runInTransaction = (fn) => mongoose.connection.transaction(fn);
+
+const assertSchoolExists = async (schoolId, session) => {
+  if (!mongoose.Types.ObjectId.isValid(schoolId) ||
+      !(await School.exists({ _id: schoolId }).session(session))) {
+    throw new EnrollmentError(`School ${schoolId} does not exist`);
+  }
+};
+
+const linkToSchool = (studentId, schoolId, session) => School.updateOne(
+  { _id: schoolId },
+  { $addToSet: { students: studentId } },
+  { session }
+);
+
+const unlinkFromSchool = (studentId, schoolId, session) => School.updateOne(
+  { _id: schoolId },
+  { $pull: { students: studentId } },
+  { session }
+);
+
+const dropFromClasses = (studentId, schoolId, session) => Class.updateMany(
+  { school: schoolId, students: studentId },
+  { $pull: { students: studentId } },
+  { session }
+);
+
+// Close the open history entry, if any
+const closeEnrollment = (student, { reason, endDate = new Date(), notes } = {}) => {
+  const current = student.currentEnrollment;
+  if (!current) return;
+
+  current.endDate = endDate;
+  current.reason = reason;
+  if (notes) current.notes = notes;
+};
+
+const openEnrollment = (student, schoolId, { startDate = new Date(), grade, notes } = {}) => {
+  student.enrollments.push({
+    school: schoolId,
+    startDate,
+    gradeAtEntry: grade || student.grade,
+    notes
+  });
+};
+
+/**
+ * Move a loaded student to another school (or to none) inside a session:
+ * closes the current history entry, opens a new one and updates both sides
+ * of the link. The caller saves the student.
+ */
+const moveStudent = async (student, schoolId, session, options = {}) => {
+  const { reason = 'transfer', date = new Date(), grade, notes } = options;
+
+  if (schoolId) await assertSchoolExists(schoolId, session);
+
+  if (student.school) {
+    closeEnrollment(student, { reason, endDate: date, notes });
+    await unlinkFromSchool(student._id, student.school, session);
+    await dropFromClasses(student._id, student.school, session);
+  }
+
+  if (grade) student.grade = grade;
+  student.school = schoolId || null;
+
+  if (schoolId) {
+    openEnrollment(student, schoolId, { startDate: date, grade, notes });
+    await linkToSchool(student._id, schoolId, session);
+  }
+};
+
+/**
+ * Graduate a loaded student inside a session: the current enrollment is
+ * closed as a graduation and the student marked inactive. The caller saves
+ * the student.
+ */
+const graduateStudent = async (student, session, date = new Date()) => {
+  await moveStudent(student, null, session, { reason: 'graduation', date });
+  student.isActive = false;
+};
+
+/**
+ * Undo graduateStudent: reopen the enrollment closed at `date` if the
+ * student has not been enrolled anywhere since and the school still
+ * exists. Returns false when it cannot be undone. The caller saves the
+ * student.
+ */
+const revertGraduation = async (student, session, date) => {
+  const entry = student.enrollments.find(item =>
+    item.reason === 'graduation' && item.endDate && item.endDate.getTime() === date.getTime());
+  if (!entry || student.school) return false;
+  if (!(await School.exists({ _id: entry.school }).session(session))) return false;
+
+  entry.endDate = null;
+  entry.reason = null;
+  student.school = entry.school;
+  student.isActive = true;
+  await linkToSchool(student._id, entry.school, session);
+  return true;
+};
+
+const createStudent = (data) => runInTransaction(async (session) => {
+  const fields = creatableFields(data);
+  const student = new Student(fields);
+
+  if (student.school) {
+    await assertSchoolExists(student.school, session);
+    openEnrollment(student, student.school, { startDate: fields.enrollmentDate || new Date() });
+  }
+
+  await student.save({ session });
+
+  if (student.school) {
+    await linkToSchool(student._id, student.school, session);
+  }
+
+  return student;
+});
+
+// Insert a batch of students in one transaction, linking each to its school
+const createStudents = (batch) => runInTransaction(async (session) => {
+  const students = batch.map((data) => {
+    const fields = creatableFields(data);
+    const student = new Student(fields);
+    if (student.school) {
+      openEnrollment(student, student.school, { startDate: fields.enrollmentDate || new Date() });
+    }
+    return student;
+  });
+
+  const inserted = await Student.insertMany(students, { session });
+
+  const bySchool = new Map();
+  inserted.filter(student => student.school).forEach((student) => {
+    const key = String(student.school);
+    bySchool.set(key, [...(bySchool.get(key) || []), student._id]);
+  });
+
+  if (bySchool.size) {
+    await School.bulkWrite([...bySchool].map(([schoolId, ids]) => ({
+      updateOne: {
+        filter: { _id: schoolId },
+        update: { $addToSet: { students: { $each: ids } } }
+      }
+    })), { session });
+  }
+
+  return inserted;
+});
+
+/**
+ * Update a student's fields, moving them between schools if `school`
+ * changes. With `version`, the update is refused with a 409 if the
+ * student has changed since that version was read.
+ */
+const updateStudent = (id, update, { version } = {}) => runInTransaction(async (session) => {
+  const student = await Student.findById(id).session(session);
+  if (!student) return null;
+  if (version !== undefined && student.__v !== version) {
+    throw new EnrollmentError('The student was changed by another request; fetch it again and retry', 409);
+  }
+
+  // History is only changed through enroll/unenroll/transfer, and the
+  // gradebook computes gpa and averagePercent
+  const { enrollments, school, gpa, averagePercent, ...fields } = update;
+  student.set(fields);
+
+  if (school !== undefined && !sameId(school, student.school)) {
+    await moveStudent(student, school, session, {
+      reason: school ? 'transfer' : 'withdrawal'
+    });
+  }
+
+  await student.save({ session });
+  return student;
+});
+
+const enrollStudent = (id, schoolId, options = {}) => runInTransaction(async (session) => {
+  const student = await Student.findById(id).session(session);
+  if (!student) throw new EnrollmentError('Student not found', 404);
+
+  if (sameId(student.school, schoolId)) {
+    throw new EnrollmentError('Student is already enrolled in this school');
+  }
+
+  await moveStudent(student, schoolId, session, { ...options, reason: 'transfer' });
+  await student.save({ session });
+
+  return student;
+});
+
+const transferStudent = (id, schoolId, options = {}) => runInTransaction(async (session) => {
+  const student = await Student.findById(id).session(session);
+  if (!student) throw new EnrollmentError('Student not found', 404);
+
+  if (!student.school) {
+    throw new EnrollmentError('Student is not enrolled in any school; enroll them instead');
+  }
+  if (sameId(student.school, schoolId)) {
+    throw new EnrollmentError('Student is already enrolled in this school');
+  }
+
+  await moveStudent(student, schoolId, session, { ...options, reason: 'transfer' });
+  await student.save({ session });
+
+  return student;
+});
+
+const unenrollStudent = (id, options = {}) => runInTransaction(async (session) => {
+  const student = await Student.findById(id).session(session);
+  if (!student) throw new EnrollmentError('Student not found', 404);
+  if (!student.school) throw new EnrollmentError('Student is not enrolled in any school');
+
+  const { reason = 'withdrawal', ...rest } = options;
+  if (!Student.ENROLLMENT_END_REASONS.includes(reason)) {
+    throw new EnrollmentError(`Reason must be one of: ${Student.ENROLLMENT_END_REASONS.join(', ')}`);
+  }
+
+  await moveStudent(student, null, session, { ...rest, reason });
+  await student.save({ session });
+
+  return student;
+});
+
+/**
+ * Archive a loaded student inside a session, unlinking it from its school
+ * and dropping it from its classes. The caller saves the student.
+ */
+const archiveStudent = async (student, session, deletedBy = null) => {
+  if (student.school) await unlinkFromSchool(student._id, student.school, session);
+  await Class.updateMany({ students: student._id }, { $pull: { students: student._id } }, { session });
+
+  student.deletedAt = new Date();
+  student.deletedBy = deletedBy;
+};
+
+const deleteStudent = (id, deletedBy = null) => runInTransaction(async (session) => {
+  const student = await Student.findById(id).session(session);
+  if (!student) return null;
+
+  await archiveStudent(student, session, deletedBy);
+  await student.save({ session });
+
+  return student;
+});
+
+// Merged duplicates stay archived
+const restoreStudent = (id) => runInTransaction(async (session) => {
+  const student = await Student.findOne({ _id: id, deletedAt: { $ne: null }, mergedInto: null }).session(session);
+  if (!student) return null;
+
+  if (student.school) {
+    if (await School.exists({ _id: student.school }).session(session)) {
+      await linkToSchool(student._id, student.school, session);
+    } else {
+      // The school was deleted in the meantime
+      closeEnrollment(student, { reason: 'withdrawal' });
+      student.school = null;
+    }
+  }
+
+  student.deletedAt = null;
+  student.deletedBy = null;
+  await student.save({ session });
+
+  return student;
+});
+
+/**
+ * Soft delete a school. Its students are unlinked and their enrollments
+ * closed, but School.students is kept as a snapshot so a restore can put
+ * back the students that have not moved since.
+ */
+const deleteSchool = (id, deletedBy = null) => runInTransaction(async (session) => {
+  const school = await School.findById(id).session(session);
+  if (!school) return null;
+
+  // The same timestamp marks the enrollments closed by this delete
+  const deletedAt = new Date();
+
+  // Close open history entries first: array filters fail on students
+  // created before enrollment history existed
+  await Student.updateMany(
+    { school: school._id, enrollments: { $elemMatch: { endDate: null } } },
+    {
+      $set: {
+        'enrollments.$[open].endDate': deletedAt,
+        'enrollments.$[open].reason': 'withdrawal'
+      }
+    },
+    { session, arrayFilters: [{ 'open.endDate': null }] }
+  );
+  await Student.updateMany(
+    { school: school._id },
+    { $set: { school: null } },
+    { session }
+  );
+
+  school.deletedAt = deletedAt;
+  school.deletedBy = deletedBy;
+  await school.save({ session });
+
+  return school;
+});
+
+const restoreSchool = (id) => runInTransaction(async (session) => {
+  const school = await School.findOne({ _id: id, deletedAt: { $ne: null } }).session(session);
+  if (!school) return null;
+
+  // Only students still unassigned are linked back
+  const students = await Student.find({ _id: { $in: school.students }, school: null })
+    .session(session);
+
+  for (const student of students) {
+    const closedByDelete = student.enrollments.find(entry =>
+      sameId(entry.school, school._id) &&
+      entry.endDate && entry.endDate.getTime() === school.deletedAt.getTime()
+    );
+
+    if (closedByDelete) {
+      closedByDelete.endDate = null;
+      closedByDelete.reason = null;
+    } else {
+      openEnrollment(student, school._id);
+    }
+
+    student.school = school._id;
+    await student.save({ session });
+  }
+
+  school.students = students.map(student => student._id);
+  school.deletedAt = null;
+  school.deletedBy = null;
+  await school.save({ session });
+
+  return school;
+});
+
+module.exports = {
+  EnrollmentError,
+  runInTransaction,
+  closeEnrollment,
+  createStudent,
+  createStudents,
+  updateStudent,
+  moveStudent,
+  graduateStudent,
+  revertGraduation,
+  enrollStudent,
+  transferStudent,
+  unenrollStudent,
+  archiveStudent,
+  deleteStudent,
+  restoreStudent,
+  deleteSchool,
+  restoreSchool
+};
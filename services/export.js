@@ -0,0 +1,177 @@
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+const { stringify } = require('csv-stringify');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+
+/**
+ * Streaming exporters. Each takes column definitions of the form
+ * { header, value: (doc) => any, width } and reads documents from a mongoose
+ * cursor one at a time, so large exports never sit in memory.
+ */
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' }
+};
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+const setDownloadHeaders = (res, format, name) => {
+  const { contentType, extension } = FORMATS[format];
+  res.setHeader('Content-Type', contentType);
+  res.setHeader(
+    'Content-Disposition',
+    `attachment; filename="${name}-${formatDate(new Date())}.${extension}"`
+  );
+};
+
+// Text starting with one of these is read as a formula by spreadsheets
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quote text that a spreadsheet would run as a formula, e.g. a name
+// entered as =HYPERLINK(...), so it is shown as typed
+const escapeCell = value => (typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+const toRow = (columns, doc) => columns.map(column => {
+  const value = column.value(doc);
+  return value == null ? '' : value;
+});
+
+const toSpreadsheetRow = (columns, doc) => toRow(columns, doc).map(escapeCell);
+
+const streamCsv = async (res, cursor, columns) => {
+  const rows = Readable.from((async function* () {
+    for await (const doc of cursor) yield toSpreadsheetRow(columns, doc);
+  })());
+
+  await pipeline(
+    rows,
+    stringify({ header: true, columns: columns.map(column => column.header) }),
+    res
+  );
+};
+
+const streamXlsx = async (res, cursor, columns, sheetName) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  worksheet.columns = columns.map(column => ({
+    header: column.header,
+    width: column.width || 20
+  }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).commit();
+
+  for await (const doc of cursor) {
+    worksheet.addRow(toSpreadsheetRow(columns, doc)).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+/**
+ * Stream a paginated PDF table. `groups` is an async iterable of
+ * { heading, cursor }; each group starts with its heading and the table
+ * header is repeated on every page. `subtitle` lines are printed under the
+ * title.
+ */
+const streamPdf = async (res, { title, subtitle = [], groups, columns }) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: 40 });
+  const finished = pipeline(doc, res);
+
+  const left = doc.page.margins.left;
+  const usableWidth = doc.page.width - left - doc.page.margins.right;
+  const totalWidth = columns.reduce((sum, column) => sum + (column.width || 1), 0);
+  const widths = columns.map(column => ((column.width || 1) / totalWidth) * usableWidth);
+  const rowHeight = 16;
+  let pageNumber = 1;
+
+  const footer = () => {
+    // Drop the bottom margin while writing into it, or PDFKit adds a page
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#666')
+      .text(`${title} - page ${pageNumber}`, left, doc.page.height - bottom + 10, {
+        width: usableWidth,
+        align: 'center',
+        lineBreak: false
+      })
+      .fillColor('#000');
+    doc.page.margins.bottom = bottom;
+  };
+
+  const drawRow = (values, { bold = false } = {}) => {
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    let x = left;
+    values.forEach((value, index) => {
+      doc.text(String(value), x + 2, y + 3, {
+        width: widths[index] - 4,
+        height: rowHeight,
+        ellipsis: true,
+        lineBreak: false
+      });
+      x += widths[index];
+    });
+    doc.moveTo(left, y + rowHeight).lineTo(left + usableWidth, y + rowHeight)
+      .lineWidth(0.5).strokeColor('#ccc').stroke();
+    doc.x = left;
+    doc.y = y + rowHeight;
+  };
+
+  const ensureSpace = (height, heading) => {
+    if (doc.y + height <= doc.page.height - doc.page.margins.bottom) return;
+    footer();
+    doc.addPage();
+    pageNumber += 1;
+    if (heading) {
+      doc.font('Helvetica-Bold').fontSize(11).text(`${heading} (continued)`, left);
+      doc.moveDown(0.3);
+      drawRow(columns.map(column => column.header), { bold: true });
+    }
+  };
+
+  doc.font('Helvetica-Bold').fontSize(16).text(title, left);
+  subtitle.forEach(line => doc.font('Helvetica').fontSize(11).text(line, left));
+  doc.font('Helvetica').fontSize(9).text(`Generated ${new Date().toLocaleString('en-US')}`, left);
+  doc.moveDown();
+
+  let empty = true;
+  for await (const { heading, cursor } of groups) {
+    let started = false;
+    for await (const record of cursor) {
+      if (!started) {
+        ensureSpace(rowHeight * 4);
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Bold').fontSize(12).text(heading, left);
+        doc.moveDown(0.3);
+        drawRow(columns.map(column => column.header), { bold: true });
+        started = true;
+        empty = false;
+      }
+      ensureSpace(rowHeight, heading);
+      drawRow(toRow(columns, record));
+    }
+  }
+
+  if (empty) {
+    doc.font('Helvetica').fontSize(11).text('No records match the selected filters.', left);
+  }
+
+  footer();
+  doc.end();
+  await finished;
+};
+
+module.exports = {
+  FORMATS,
+  formatDate,
+  escapeCell,
+  setDownloadHeaders,
+  streamCsv,
+  streamXlsx,
+  streamPdf
+};
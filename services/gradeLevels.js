@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const School = require('../models/School');
+const Student = require('../models/Student');
+
+/**
+ * Every school orders its own grade levels, lowest first, so "higher than"
+ * and "next" only make sense within one school. These helpers resolve
+ * grades against each school's ordering.
+ */
+
+// Map of school id to its grade levels; archived schools included
+const getGradeLevels = async (schoolIds) => {
+  const schools = await School.find({ _id: { $in: schoolIds } })
+    .select('gradeLevels')
+    .setOptions({ withDeleted: true });
+  return new Map(schools.map(school => [String(school._id), school.gradeLevels]));
+};
+
+/**
+ * Filter for students whose grade lies between minGrade and maxGrade
+ * (inclusive, either may be left out) in their own school's ordering.
+ * Schools that do not have a bound level match nobody.
+ */
+const buildGradeRangeFilter = async ({ minGrade, maxGrade, school }) => {
+  const schoolFilter = {};
+  if (school) {
+    if (!mongoose.Types.ObjectId.isValid(school)) return { grade: { $in: [] } };
+    schoolFilter._id = school;
+  }
+  const schools = await School.find(schoolFilter).select('gradeLevels');
+
+  const clauses = schools.map((item) => {
+    const levels = item.gradeLevels;
+    const from = minGrade ? levels.indexOf(minGrade) : 0;
+    const to = maxGrade ? levels.indexOf(maxGrade) : levels.length - 1;
+    if (from === -1 || to === -1 || from > to) return null;
+    return { school: item._id, grade: { $in: levels.slice(from, to + 1) } };
+  }).filter(Boolean);
+
+  return clauses.length ? { $or: clauses } : { grade: { $in: [] } };
+};
+
+/**
+ * Combine several schools' orderings into one list, placing each level
+ * after the level that precedes it in its school, e.g. for a roster that
+ * spans schools.
+ */
+const mergeGradeLevels = (orderings) => orderings.reduce((merged, levels) => {
+  levels.forEach((level, index) => {
+    if (merged.includes(level)) return;
+    const position = index === 0 ? 0 : merged.indexOf(levels[index - 1]) + 1;
+    merged.splice(position, 0, level);
+  });
+  return merged;
+}, []);
+
+// Sort grades by the merged ordering of the given schools; unknown grades last
+const sortGrades = async (grades, schoolIds) => {
+  const order = mergeGradeLevels([...(await getGradeLevels(schoolIds)).values()]);
+  const rank = (grade) => (order.includes(grade) ? order.indexOf(grade) : order.length);
+  return [...grades].sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+};
+
+// Grades of a school's students that are missing from `levels`
+const findGradesInUse = (schoolId, levels) => Student.distinct('grade', {
+  school: schoolId,
+  grade: { $nin: levels.map(level => String(level).trim()) }
+});
+
+module.exports = {
+  getGradeLevels,
+  findGradesInUse,
+  buildGradeRangeFilter,
+  mergeGradeLevels,
+  sortGrades
+};
@@ -0,0 +1,412 @@
+const mongoose = require('mongoose');
+const Assignment = require('../models/Assignment');
+const Score = require('../models/Score');
+const FinalGrade = require('../models/FinalGrade');
+const Class = require('../models/Class');
+const School = require('../models/School');
+const Student = require('../models/Student');
+const { ApiError, toFieldErrors } = require('../utils/errors');
+
+/**
+ * Class averages are weighted by the class's grading categories; a category
+ * without graded work is left out and the other weights scaled up.
+ * Unscored and excused assignments do not count. Percentages become letters
+ * through the school's grade scale, and finalizing a class stores the
+ * result and refreshes the students' GPA (grade points weighted by course
+ * credits).
+ */
+
+class GradebookError extends ApiError {
+  constructor(message, errors = [], statusCode = 400) {
+    super(message, { statusCode, errors });
+    this.name = 'GradebookError';
+  }
+}
+
+const sameId = (a, b) => String(a || '') === String(b || '');
+
+const round = (value, digits = 2) => {
+  const factor = 10 ** digits;
+  return Math.round(value * factor) / factor;
+};
+
+const getGradeScale = async (schoolId) => {
+  const school = await School.findById(schoolId)
+    .select('gradeScale')
+    .setOptions({ withDeleted: true })
+    .lean();
+  const scale = school && school.gradeScale && school.gradeScale.length
+    ? school.gradeScale
+    : School.DEFAULT_GRADE_SCALE;
+  return [...scale].sort((a, b) => b.minPercent - a.minPercent);
+};
+
+// Letter and grade points for a percentage; `scale` is sorted high to low
+const letterFor = (percent, scale) => {
+  const step = scale.find(entry => percent >= entry.minPercent) || scale[scale.length - 1];
+  return { letter: step.letter, gradePoints: step.points };
+};
+
+/**
+ * A student's average in a class from the class's assignments and the
+ * student's scores. `percent` is null until something has been graded.
+ */
+const computeAverage = (klass, assignments, scores) => {
+  const scoreByAssignment = new Map(scores.map(score => [String(score.assignment), score]));
+  const totals = new Map();
+
+  assignments.forEach((assignment) => {
+    const score = scoreByAssignment.get(String(assignment._id));
+    if (!score || score.excused || score.points == null) return;
+
+    const key = klass.gradingCategories.length ? assignment.category : null;
+    const total = totals.get(key) || { earned: 0, possible: 0 };
+    total.earned += score.points;
+    total.possible += assignment.maxPoints;
+    totals.set(key, total);
+  });
+
+  if (!klass.gradingCategories.length) {
+    const total = totals.get(null);
+    return { percent: total ? round((total.earned / total.possible) * 100) : null, categories: [] };
+  }
+
+  const categories = klass.gradingCategories.map(({ name, weight }) => {
+    const total = totals.get(name);
+    return { name, weight, percent: total ? round((total.earned / total.possible) * 100) : null };
+  });
+
+  const graded = categories.filter(category => category.percent !== null);
+  const weight = graded.reduce((sum, category) => sum + category.weight, 0);
+  const percent = weight
+    ? round(graded.reduce((sum, category) => sum + category.percent * category.weight, 0) / weight)
+    : null;
+
+  return { percent, categories };
+};
+
+const assertCategory = (klass, category) => {
+  if (!klass.gradingCategories.length) return null;
+  const match = klass.gradingCategories.find(entry =>
+    entry.name.toLowerCase() === String(category || '').toLowerCase());
+  if (!match) {
+    throw new GradebookError(
+      `Category must be one of: ${klass.gradingCategories.map(entry => entry.name).join(', ')}`
+    );
+  }
+  return match.name;
+};
+
+const createAssignment = (klass, data) => {
+  const { class: ignored, ...fields } = data;
+  const assignment = new Assignment({
+    ...fields,
+    class: klass._id,
+    category: assertCategory(klass, fields.category)
+  });
+  return assignment.save();
+};
+
+const updateAssignment = (klass, assignment, update) => {
+  const { class: ignored, ...fields } = update;
+  if (fields.category !== undefined) fields.category = assertCategory(klass, fields.category);
+  assignment.set(fields);
+  return assignment.save();
+};
+
+const deleteAssignment = async (assignment) => {
+  await Score.deleteMany({ assignment: assignment._id });
+  await assignment.deleteOne();
+};
+
+/**
+ * Record scores for an assignment. `scores` is a list of
+ * { student, points, excused, comment } for students in the class;
+ * re-submitting a student's score replaces it. Nothing is written unless
+ * every entry is valid.
+ */
+const recordScores = async (klass, assignment, scores, gradedBy = null) => {
+  if (!Array.isArray(scores) || !scores.length) {
+    throw new GradebookError('Invalid scores', [
+      { code: 'REQUIRED', field: 'scores', message: 'scores must be a non-empty array' }
+    ]);
+  }
+
+  const roster = new Set(klass.students.map(String));
+  const seen = new Set();
+  const errors = [];
+  const docs = [];
+
+  scores.forEach((entry, index) => {
+    const studentId = String((entry && entry.student) || '');
+    const label = `scores.${index}`;
+
+    if (!roster.has(studentId)) {
+      errors.push({
+        code: 'INVALID_VALUE',
+        field: `${label}.student`,
+        message: `${label}: student ${studentId} is not in this class`
+      });
+      return;
+    }
+    if (seen.has(studentId)) {
+      errors.push({
+        code: 'DUPLICATE_VALUE',
+        field: `${label}.student`,
+        message: `${label}: student ${studentId} is listed more than once`
+      });
+      return;
+    }
+    seen.add(studentId);
+
+    const score = new Score({
+      assignment: assignment._id,
+      class: klass._id,
+      student: studentId,
+      points: entry.points,
+      excused: entry.excused,
+      comment: entry.comment,
+      gradedBy
+    });
+    const validationError = score.validateSync();
+    if (validationError) {
+      errors.push(...toFieldErrors(validationError, label));
+      return;
+    }
+    docs.push(score);
+  });
+
+  if (errors.length) {
+    throw new GradebookError('Invalid scores', errors);
+  }
+
+  const result = await Score.bulkWrite(docs.map(score => ({
+    updateOne: {
+      filter: { assignment: assignment._id, student: score.student },
+      update: {
+        $set: {
+          class: klass._id,
+          points: score.points,
+          excused: score.excused,
+          comment: score.comment || null,
+          gradedBy: score.gradedBy
+        }
+      },
+      upsert: true
+    }
+  })), { ordered: false });
+
+  return {
+    recorded: docs.length,
+    created: result.upsertedCount,
+    updated: result.modifiedCount
+  };
+};
+
+/**
+ * Every assignment of a class and, for each student on the roster, their
+ * scores, current average and letter grade.
+ */
+const getGradebook = async (klass) => {
+  const [assignments, scores, scale, students] = await Promise.all([
+    Assignment.find({ class: klass._id }).sort({ dueDate: 1, _id: 1 }).lean(),
+    Score.find({ class: klass._id, student: { $in: klass.students } }).lean(),
+    getGradeScale(klass.school),
+    Student.find({ _id: { $in: klass.students } })
+      .select('firstName lastName grade')
+      .sort({ lastName: 1, firstName: 1 })
+      .lean()
+  ]);
+
+  const scoresByStudent = new Map();
+  scores.forEach((score) => {
+    const key = String(score.student);
+    scoresByStudent.set(key, [...(scoresByStudent.get(key) || []), score]);
+  });
+
+  return {
+    gradingCategories: klass.gradingCategories,
+    assignments,
+    students: students.map((student) => {
+      const studentScores = scoresByStudent.get(String(student._id)) || [];
+      const average = computeAverage(klass, assignments, studentScores);
+      return {
+        student,
+        scores: studentScores.map(({ assignment, points, excused, comment }) => ({ assignment, points, excused, comment })),
+        ...average,
+        ...(average.percent !== null && letterFor(average.percent, scale))
+      };
+    })
+  };
+};
+
+// Recompute the GPA and average percentage of students from their final grades
+const refreshAcademics = async (studentIds) => {
+  const results = await FinalGrade.aggregate([
+    { $match: { student: { $in: studentIds.map(id => new mongoose.Types.ObjectId(String(id))) } } },
+    {
+      $group: {
+        _id: '$student',
+        credits: { $sum: '$credits' },
+        points: { $sum: { $multiply: ['$gradePoints', '$credits'] } },
+        percent: { $sum: { $multiply: ['$percent', '$credits'] } }
+      }
+    }
+  ]);
+  const byStudent = new Map(results.map(result => [String(result._id), result]));
+
+  for (const id of studentIds) {
+    const result = byStudent.get(String(id));
+    const academics = result && result.credits
+      ? { gpa: round(result.points / result.credits), averagePercent: round(result.percent / result.credits) }
+      : { gpa: null, averagePercent: null };
+    await Student.updateOne({ _id: id }, { $set: academics }).setOptions({ withDeleted: true });
+  }
+};
+
+/**
+ * Store the final grade of every graded student on the roster and refresh
+ * their GPA. Finalizing again replaces the earlier final grades.
+ */
+const finalizeGrades = async (klass, finalizedBy = null) => {
+  const [assignments, scores, scale] = await Promise.all([
+    Assignment.find({ class: klass._id }).lean(),
+    Score.find({ class: klass._id, student: { $in: klass.students } }).lean(),
+    getGradeScale(klass.school)
+  ]);
+  await klass.populate('course', 'credits');
+
+  const finalized = [];
+  const ungraded = [];
+  klass.students.forEach((studentId) => {
+    const studentScores = scores.filter(score => sameId(score.student, studentId));
+    const { percent } = computeAverage(klass, assignments, studentScores);
+    if (percent === null) {
+      ungraded.push(studentId);
+      return;
+    }
+    finalized.push({ student: studentId, percent, ...letterFor(percent, scale) });
+  });
+
+  if (finalized.length) {
+    await FinalGrade.bulkWrite(finalized.map(grade => ({
+      updateOne: {
+        filter: { student: grade.student, class: klass._id },
+        update: {
+          $set: {
+            course: klass.course._id,
+            school: klass.school,
+            term: klass.term,
+            percent: grade.percent,
+            letter: grade.letter,
+            gradePoints: grade.gradePoints,
+            credits: klass.course.credits,
+            finalizedBy
+          }
+        },
+        upsert: true
+      }
+    })));
+    await refreshAcademics(finalized.map(grade => grade.student));
+  }
+
+  return { finalized, ungraded };
+};
+
+// Courses without credits do not count towards GPA
+const creditWeightedGpa = (entries) => {
+  const credits = entries.reduce((sum, entry) => sum + entry.credits, 0);
+  if (!credits) return null;
+  return round(entries.reduce((sum, entry) => sum + entry.gradePoints * entry.credits, 0) / credits);
+};
+
+/**
+ * A student's report card, grouped by term: final grades, plus current
+ * averages for classes that have not been finalized yet. Term GPAs only use
+ * final grades.
+ */
+const getReportCard = async (student, { term } = {}) => {
+  const termFilter = term ? { term } : {};
+
+  const [finals, current] = await Promise.all([
+    FinalGrade.find({ student: student._id, ...termFilter })
+      .populate('course', 'code name credits')
+      .populate({ path: 'class', select: 'section teacher', populate: { path: 'teacher', select: 'firstName lastName' } })
+      .lean(),
+    Class.find({ students: student._id, ...termFilter })
+      .select('-students')
+      .populate('course', 'code name credits')
+      .populate('teacher', 'firstName lastName')
+  ]);
+
+  const entries = finals.map(final => ({
+    class: final.class ? final.class._id : null,
+    term: final.term,
+    course: final.course,
+    section: final.class ? final.class.section : null,
+    teacher: final.class ? final.class.teacher : null,
+    credits: final.credits,
+    percent: final.percent,
+    letter: final.letter,
+    gradePoints: final.gradePoints,
+    final: true
+  }));
+
+  const finalizedClasses = new Set(finals.map(final => String(final.class && final.class._id)));
+  for (const klass of current.filter(entry => !finalizedClasses.has(String(entry._id)))) {
+    const [assignments, scores, scale] = await Promise.all([
+      Assignment.find({ class: klass._id }).lean(),
+      Score.find({ class: klass._id, student: student._id }).lean(),
+      getGradeScale(klass.school)
+    ]);
+    const { percent, categories } = computeAverage(klass, assignments, scores);
+    entries.push({
+      class: klass._id,
+      term: klass.term,
+      course: klass.course,
+      section: klass.section,
+      teacher: klass.teacher,
+      credits: klass.course ? klass.course.credits : null,
+      percent,
+      categories,
+      ...(percent !== null ? letterFor(percent, scale) : { letter: null, gradePoints: null }),
+      final: false
+    });
+  }
+
+  const terms = new Map();
+  entries.forEach((entry) => {
+    terms.set(entry.term, [...(terms.get(entry.term) || []), entry]);
+  });
+
+  return {
+    student: {
+      _id: student._id,
+      firstName: student.firstName,
+      lastName: student.lastName,
+      grade: student.grade,
+      school: student.school
+    },
+    gpa: student.gpa,
+    averagePercent: student.averagePercent,
+    terms: [...terms].sort(([a], [b]) => a.localeCompare(b)).map(([name, classes]) => ({
+      term: name,
+      gpa: creditWeightedGpa(classes.filter(entry => entry.final)),
+      classes: classes.sort((a, b) => String(a.course && a.course.code).localeCompare(String(b.course && b.course.code)))
+    }))
+  };
+};
+
+module.exports = {
+  GradebookError,
+  computeAverage,
+  letterFor,
+  createAssignment,
+  updateAssignment,
+  deleteAssignment,
+  recordScores,
+  getGradebook,
+  finalizeGrades,
+  refreshAcademics,
+  getReportCard
+};
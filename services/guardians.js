@@ -0,0 +1,235 @@
+const mongoose = require('mongoose');
+const Guardian = require('../models/Guardian');
+const StudentGuardian = require('../models/StudentGuardian');
+const Student = require('../models/Student');
+const { runInTransaction } = require('./enrollment');
+const { ApiError } = require('../utils/errors');
+const { OBJECT_ID } = require('../middleware/validate');
+
+/**
+ * Guardians are shared between students through StudentGuardian links, so
+ * contact details are kept once per family while the relationship, pickup
+ * authorization and contact preferences are kept per student. A guardian
+ * without any links left is removed.
+ */
+
+class GuardianError extends ApiError {
+  constructor(message, statusCode = 400) {
+    super(message, { statusCode });
+    this.name = 'GuardianError';
+  }
+}
+
+const GUARDIAN_FIELDS = ['firstName', 'lastName', 'email', 'phone', 'alternatePhone'];
+
+const GUARDIAN_LINK_PROPERTIES = {
+  relationship: { type: 'string', enum: StudentGuardian.RELATIONSHIPS },
+  isPrimary: { type: 'boolean' },
+  isEmergencyContact: { type: 'boolean' },
+  canPickUp: { type: 'boolean' },
+  preferredLanguage: { type: 'string' },
+  preferredChannel: { type: 'string', enum: StudentGuardian.CONTACT_CHANNELS },
+  notes: { type: 'string', maxLength: 500 }
+};
+
+// Bodies of addGuardian and updateGuardian, validated by the routes; the
+// guardian's own details are validated by the Guardian model
+const ADD_GUARDIAN_BODY = {
+  type: 'object',
+  required: ['guardian', 'relationship'],
+  properties: {
+    guardian: { oneOf: [OBJECT_ID, { $ref: '#/components/schemas/Guardian' }] },
+    ...GUARDIAN_LINK_PROPERTIES
+  }
+};
+
+const UPDATE_GUARDIAN_BODY = {
+  type: 'object',
+  properties: {
+    guardian: { $ref: '#/components/schemas/Guardian' },
+    ...GUARDIAN_LINK_PROPERTIES
+  }
+};
+const LINK_FIELDS = [
+  'relationship',
+  'isPrimary',
+  'isEmergencyContact',
+  'canPickUp',
+  'preferredLanguage',
+  'preferredChannel',
+  'notes'
+];
+
+const pick = (data, fields) => fields.reduce((picked, field) => (
+  data[field] === undefined ? picked : { ...picked, [field]: data[field] }
+), {});
+
+// Only one link per student can be the primary contact
+const clearOtherPrimaries = (link, session) => StudentGuardian.updateMany(
+  { student: link.student, _id: { $ne: link._id }, isPrimary: true },
+  { $set: { isPrimary: false } },
+  { session }
+);
+
+const findLink = async (studentId, guardianId, session = null) => {
+  const link = mongoose.Types.ObjectId.isValid(guardianId)
+    ? await StudentGuardian.findOne({ student: studentId, guardian: guardianId }).session(session)
+    : null;
+  if (!link) throw new GuardianError('Guardian not found for this student', 404);
+  return link;
+};
+
+const populateLink = (link) => link.populate('guardian');
+
+// A student's guardians, primary contact first
+const listGuardians = (studentId) => StudentGuardian.find({ student: studentId })
+  .populate('guardian')
+  .sort({ isPrimary: -1, createdAt: 1 });
+
+/**
+ * Link a guardian to a student. `data.guardian` is either the id of an
+ * existing guardian (e.g. a sibling's parent) or the details of a new one.
+ * The first guardian of a student becomes the primary contact unless
+ * isPrimary is given.
+ */
+const addGuardian = async (studentId, data) => {
+  const link = await runInTransaction(async (session) => {
+    let guardianId = data.guardian;
+
+    if (guardianId && typeof guardianId === 'object') {
+      const [guardian] = await Guardian.create([pick(guardianId, GUARDIAN_FIELDS)], { session });
+      guardianId = guardian._id;
+    } else if (!mongoose.Types.ObjectId.isValid(guardianId) ||
+               !(await Guardian.exists({ _id: guardianId }).session(session))) {
+      throw new GuardianError('guardian must be an existing guardian id or the details of a new guardian');
+    }
+
+    if (await StudentGuardian.exists({ student: studentId, guardian: guardianId }).session(session)) {
+      throw new GuardianError('This guardian is already linked to the student');
+    }
+
+    const fields = pick(data, LINK_FIELDS);
+    if (fields.isPrimary === undefined) {
+      fields.isPrimary = !(await StudentGuardian.exists({ student: studentId }).session(session));
+    }
+
+    const [created] = await StudentGuardian.create([{ ...fields, student: studentId, guardian: guardianId }], { session });
+    if (created.isPrimary) await clearOtherPrimaries(created, session);
+    return created;
+  });
+
+  return populateLink(link);
+};
+
+/**
+ * Update the link fields and, through `data.guardian`, the guardian's own
+ * details. Contact details are shared, so the change shows for every
+ * student linked to the guardian.
+ */
+const updateGuardian = async (studentId, guardianId, data) => {
+  const link = await runInTransaction(async (session) => {
+    const found = await findLink(studentId, guardianId, session);
+
+    if (data.guardian && typeof data.guardian === 'object') {
+      const guardian = await Guardian.findById(found.guardian).session(session);
+      guardian.set(pick(data.guardian, GUARDIAN_FIELDS));
+      await guardian.save({ session });
+    }
+
+    found.set(pick(data, LINK_FIELDS));
+    await found.save({ session });
+    if (found.isPrimary) await clearOtherPrimaries(found, session);
+    return found;
+  });
+
+  return populateLink(link);
+};
+
+// Unlink a guardian, removing it once no student is linked to it
+const removeGuardian = (studentId, guardianId) => runInTransaction(async (session) => {
+  const link = await findLink(studentId, guardianId, session);
+  await link.deleteOne({ session });
+
+  if (!(await StudentGuardian.exists({ guardian: link.guardian }).session(session))) {
+    await Guardian.deleteOne({ _id: link.guardian }, { session });
+  }
+  return link;
+});
+
+/**
+ * Create the guardians of newly imported students ({ student, fields,
+ * relationship } entries), reusing guardians with the same email so
+ * siblings share one record. Each becomes its student's primary contact.
+ */
+const importGuardians = (entries) => runInTransaction(async (session) => {
+  const emails = entries.map(entry => entry.fields.email).filter(Boolean).map(email => email.toLowerCase());
+  const existing = await Guardian.find({ email: { $in: emails } }).select('email').session(session);
+  const byEmail = new Map(existing.map(guardian => [guardian.email, guardian._id]));
+
+  const links = [];
+  for (const { student, fields, relationship } of entries) {
+    const email = fields.email && fields.email.toLowerCase();
+    let guardianId = email && byEmail.get(email);
+
+    if (!guardianId) {
+      const [guardian] = await Guardian.create([fields], { session });
+      guardianId = guardian._id;
+      if (email) byEmail.set(email, guardianId);
+    }
+    links.push({ student, guardian: guardianId, relationship, isPrimary: true });
+  }
+
+  await StudentGuardian.insertMany(links, { session });
+  return links.length;
+});
+
+// Remove the links of students that no longer exist, and the guardians left without any
+const removeLinksOfStudents = async (studentIds) => {
+  const guardianIds = await StudentGuardian.distinct('guardian', { student: { $in: studentIds } });
+  await StudentGuardian.deleteMany({ student: { $in: studentIds } });
+
+  const stillLinked = await StudentGuardian.distinct('guardian', { guardian: { $in: guardianIds } });
+  const linkedIds = new Set(stillLinked.map(String));
+  await Guardian.deleteMany({ _id: { $in: guardianIds.filter(id => !linkedIds.has(String(id))) } });
+};
+
+/**
+ * Students sharing at least one guardian with the given student, limited
+ * to `scope`, each with the guardians they share.
+ */
+const findSiblings = async (studentId, scope = {}) => {
+  const guardianIds = await StudentGuardian.distinct('guardian', { student: studentId });
+  const links = await StudentGuardian.find({ guardian: { $in: guardianIds }, student: { $ne: studentId } })
+    .populate('guardian', 'firstName lastName');
+
+  const sharedByStudent = new Map();
+  links.forEach((link) => {
+    const key = String(link.student);
+    sharedByStudent.set(key, [...(sharedByStudent.get(key) || []), link.guardian]);
+  });
+
+  const students = await Student.find({ $and: [{ _id: { $in: [...sharedByStudent.keys()] } }, scope] })
+    .select('firstName lastName grade school isActive')
+    .populate('school', 'name')
+    .sort({ dateOfBirth: 1 });
+
+  return students.map(student => ({
+    ...student.toJSON(),
+    sharedGuardians: sharedByStudent.get(String(student._id))
+  }));
+};
+
+module.exports = {
+  GuardianError,
+  GUARDIAN_FIELDS,
+  LINK_FIELDS,
+  ADD_GUARDIAN_BODY,
+  UPDATE_GUARDIAN_BODY,
+  listGuardians,
+  addGuardian,
+  updateGuardian,
+  removeGuardian,
+  importGuardians,
+  removeLinksOfStudents,
+  findSiblings
+};
@@ -0,0 +1,101 @@
+const Student = require('../models/Student');
+const School = require('../models/School');
+const { runInTransaction, closeEnrollment } = require('./enrollment');
+
+/**
+ * Detect and repair drift between Student.school and School.students.
+ * Student.school is treated as the source of truth.
+ */
+
+// $lookup reads the collection directly, past the softDelete plugin; this
+// leaves out archived records, which count as gone
+const LIVE = [{ $match: { deletedAt: null } }];
+
+// Students pointing at a school that no longer exists or is archived
+const findDanglingSchoolRefs = () => Student.aggregate([
+  { $match: { school: { $ne: null } } },
+  { $lookup: { from: School.collection.name, localField: 'school', foreignField: '_id', pipeline: LIVE, as: 'schoolDoc' } },
+  { $match: { schoolDoc: { $size: 0 } } },
+  { $project: { _id: 0, student: '$_id', school: 1 } }
+]);
+
+// Students whose school exists but does not list them
+const findMissingFromSchool = () => Student.aggregate([
+  { $match: { school: { $ne: null } } },
+  { $lookup: { from: School.collection.name, localField: 'school', foreignField: '_id', pipeline: LIVE, as: 'schoolDoc' } },
+  { $unwind: '$schoolDoc' },
+  { $match: { $expr: { $not: { $in: ['$_id', { $ifNull: ['$schoolDoc.students', []] }] } } } },
+  { $project: { _id: 0, student: '$_id', school: 1 } }
+]);
+
+// School entries for students that are missing, archived or belong to
+// another school
+const findStaleSchoolEntries = () => School.aggregate([
+  { $unwind: '$students' },
+  { $lookup: { from: Student.collection.name, localField: 'students', foreignField: '_id', pipeline: LIVE, as: 'studentDoc' } },
+  {
+    $match: {
+      $expr: {
+        $or: [
+          { $eq: [{ $size: '$studentDoc' }, 0] },
+          { $ne: [{ $first: '$studentDoc.school' }, '$_id'] }
+        ]
+      }
+    }
+  },
+  { $project: { _id: 0, school: '$_id', student: '$students' } }
+]);
+
+const findDrift = async () => {
+  const [danglingSchoolRefs, missingFromSchool, staleSchoolEntries] = await Promise.all([
+    findDanglingSchoolRefs(),
+    findMissingFromSchool(),
+    findStaleSchoolEntries()
+  ]);
+
+  return {
+    total: danglingSchoolRefs.length + missingFromSchool.length + staleSchoolEntries.length,
+    danglingSchoolRefs,
+    missingFromSchool,
+    staleSchoolEntries
+  };
+};
+
+const repairDrift = async () => {
+  const drift = await findDrift();
+
+  if (drift.danglingSchoolRefs.length) {
+    // Unenrolled as when their school is deleted, closing the open entry
+    await runInTransaction(async (session) => {
+      const students = await Student.find({
+        _id: { $in: drift.danglingSchoolRefs.map(({ student }) => student) }
+      }).session(session);
+
+      for (const student of students) {
+        closeEnrollment(student, { reason: 'withdrawal' });
+        student.school = null;
+        await student.save({ session });
+      }
+    });
+  }
+
+  const schoolOps = [
+    ...drift.missingFromSchool.map(({ student, school }) => ({
+      updateOne: { filter: { _id: school }, update: { $addToSet: { students: student } } }
+    })),
+    ...drift.staleSchoolEntries.map(({ student, school }) => ({
+      updateOne: { filter: { _id: school }, update: { $pull: { students: student } } }
+    }))
+  ];
+
+  if (schoolOps.length) {
+    await School.bulkWrite(schoolOps);
+  }
+
+  return drift;
+};
+
+module.exports = {
+  findDrift,
+  repairDrift
+};
@@ -0,0 +1,73 @@
+/**
+ * Message templates by language and event. {{name}} placeholders are filled
+ * from the notification data; a language without a template for the event
+ * falls back to English. SMS messages only use the body.
+ */
+
+const TEMPLATES = {
+  en: {
+    enrolled: {
+      subject: '{{student}} is enrolled at {{school}}',
+      body: 'Dear {{guardian}},\n\n{{student}} has been enrolled at {{school}} in grade {{grade}} as of {{date}}.'
+    },
+    transferred: {
+      subject: '{{student}} has transferred to {{school}}',
+      body: 'Dear {{guardian}},\n\n{{student}} has transferred from {{fromSchool}} to {{school}} as of {{date}}.'
+    },
+    unenrolled: {
+      subject: '{{student}} is no longer enrolled at {{school}}',
+      body: 'Dear {{guardian}},\n\n{{student}} is no longer enrolled at {{school}} as of {{date}} (reason: {{reason}}).'
+    },
+    absent: {
+      subject: '{{student}} was absent on {{date}}',
+      body: 'Dear {{guardian}},\n\n{{student}} was marked absent from {{school}} on {{date}}. Please contact the school if you were not aware of this absence.'
+    },
+    updated: {
+      subject: "{{student}}'s school record was updated",
+      body: "Dear {{guardian}},\n\nThe following details of {{student}}'s school record were changed on {{date}}: {{fields}}. Please contact the school if anything is incorrect."
+    }
+  },
+  es: {
+    enrolled: {
+      subject: '{{student}} está inscrito en {{school}}',
+      body: 'Estimado/a {{guardian}}:\n\n{{student}} ha sido inscrito en {{school}} en el grado {{grade}} desde el {{date}}.'
+    },
+    transferred: {
+      subject: '{{student}} se ha trasladado a {{school}}',
+      body: 'Estimado/a {{guardian}}:\n\n{{student}} se ha trasladado de {{fromSchool}} a {{school}} desde el {{date}}.'
+    },
+    unenrolled: {
+      subject: '{{student}} ya no está inscrito en {{school}}',
+      body: 'Estimado/a {{guardian}}:\n\n{{student}} ya no está inscrito en {{school}} desde el {{date}} (motivo: {{reason}}).'
+    },
+    absent: {
+      subject: '{{student}} faltó el {{date}}',
+      body: 'Estimado/a {{guardian}}:\n\n{{student}} fue marcado ausente en {{school}} el {{date}}. Comuníquese con la escuela si no estaba al tanto de esta ausencia.'
+    },
+    updated: {
+      subject: 'Se actualizó el expediente escolar de {{student}}',
+      body: 'Estimado/a {{guardian}}:\n\nLos siguientes datos del expediente escolar de {{student}} se modificaron el {{date}}: {{fields}}. Comuníquese con la escuela si algo no es correcto.'
+    }
+  }
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+const fill = (text, data) => text.replace(/\{\{(\w+)\}\}/g, (match, key) => (data[key] == null ? '' : String(data[key])));
+
+// Languages are matched on their primary subtag, so "es-MX" uses "es"
+const render = (event, language, data) => {
+  const primary = String(language || DEFAULT_LANGUAGE).toLowerCase().split('-')[0];
+  const template = (TEMPLATES[primary] && TEMPLATES[primary][event]) || TEMPLATES[DEFAULT_LANGUAGE][event];
+  if (!template) throw new Error(`No template for notification event '${event}'`);
+
+  return {
+    subject: fill(template.subject, data),
+    body: fill(template.body, data)
+  };
+};
+
+module.exports = {
+  TEMPLATES,
+  render
+};
@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const Notification = require('../models/Notification');
+const Student = require('../models/Student');
+const StudentGuardian = require('../models/StudentGuardian');
+const { render } = require('./notificationTemplates');
+const { getTransport } = require('./transports');
+const { formatDate } = require('./export');
+const { applyCursor } = require('../utils/pagination');
+const { ApiError } = require('../utils/errors');
+const { OBJECT_ID } = require('../middleware/validate');
+
+/**
+ * Guardian notifications. Events are turned into one Notification per
+ * guardian and stored as queued; processQueue delivers them through the
+ * transport of their channel and retries failures with exponential backoff,
+ * so a slow or failing mail server never affects the API request that
+ * triggered the message.
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+const BASE_RETRY_MS = 60 * 1000;
+const MAX_RETRY_MS = 6 * 60 * 60 * 1000;
+// A message still "sending" after this long belongs to a crashed worker
+const STALE_SENDING_MS = 10 * 60 * 1000;
+
+class NotificationError extends ApiError {
+  constructor(message, statusCode = 400) {
+    super(message, { statusCode });
+    this.name = 'NotificationError';
+  }
+}
+
+const getMaxAttempts = () =>
+  parseInt(process.env.NOTIFY_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+
+const retryDelay = (attempts) => Math.min(BASE_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+
+// Guardians' "phone" preference is served by SMS and "mail" by email
+const CHANNEL_BY_PREFERENCE = { email: 'email', mail: 'email', sms: 'sms', phone: 'sms' };
+
+// The guardian's preferred channel, or the other one when it has no address
+const pickRecipient = (link) => {
+  const addresses = { email: link.guardian.email, sms: link.guardian.phone };
+  const preferred = CHANNEL_BY_PREFERENCE[link.preferredChannel] || 'email';
+  const fallback = preferred === 'email' ? 'sms' : 'email';
+
+  const channel = [preferred, fallback].find(item => addresses[item]);
+  return channel ? { channel, to: addresses[channel] } : null;
+};
+
+/**
+ * Queue `event` for every guardian of a student. `data` fills the template
+ * and overrides the defaults (student and current school names, today's
+ * date). Never throws: a notification problem is logged, not passed on to
+ * the caller. Resolves to the number of queued messages.
+ */
+const notifyGuardians = async (event, studentId, data = {}) => {
+  try {
+    const student = await Student.findById(studentId)
+      .select('firstName lastName grade school district')
+      .populate('school', 'name');
+    if (!student) return 0;
+
+    const links = await StudentGuardian.find({ student: student._id })
+      .populate('guardian', 'firstName lastName email phone');
+
+    const defaults = {
+      student: student.fullName,
+      school: student.school && student.school.name,
+      grade: student.grade,
+      date: formatDate(new Date())
+    };
+
+    const messages = links.map((link) => {
+      const recipient = link.guardian && pickRecipient(link);
+      if (!recipient) return null;
+
+      const content = render(event, link.preferredLanguage, {
+        ...defaults,
+        guardian: link.guardian.fullName,
+        ...data
+      });
+      return {
+        event,
+        student: student._id,
+        district: student.district,
+        guardian: link.guardian._id,
+        language: link.preferredLanguage,
+        ...recipient,
+        subject: recipient.channel === 'email' ? content.subject : undefined,
+        body: content.body
+      };
+    }).filter(Boolean);
+
+    if (messages.length) await Notification.insertMany(messages);
+    return messages.length;
+  } catch (error) {
+    console.error(`Could not queue ${event} notifications for student ${studentId}:`, error.message);
+    return 0;
+  }
+};
+
+/**
+ * Readable names of the fields among `paths` that differ between two
+ * versions of a student, e.g. ['date of birth', 'address'].
+ */
+const describeChanges = (before, after, paths) => paths
+  .filter(path => Student.schema.path(path) || Student.schema.pathType(path) === 'nested')
+  .filter(path => JSON.stringify(before.get(path)) !== JSON.stringify(after.get(path)))
+  .map(path => path.replace(/\./g, ' ').replace(/([A-Z])/g, ' $1').toLowerCase());
+
+// Claim the next due message so no other worker sends it too
+const claimNext = () => Notification.findOneAndUpdate(
+  { status: 'queued', nextAttemptAt: { $lte: new Date() } },
+  { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+  { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+const deliver = async (notification) => {
+  try {
+    const transport = getTransport(notification.channel);
+    const { id } = await transport.send({
+      channel: notification.channel,
+      to: notification.to,
+      subject: notification.subject,
+      body: notification.body
+    });
+
+    notification.set({ status: 'sent', sentAt: new Date(), transport: transport.name, providerId: id, lastError: null });
+    await notification.save();
+    return 'sent';
+  } catch (error) {
+    const failed = notification.attempts >= getMaxAttempts();
+    notification.set({
+      status: failed ? 'failed' : 'queued',
+      lastError: error.message,
+      nextAttemptAt: new Date(Date.now() + retryDelay(notification.attempts))
+    });
+    await notification.save();
+    return failed ? 'failed' : 'retried';
+  }
+};
+
+// Deliver up to `limit` due messages, one at a time
+const processQueue = async ({ limit = 100 } = {}) => {
+  await Notification.updateMany(
+    { status: 'sending', updatedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+    { $set: { status: 'queued' } }
+  );
+
+  const result = { sent: 0, retried: 0, failed: 0 };
+  for (let count = 0; count < limit; count += 1) {
+    const notification = await claimNext();
+    if (!notification) break;
+    result[await deliver(notification)] += 1;
+  }
+  return result;
+};
+
+// Query parameters of notification listings, validated by the routes
+const NOTIFICATION_QUERY = {
+  status: { type: 'string', enum: Notification.STATUSES },
+  event: { type: 'string', enum: Notification.EVENTS },
+  channel: { type: 'string', enum: Notification.CHANNELS },
+  student: OBJECT_ID
+};
+
+// Filter for listing notifications by status, event, channel and student
+const buildNotificationFilter = query => Object.keys(NOTIFICATION_QUERY).reduce((filter, field) => (
+  query[field] ? { ...filter, [field]: query[field] } : filter
+), {});
+
+const findNotifications = (filter, options) => Promise.all([
+  Notification.find(applyCursor(filter, options))
+    .sort(options.sort)
+    .skip(options.skip)
+    .limit(options.limit)
+    .populate('guardian', 'firstName lastName'),
+  Notification.countDocuments(filter)
+]);
+
+// Send a failed message again, with a fresh set of attempts
+const retryNotification = async (id) => {
+  const notification = mongoose.Types.ObjectId.isValid(id) ? await Notification.findById(id) : null;
+  if (!notification) throw new NotificationError('Notification not found', 404);
+  if (notification.status !== 'failed') {
+    throw new NotificationError('Only failed notifications can be retried');
+  }
+
+  notification.set({ status: 'queued', attempts: 0, nextAttemptAt: new Date() });
+  return notification.save();
+};
+
+module.exports = {
+  NotificationError,
+  notifyGuardians,
+  describeChanges,
+  NOTIFICATION_QUERY,
+  buildNotificationFilter,
+  findNotifications,
+  processQueue,
+  retryNotification
+};
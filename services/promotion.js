@@ -0,0 +1,240 @@
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const School = require('../models/School');
+const PromotionRun = require('../models/PromotionRun');
+const { runInTransaction, graduateStudent, revertGraduation } = require('./enrollment');
+const { getGradeLevels } = require('./gradeLevels');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * End-of-year promotion: every active, enrolled student moves up to the next
+ * grade level of their school, students in the school's last level graduate
+ * and students flagged with retainGrade stay where they are (the flag is
+ * cleared so it applies to one run only). Each run closes one academic
+ * year, for one school or the whole district, and records what it changed
+ * so the latest run can be rolled back.
+ */
+
+class PromotionError extends ApiError {
+  constructor(message, statusCode = 400) {
+    super(message, { statusCode });
+    this.name = 'PromotionError';
+  }
+}
+
+const countActions = (changes) => PromotionRun.ACTIONS.reduce((counts, action) => ({
+  ...counts,
+  [action]: changes.filter(change => change.action === action).length
+}), {});
+
+// Promoted students grouped by [fromGrade, toGrade], so each pair is one update
+const groupPromotions = (changes) => [...changes
+  .filter(change => change.action === 'promote')
+  .reduce((groups, change) => {
+    const key = JSON.stringify([change.fromGrade, change.toGrade]);
+    const ids = groups.get(key) || [];
+    ids.push(change.student);
+    return groups.set(key, ids);
+  }, new Map())]
+  .map(([key, ids]) => [...JSON.parse(key), ids]);
+
+/**
+ * Filter of the runs that already promoted `school` (or, without a school,
+ * any school) in `academicYear` and were not rolled back. A district-wide
+ * run and a run of one of its schools overlap.
+ */
+const activeRunFilter = (academicYear, school) => ({
+  academicYear,
+  rolledBackAt: null,
+  ...(school ? { school: { $in: [school, null] } } : {})
+});
+
+const assertNotPromoted = async (academicYear, school, session = null) => {
+  const existing = await PromotionRun.findOne(activeRunFilter(academicYear, school))
+    .session(session)
+    .select('_id school');
+  if (existing) {
+    const scope = existing.school ? 'this school' : 'the district';
+    throw new PromotionError(
+      `${academicYear} was already promoted for ${scope} (run ${existing._id}); roll that run back first`,
+      409
+    );
+  }
+};
+
+/**
+ * Work out what a run would do without changing anything. Limited to one
+ * school when `school` is given. Students whose grade is not one of their
+ * school's levels are listed as unmatched and left alone.
+ */
+const planPromotion = async ({ school } = {}) => {
+  if (school && !mongoose.Types.ObjectId.isValid(school)) {
+    throw new PromotionError('Invalid school ID');
+  }
+
+  const students = await Student.find({ isActive: true, school: school || { $ne: null } })
+    .select('firstName lastName grade school retainGrade')
+    .sort({ school: 1, lastName: 1, firstName: 1 })
+    .lean();
+
+  const gradeLevels = await getGradeLevels([...new Set(students.map(student => String(student.school)))]);
+  const changes = [];
+  const unmatched = [];
+
+  students.forEach((student) => {
+    const levels = gradeLevels.get(String(student.school)) || [];
+    const index = levels.indexOf(School.matchGradeLevel(levels, student.grade));
+    const entry = {
+      student: student._id,
+      name: `${student.firstName} ${student.lastName}`,
+      school: student.school,
+      fromGrade: student.grade
+    };
+
+    if (student.retainGrade) {
+      changes.push({ ...entry, action: 'retain', toGrade: student.grade });
+    } else if (index === -1) {
+      unmatched.push(entry);
+    } else if (index === levels.length - 1) {
+      changes.push({ ...entry, action: 'graduate', toGrade: null });
+    } else {
+      changes.push({ ...entry, action: 'promote', toGrade: levels[index + 1] });
+    }
+  });
+
+  return { school: school || null, counts: countActions(changes), changes, unmatched };
+};
+
+/**
+ * Apply the current plan and record it as the PromotionRun of
+ * `academicYear`. Refused while a run of the same year covering the school
+ * is in place. Unmatched students are returned alongside the run so they
+ * can be fixed by hand.
+ */
+const runPromotion = async ({ academicYear, school, runBy = null } = {}) => {
+  if (!academicYear || typeof academicYear !== 'string') {
+    throw new PromotionError('The academic year to promote is required');
+  }
+
+  const plan = await planPromotion({ school });
+  await assertNotPromoted(academicYear, school);
+  if (!plan.changes.length) {
+    throw new PromotionError('There are no active students to promote');
+  }
+
+  const runAt = new Date();
+
+  const run = await runInTransaction(async (session) => {
+    // Checked again in the transaction: of two concurrent runs, the one
+    // retried after a write conflict finds the other's run here
+    await assertNotPromoted(academicYear, school, session);
+
+    for (const [fromGrade, toGrade, ids] of groupPromotions(plan.changes)) {
+      await Student.updateMany(
+        { _id: { $in: ids }, grade: fromGrade },
+        { $set: { grade: toGrade } },
+        { session }
+      );
+    }
+
+    const retained = plan.changes.filter(change => change.action === 'retain').map(change => change.student);
+    if (retained.length) {
+      await Student.updateMany({ _id: { $in: retained } }, { $set: { retainGrade: false } }, { session });
+    }
+
+    for (const change of plan.changes.filter(item => item.action === 'graduate')) {
+      const student = await Student.findById(change.student).session(session);
+      await graduateStudent(student, session, runAt);
+      await student.save({ session });
+    }
+
+    const [saved] = await PromotionRun.create([{
+      academicYear,
+      school: plan.school,
+      runAt,
+      runBy,
+      counts: plan.counts,
+      changes: plan.changes
+    }], { session });
+    return saved;
+  });
+
+  return { run, unmatched: plan.unmatched };
+};
+
+/**
+ * Undo the latest run of `school` (or, without a school, the latest
+ * district-wide run) that has not been rolled back yet. Students changed
+ * since the run (moved to another grade, enrolled elsewhere or deleted),
+ * and students whose school no longer offers their previous grade, are
+ * left alone and reported as skipped.
+ */
+const rollbackLastRun = async ({ school, rolledBackBy = null } = {}) => {
+  if (school && !mongoose.Types.ObjectId.isValid(school)) {
+    throw new PromotionError('Invalid school ID');
+  }
+
+  const run = await PromotionRun.findOne({ school: school || null, rolledBackAt: null }).sort({ runAt: -1 });
+  if (!run) {
+    throw new PromotionError(`There is no ${school ? 'promotion run of this school' : 'district-wide promotion run'} to roll back`, 404);
+  }
+
+  // The updates below skip the grade check of Student saves
+  const gradeLevels = await getGradeLevels([...new Set(run.changes.map(change => String(change.school)))]);
+  const stillOffered = change => !!School.matchGradeLevel(gradeLevels.get(String(change.school)) || [], change.fromGrade);
+  const promoted = run.changes.filter(change => change.action === 'promote');
+  const revertible = promoted.filter(stillOffered);
+  const dropped = promoted.filter(change => !stillOffered(change)).map(change => change.student);
+
+  const skipped = await runInTransaction(async (session) => {
+    const conflicts = [...dropped];
+
+    for (const [fromGrade, toGrade, ids] of groupPromotions(revertible)) {
+      const moved = await Student.find({ _id: { $in: ids }, grade: { $ne: toGrade } })
+        .session(session)
+        .distinct('_id');
+      conflicts.push(...moved);
+      await Student.updateMany(
+        { _id: { $in: ids }, grade: toGrade },
+        { $set: { grade: fromGrade } },
+        { session }
+      );
+    }
+
+    const retained = run.changes.filter(change => change.action === 'retain').map(change => change.student);
+    if (retained.length) {
+      await Student.updateMany({ _id: { $in: retained } }, { $set: { retainGrade: true } }, { session });
+    }
+
+    for (const change of run.changes.filter(item => item.action === 'graduate')) {
+      const student = await Student.findById(change.student).session(session);
+      if (student && await revertGraduation(student, session, run.runAt)) {
+        await student.save({ session });
+      } else {
+        conflicts.push(change.student);
+      }
+    }
+
+    run.rolledBackAt = new Date();
+    run.rolledBackBy = rolledBackBy;
+    await run.save({ session });
+    return conflicts;
+  });
+
+  return { run, skipped };
+};
+
+// Most recent runs first, without the per-student changes
+const listRuns = ({ limit = 20 } = {}) => PromotionRun.find()
+  .select('-changes')
+  .sort({ runAt: -1 })
+  .limit(limit)
+  .populate('runBy rolledBackBy', 'name email');
+
+module.exports = {
+  PromotionError,
+  planPromotion,
+  runPromotion,
+  rollbackLastRun,
+  listRuns
+};
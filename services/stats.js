@@ -0,0 +1,157 @@
+const Student = require('../models/Student');
+const { sortGrades } = require('./gradeLevels');
+const { createTtlCache } = require('../utils/ttlCache');
+const { getContext } = require('../utils/requestContext');
+const { STUDENT_QUERY } = require('./studentFilter');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Dashboard statistics over the students matching a listing filter, computed
+ * in one aggregation and cached for STATS_CACHE_SECONDS (default 300, 0 to
+ * disable) per filter.
+ */
+
+const DEFAULT_CACHE_SECONDS = 300;
+const DEFAULT_TREND_MONTHS = 12;
+const MAX_TREND_MONTHS = 60;
+
+// Query parameters of the statistics, validated by the routes
+const STATS_QUERY = {
+  ...STUDENT_QUERY,
+  months: { type: 'integer', minimum: 1, maximum: MAX_TREND_MONTHS }
+};
+
+const getCacheSeconds = () => {
+  const seconds = parseInt(process.env.STATS_CACHE_SECONDS, 10);
+  return Number.isNaN(seconds) ? DEFAULT_CACHE_SECONDS : seconds;
+};
+
+const cache = createTtlCache({ ttlMs: getCacheSeconds() * 1000 });
+
+class StatsError extends ApiError {
+  constructor(message, statusCode = 400) {
+    super(message, { statusCode });
+    this.name = 'StatsError';
+  }
+}
+
+const parseMonths = (value) => {
+  if (value === undefined) return DEFAULT_TREND_MONTHS;
+  const months = parseInt(value, 10);
+  if (Number.isNaN(months) || months < 1 || months > MAX_TREND_MONTHS) {
+    throw new StatsError(`months must be between 1 and ${MAX_TREND_MONTHS}`);
+  }
+  return months;
+};
+
+// First day (UTC) of the month `offset` months from `date`
+const monthStart = (date, offset = 0) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + offset, 1));
+
+const monthKey = date => date.toISOString().slice(0, 7);
+
+// Age in whole years on `now`, lowering it by one before this year's birthday
+const ageExpression = (now) => {
+  const monthDay = date => ({ $add: [{ $multiply: [{ $month: date }, 100] }, { $dayOfMonth: date }] });
+  return {
+    $cond: [
+      { $eq: [{ $ifNull: ['$dateOfBirth', null] }, null] },
+      null,
+      {
+        $subtract: [
+          { $subtract: [now.getUTCFullYear(), { $year: '$dateOfBirth' }] },
+          { $cond: [{ $lt: [(now.getUTCMonth() + 1) * 100 + now.getUTCDate(), monthDay('$dateOfBirth')] }, 1, 0] }
+        ]
+      }
+    ]
+  };
+};
+
+const countBy = (key, sort) => [
+  { $group: { _id: key, count: { $sum: 1 } } },
+  { $sort: sort }
+];
+
+const buildPipeline = (filter, trendStart, now) => [
+  { $match: filter },
+  {
+    $facet: {
+      status: countBy('$isActive', { _id: -1 }),
+      grades: countBy('$grade', { _id: 1 }),
+      ages: countBy(ageExpression(now), { _id: 1 }),
+      trend: [
+        { $match: { enrollmentDate: { $gte: trendStart } } },
+        ...countBy({ $dateToString: { format: '%Y-%m', date: '$enrollmentDate' } }, { _id: 1 })
+      ],
+      locations: countBy({ state: '$address.state', city: '$address.city' }, { count: -1, '_id.state': 1, '_id.city': 1 }),
+      schools: [{ $group: { _id: '$school' } }]
+    }
+  }
+];
+
+// Every month of the trend window, including those without enrollments
+const fillMonths = (trendStart, months, counts) => {
+  const byMonth = new Map(counts.map(item => [item._id, item.count]));
+  return Array.from({ length: months }, (value, index) => {
+    const month = monthKey(monthStart(trendStart, index));
+    return { month, count: byMonth.get(month) || 0 };
+  });
+};
+
+const computeStats = async (filter, { archived, months }) => {
+  const now = new Date();
+  const trendStart = monthStart(now, 1 - months);
+
+  const [facets] = await Student.aggregate(buildPipeline(filter, trendStart, now))
+    .option({ withDeleted: archived });
+
+  const active = (facets.status.find(item => item._id === true) || {}).count || 0;
+  const inactive = (facets.status.find(item => item._id === false) || {}).count || 0;
+  const gradeCounts = new Map(facets.grades.map(item => [item._id, item.count]));
+  const grades = await sortGrades([...gradeCounts.keys()].filter(Boolean), facets.schools.map(item => item._id).filter(Boolean));
+
+  return {
+    total: active + inactive,
+    active,
+    inactive,
+    byGrade: grades.map(grade => ({ grade, count: gradeCounts.get(grade) })),
+    ageDistribution: facets.ages.map(item => ({ age: item._id, count: item.count })),
+    enrollmentTrend: fillMonths(trendStart, months, facets.trend),
+    byLocation: facets.locations.map(item => ({
+      state: item._id.state || null,
+      city: item._id.city || null,
+      count: item.count
+    })),
+    generatedAt: now
+  };
+};
+
+/**
+ * Statistics for the students matching `filter` (a listing filter from
+ * buildStudentFilter). Resolves to { stats, cached }.
+ */
+const getStudentStats = async (filter, query = {}) => {
+  const months = parseMonths(query.months);
+  const archived = query.archived === 'true';
+  // Aggregations are not cast by mongoose
+  let casted;
+  try {
+    casted = Student.find().cast(Student, filter);
+  } catch (error) {
+    throw new StatsError(error.message);
+  }
+
+  const load = () => computeStats(casted, { archived, months });
+  if (getCacheSeconds() <= 0) return { stats: await load(), cached: false };
+
+  // The district scope is added by the tenant plugin, outside the filter
+  const key = JSON.stringify({ district: getContext().district, casted, archived, months });
+  const { value, cached } = await cache.wrap(key, load);
+  return { stats: value, cached };
+};
+
+module.exports = {
+  STATS_QUERY,
+  StatsError,
+  getStudentStats
+};
@@ -0,0 +1,284 @@
+const Student = require('../models/Student');
+const School = require('../models/School');
+const { OBJECT_ID } = require('../middleware/validate');
+const { getStudentScope, canModifyStudent, canModifySchool } = require('../middleware/auth');
+const { runInTransaction, moveStudent, archiveStudent } = require('./enrollment');
+const { STUDENT_QUERY, buildStudentFilter } = require('./studentFilter');
+const { notifyGuardians } = require('./notifications');
+const { emitEvent } = require('./webhooks');
+const { ApiError, ForbiddenError, NotFoundError, RequestValidationError, toApiError } = require('../utils/errors');
+
+/**
+ * One operation applied to many students, e.g. moving a whole grade to
+ * another school at the start of a term. Students are picked by id or by
+ * the listing's filters; each is checked as the single-student routes
+ * would, and the valid ones are changed in chunks, one transaction each,
+ * keeping the schools' student lists in step.
+ */
+
+const CHUNK_SIZE = parseInt(process.env.BULK_CHUNK_SIZE, 10) || 100;
+const MAX_STUDENTS = parseInt(process.env.BULK_MAX_STUDENTS, 10) || 1000;
+
+const OPERATIONS = ['enroll', 'unenroll', 'setGrade', 'setActive', 'delete'];
+
+// Options each operation needs
+const REQUIRED_OPTIONS = {
+  enroll: ['schoolId'],
+  setGrade: ['grade'],
+  setActive: ['isActive']
+};
+
+// The listing's filters; deleted students are never changed in bulk
+const FILTER_PROPERTIES = Object.fromEntries(
+  Object.entries(STUDENT_QUERY).filter(([name]) => name !== 'archived')
+);
+
+const BULK_BODY = {
+  type: 'object',
+  required: ['operation'],
+  properties: {
+    operation: { type: 'string', enum: OPERATIONS },
+    ids: { type: 'array', minItems: 1, maxItems: MAX_STUDENTS, items: OBJECT_ID },
+    filter: { type: 'object', properties: FILTER_PROPERTIES },
+    schoolId: OBJECT_ID,
+    grade: { type: 'string' },
+    isActive: { type: 'boolean' },
+    reason: { type: 'string', enum: Student.ENROLLMENT_END_REASONS },
+    notes: { type: 'string' }
+  }
+};
+
+class BulkError extends ApiError {
+  constructor(message, statusCode = 400) {
+    super(message, { statusCode });
+    this.name = 'BulkError';
+  }
+}
+
+const sameId = (a, b) => String(a || '') === String(b || '');
+
+const assertOptions = (options) => {
+  const errors = (REQUIRED_OPTIONS[options.operation] || [])
+    .filter(option => options[option] === undefined || options[option] === '')
+    .map(option => ({ code: 'REQUIRED', field: option, message: `${option} is required to ${options.operation}` }));
+
+  if (!options.ids === !options.filter) {
+    errors.push({ code: 'REQUIRED', field: 'ids', message: 'Give ids or a filter, but not both' });
+  }
+  if (errors.length) throw new RequestValidationError('Validation error', errors);
+};
+
+// Students picked by id or by filter, within what the user may read; ids
+// outside it are reported as not found
+const selectionFilter = async ({ operation, ids, filter }, user) => {
+  if (ids) {
+    // Unassigned students may be enrolled by school admins too
+    const scope = operation === 'enroll'
+      ? { $or: [getStudentScope(user), { school: null }] }
+      : getStudentScope(user);
+    return { $and: [{ _id: { $in: ids } }, scope] };
+  }
+  const query = { ...filter };
+  if (query.isActive !== undefined) query.isActive = String(query.isActive);
+  return buildStudentFilter(query, user);
+};
+
+// Names and grade levels of the schools the students are in or move to
+const loadSchools = async (students, options) => {
+  const ids = [...students.map(student => student.school), options.schoolId].filter(Boolean);
+  const schools = await School.find({ _id: { $in: ids } }).select('name gradeLevels');
+  return new Map(schools.map(school => [String(school._id), school]));
+};
+
+const failure = (code, message) => ({ status: 'failed', code, message });
+const skip = message => ({ status: 'skipped', message });
+
+const checkGrade = (grade, school) => (
+  school && !School.matchGradeLevel(school.gradeLevels, grade)
+    ? failure('INVALID_VALUE', `Grade ${grade} is not offered at ${school.name}`)
+    : null
+);
+
+/**
+ * Whether `options` can be applied to `student`: null if so, or the
+ * result explaining why it is skipped or fails.
+ */
+const checkStudent = (student, options, { user, schools }) => {
+  const { operation, schoolId, grade, isActive } = options;
+  const school = student.school && schools.get(String(student.school));
+
+  // Unassigned students may be enrolled by school admins, as one at a time
+  if (!(operation === 'enroll' && !student.school) && !canModifyStudent(user, student)) {
+    return failure('FORBIDDEN', 'You can only change students in your own school');
+  }
+
+  switch (operation) {
+    case 'enroll':
+      if (sameId(student.school, schoolId)) return skip('Already enrolled in this school');
+      return checkGrade(grade || student.grade, schools.get(String(schoolId)));
+    case 'unenroll':
+      return student.school ? null : skip('Not enrolled in any school');
+    case 'setGrade':
+      if (student.grade === grade) return skip(`Already in grade ${grade}`);
+      return checkGrade(grade, school);
+    case 'setActive':
+      return student.isActive === isActive ? skip(`Already ${isActive ? 'active' : 'inactive'}`) : null;
+    default:
+      return null;
+  }
+};
+
+// Change a loaded student inside a session; the caller saves it
+const applyOperation = async (student, options, session, user) => {
+  const { operation, schoolId, grade, isActive, reason = 'withdrawal', notes } = options;
+
+  if (operation === 'enroll') {
+    await moveStudent(student, schoolId, session, { reason: 'transfer', grade, notes });
+  } else if (operation === 'unenroll') {
+    await moveStudent(student, null, session, { reason, notes });
+  } else if (operation === 'setGrade') {
+    student.grade = grade;
+  } else if (operation === 'setActive') {
+    student.isActive = isActive;
+  } else {
+    await archiveStudent(student, session, user._id);
+  }
+};
+
+// Guardian messages and webhook events, as the single-student routes send
+const announce = async (changed, options, schools) => {
+  const { operation, reason = 'withdrawal' } = options;
+  const schoolName = id => (schools.get(String(id)) || {}).name;
+
+  for (const { before, student } of changed) {
+    if (operation === 'enroll') {
+      if (before.school) {
+        await notifyGuardians('transferred', student._id, { fromSchool: schoolName(before.school) });
+      } else {
+        await notifyGuardians('enrolled', student._id);
+      }
+    } else if (operation === 'unenroll') {
+      await notifyGuardians('unenrolled', student._id, { school: schoolName(before.school), reason });
+    } else if (operation !== 'delete') {
+      await notifyGuardians('updated', student._id, { fields: operation === 'setGrade' ? 'grade' : 'is active' });
+    }
+  }
+
+  const events = {
+    enroll: 'student.enrolled',
+    unenroll: 'student.unenrolled',
+    delete: 'student.deleted'
+  };
+  await emitEvent(events[operation] || 'student.updated', changed.map(({ student }) => student));
+};
+
+/**
+ * Apply a chunk of checked students in one transaction. Students changed
+ * since they were checked are checked again and may end up skipped.
+ */
+const applyChunk = async (ids, options, context) => {
+  const results = new Map();
+
+  const changed = await runInTransaction(async (session) => {
+    results.clear();
+    const saved = [];
+    const students = await Student.find({ _id: { $in: ids } }).session(session);
+
+    for (const student of students) {
+      const problem = checkStudent(student, options, context);
+      if (problem) {
+        results.set(String(student._id), problem);
+        continue;
+      }
+      const before = { school: student.school };
+      await applyOperation(student, options, session, context.user);
+      await student.save({ session });
+      saved.push({ before, student });
+    }
+    return saved;
+  });
+
+  changed.forEach(({ student }) => results.set(String(student._id), { status: 'updated' }));
+  ids.filter(id => !results.has(String(id))).forEach((id) => {
+    results.set(String(id), failure('NOT_FOUND', 'Student not found'));
+  });
+  await announce(changed, options, context.schools);
+  return results;
+};
+
+/**
+ * Check (and unless dryRun, apply) a bulk operation. Returns counts and a
+ * result per student: valid (dry run), updated, skipped or failed, with a
+ * code and message for the last two. A failed chunk fails its students
+ * and the others carry on.
+ */
+const runBulkOperation = async (options, { user, dryRun = false }) => {
+  assertOptions(options);
+
+  if (options.operation === 'enroll') {
+    if (!(await School.exists({ _id: options.schoolId }))) throw new NotFoundError('School not found');
+    if (!canModifySchool(user, options.schoolId)) {
+      throw new ForbiddenError('You can only enroll students into your own school');
+    }
+  }
+
+  const filter = await selectionFilter(options, user);
+  const total = await Student.countDocuments(filter);
+  if (total > MAX_STUDENTS) {
+    throw new BulkError(`${total} students match; at most ${MAX_STUDENTS} can be changed at once`);
+  }
+
+  const students = await Student.find(filter).select('firstName lastName grade school isActive').lean();
+  const context = { user, schools: await loadSchools(students, options) };
+
+  // Requested ids that are missing or archived
+  const found = new Set(students.map(student => String(student._id)));
+  const results = (options.ids || [])
+    .filter(id => !found.has(String(id)))
+    .map(id => ({ student: id, ...failure('NOT_FOUND', 'Student not found') }));
+
+  const valid = [];
+  students.forEach((student) => {
+    const problem = checkStudent(student, options, context);
+    const item = { student: student._id, name: `${student.firstName} ${student.lastName}` };
+    if (problem) {
+      results.push({ ...item, ...problem });
+    } else {
+      valid.push(item);
+    }
+  });
+
+  if (dryRun) {
+    results.push(...valid.map(item => ({ ...item, status: 'valid' })));
+  } else {
+    for (let start = 0; start < valid.length; start += CHUNK_SIZE) {
+      const chunk = valid.slice(start, start + CHUNK_SIZE);
+      try {
+        const chunkResults = await applyChunk(chunk.map(item => item.student), options, context);
+        results.push(...chunk.map(item => ({ ...item, ...chunkResults.get(String(item.student)) })));
+      } catch (error) {
+        const { code, message } = toApiError(error);
+        results.push(...chunk.map(item => ({ ...item, status: 'failed', code, message: `Chunk failed: ${message}` })));
+      }
+    }
+  }
+
+  const count = status => results.filter(result => result.status === status).length;
+  return {
+    operation: options.operation,
+    dryRun,
+    matched: students.length,
+    valid: valid.length,
+    updated: count('updated'),
+    skipped: count('skipped'),
+    failed: count('failed'),
+    results
+  };
+};
+
+module.exports = {
+  OPERATIONS,
+  BULK_BODY,
+  BulkError,
+  runBulkOperation
+};
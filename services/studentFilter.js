@@ -0,0 +1,37 @@
+const { getStudentScope } = require('../middleware/auth');
+const { buildGradeRangeFilter } = require('./gradeLevels');
+const { OBJECT_ID } = require('../middleware/validate');
+
+// Query parameters of the filters, validated by the routes
+const STUDENT_QUERY = {
+  school: OBJECT_ID,
+  grade: { type: 'string' },
+  minGrade: { type: 'string' },
+  maxGrade: { type: 'string' },
+  isActive: { type: 'boolean' },
+  archived: { type: 'boolean' }
+};
+
+// Filters shared by the listing, the exports and the statistics. minGrade
+// and maxGrade follow each school's own ordering of grade levels.
+const buildStudentFilter = async (query, user) => {
+  const { school, grade, minGrade, maxGrade, isActive, archived } = query;
+  const filter = {};
+
+  if (school) filter.school = school;
+  if (grade) filter.grade = grade;
+  if (isActive !== undefined) filter.isActive = isActive === 'true';
+  // Deleted students are hidden unless asked for
+  if (archived === 'true') filter.deletedAt = { $ne: null };
+
+  const clauses = [filter, getStudentScope(user)];
+  if (minGrade || maxGrade) {
+    clauses.push(await buildGradeRangeFilter({ minGrade, maxGrade, school }));
+  }
+  return { $and: clauses };
+};
+
+module.exports = {
+  STUDENT_QUERY,
+  buildStudentFilter
+};
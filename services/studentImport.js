@@ -0,0 +1,350 @@
+const mongoose = require('mongoose');
+const { parse } = require('csv-parse/sync');
+const ExcelJS = require('exceljs');
+const Student = require('../models/Student');
+const School = require('../models/School');
+const Guardian = require('../models/Guardian');
+const StudentGuardian = require('../models/StudentGuardian');
+const { createStudents } = require('./enrollment');
+const { getGradeLevels } = require('./gradeLevels');
+const { importGuardians } = require('./guardians');
+const { emitEvent } = require('./webhooks');
+const { ApiError } = require('../utils/errors');
+
+const BATCH_SIZE = parseInt(process.env.IMPORT_BATCH_SIZE, 10) || 100;
+const MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS, 10) || 5000;
+
+// Spreadsheet rows are numbered from 1 and the first row holds the headers
+const FIRST_DATA_ROW = 2;
+
+// Paths that are managed by the API rather than imported
+const EXCLUDED_PATHS = [
+  '_id', '__v', 'createdAt', 'updatedAt', 'enrollments', 'gpa', 'averagePercent', 'mergedInto',
+  'deletedAt', 'deletedBy', 'district'
+];
+
+// Common header spellings that do not match a schema path name. guardian.*
+// columns describe the student's primary guardian.
+const HEADER_ALIASES = {
+  dob: 'dateOfBirth',
+  birthdate: 'dateOfBirth',
+  schoolname: 'school',
+  zip: 'address.zipCode',
+  postalcode: 'address.zipCode',
+  guardianname: 'guardian.name',
+  parentname: 'guardian.name',
+  guardianfirstname: 'guardian.firstName',
+  guardianlastname: 'guardian.lastName',
+  guardianphone: 'guardian.phone',
+  parentphone: 'guardian.phone',
+  guardianemail: 'guardian.email',
+  parentemail: 'guardian.email',
+  guardianrelationship: 'guardian.relationship',
+  relationship: 'guardian.relationship',
+  active: 'isActive'
+};
+
+class ImportError extends ApiError {
+  constructor(message) {
+    super(message, { statusCode: 400 });
+    this.name = 'ImportError';
+  }
+}
+
+const normalizeHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Map normalized headers to schema paths, e.g. "Zip Code" and
+// "address.zipCode" both map to address.zipCode
+const buildColumnMap = () => {
+  const map = {};
+  Student.schema.eachPath((path) => {
+    if (EXCLUDED_PATHS.some(excluded => path === excluded || path.startsWith(`${excluded}.`))) return;
+    map[normalizeHeader(path)] = path;
+    map[normalizeHeader(path.split('.').pop())] = path;
+  });
+  return { ...map, ...HEADER_ALIASES };
+};
+
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  let current = target;
+  keys.slice(0, -1).forEach((key) => {
+    current[key] = current[key] || {};
+    current = current[key];
+  });
+  current[keys[keys.length - 1]] = value;
+};
+
+const cellToValue = (value) => {
+  if (value == null) return '';
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    // Rich text, hyperlinks and formulas
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return value.text;
+    if (value.result !== undefined) return value.result;
+  }
+  return value;
+};
+
+const parseCsv = (buffer) => parse(buffer, {
+  columns: true,
+  bom: true,
+  trim: true,
+  skip_empty_lines: true
+});
+
+const parseXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+
+  const worksheet = workbook.worksheets[0];
+  if (!worksheet) return [];
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = String(cellToValue(cell.value)).trim();
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const record = {};
+    headers.forEach((header, column) => {
+      if (header) record[header] = cellToValue(row.getCell(column).value);
+    });
+    rows.push(record);
+  });
+  return rows;
+};
+
+// Guardian columns of a row; a full name is split at the first space and
+// the student's last name stands in for a missing one
+const buildGuardian = ({ name, firstName, lastName, email, phone, relationship = 'parent' }, student) => {
+  const [first, ...rest] = String(name || '').split(/\s+/);
+  return {
+    fields: {
+      firstName: firstName || first,
+      lastName: lastName || rest.join(' ') || student.lastName,
+      email,
+      phone
+    },
+    relationship: String(relationship).toLowerCase()
+  };
+};
+
+const validateGuardian = ({ fields, relationship }) => {
+  const errors = [
+    new Guardian(fields).validateSync(),
+    new StudentGuardian({ relationship }).validateSync(['relationship'])
+  ].filter(Boolean);
+  return errors.flatMap(error => Object.values(error.errors).map(err => `Guardian: ${err.message}`));
+};
+
+/**
+ * Parse an uploaded CSV or XLSX file into an array of records keyed by the
+ * header row.
+ */
+const parseFile = async (file) => {
+  const name = (file.originalname || '').toLowerCase();
+
+  if (name.endsWith('.csv') || file.mimetype === 'text/csv') {
+    try {
+      return parseCsv(file.buffer);
+    } catch (error) {
+      // A row with more or fewer columns than the header
+      if (error.code === 'CSV_RECORD_INCONSISTENT_COLUMNS') throw new ImportError(error.message);
+      throw error;
+    }
+  }
+  if (name.endsWith('.xlsx') ||
+      file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    return parseXlsx(file.buffer);
+  }
+
+  throw new ImportError('Unsupported file type; upload a .csv or .xlsx file');
+};
+
+// Resolve school names (or ids) used in the file to school ids
+const resolveSchools = async (names) => {
+  const ids = names.filter(name => mongoose.Types.ObjectId.isValid(name));
+  const schools = await School.find({
+    $or: [{ _id: { $in: ids } }, { name: { $in: names } }]
+  })
+    .select('name')
+    .collation({ locale: 'en', strength: 2 });
+
+  const byKey = new Map();
+  schools.forEach((school) => {
+    byKey.set(String(school._id), [school._id]);
+    const key = school.name.toLowerCase();
+    byKey.set(key, [...(byKey.get(key) || []), school._id]);
+  });
+  return byKey;
+};
+
+/**
+ * Validate (and unless dryRun, insert) student records from a spreadsheet.
+ * `forceSchool` pins every row to one school, e.g. for school admins.
+ * Returns a per-row report.
+ */
+const importStudents = async (records, { dryRun = true, forceSchool = null } = {}) => {
+  if (!records.length) {
+    throw new ImportError('The file does not contain any rows');
+  }
+  if (records.length > MAX_ROWS) {
+    throw new ImportError(`The file has ${records.length} rows; the maximum is ${MAX_ROWS}`);
+  }
+
+  const columnMap = buildColumnMap();
+  const headers = Object.keys(records[0]);
+  const ignoredColumns = headers.filter(header => !columnMap[normalizeHeader(header)]);
+
+  const schoolNames = [...new Set(records
+    .map(record => {
+      const header = headers.find(h => columnMap[normalizeHeader(h)] === 'school');
+      return header ? String(record[header] || '').trim() : '';
+    })
+    .filter(Boolean))];
+  const schools = await resolveSchools(schoolNames);
+  const gradeLevels = await getGradeLevels([...[...schools.values()].flat(), ...(forceSchool ? [forceSchool] : [])]);
+
+  const report = {
+    dryRun,
+    totalRows: records.length,
+    validRows: 0,
+    invalidRows: 0,
+    duplicateRows: 0,
+    imported: 0,
+    ignoredColumns,
+    errors: [],
+    duplicates: []
+  };
+
+  // Build and validate each row
+  const candidates = [];
+  for (const [index, record] of records.entries()) {
+    const row = index + FIRST_DATA_ROW;
+    const doc = {};
+    const rowErrors = [];
+
+    headers.forEach((header) => {
+      const path = columnMap[normalizeHeader(header)];
+      const value = record[header];
+      if (!path || value === '' || value == null) return;
+      setPath(doc, path, typeof value === 'string' ? value.trim() : value);
+    });
+
+    let guardian = null;
+    if (doc.guardian) {
+      guardian = buildGuardian(doc.guardian, doc);
+      rowErrors.push(...validateGuardian(guardian));
+      delete doc.guardian;
+    }
+
+    if (doc.school) {
+      const matches = schools.get(String(doc.school).toLowerCase()) || schools.get(String(doc.school));
+      if (!matches) {
+        rowErrors.push(`School '${doc.school}' not found`);
+        delete doc.school;
+      } else if (matches.length > 1) {
+        rowErrors.push(`School name '${doc.school}' matches more than one school`);
+        delete doc.school;
+      } else {
+        doc.school = matches[0];
+      }
+    }
+
+    if (forceSchool) {
+      if (doc.school && String(doc.school) !== String(forceSchool)) {
+        rowErrors.push('Students can only be imported into your own school');
+      }
+      doc.school = forceSchool;
+    }
+
+    // Report schema errors too, so a row can be fixed in one pass
+    const validationError = new Student(doc).validateSync();
+    if (validationError) {
+      rowErrors.push(...Object.values(validationError.errors).map(err => err.message));
+    }
+
+    // validateSync skips the check against the school's grade levels
+    const levels = doc.school && gradeLevels.get(String(doc.school));
+    if (doc.grade && levels) {
+      const level = School.matchGradeLevel(levels, doc.grade);
+      if (level) doc.grade = level;
+      else rowErrors.push(`Grade ${doc.grade} is not offered at this school`);
+    }
+
+    if (rowErrors.length) {
+      report.invalidRows += 1;
+      report.errors.push({ row, errors: rowErrors });
+    } else {
+      candidates.push({ row, doc, guardian });
+    }
+  }
+
+  // Duplicate emails, within the file and against existing (or archived) students
+  const emails = candidates.map(({ doc }) => String(doc.email).toLowerCase());
+  const existing = await Student.find({ email: { $in: emails } })
+    .select('email')
+    .setOptions({ withDeleted: true });
+  const existingByEmail = new Map(existing.map(student => [student.email, student._id]));
+
+  const firstRowByEmail = new Map();
+  const toImport = [];
+  candidates.forEach((candidate) => {
+    const { row, doc } = candidate;
+    const email = String(doc.email).toLowerCase();
+
+    if (existingByEmail.has(email)) {
+      report.duplicates.push({ row, email, existingStudent: existingByEmail.get(email) });
+    } else if (firstRowByEmail.has(email)) {
+      report.duplicates.push({ row, email, duplicateOfRow: firstRowByEmail.get(email) });
+    } else {
+      firstRowByEmail.set(email, row);
+      toImport.push(candidate);
+      return;
+    }
+    report.duplicateRows += 1;
+  });
+  report.validRows = toImport.length;
+
+  if (dryRun) return report;
+
+  // Commit in batches; a failed batch is reported and the rest continue
+  for (let start = 0; start < toImport.length; start += BATCH_SIZE) {
+    const batch = toImport.slice(start, start + BATCH_SIZE);
+    let inserted;
+    try {
+      inserted = await createStudents(batch.map(({ doc }) => doc));
+      report.imported += inserted.length;
+      await emitEvent('student.created', inserted);
+    } catch (error) {
+      batch.forEach(({ row }) => {
+        report.errors.push({ row, errors: [`Batch failed: ${error.message}`] });
+      });
+      continue;
+    }
+
+    // Students are kept if their guardians fail; the rows say so
+    const withGuardian = batch
+      .map(({ row, guardian }, index) => ({ row, guardian, student: inserted[index]._id }))
+      .filter(({ guardian }) => guardian);
+    try {
+      await importGuardians(withGuardian.map(({ student, guardian }) => ({ student, ...guardian })));
+    } catch (error) {
+      withGuardian.forEach(({ row }) => {
+        report.errors.push({ row, errors: [`Student imported but guardian not saved: ${error.message}`] });
+      });
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  ImportError,
+  parseFile,
+  importStudents
+};
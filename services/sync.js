@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const Student = require('../models/Student');
+const School = require('../models/School');
+const Tombstone = require('../models/Tombstone');
+const { ApiError } = require('../utils/errors');
+
+/**
+ * Change feed for incremental sync. Live records are read in
+ * (updatedAt, _id) order and deletions come from tombstones in
+ * (deletedAt, _id) order; the two are merged into one stable sequence and
+ * the position of the last change is returned as an opaque cursor.
+ */
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+// Changes younger than this are held back: a write in a transaction that
+// has not committed yet can still appear with an earlier timestamp
+const SETTLE_MS = 5 * 1000;
+
+const ENTITIES = {
+  students: { model: Student, entity: 'student' },
+  schools: { model: School, entity: 'school' }
+};
+
+class SyncError extends ApiError {
+  constructor(message, errors = [], statusCode = 400) {
+    super(message, { statusCode, errors });
+    this.name = 'SyncError';
+  }
+}
+
+const encodeCursor = ({ timestamp, id }) =>
+  Buffer.from(JSON.stringify({ t: timestamp.getTime(), id: String(id) })).toString('base64url');
+
+const decodeCursor = (value) => {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+    if (!Number.isFinite(t) || !mongoose.Types.ObjectId.isValid(id)) throw new Error();
+    return { timestamp: new Date(t), id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    throw new SyncError('Invalid cursor', [
+      { code: 'INVALID_VALUE', field: 'since', message: 'since must be a cursor returned by a previous call' }
+    ]);
+  }
+};
+
+const parseOptions = (query) => {
+  const errors = [];
+
+  let limit = query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_LIMIT;
+  if (Number.isNaN(limit) || limit < 1) {
+    errors.push({ code: 'INVALID_VALUE', field: 'limit', message: 'limit must be a positive integer' });
+    limit = DEFAULT_LIMIT;
+  }
+
+  const types = query.types ? String(query.types).split(',').map(type => type.trim()) : Object.keys(ENTITIES);
+  const unknown = types.filter(type => !ENTITIES[type]);
+  if (unknown.length) {
+    errors.push({
+      code: 'INVALID_VALUE',
+      field: 'types',
+      message: `types must be among: ${Object.keys(ENTITIES).join(', ')}`
+    });
+  }
+
+  if (errors.length) throw new SyncError('Invalid query parameters', errors);
+  return { limit: Math.min(limit, MAX_LIMIT), types };
+};
+
+// Records strictly after the cursor position, up to `until`
+const positionFilter = (field, cursor, until) => {
+  const filter = { [field]: { $lte: until } };
+  if (!cursor) return filter;
+  return {
+    ...filter,
+    $or: [
+      { [field]: { $gt: cursor.timestamp } },
+      { [field]: cursor.timestamp, _id: { $gt: cursor.id } }
+    ]
+  };
+};
+
+const compareChanges = (a, b) =>
+  a.timestamp - b.timestamp || String(a.id).localeCompare(String(b.id));
+
+const readUpdates = async ({ model, entity }, cursor, until, limit) => {
+  const docs = await model.find(positionFilter('updatedAt', cursor, until))
+    .sort({ updatedAt: 1, _id: 1 })
+    .limit(limit);
+
+  return docs.map(doc => ({
+    entity,
+    change: !cursor || doc.createdAt > cursor.timestamp ? 'created' : 'updated',
+    id: doc._id,
+    timestamp: doc.updatedAt,
+    data: doc
+  }));
+};
+
+const readDeletions = async (types, cursor, until, limit) => {
+  const byModel = new Map(types.map(type => [ENTITIES[type].model.modelName, ENTITIES[type].entity]));
+  const tombstones = await Tombstone.find({
+    ...positionFilter('deletedAt', cursor, until),
+    entity: { $in: [...byModel.keys()] }
+  })
+    .sort({ deletedAt: 1, _id: 1 })
+    .limit(limit);
+
+  // A tombstone's own _id orders it, so the cursor can point at it
+  return tombstones.map(tombstone => ({
+    entity: byModel.get(tombstone.entity),
+    change: 'deleted',
+    id: tombstone._id,
+    entityId: tombstone.entityId,
+    timestamp: tombstone.deletedAt,
+    purged: tombstone.purged
+  }));
+};
+
+/**
+ * Changes after the `since` cursor (from the beginning when omitted),
+ * oldest first. Each change is { entity, change, id, timestamp, data } with
+ * change one of created, updated or deleted; deletions carry the deleted
+ * record's id instead of its data. Resolves to { changes, cursor, hasMore }.
+ */
+const getChanges = async (query) => {
+  const { limit, types } = parseOptions(query);
+  const cursor = query.since ? decodeCursor(query.since) : null;
+  const until = new Date(Date.now() - SETTLE_MS);
+
+  // One extra row per source tells whether another page follows
+  const sources = await Promise.all([
+    ...types.map(type => readUpdates(ENTITIES[type], cursor, until, limit + 1)),
+    readDeletions(types, cursor, until, limit + 1)
+  ]);
+  const merged = sources.flat().sort(compareChanges);
+  const page = merged.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    changes: page.map(({ id, entityId, ...item }) => (
+      item.change === 'deleted' ? { ...item, id: entityId } : { ...item, id }
+    )),
+    cursor: last ? encodeCursor(last) : (query.since || null),
+    hasMore: merged.length > limit
+  };
+};
+
+module.exports = {
+  SyncError,
+  getChanges
+};
@@ -0,0 +1,14 @@
+const crypto = require('crypto');
+
+// Local testing: print each message to the server log
+const createConsoleTransport = () => ({
+  name: 'console',
+  channels: ['email', 'sms'],
+  send: async ({ channel, to, subject, body }) => {
+    const id = crypto.randomUUID();
+    console.log(`✉️  [${channel}] to ${to}${subject ? ` - ${subject}` : ''}\n${body}`);
+    return { id };
+  }
+});
+
+module.exports = createConsoleTransport;
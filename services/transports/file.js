@@ -0,0 +1,19 @@
+const fs = require('fs/promises');
+const crypto = require('crypto');
+
+// Local testing: append each message as a JSON line to NOTIFY_FILE_PATH
+const createFileTransport = () => {
+  const path = process.env.NOTIFY_FILE_PATH || 'notifications.log';
+
+  return {
+    name: 'file',
+    channels: ['email', 'sms'],
+    send: async (message) => {
+      const id = crypto.randomUUID();
+      await fs.appendFile(path, `${JSON.stringify({ id, at: new Date().toISOString(), ...message })}\n`);
+      return { id };
+    }
+  };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,84 @@
+const createSmtpTransport = require('./smtp');
+const createFileTransport = require('./file');
+const createConsoleTransport = require('./console');
+
+/**
+ * A transport delivers one rendered message:
+ *
+ *   { name, channels: ['email', 'sms'], send({ channel, to, subject, body }) }
+ *
+ * send resolves to { id } (the provider's message id) or rejects, in which
+ * case the queue retries later. NOTIFY_EMAIL_TRANSPORT and
+ * NOTIFY_SMS_TRANSPORT choose the transport of each channel (default
+ * console, except in production, where both must be set); other
+ * providers, e.g. an SMS gateway, are added with registerTransport.
+ */
+
+const factories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  console: createConsoleTransport
+};
+
+const CHANNEL_SETTINGS = {
+  email: 'NOTIFY_EMAIL_TRANSPORT',
+  sms: 'NOTIFY_SMS_TRANSPORT'
+};
+
+const instances = new Map();
+
+const registerTransport = (name, factory) => {
+  factories[name] = factory;
+  instances.delete(name);
+};
+
+// Messages must not end up in a production log by accident
+const transportName = (channel) => {
+  const setting = CHANNEL_SETTINGS[channel];
+  if (process.env[setting]) return process.env[setting];
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error(`${setting} must be set in production`);
+  }
+  return 'console';
+};
+
+const getTransport = (channel) => {
+  const name = transportName(channel);
+  if (!factories[name]) {
+    throw new Error(`Unknown notification transport '${name}'`);
+  }
+
+  if (!instances.has(name)) instances.set(name, factories[name]());
+  const transport = instances.get(name);
+
+  if (!transport.channels.includes(channel)) {
+    throw new Error(`The ${name} transport cannot send ${channel} messages`);
+  }
+  return transport;
+};
+
+/**
+ * Throw unless every channel has a transport that can send it, so a
+ * misconfigured worker fails when it starts rather than on each message.
+ */
+const assertTransportsConfigured = () => {
+  const errors = Object.keys(CHANNEL_SETTINGS).map((channel) => {
+    try {
+      getTransport(channel);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }).filter(Boolean);
+  if (process.env.NODE_ENV === 'production' && Object.values(CHANNEL_SETTINGS)
+    .some(setting => process.env[setting] === 'smtp') && !process.env.SMTP_HOST) {
+    errors.push('SMTP_HOST must be set to send email with the smtp transport');
+  }
+  if (errors.length) throw new Error(`Notification transports are not configured: ${errors.join('; ')}`);
+};
+
+module.exports = {
+  registerTransport,
+  getTransport,
+  assertTransportsConfigured
+};
@@ -0,0 +1,25 @@
+const nodemailer = require('nodemailer');
+
+// Email over SMTP, configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE,
+// SMTP_USER, SMTP_PASS and the SMTP_FROM sender address
+const createSmtpTransport = () => {
+  const mailer = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    channels: ['email'],
+    send: async ({ to, subject, body }) => {
+      const info = await mailer.sendMail({ from: process.env.SMTP_FROM, to, subject, text: body });
+      return { id: info.messageId };
+    }
+  };
+};
+
+module.exports = createSmtpTransport;
@@ -0,0 +1,302 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const mongoose = require('mongoose');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { applyCursor } = require('../utils/pagination');
+const { ApiError } = require('../utils/errors');
+const { isPublicAddress, publicLookup, hostOf, assertPublicUrl } = require('../utils/network');
+
+/**
+ * Outbound webhooks. Lifecycle events are stored as one WebhookDelivery per
+ * subscribed webhook; processDeliveries POSTs them as signed JSON and
+ * retries failures with exponential backoff, so a slow integration never
+ * affects the API request that triggered the event.
+ *
+ * Each request carries X-Webhook-Event, X-Webhook-Id (the event id, the same
+ * for retries and replays), X-Webhook-Timestamp and X-Webhook-Signature:
+ * "sha256=" and the hex HMAC-SHA256 of "<timestamp>.<body>" keyed with the
+ * webhook's secret.
+ *
+ * Webhook hosts must resolve to public addresses, checked when a URL is
+ * registered and again on every connection; WEBHOOK_ALLOW_PRIVATE=true
+ * lifts this for local development.
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 8;
+const DEFAULT_TIMEOUT_MS = 10 * 1000;
+const BASE_RETRY_MS = 60 * 1000;
+const MAX_RETRY_MS = 12 * 60 * 60 * 1000;
+// A delivery still "sending" after this long belongs to a crashed worker
+const STALE_SENDING_MS = 10 * 60 * 1000;
+// Enough of the receiver's response to debug a failure
+const MAX_RESPONSE_LENGTH = 1000;
+
+const WEBHOOK_FIELDS = ['url', 'events', 'description', 'isActive', 'secret'];
+
+class WebhookError extends ApiError {
+  constructor(message, statusCode = 400) {
+    super(message, { statusCode });
+    this.name = 'WebhookError';
+  }
+}
+
+const getMaxAttempts = () =>
+  parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || DEFAULT_MAX_ATTEMPTS;
+
+const getTimeout = () =>
+  parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+
+const allowPrivate = () => process.env.WEBHOOK_ALLOW_PRIVATE === 'true';
+
+const retryDelay = (attempts) => Math.min(BASE_RETRY_MS * 2 ** (attempts - 1), MAX_RETRY_MS);
+
+const pick = (data, fields) => fields.reduce((picked, field) => (
+  data[field] === undefined ? picked : { ...picked, [field]: data[field] }
+), {});
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+const sign = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+const findWebhook = async (id) => {
+  const webhook = mongoose.Types.ObjectId.isValid(id) ? await Webhook.findById(id) : null;
+  if (!webhook) throw new WebhookError('Webhook not found', 404);
+  return webhook;
+};
+
+// Refuse URLs whose host is, or resolves to, a private or reserved address
+const assertDeliverable = async (url) => {
+  if (allowPrivate() || typeof url !== 'string') return;
+  try {
+    await assertPublicUrl(url);
+  } catch (error) {
+    // Malformed URLs are left to the model's validator
+    if (error.code === 'ERR_INVALID_URL') return;
+    throw new WebhookError(`Webhook URL is not allowed: ${error.message}`);
+  }
+};
+
+// Create a webhook; a secret is generated unless one is given
+const createWebhook = async (data, user) => {
+  await assertDeliverable(data.url);
+  return Webhook.create({
+    secret: generateSecret(),
+    ...pick(data, WEBHOOK_FIELDS),
+    createdBy: user ? user._id : null
+  });
+};
+
+// Update a webhook; sending a new secret rotates it
+const updateWebhook = async (id, data) => {
+  const webhook = await findWebhook(id);
+  await assertDeliverable(data.url);
+  webhook.set(pick(data, WEBHOOK_FIELDS));
+  return webhook.save();
+};
+
+// Remove a webhook together with its delivery log
+const deleteWebhook = async (id) => {
+  const webhook = await findWebhook(id);
+  await WebhookDelivery.deleteMany({ webhook: webhook._id });
+  await webhook.deleteOne();
+  return webhook;
+};
+
+const toPlain = resource => JSON.parse(JSON.stringify(resource));
+
+/**
+ * Queue `event` for every active webhook subscribed to it, one event per
+ * resource (a document or a list of documents). Never throws: a webhook
+ * problem is logged, not passed on to the caller. Resolves to the number of
+ * queued deliveries.
+ */
+const emitEvent = async (event, resources) => {
+  try {
+    const list = [].concat(resources).filter(Boolean);
+    if (!list.length) return 0;
+
+    const webhooks = await Webhook.find({ events: event, isActive: true }).select('_id');
+    if (!webhooks.length) return 0;
+
+    const occurredAt = new Date().toISOString();
+    const deliveries = list.flatMap((resource) => {
+      const eventId = crypto.randomUUID();
+      const payload = { id: eventId, event, occurredAt, data: toPlain(resource) };
+      return webhooks.map(webhook => ({ webhook: webhook._id, event, eventId, payload }));
+    });
+
+    await WebhookDelivery.insertMany(deliveries);
+    return deliveries.length;
+  } catch (error) {
+    console.error(`Could not queue ${event} webhooks:`, error.message);
+    return 0;
+  }
+};
+
+// Claim the next due delivery so no other worker sends it too
+const claimNext = () => WebhookDelivery.findOneAndUpdate(
+  { status: 'pending', nextAttemptAt: { $lte: new Date() } },
+  { $set: { status: 'sending' }, $inc: { attempts: 1 } },
+  { sort: { nextAttemptAt: 1 }, new: true }
+);
+
+/**
+ * POST the delivery without following redirects. The connection goes
+ * through publicLookup, so a host re-pointed at a private address after
+ * registration is refused too.
+ */
+const post = (webhook, delivery) => new Promise((resolve, reject) => {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const url = new URL(webhook.url);
+  const host = hostOf(webhook.url);
+
+  if (!allowPrivate() && net.isIP(host) && !isPublicAddress(host)) {
+    reject(new Error(`${host} is a private or reserved address`));
+    return;
+  }
+
+  const request = (url.protocol === 'https:' ? https : http).request(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Content-Length': Buffer.byteLength(body),
+      'User-Agent': 'school-management-api-webhooks',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Id': delivery.eventId,
+      'X-Webhook-Timestamp': timestamp,
+      'X-Webhook-Signature': sign(webhook.secret, timestamp, body)
+    },
+    lookup: allowPrivate() ? undefined : publicLookup,
+    timeout: getTimeout()
+  }, (response) => {
+    let text = '';
+    response.setEncoding('utf8');
+    response.on('data', (chunk) => {
+      text += chunk;
+      // Stop reading once there is enough to debug a failure
+      if (text.length >= MAX_RESPONSE_LENGTH) response.destroy();
+    });
+    response.on('close', () => resolve({
+      status: response.statusCode,
+      ok: response.statusCode >= 200 && response.statusCode < 300,
+      body: text.slice(0, MAX_RESPONSE_LENGTH)
+    }));
+  });
+
+  request.on('timeout', () => request.destroy(new Error(`Receiver did not respond within ${getTimeout()} ms`)));
+  request.on('error', reject);
+  request.end(body);
+});
+
+const deliver = async (delivery) => {
+  const started = Date.now();
+  try {
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    if (!webhook || !webhook.isActive) {
+      delivery.set({ status: 'failed', lastError: 'Webhook is disabled or was removed' });
+      await delivery.save();
+      return 'failed';
+    }
+
+    const response = await post(webhook, delivery);
+    delivery.set({
+      responseStatus: response.status,
+      responseBody: response.body,
+      durationMs: Date.now() - started
+    });
+    if (!response.ok) throw new Error(`Receiver responded with HTTP ${response.status}`);
+
+    delivery.set({ status: 'delivered', deliveredAt: new Date(), lastError: null });
+    await delivery.save();
+    return 'delivered';
+  } catch (error) {
+    const failed = delivery.attempts >= getMaxAttempts();
+    delivery.set({
+      status: failed ? 'failed' : 'pending',
+      lastError: error.message,
+      durationMs: Date.now() - started,
+      nextAttemptAt: new Date(Date.now() + retryDelay(delivery.attempts))
+    });
+    await delivery.save();
+    return failed ? 'failed' : 'retried';
+  }
+};
+
+// Send up to `limit` due deliveries, one at a time
+const processDeliveries = async ({ limit = 100 } = {}) => {
+  await WebhookDelivery.updateMany(
+    { status: 'sending', updatedAt: { $lt: new Date(Date.now() - STALE_SENDING_MS) } },
+    { $set: { status: 'pending' } }
+  );
+
+  const result = { delivered: 0, retried: 0, failed: 0 };
+  for (let count = 0; count < limit; count += 1) {
+    const delivery = await claimNext();
+    if (!delivery) break;
+    result[await deliver(delivery)] += 1;
+  }
+  return result;
+};
+
+// Query parameters of delivery listings, validated by the routes
+const DELIVERY_QUERY = {
+  status: { type: 'string', enum: WebhookDelivery.STATUSES },
+  event: { type: 'string', enum: Webhook.EVENTS }
+};
+
+// Filter for listing a webhook's deliveries by status and event
+const buildDeliveryFilter = (webhookId, query) => {
+  const filter = { webhook: webhookId };
+  if (query.status) filter.status = query.status;
+  if (query.event) filter.event = query.event;
+  return filter;
+};
+
+const findDeliveries = (filter, options) => Promise.all([
+  WebhookDelivery.find(applyCursor(filter, options))
+    .sort(options.sort)
+    .skip(options.skip)
+    .limit(options.limit),
+  WebhookDelivery.countDocuments(filter)
+]);
+
+/**
+ * Send a logged delivery again as a new delivery with the same event id
+ * and payload, so receivers can recognise it as a duplicate.
+ */
+const replayDelivery = async (webhookId, deliveryId) => {
+  const webhook = await findWebhook(webhookId);
+  const original = mongoose.Types.ObjectId.isValid(deliveryId)
+    ? await WebhookDelivery.findOne({ _id: deliveryId, webhook: webhook._id })
+    : null;
+  if (!original) throw new WebhookError('Delivery not found', 404);
+  if (!webhook.isActive) throw new WebhookError('Cannot replay to a disabled webhook');
+
+  return WebhookDelivery.create({
+    webhook: webhook._id,
+    event: original.event,
+    eventId: original.eventId,
+    payload: original.payload,
+    replayOf: original._id
+  });
+};
+
+module.exports = {
+  WebhookError,
+  findWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  emitEvent,
+  sign,
+  processDeliveries,
+  DELIVERY_QUERY,
+  buildDeliveryFilter,
+  findDeliveries,
+  replayDelivery
+};
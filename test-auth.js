@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+/**
+ * Auth Test Script
+ * Route-level tests of authentication and role scoping, run against the
+ * app with the model calls mocked, so no MongoDB server is needed.
+ * Usage: node --test test-auth.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const District = require('./models/District');
+const User = require('./models/User');
+const Student = require('./models/Student');
+const { app } = require('./app');
+const { signToken } = require('./middleware/auth');
+const { jwtSecret } = require('./config/auth');
+
+const DISTRICT = { _id: new mongoose.Types.ObjectId(), slug: 'springfield', name: 'Springfield' };
+const SCHOOL = new mongoose.Types.ObjectId();
+const OTHER_SCHOOL = new mongoose.Types.ObjectId();
+const CHILD = new mongoose.Types.ObjectId();
+const STUDENT = new mongoose.Types.ObjectId();
+
+const USERS = {
+  district_admin: new User({ name: 'Dana', email: 'dana@example.com', role: 'district_admin' }),
+  school_admin: new User({ name: 'Sam', email: 'sam@example.com', role: 'school_admin', school: SCHOOL }),
+  teacher: new User({ name: 'Tess', email: 'tess@example.com', role: 'teacher', school: SCHOOL }),
+  parent: new User({ name: 'Pat', email: 'pat@example.com', role: 'parent', students: [CHILD] }),
+  inactive: new User({ name: 'Ivy', email: 'ivy@example.com', role: 'district_admin', isActive: false })
+};
+
+// A chainable stand-in for a mongoose query resolving to `result`
+const fakeQuery = (result) => {
+  const query = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  ['select', 'sort', 'lean', 'session', 'setOptions', 'limit', 'skip', 'populate'].forEach((method) => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+let baseUrl;
+let server;
+
+test.before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => new Promise(resolve => server.close(resolve)));
+
+test.beforeEach(() => {
+  test.mock.method(District, 'findOne', () => fakeQuery(DISTRICT));
+  test.mock.method(User, 'findById', id => Promise.resolve(
+    Object.values(USERS).find(user => String(user._id) === String(id)) || null
+  ));
+});
+
+test.afterEach(() => test.mock.restoreAll());
+
+const request = (method, path, { user, token, body } = {}) => fetch(`${baseUrl}${path}`, {
+  method,
+  headers: {
+    'X-District': DISTRICT.slug,
+    'Content-Type': 'application/json',
+    ...(user || token ? { Authorization: `Bearer ${token || signToken(user)}` } : {})
+  },
+  body: body && JSON.stringify(body)
+});
+
+test('requests need a valid token of an active user', async () => {
+  assert.equal((await request('GET', `/api/students/${STUDENT}`)).status, 401);
+  assert.equal((await request('GET', `/api/students/${STUDENT}`, { token: 'not-a-token' })).status, 401);
+
+  const forged = jwt.sign({ sub: String(USERS.district_admin._id), role: 'district_admin' }, 'another-secret');
+  assert.equal((await request('GET', `/api/students/${STUDENT}`, { token: forged })).status, 401);
+
+  const expired = jwt.sign({ sub: String(USERS.district_admin._id) }, jwtSecret, { expiresIn: -1 });
+  assert.equal((await request('GET', `/api/students/${STUDENT}`, { token: expired })).status, 401);
+
+  assert.equal((await request('GET', `/api/students/${STUDENT}`, { user: USERS.inactive })).status, 401);
+});
+
+test('roles outside a route\'s list are forbidden', async () => {
+  const create = test.mock.method(Student.prototype, 'save', async function save() { return this; });
+
+  assert.equal((await request('GET', '/api/users', { user: USERS.school_admin })).status, 403);
+  assert.equal((await request('GET', '/api/admin/integrity', { user: USERS.teacher })).status, 403);
+  assert.equal((await request('POST', '/api/students', {
+    user: USERS.teacher,
+    body: { firstName: 'Ann', lastName: 'Smith' }
+  })).status, 403);
+  assert.equal((await request('POST', '/api/students', {
+    user: USERS.parent,
+    body: { firstName: 'Ann', lastName: 'Smith' }
+  })).status, 403);
+  assert.equal(create.mock.callCount(), 0);
+});
+
+test('students are read through the scope of the user\'s role', async () => {
+  const findOne = test.mock.method(Student, 'findOne', () => fakeQuery(null));
+
+  for (const role of ['district_admin', 'school_admin', 'teacher', 'parent']) {
+    const response = await request('GET', `/api/students/${STUDENT}`, { user: USERS[role] });
+    assert.equal(response.status, 404, role);
+  }
+
+  const scopes = findOne.mock.calls.map(call => call.arguments[0].$and[1]);
+  assert.deepEqual(scopes, [
+    {},
+    { school: SCHOOL },
+    { school: SCHOOL },
+    { _id: { $in: USERS.parent.students } }
+  ]);
+  findOne.mock.calls.forEach(call => assert.deepEqual(call.arguments[0].$and[0], { _id: String(STUDENT) }));
+});
+
+test('school admins cannot change other schools or add students to them', async () => {
+  const response = await request('PUT', `/api/schools/${OTHER_SCHOOL}`, {
+    user: USERS.school_admin,
+    body: { name: 'Taken Over' }
+  });
+  assert.equal(response.status, 403);
+
+  const created = await request('POST', '/api/students', {
+    user: USERS.school_admin,
+    body: { firstName: 'Ann', lastName: 'Smith', school: String(OTHER_SCHOOL) }
+  });
+  assert.equal(created.status, 403);
+  assert.equal((await created.json()).code, 'FORBIDDEN');
+});
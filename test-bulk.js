@@ -0,0 +1,164 @@
+#!/usr/bin/env node
+
+/**
+ * Bulk Test Script
+ * Behavior tests of services/studentBulk.js with the model calls mocked, so
+ * no MongoDB server is needed.
+ * Usage: node --test test-bulk.js
+ */
+
+// One student per chunk, so chunk failures can be tested with two students
+process.env.BULK_CHUNK_SIZE = '1';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Student = require('./models/Student');
+const School = require('./models/School');
+const User = require('./models/User');
+const Webhook = require('./models/Webhook');
+const { runBulkOperation } = require('./services/studentBulk');
+
+const SESSION = { id: 'session' };
+const ELM = new School({ name: 'Elm', gradeLevels: ['5th', '6th'] });
+const OAK = new School({ name: 'Oak', gradeLevels: ['5th', '6th'] });
+const DISTRICT_ADMIN = new User({ name: 'Dana', email: 'dana@example.com', role: 'district_admin' });
+const ELM_ADMIN = new User({ name: 'Sam', email: 'sam@example.com', role: 'school_admin', school: ELM._id });
+
+// A chainable stand-in for a mongoose query resolving to `result`, or to
+// plain objects after lean()
+const fakeQuery = (result) => {
+  let value = result;
+  const query = { then: (resolve, reject) => Promise.resolve(value).then(resolve, reject) };
+  ['select', 'sort', 'session', 'populate', 'limit'].forEach((method) => {
+    query[method] = () => query;
+  });
+  query.lean = () => {
+    value = Array.isArray(result) ? result.map(doc => doc.toObject()) : result;
+    return query;
+  };
+  return query;
+};
+
+const student = (firstName, fields = {}) => new Student({ firstName, lastName: 'Smith', grade: '5th', ...fields });
+
+// Serve `students` to every Student query and record the filters
+const useStudents = (students) => {
+  const filters = [];
+  const matching = filter => (filter._id && filter._id.$in
+    ? students.filter(doc => filter._id.$in.some(id => String(id) === String(doc._id)))
+    : students);
+  test.mock.method(Student, 'countDocuments', async (filter) => {
+    filters.push(filter);
+    return students.length;
+  });
+  test.mock.method(Student, 'find', (filter) => {
+    const condition = filter.$and ? filter.$and[0] : filter;
+    return fakeQuery(matching(condition));
+  });
+  return filters;
+};
+
+test.beforeEach(() => {
+  test.mock.method(mongoose.connection, 'transaction', fn => fn(SESSION));
+  test.mock.method(School, 'find', () => fakeQuery([ELM, OAK]));
+  test.mock.method(School, 'exists', () => fakeQuery({ _id: OAK._id }));
+  test.mock.method(School, 'updateOne', async () => ({}));
+  test.mock.method(Student.prototype, 'save', async function save() { return this; });
+  // Guardian messages and webhooks find nothing to send
+  test.mock.method(Student, 'findById', () => fakeQuery(null));
+  test.mock.method(Webhook, 'find', () => fakeQuery([]));
+});
+
+test.afterEach(() => test.mock.restoreAll());
+
+test('bulk enroll applies valid students and reports the others', async () => {
+  const ann = student('Ann');
+  const bob = student('Bob', { school: OAK._id });
+  const cy = student('Cy', { grade: '9th' });
+  const missing = new mongoose.Types.ObjectId();
+  useStudents([ann, bob, cy]);
+
+  const result = await runBulkOperation({
+    operation: 'enroll',
+    schoolId: String(OAK._id),
+    ids: [ann._id, bob._id, cy._id, missing].map(String)
+  }, { user: DISTRICT_ADMIN });
+
+  assert.deepEqual([result.updated, result.skipped, result.failed], [1, 1, 2]);
+  const byStudent = new Map(result.results.map(item => [String(item.student), item]));
+  assert.equal(byStudent.get(String(ann._id)).status, 'updated');
+  assert.equal(byStudent.get(String(bob._id)).status, 'skipped');
+  assert.equal(byStudent.get(String(cy._id)).code, 'INVALID_VALUE');
+  assert.equal(byStudent.get(String(missing)).code, 'NOT_FOUND');
+
+  assert.equal(String(ann.school), String(OAK._id));
+  assert.deepEqual(School.updateOne.mock.calls.map(call => call.arguments), [
+    [{ _id: String(OAK._id) }, { $addToSet: { students: ann._id } }, { session: SESSION }]
+  ]);
+  assert.equal(Student.prototype.save.mock.calls[0].arguments[0].session, SESSION);
+});
+
+test('dry runs check students without changing them', async () => {
+  const ann = student('Ann', { school: ELM._id });
+  useStudents([ann]);
+
+  const result = await runBulkOperation({ operation: 'setGrade', grade: '6th', ids: [String(ann._id)] }, {
+    user: DISTRICT_ADMIN,
+    dryRun: true
+  });
+
+  assert.equal(result.valid, 1);
+  assert.equal(result.results[0].status, 'valid');
+  assert.equal(mongoose.connection.transaction.mock.callCount(), 0);
+  assert.equal(ann.grade, '5th');
+});
+
+test('school admins only reach the students of their own school', async () => {
+  const ann = student('Ann', { school: ELM._id });
+  const filters = useStudents([ann]);
+
+  await runBulkOperation({ operation: 'setActive', isActive: false, ids: [String(ann._id)] }, { user: ELM_ADMIN });
+  assert.deepEqual(filters[0].$and[1], { school: ELM._id });
+
+  await assert.rejects(
+    runBulkOperation({ operation: 'enroll', schoolId: String(OAK._id), ids: [String(ann._id)] }, { user: ELM_ADMIN }),
+    error => error.statusCode === 403
+  );
+});
+
+test('a failed chunk fails its students and the next chunks carry on', async () => {
+  const ann = student('Ann', { school: ELM._id });
+  const bob = student('Bob', { school: ELM._id });
+  useStudents([ann, bob]);
+  let calls = 0;
+  mongoose.connection.transaction.mock.mockImplementation((fn) => {
+    calls += 1;
+    return calls === 1 ? Promise.reject(new Error('write conflict')) : fn(SESSION);
+  });
+
+  const result = await runBulkOperation({ operation: 'setActive', isActive: false, ids: [ann, bob].map(doc => String(doc._id)) }, {
+    user: DISTRICT_ADMIN
+  });
+
+  assert.deepEqual([result.updated, result.failed], [1, 1]);
+  assert.match(result.results.find(item => item.status === 'failed').message, /^Chunk failed/);
+  assert.equal(bob.isActive, false);
+});
+
+test('bulk requests need ids or a filter and stay under the size limit', async () => {
+  await assert.rejects(
+    runBulkOperation({ operation: 'setActive', isActive: true }, { user: DISTRICT_ADMIN }),
+    error => error.statusCode === 400 && error.errors[0].field === 'ids'
+  );
+  await assert.rejects(
+    runBulkOperation({ operation: 'setGrade', filter: {} }, { user: DISTRICT_ADMIN }),
+    error => error.statusCode === 400 && error.errors[0].field === 'grade'
+  );
+
+  test.mock.method(Student, 'countDocuments', async () => 5000);
+  await assert.rejects(
+    runBulkOperation({ operation: 'setActive', isActive: true, filter: {} }, { user: DISTRICT_ADMIN }),
+    error => error.name === 'BulkError'
+  );
+});
@@ -12,6 +12,10 @@ const http = require('http');
 const config = {
   // Update this with your deployed API URL
   baseUrl: process.env.API_URL || 'http://localhost:3000',
+  // Token of a district admin, from POST /api/auth/login
+  token: process.env.API_TOKEN,
+  // Slug of that admin's district, unless the server sets DEFAULT_DISTRICT
+  district: process.env.API_DISTRICT,
   timeout: 10000
 };
 
@@ -35,7 +39,12 @@ function makeRequest(url, options = {}) {
     
     const requestOptions = {
       timeout: config.timeout,
-      ...options
+      ...options,
+      headers: {
+        ...(config.token && { Authorization: `Bearer ${config.token}` }),
+        ...(config.district && { 'X-District': config.district }),
+        ...options.headers
+      }
     };
 
     const req = client.request(url, requestOptions, (res) => {
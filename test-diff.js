@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+
+/**
+ * Diff Test Script
+ * Unit tests of utils/diff.js, which builds the field changes of audit
+ * entries.
+ * Usage: node --test test-diff.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { diffObjects } = require('./utils/diff');
+
+test('diffObjects reports changed fields by dotted path', () => {
+  const before = { name: 'Elm', address: { city: 'Springfield' }, updatedAt: new Date(0), __v: 1 };
+  const after = { name: 'Oak', address: { city: 'Springfield', zipCode: '12345' }, updatedAt: new Date(), __v: 2 };
+
+  assert.deepEqual(diffObjects(before, after), [
+    { path: 'address.zipCode', before: null, after: '12345' },
+    { path: 'name', before: 'Elm', after: 'Oak' }
+  ]);
+});
+
+test('diffObjects reports set paths as the members added and removed', () => {
+  const ids = Array.from({ length: 500 }, () => new mongoose.Types.ObjectId());
+  const added = new mongoose.Types.ObjectId();
+  const before = { name: 'Elm', students: ids };
+  const after = { name: 'Elm', students: [...ids.slice(1), added] };
+
+  assert.deepEqual(diffObjects(before, after, { sets: ['students'] }), [
+    { path: 'students', added: [added], removed: [ids[0]] }
+  ]);
+  assert.deepEqual(diffObjects(before, { ...before, students: [...ids].reverse() }, { sets: ['students'] }), []);
+  assert.deepEqual(diffObjects(null, { students: [] }, { sets: ['students'] }), []);
+});
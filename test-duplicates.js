@@ -0,0 +1,257 @@
+#!/usr/bin/env node
+
+/**
+ * Duplicate Detection Test Script
+ * Unit tests of the pair scoring in services/duplicates.js, and behavior
+ * tests of merging with the model calls mocked, so no MongoDB server is
+ * needed.
+ * Usage: node --test test-duplicates.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Student = require('./models/Student');
+const School = require('./models/School');
+const User = require('./models/User');
+const Attendance = require('./models/Attendance');
+const Score = require('./models/Score');
+const FinalGrade = require('./models/FinalGrade');
+const Guardian = require('./models/Guardian');
+const StudentGuardian = require('./models/StudentGuardian');
+const Notification = require('./models/Notification');
+const Class = require('./models/Class');
+const PromotionRun = require('./models/PromotionRun');
+const DuplicateCandidate = require('./models/DuplicateCandidate');
+const Webhook = require('./models/Webhook');
+const {
+  jaroWinkler,
+  toProfile,
+  scorePair,
+  detectDuplicates,
+  dismissCandidate,
+  mergeStudents
+} = require('./services/duplicates');
+
+const profile = (student, contacts = []) => toProfile(
+  { _id: student.id || 'a', ...student },
+  new Map([[student.id || 'a', new Set(contacts)]])
+);
+
+const ann = {
+  firstName: 'Ann',
+  lastName: 'Smith',
+  dateOfBirth: new Date('2015-03-02'),
+  address: { street: '1 Main St.', zipCode: '12345-6789' }
+};
+
+test('jaroWinkler gives the reference similarities', () => {
+  assert.equal(jaroWinkler('martha', 'martha'), 1);
+  assert.equal(jaroWinkler('martha', ''), 0);
+  assert.equal(jaroWinkler('abc', 'xyz'), 0);
+  assert.equal(jaroWinkler('martha', 'marhta').toFixed(3), '0.961');
+  assert.equal(jaroWinkler('dwayne', 'duane').toFixed(3), '0.840');
+  assert.equal(jaroWinkler('dixon', 'dicksonx').toFixed(3), '0.813');
+});
+
+test('toProfile normalizes names, dates and addresses', () => {
+  const result = profile({ firstName: 'José-Luis', lastName: "O'Brien", dateOfBirth: ann.dateOfBirth, address: ann.address });
+
+  assert.equal(result.first, 'joseluis');
+  assert.equal(result.last, 'obrien');
+  assert.equal(result.dateOfBirth, '2015-03-02');
+  assert.equal(result.address, '1mainst|12345');
+  assert.equal(profile({ firstName: 'Ann', lastName: 'Lee' }).address, null);
+});
+
+test('scorePair adds up the weights of the shared signals', () => {
+  const a = profile(ann, ['email:parent@example.com']);
+  const b = profile({ ...ann, address: { street: '1 main st', zipCode: '12345' } }, ['email:parent@example.com']);
+
+  assert.deepEqual(scorePair(a, b), { score: 1, reasons: ['name', 'dateOfBirth', 'guardian', 'address'] });
+});
+
+test('scorePair scales the name weight by similarity and tries swapped names', () => {
+  const typo = scorePair(profile(ann), profile({ ...ann, firstName: 'Anne', address: null }));
+  assert.deepEqual(typo.reasons, ['name', 'dateOfBirth']);
+  assert.ok(typo.score > 0.7 && typo.score < 0.75);
+
+  const swapped = scorePair(profile(ann), profile({ ...ann, firstName: 'Smith', lastName: 'Ann', address: null }));
+  assert.deepEqual(swapped, { score: 0.75, reasons: ['name', 'dateOfBirth'] });
+});
+
+test('scorePair ignores names unless first and last are both close', () => {
+  const sibling = scorePair(profile(ann), profile({ ...ann, firstName: 'Mark' }));
+
+  assert.deepEqual(sibling, { score: 0.4, reasons: ['dateOfBirth', 'address'] });
+  assert.deepEqual(scorePair(profile({ firstName: 'Ann', lastName: 'Lee' }), profile({ firstName: 'Bob', lastName: 'Ray' })), {
+    score: 0,
+    reasons: []
+  });
+});
+
+const SESSION = { id: 'session' };
+
+// A chainable stand-in for a mongoose query resolving to `result` that
+// records the session it runs in
+const fakeQuery = (result, sessions = []) => {
+  const query = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  ['select', 'setOptions', 'lean'].forEach((method) => {
+    query[method] = () => query;
+  });
+  query.session = (session) => {
+    sessions.push(session);
+    return query;
+  };
+  return query;
+};
+
+// Mock the writes and lookups of a merge; returns the sessions used
+const mockMerge = (primary, duplicate) => {
+  const sessions = [];
+  const reply = result => () => fakeQuery(result, sessions);
+  const write = (...args) => {
+    sessions.push(args[2] && args[2].session);
+    return fakeQuery({ modifiedCount: 1 });
+  };
+
+  test.mock.method(mongoose.connection, 'transaction', fn => fn(SESSION));
+  test.mock.method(Student, 'findById', id => fakeQuery(
+    [primary, duplicate].find(student => String(student._id) === String(id)) || null,
+    sessions
+  ));
+  test.mock.method(Student.prototype, 'save', async function save(options) {
+    sessions.push(options.session);
+    return this;
+  });
+  [Attendance, Score, FinalGrade, StudentGuardian, Class, User].forEach((Model) => {
+    test.mock.method(Model, 'distinct', reply([]));
+  });
+  [Attendance, Score, FinalGrade, StudentGuardian].forEach((Model) => {
+    test.mock.method(Model, 'countDocuments', reply(0));
+  });
+  test.mock.method(StudentGuardian, 'exists', reply(null));
+  [Attendance, Score, FinalGrade, StudentGuardian, Notification, Class, PromotionRun, DuplicateCandidate].forEach((Model) => {
+    test.mock.method(Model, 'updateMany', write);
+  });
+  test.mock.method(School, 'updateOne', write);
+  // Refreshing grades and queuing webhooks after the transaction
+  test.mock.method(FinalGrade, 'aggregate', async () => []);
+  test.mock.method(Student, 'updateOne', () => fakeQuery({}));
+  test.mock.method(Webhook, 'find', () => fakeQuery([]));
+  return sessions;
+};
+
+const mergeable = (firstName, fields = {}) => new Student({
+  firstName,
+  lastName: 'Smith',
+  email: `${firstName.toLowerCase()}@example.com`,
+  grade: '5th',
+  ...fields
+});
+
+const ADMIN = new User({ name: 'Dana', email: 'dana@example.com', role: 'district_admin' });
+
+test.afterEach(() => test.mock.restoreAll());
+
+test('mergeStudents moves records to the primary and archives the duplicate in one transaction', async () => {
+  const school = new mongoose.Types.ObjectId();
+  const primary = mergeable('Ann', { school, enrollments: [{ school, startDate: new Date('2024-09-02') }] });
+  const duplicate = mergeable('Anne', {
+    phone: '555-0100',
+    enrollments: [{ school: new mongoose.Types.ObjectId(), startDate: new Date('2023-09-04'), endDate: new Date('2024-06-14') }]
+  });
+  const sessions = mockMerge(primary, duplicate);
+
+  const result = await mergeStudents({
+    primary: String(primary._id),
+    duplicate: String(duplicate._id),
+    fields: { phone: 'duplicate' }
+  }, { user: ADMIN });
+
+  assert.ok(sessions.length > 0);
+  sessions.forEach(session => assert.equal(session, SESSION));
+
+  assert.equal(primary.phone, '555-0100');
+  assert.equal(primary.firstName, 'Ann');
+  assert.equal(String(primary.school), String(school));
+  assert.deepEqual(primary.enrollments.map(entry => entry.startDate.getFullYear()), [2023, 2024]);
+
+  assert.equal(String(duplicate.mergedInto), String(primary._id));
+  assert.ok(duplicate.deletedAt);
+  assert.equal(duplicate.email, `merged-${duplicate._id}-anne@example.com`);
+
+  assert.equal(result.moved.attendance, 1);
+  assert.deepEqual(DuplicateCandidate.updateMany.mock.calls[0].arguments.slice(0, 2), [
+    { $or: [{ studentA: duplicate._id }, { studentB: duplicate._id }], status: 'open' },
+    { $set: { status: 'merged' } }
+  ]);
+});
+
+test('mergeStudents refuses bad requests before changing anything', async () => {
+  const elm = new mongoose.Types.ObjectId();
+  const primary = mergeable('Ann', { school: elm });
+  const duplicate = mergeable('Anne', { school: new mongoose.Types.ObjectId() });
+  mockMerge(primary, duplicate);
+  const elmAdmin = new User({ name: 'Sam', email: 'sam@example.com', role: 'school_admin', school: elm });
+  const ids = { primary: String(primary._id), duplicate: String(duplicate._id) };
+
+  await assert.rejects(mergeStudents({ ...ids, duplicate: ids.primary }, { user: ADMIN }), error => error.statusCode === 400);
+  await assert.rejects(mergeStudents({ ...ids, fields: { school: 'duplicate' } }, { user: ADMIN }), (error) => {
+    assert.equal(error.errors[0].code, 'READ_ONLY');
+    return true;
+  });
+  await assert.rejects(mergeStudents(ids, { user: elmAdmin }), error => error.statusCode === 403);
+  await assert.rejects(
+    mergeStudents({ ...ids, duplicate: String(new mongoose.Types.ObjectId()) }, { user: ADMIN }),
+    error => error.statusCode === 404
+  );
+
+  assert.equal(Student.prototype.save.mock.callCount(), 0);
+  assert.equal(Attendance.updateMany.mock.callCount(), 0);
+});
+
+test('detectDuplicates leaves dismissed pairs alone', async () => {
+  const [first, second, third] = [1, 2, 3]
+    .map(() => new mongoose.Types.ObjectId())
+    .sort((a, b) => String(a).localeCompare(String(b)));
+  const twin = _id => ({ _id, ...ann });
+  test.mock.method(Student, 'find', () => fakeQuery([twin(first), twin(second), twin(third)]));
+  test.mock.method(StudentGuardian, 'find', () => fakeQuery([]));
+  test.mock.method(Guardian, 'find', () => fakeQuery([]));
+  test.mock.method(DuplicateCandidate, 'find', () => fakeQuery([{ studentA: first, studentB: second }]));
+  const upsert = test.mock.method(DuplicateCandidate, 'findOneAndUpdate', async () => ({}));
+  const deleteMany = test.mock.method(DuplicateCandidate, 'deleteMany', async () => ({}));
+
+  await detectDuplicates({ minScore: 0.65 });
+
+  const stored = upsert.mock.calls.map(call => call.arguments[0]);
+  assert.deepEqual(stored, [
+    { studentA: String(first), studentB: String(third) },
+    { studentA: String(second), studentB: String(third) }
+  ]);
+  assert.equal(DuplicateCandidate.find.mock.calls[0].arguments[0].status, 'dismissed');
+  assert.equal(deleteMany.mock.calls[0].arguments[0].status, 'open');
+});
+
+test('dismissCandidate marks an open pair as dismissed', async () => {
+  const elm = new mongoose.Types.ObjectId();
+  const students = [mergeable('Ann', { school: elm }), mergeable('Anne', { school: new mongoose.Types.ObjectId() })];
+  const candidate = new DuplicateCandidate({ studentA: students[0]._id, studentB: students[1]._id, score: 0.9 });
+  test.mock.method(DuplicateCandidate, 'findById', async () => candidate);
+  test.mock.method(Student, 'find', () => fakeQuery(students));
+  const save = test.mock.method(DuplicateCandidate.prototype, 'save', async function save() { return this; });
+  const elmAdmin = new User({ name: 'Sam', email: 'sam@example.com', role: 'school_admin', school: elm });
+
+  await assert.rejects(dismissCandidate(String(candidate._id), { user: elmAdmin }), error => error.statusCode === 403);
+  assert.equal(candidate.status, 'open');
+
+  await dismissCandidate(String(candidate._id), { user: ADMIN });
+  assert.equal(candidate.status, 'dismissed');
+  assert.equal(String(candidate.dismissedBy), String(ADMIN._id));
+  assert.equal(save.mock.callCount(), 1);
+
+  candidate.status = 'merged';
+  await assert.rejects(dismissCandidate(String(candidate._id), { user: ADMIN }), error => error.statusCode === 409);
+  await assert.rejects(dismissCandidate('nope', { user: ADMIN }), error => error.statusCode === 404);
+});
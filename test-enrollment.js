@@ -0,0 +1,207 @@
+#!/usr/bin/env node
+
+/**
+ * Enrollment Test Script
+ * Behavior tests of services/enrollment.js with the model calls mocked, so
+ * no MongoDB server is needed.
+ * Usage: node --test test-enrollment.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Student = require('./models/Student');
+const School = require('./models/School');
+const Class = require('./models/Class');
+const {
+  createStudent,
+  createStudents,
+  transferStudent,
+  unenrollStudent
+} = require('./services/enrollment');
+
+// Stands in for the transaction's session; every write must carry it
+const SESSION = { id: 'session' };
+const SCHOOL = new mongoose.Types.ObjectId();
+
+test.beforeEach(() => {
+  test.mock.method(mongoose.connection, 'transaction', fn => fn(SESSION));
+});
+
+// A query resolving to `result` that records the session it runs in
+const sessionQuery = (result, sessions) => ({
+  session(session) {
+    sessions.push(session);
+    return Promise.resolve(result);
+  }
+});
+
+test.afterEach(() => test.mock.restoreAll());
+
+const MANAGED = {
+  _id: new mongoose.Types.ObjectId(),
+  mergedInto: new mongoose.Types.ObjectId(),
+  deletedAt: new Date(),
+  deletedBy: new mongoose.Types.ObjectId(),
+  gpa: 4,
+  averagePercent: 100,
+  enrollments: [{ school: new mongoose.Types.ObjectId(), startDate: new Date() }],
+  __v: 7
+};
+
+test('createStudent keeps only the fields clients may set', async () => {
+  test.mock.method(Student.prototype, 'save', async function save() { return this; });
+
+  const student = await createStudent({ firstName: 'Ann', lastName: 'Smith', grade: '5th', ...MANAGED });
+
+  assert.equal(student.firstName, 'Ann');
+  assert.notEqual(String(student._id), String(MANAGED._id));
+  assert.equal(student.mergedInto, null);
+  assert.equal(student.deletedAt, null);
+  assert.equal(student.deletedBy, null);
+  assert.equal(student.gpa, null);
+  assert.equal(student.enrollments.length, 0);
+});
+
+test('createStudents keeps only the fields clients may set', async () => {
+  const insertMany = test.mock.method(Student, 'insertMany', async docs => docs);
+
+  await createStudents([{ firstName: 'Ann', lastName: 'Smith', ...MANAGED }]);
+
+  const [[student]] = insertMany.mock.calls[0].arguments;
+  assert.equal(student.firstName, 'Ann');
+  assert.notEqual(String(student._id), String(MANAGED._id));
+  assert.equal(student.deletedAt, null);
+  assert.equal(student.mergedInto, null);
+});
+
+test('createStudent writes the student and its school link in one transaction', async () => {
+  const sessions = [];
+  test.mock.method(School, 'exists', () => sessionQuery({ _id: SCHOOL }, sessions));
+  const save = test.mock.method(Student.prototype, 'save', async function save() { return this; });
+  const updateOne = test.mock.method(School, 'updateOne', async () => ({}));
+
+  const student = await createStudent({ firstName: 'Ann', lastName: 'Smith', grade: '5th', school: String(SCHOOL) });
+
+  assert.deepEqual(sessions, [SESSION]);
+  assert.equal(save.mock.calls[0].arguments[0].session, SESSION);
+  assert.deepEqual(updateOne.mock.calls[0].arguments, [
+    { _id: student.school },
+    { $addToSet: { students: student._id } },
+    { session: SESSION }
+  ]);
+  assert.equal(student.enrollments.length, 1);
+  assert.equal(String(student.enrollments[0].school), String(SCHOOL));
+});
+
+test('createStudent fails as a whole when a step fails', async () => {
+  test.mock.method(School, 'exists', () => sessionQuery({ _id: SCHOOL }, []));
+  test.mock.method(Student.prototype, 'save', async function save() { return this; });
+  test.mock.method(School, 'updateOne', async () => { throw new Error('write conflict'); });
+
+  // The transaction sees the error, so the driver aborts the student insert
+  await assert.rejects(createStudent({ firstName: 'Ann', lastName: 'Smith', school: String(SCHOOL) }), /write conflict/);
+  await assert.rejects(mongoose.connection.transaction.mock.calls[0].result, /write conflict/);
+});
+
+test('createStudent refuses a school that does not exist', async () => {
+  test.mock.method(School, 'exists', () => sessionQuery(null, []));
+  const save = test.mock.method(Student.prototype, 'save', async function save() { return this; });
+
+  await assert.rejects(createStudent({ firstName: 'Ann', lastName: 'Smith', school: String(SCHOOL) }), (error) => {
+    assert.equal(error.name, 'EnrollmentError');
+    assert.equal(error.statusCode, 400);
+    return true;
+  });
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test('createStudents links each school once with all of its new students', async () => {
+  test.mock.method(Student, 'insertMany', async docs => docs);
+  const bulkWrite = test.mock.method(School, 'bulkWrite', async () => ({}));
+
+  const inserted = await createStudents([
+    { firstName: 'Ann', lastName: 'Smith', school: String(SCHOOL) },
+    { firstName: 'Bob', lastName: 'Jones', school: String(SCHOOL) },
+    { firstName: 'Cy', lastName: 'Young' }
+  ]);
+
+  assert.equal(Student.insertMany.mock.calls[0].arguments[1].session, SESSION);
+  const [operations, options] = bulkWrite.mock.calls[0].arguments;
+  assert.equal(options.session, SESSION);
+  assert.deepEqual(operations, [{
+    updateOne: {
+      filter: { _id: String(SCHOOL) },
+      update: { $addToSet: { students: { $each: [inserted[0]._id, inserted[1]._id] } } }
+    }
+  }]);
+});
+
+// A saved-looking student enrolled at `school` since September
+const enrolledStudent = school => new Student({
+  firstName: 'Ann',
+  lastName: 'Smith',
+  grade: '5th',
+  school,
+  enrollments: [{ school, startDate: new Date('2024-09-02'), gradeAtEntry: '5th' }]
+});
+
+test('transferStudent closes the old enrollment and moves both sides of the link', async () => {
+  const newSchool = new mongoose.Types.ObjectId();
+  const student = enrolledStudent(SCHOOL);
+  test.mock.method(Student, 'findById', () => sessionQuery(student, []));
+  test.mock.method(School, 'exists', () => sessionQuery({ _id: newSchool }, []));
+  test.mock.method(Student.prototype, 'save', async function save() { return this; });
+  const updateOne = test.mock.method(School, 'updateOne', async () => ({}));
+  const updateMany = test.mock.method(Class, 'updateMany', async () => ({}));
+  const date = new Date('2025-01-06');
+
+  await transferStudent(student._id, String(newSchool), { date, grade: '6th', notes: 'Moved' });
+
+  const [previous, current] = student.enrollments;
+  assert.equal(previous.endDate.getTime(), date.getTime());
+  assert.equal(previous.reason, 'transfer');
+  assert.equal(String(current.school), String(newSchool));
+  assert.equal(current.startDate.getTime(), date.getTime());
+  assert.equal(current.gradeAtEntry, '6th');
+  assert.equal(current.endDate, null);
+  assert.equal(String(student.school), String(newSchool));
+
+  assert.deepEqual(updateOne.mock.calls.map(call => call.arguments), [
+    [{ _id: SCHOOL }, { $pull: { students: student._id } }, { session: SESSION }],
+    [{ _id: String(newSchool) }, { $addToSet: { students: student._id } }, { session: SESSION }]
+  ]);
+  assert.deepEqual(updateMany.mock.calls[0].arguments, [
+    { school: SCHOOL, students: student._id },
+    { $pull: { students: student._id } },
+    { session: SESSION }
+  ]);
+});
+
+test('transferStudent refuses students without a school and moves to the same school', async () => {
+  const unenrolled = new Student({ firstName: 'Bob', lastName: 'Jones' });
+  test.mock.method(Student, 'findById', id => sessionQuery(
+    String(id) === String(unenrolled._id) ? unenrolled : enrolledStudent(SCHOOL),
+    []
+  ));
+  const save = test.mock.method(Student.prototype, 'save', async function save() { return this; });
+
+  await assert.rejects(transferStudent(unenrolled._id, String(SCHOOL)), /enroll them instead/);
+  await assert.rejects(transferStudent(new mongoose.Types.ObjectId(), String(SCHOOL)), /already enrolled/);
+  assert.equal(save.mock.callCount(), 0);
+});
+
+test('unenrollStudent records the reason and only accepts known reasons', async () => {
+  const student = enrolledStudent(SCHOOL);
+  test.mock.method(Student, 'findById', () => sessionQuery(student, []));
+  test.mock.method(Student.prototype, 'save', async function save() { return this; });
+  test.mock.method(School, 'updateOne', async () => ({}));
+  test.mock.method(Class, 'updateMany', async () => ({}));
+
+  await assert.rejects(unenrollStudent(student._id, { reason: 'expelled' }), error => error.statusCode === 400);
+  assert.equal(student.enrollments[0].endDate, null);
+
+  await unenrollStudent(student._id, { reason: 'graduation' });
+  assert.equal(student.enrollments[0].reason, 'graduation');
+  assert.equal(student.school, null);
+});
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Export Test Script
+ * Unit tests of services/export.js: spreadsheet cells are never formulas.
+ * Usage: node --test test-export.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Writable } = require('stream');
+const ExcelJS = require('exceljs');
+const { escapeCell, streamCsv, streamXlsx } = require('./services/export');
+
+const COLUMNS = [
+  { header: 'Name', value: doc => doc.name },
+  { header: 'Phone', value: doc => doc.phone },
+  { header: 'Score', value: doc => doc.score }
+];
+
+const DOCS = [
+  { name: '=HYPERLINK("http://evil.example","Click")', phone: '+1 555 0100', score: -3 },
+  { name: 'Ann Smith', phone: null, score: 90 }
+];
+
+// Collect what an exporter writes
+const capture = () => {
+  const chunks = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    }
+  });
+  stream.contents = () => Buffer.concat(chunks);
+  return stream;
+};
+
+test('escapeCell quotes text that a spreadsheet would run', () => {
+  ['=1+1', '+1', '-1', '@SUM(A1)', '\tx', '\rx'].forEach((value) => {
+    assert.equal(escapeCell(value), `'${value}`);
+  });
+  assert.equal(escapeCell('Ann'), 'Ann');
+  assert.equal(escapeCell(-3), -3);
+  assert.equal(escapeCell(''), '');
+});
+
+test('CSV exports escape formula cells', async () => {
+  const out = capture();
+  await streamCsv(out, DOCS, COLUMNS);
+
+  assert.equal(out.contents().toString(), [
+    'Name,Phone,Score',
+    '"\'=HYPERLINK(""http://evil.example"",""Click"")",\'+1 555 0100,-3',
+    'Ann Smith,,90',
+    ''
+  ].join('\n'));
+});
+
+test('XLSX exports escape formula cells', async () => {
+  const out = capture();
+  await streamXlsx(out, DOCS, COLUMNS, 'Students');
+
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(out.contents());
+  const row = workbook.getWorksheet('Students').getRow(2);
+
+  assert.equal(row.getCell(1).value, '\'=HYPERLINK("http://evil.example","Click")');
+  assert.equal(row.getCell(2).value, '\'+1 555 0100');
+  assert.equal(row.getCell(3).value, -3);
+});
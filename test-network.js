@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+
+/**
+ * Network Test Script
+ * Unit tests of utils/network.js and the webhook URL checks: webhooks
+ * cannot be pointed at private or reserved addresses.
+ * Usage: node --test test-network.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isPublicAddress, assertPublicUrl } = require('./utils/network');
+const { createWebhook } = require('./services/webhooks');
+
+test('isPublicAddress refuses loopback, private, link-local and reserved addresses', () => {
+  [
+    '127.0.0.1', '10.1.2.3', '172.16.0.1', '192.168.1.1', '169.254.169.254', '100.64.0.1',
+    '0.0.0.0', '224.0.0.1', '255.255.255.255', '::1', '::', 'fe80::1', 'fd00::1',
+    '::ffff:127.0.0.1', '::ffff:a9fe:a9fe', 'localhost'
+  ].forEach(address => assert.equal(isPublicAddress(address), false, address));
+
+  ['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111', '::ffff:8.8.8.8'].forEach((address) => {
+    assert.equal(isPublicAddress(address), true, address);
+  });
+});
+
+test('assertPublicUrl checks IP literals and resolved host names', async () => {
+  await assert.rejects(assertPublicUrl('http://169.254.169.254/latest/meta-data'), /private or reserved/);
+  await assert.rejects(assertPublicUrl('http://[::1]:3000/hook'), /private or reserved/);
+  await assert.rejects(assertPublicUrl('http://localhost:3000/hook'), /private or reserved/);
+  await assert.doesNotReject(assertPublicUrl('https://8.8.8.8/hook'));
+});
+
+test('webhooks cannot be registered for private addresses', async () => {
+  await assert.rejects(createWebhook({ url: 'http://127.0.0.1:27017/', events: ['student.created'] }), (error) => {
+    assert.equal(error.name, 'WebhookError');
+    assert.equal(error.statusCode, 400);
+    return true;
+  });
+});
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+/**
+ * OpenAPI Test Script
+ * Fails when a registered route is missing from docs/operations.js (and so
+ * undocumented in /api/openapi.json), or when an entry no longer has a route.
+ * Usage: node test-openapi.js
+ */
+
+const { app, mounts } = require('./app');
+const operations = require('./docs/operations');
+const { listRoutes, operationKey, buildSpec } = require('./docs/openapi');
+
+// Colors for console output
+const colors = {
+  green: '\x1b[32m',
+  red: '\x1b[31m',
+  reset: '\x1b[0m'
+};
+
+function log(message, color = 'reset') {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+function runTests() {
+  const routes = listRoutes(app, mounts);
+  const routeKeys = new Set(routes.map(operationKey));
+  const spec = buildSpec(app, mounts);
+  const failures = [];
+
+  routes.forEach((route) => {
+    const key = operationKey(route);
+    if (!operations[key]) {
+      failures.push(`Route missing from the OpenAPI spec: ${key}`);
+    }
+    if (!spec.paths[route.path] || !spec.paths[route.path][route.method.toLowerCase()]) {
+      failures.push(`Route not in the generated document: ${key}`);
+    }
+  });
+
+  Object.keys(operations).forEach((key) => {
+    if (!routeKeys.has(key)) {
+      failures.push(`Documented operation has no route: ${key}`);
+    }
+  });
+
+  // Every referenced component schema must exist
+  const refs = JSON.stringify(spec.paths).match(/#\/components\/schemas\/[A-Za-z]+/g) || [];
+  refs.forEach((ref) => {
+    const name = ref.split('/').pop();
+    if (!spec.components.schemas[name]) {
+      failures.push(`Unknown schema referenced: ${name}`);
+    }
+  });
+
+  if (failures.length) {
+    failures.forEach(failure => log(`❌ ${failure}`, 'red'));
+    process.exit(1);
+  }
+
+  log(`✅ All ${routes.length} routes are documented in the OpenAPI spec`, 'green');
+}
+
+runTests();
@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Pagination Test Script
+ * Unit tests of utils/pagination.js: list query parsing and cursors.
+ * Usage: node --test test-pagination.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const School = require('./models/School');
+const { DEFAULT_LIMIT, MAX_LIMIT, parseListQuery, applyCursor } = require('./utils/pagination');
+
+const id = () => new mongoose.Types.ObjectId();
+
+test('parseListQuery defaults to the first page sorted by _id', () => {
+  const options = parseListQuery(School, {});
+
+  assert.deepEqual(options.errors, []);
+  assert.equal(options.page, 1);
+  assert.equal(options.limit, DEFAULT_LIMIT);
+  assert.equal(options.skip, 0);
+  assert.deepEqual(options.sort, { _id: 1 });
+});
+
+test('parseListQuery parses pages, indexed sorts and fields', () => {
+  const options = parseListQuery(School, { page: '3', limit: '500', sort: '-name', fields: 'name,address' });
+
+  assert.deepEqual(options.errors, []);
+  assert.equal(options.limit, MAX_LIMIT);
+  assert.equal(options.skip, 2 * MAX_LIMIT);
+  assert.deepEqual(options.sort, { name: -1, _id: 1 });
+  assert.deepEqual(options.fields, ['name', 'address']);
+});
+
+test('parseListQuery reports invalid parameters by field', () => {
+  const after = String(id());
+  const options = parseListQuery(School, { page: '0', limit: 'x', sort: 'principal', fields: 'secret', after });
+
+  assert.deepEqual(options.errors.map(error => error.field), ['limit', 'page', 'sort', 'fields']);
+  assert.equal(parseListQuery(School, { after: 'nope' }).errors[0].code, 'INVALID_TYPE');
+  assert.equal(parseListQuery(School, { after, sort: 'name' }).errors[0].field, 'after');
+});
+
+test('applyCursor leaves the filter alone without a cursor', () => {
+  const filter = { grade: '5th' };
+  assert.equal(applyCursor(filter, parseListQuery(School, {})), filter);
+});
+
+test('applyCursor keeps _id conditions of the filter', () => {
+  const scope = { _id: { $in: [id(), id()] } };
+  const after = id();
+  const filter = applyCursor(scope, parseListQuery(School, { after: String(after) }));
+
+  assert.deepEqual(filter, { $and: [scope, { _id: { $gt: after } }] });
+  assert.deepEqual(
+    applyCursor(scope, parseListQuery(School, { after: String(after), sort: '-_id' })).$and[1],
+    { _id: { $lt: after } }
+  );
+});
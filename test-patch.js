@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Patch Test Script
+ * Unit tests of utils/patch.js: JSON Merge Patch, JSON Patch and the
+ * mutable field whitelists.
+ * Usage: node --test test-patch.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MERGE_PATCH,
+  JSON_PATCH,
+  assertMutable,
+  mergePatch,
+  applyJsonPatch,
+  patchFields
+} = require('./utils/patch');
+
+const FIELDS = ['firstName', 'grade', 'school', 'address'];
+
+const fieldErrors = error => error.errors.map(({ code, field }) => ({ code, field }));
+
+test('mergePatch merges objects, replaces other values and removes nulls', () => {
+  const target = { firstName: 'Ann', address: { city: 'Springfield', zipCode: '12345' }, tags: [1, 2] };
+  const result = mergePatch(target, { address: { city: 'Shelbyville', zipCode: null }, tags: [3] });
+
+  assert.deepEqual(result, { firstName: 'Ann', address: { city: 'Shelbyville' }, tags: [3] });
+  assert.deepEqual(target.address, { city: 'Springfield', zipCode: '12345' });
+});
+
+test('assertMutable rejects fields outside the whitelist', () => {
+  assert.doesNotThrow(() => assertMutable({ firstName: 'Ann' }, FIELDS));
+  assert.throws(() => assertMutable({ firstName: 'Ann', gpa: 4, students: [] }, FIELDS), (error) => {
+    assert.equal(error.statusCode, 400);
+    assert.deepEqual(fieldErrors(error), [
+      { code: 'READ_ONLY', field: 'gpa' },
+      { code: 'READ_ONLY', field: 'students' }
+    ]);
+    return true;
+  });
+});
+
+test('applyJsonPatch applies operations in order to a copy', () => {
+  const document = { firstName: 'Ann', grade: '5th', address: { city: 'Springfield' } };
+  const result = applyJsonPatch(document, [
+    { op: 'replace', path: '/grade', value: '6th' },
+    { op: 'add', path: '/address/zipCode', value: '12345' },
+    { op: 'copy', from: '/address/city', path: '/school' },
+    { op: 'remove', path: '/school' },
+    { op: 'move', from: '/address/zipCode', path: '/address/zip' },
+    { op: 'test', path: '/grade', value: '6th' }
+  ], FIELDS);
+
+  assert.deepEqual(result, { firstName: 'Ann', grade: '6th', address: { city: 'Springfield', zip: '12345' } });
+  assert.equal(document.grade, '5th');
+});
+
+test('applyJsonPatch reports a failed test as a conflict', () => {
+  assert.throws(() => applyJsonPatch({ grade: '5th' }, [{ op: 'test', path: '/grade', value: '6th' }], FIELDS), (error) => {
+    assert.equal(error.statusCode, 409);
+    assert.deepEqual(fieldErrors(error), [{ code: 'TEST_FAILED', field: 'grade' }]);
+    return true;
+  });
+});
+
+test('applyJsonPatch names bad paths by dotted field', () => {
+  assert.throws(() => applyJsonPatch({ address: {} }, [{ op: 'remove', path: '/address/city' }], FIELDS), (error) => {
+    assert.deepEqual(fieldErrors(error), [{ code: 'INVALID_PATH', field: 'address.city' }]);
+    return true;
+  });
+  assert.throws(() => applyJsonPatch({}, [{ op: 'add', path: '/gpa', value: 4 }], FIELDS), (error) => {
+    assert.deepEqual(fieldErrors(error), [{ code: 'READ_ONLY', field: 'gpa' }]);
+    return true;
+  });
+  assert.throws(() => applyJsonPatch({}, { op: 'add' }, FIELDS), error => error.statusCode === 400);
+});
+
+test('patchFields returns changed fields, with null for removed ones', () => {
+  const doc = { toObject: () => ({ firstName: 'Ann', grade: '5th', school: 'abc', gpa: 3.2 }) };
+  const request = (type, body) => ({ is: wanted => wanted === type, body });
+
+  assert.deepEqual(patchFields(request(MERGE_PATCH, { grade: '6th', school: null }), doc, FIELDS), {
+    grade: '6th',
+    school: null
+  });
+  assert.deepEqual(patchFields(request(JSON_PATCH, [{ op: 'replace', path: '/firstName', value: 'Anne' }]), doc, FIELDS), {
+    firstName: 'Anne'
+  });
+  assert.throws(() => patchFields(request('text/plain', 'grade=6th'), doc, FIELDS), error => error.statusCode === 415);
+});
+
+test('patches cannot reach Object.prototype', () => {
+  const rejected = (error) => {
+    assert.equal(error.statusCode, 400);
+    assert.equal(error.errors[0].code, 'INVALID_PATH');
+    return true;
+  };
+
+  ['/address/__proto__/polluted', '/address/constructor/prototype/polluted', '/__proto__'].forEach((path) => {
+    assert.throws(() => applyJsonPatch({ address: {} }, [{ op: 'add', path, value: 'yes' }], [...FIELDS, '__proto__']), rejected);
+  });
+  assert.throws(() => applyJsonPatch({ address: {} }, [{ op: 'copy', from: '/address/constructor', path: '/grade' }], FIELDS), rejected);
+  assert.throws(() => mergePatch({ address: {} }, JSON.parse('{ "address": { "__proto__": { "polluted": "yes" } } }')), rejected);
+  assert.throws(() => patchFields(
+    { is: type => type === MERGE_PATCH, body: JSON.parse('{ "address": { "constructor": { "prototype": { "polluted": "yes" } } } }') },
+    { toObject: () => ({ address: {} }) },
+    FIELDS
+  ), rejected);
+
+  assert.equal({}.polluted, undefined);
+  assert.equal(Object.prototype.polluted, undefined);
+});
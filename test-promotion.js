@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+
+/**
+ * Promotion Test Script
+ * Behavior tests of services/promotion.js with the model calls mocked, so
+ * no MongoDB server is needed.
+ * Usage: node --test test-promotion.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Student = require('./models/Student');
+const School = require('./models/School');
+const PromotionRun = require('./models/PromotionRun');
+const { runPromotion, rollbackLastRun } = require('./services/promotion');
+
+const SCHOOL = new mongoose.Types.ObjectId();
+const YEAR = '2024-2025';
+
+// A chainable stand-in for a mongoose query resolving to `result`
+const fakeQuery = (result) => {
+  const query = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  ['select', 'sort', 'lean', 'session', 'setOptions', 'limit', 'populate'].forEach((method) => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+test.beforeEach(() => {
+  test.mock.method(Student, 'find', () => fakeQuery([
+    { _id: new mongoose.Types.ObjectId(), firstName: 'Ann', lastName: 'Smith', grade: '5th', school: SCHOOL }
+  ]));
+  test.mock.method(School, 'find', () => fakeQuery([{ _id: SCHOOL, gradeLevels: ['5th', '6th'] }]));
+  test.mock.method(mongoose.connection, 'transaction', fn => fn(null));
+});
+
+test.afterEach(() => test.mock.restoreAll());
+
+test('runPromotion records the academic year and school of the run', async () => {
+  test.mock.method(PromotionRun, 'findOne', () => fakeQuery(null));
+  const updateMany = test.mock.method(Student, 'updateMany', async () => ({}));
+  const create = test.mock.method(PromotionRun, 'create', async docs => docs);
+
+  const { run } = await runPromotion({ academicYear: YEAR, school: String(SCHOOL) });
+
+  assert.equal(run.academicYear, YEAR);
+  assert.equal(run.school, String(SCHOOL));
+  assert.equal(run.counts.promote, 1);
+  assert.equal(updateMany.mock.callCount(), 1);
+  assert.equal(create.mock.callCount(), 1);
+});
+
+test('runPromotion refuses a second run of the same year', async () => {
+  const findOne = test.mock.method(PromotionRun, 'findOne', () => fakeQuery({ _id: 'run1', school: null }));
+  const updateMany = test.mock.method(Student, 'updateMany', async () => ({}));
+
+  await assert.rejects(runPromotion({ academicYear: YEAR, school: String(SCHOOL) }), (error) => {
+    assert.equal(error.statusCode, 409);
+    assert.match(error.message, /already promoted for the district/);
+    return true;
+  });
+  assert.deepEqual(findOne.mock.calls[0].arguments[0], {
+    academicYear: YEAR,
+    rolledBackAt: null,
+    school: { $in: [String(SCHOOL), null] }
+  });
+  assert.equal(updateMany.mock.callCount(), 0);
+
+  await runPromotion({ academicYear: YEAR }).catch(() => {});
+  assert.deepEqual(findOne.mock.calls[1].arguments[0], { academicYear: YEAR, rolledBackAt: null });
+});
+
+test('runPromotion requires the academic year', async () => {
+  await assert.rejects(runPromotion({ school: String(SCHOOL) }), error => error.statusCode === 400);
+});
+
+test('rollbackLastRun only picks runs of the given school, or district-wide runs', async () => {
+  const findOne = test.mock.method(PromotionRun, 'findOne', () => fakeQuery(null));
+
+  await assert.rejects(rollbackLastRun({ school: String(SCHOOL) }), error => error.statusCode === 404);
+  await assert.rejects(rollbackLastRun(), error => error.statusCode === 404);
+
+  assert.deepEqual(findOne.mock.calls.map(call => call.arguments[0]), [
+    { school: String(SCHOOL), rolledBackAt: null },
+    { school: null, rolledBackAt: null }
+  ]);
+});
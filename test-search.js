@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+/**
+ * Search Test Script
+ * Unit tests of the query parsing and typo-tolerant matching in
+ * utils/search.js.
+ * Usage: node --test test-search.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MAX_TOKEN_LENGTH, tokenize, fuzzyPattern } = require('./utils/search');
+
+const matches = (token, word) => new RegExp(`^${fuzzyPattern(token)}`).test(word);
+
+test('tokenize lowercases and splits the query, keeping five words', () => {
+  assert.deepEqual(tokenize('  Jon   SMI '), ['jon', 'smi']);
+  assert.deepEqual(tokenize('a b c d e f'), ['a', 'b', 'c', 'd', 'e']);
+});
+
+test('fuzzyPattern matches word prefixes with one wrong, missing or extra letter', () => {
+  assert.ok(matches('jonathan', 'jonathan'));
+  assert.ok(matches('smyth', 'smith'));
+  assert.ok(matches('jonthan', 'jonathan'));
+  assert.ok(matches('jonnathan', 'jonathan'));
+  assert.ok(matches('smit', 'smithson'));
+  assert.ok(!matches('smyht', 'smith'));
+  assert.ok(!matches('brown', 'smith'));
+});
+
+test('fuzzyPattern matches short tokens exactly and escapes regex characters', () => {
+  assert.ok(matches('smi', 'smith'));
+  assert.ok(!matches('smy', 'smith'));
+  assert.ok(!matches('a.b+', 'axbb'));
+  assert.ok(matches('a.b+', 'a.b+'));
+});
+
+test('long words are cut and matched without typo variants', () => {
+  const word = 'x'.repeat(4000);
+  const [token] = tokenize(word);
+
+  assert.equal(token.length, MAX_TOKEN_LENGTH);
+  assert.equal(fuzzyPattern(token), token);
+  assert.ok(fuzzyPattern('abcdefghijklmnopqrst').length < 2000);
+});
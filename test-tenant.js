@@ -0,0 +1,117 @@
+#!/usr/bin/env node
+
+/**
+ * Tenant Test Script
+ * Tests of district isolation: the tenant plugin's query scoping and the
+ * district a request resolves to, with the MongoDB driver calls mocked so
+ * no server is needed.
+ * Usage: node --test test-tenant.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const District = require('./models/District');
+const User = require('./models/User');
+const School = require('./models/School');
+const Student = require('./models/Student');
+const { app } = require('./app');
+const { signToken } = require('./middleware/auth');
+const { runAsDistrict } = require('./utils/requestContext');
+
+const SPRINGFIELD = { _id: new mongoose.Types.ObjectId(), slug: 'springfield', name: 'Springfield' };
+const SHELBYVILLE = { _id: new mongoose.Types.ObjectId(), slug: 'shelbyville', name: 'Shelbyville' };
+const ADMIN = new User({ name: 'Dana', email: 'dana@example.com', role: 'district_admin', district: SPRINGFIELD._id });
+
+// A chainable stand-in for a mongoose query resolving to `result`
+const fakeQuery = (result) => {
+  const query = { then: (resolve, reject) => Promise.resolve(result).then(resolve, reject) };
+  ['select', 'lean'].forEach((method) => {
+    query[method] = () => query;
+  });
+  return query;
+};
+
+// Record the filters and pipelines that reach a model's collection
+const recordCollection = (model, { findOne = () => null } = {}) => {
+  const calls = [];
+  test.mock.method(model.collection, 'find', (filter) => {
+    calls.push({ op: 'find', filter });
+    return { toArray: async () => [] };
+  });
+  test.mock.method(model.collection, 'findOne', async (filter) => {
+    calls.push({ op: 'findOne', filter });
+    return findOne(filter);
+  });
+  test.mock.method(model.collection, 'countDocuments', async (filter) => {
+    calls.push({ op: 'countDocuments', filter });
+    return 0;
+  });
+  test.mock.method(model.collection, 'aggregate', (pipeline) => {
+    calls.push({ op: 'aggregate', pipeline });
+    return { toArray: async () => [] };
+  });
+  return calls;
+};
+
+const sameId = (a, b) => String(a) === String(b);
+
+test.afterEach(() => test.mock.restoreAll());
+
+test('queries in a district context only reach that district', async () => {
+  const calls = recordCollection(Student);
+
+  await runAsDistrict(SPRINGFIELD._id, async () => {
+    await Student.find({ grade: '5th' });
+    await Student.findOne({ district: SHELBYVILLE._id });
+    await Student.countDocuments({});
+    await Student.aggregate([{ $group: { _id: '$grade', count: { $sum: 1 } } }]);
+  });
+
+  assert.equal(calls.length, 4);
+  calls.filter(call => call.filter).forEach((call) => {
+    assert.ok(sameId(call.filter.district, SPRINGFIELD._id), call.op);
+  });
+  assert.deepEqual(calls[3].pipeline[0], { $match: { district: SPRINGFIELD._id } });
+});
+
+test('records created in a district context belong to it', async () => {
+  await runAsDistrict(SPRINGFIELD._id, async () => {
+    const school = new School({ name: 'Elm', district: SHELBYVILLE._id });
+    await school.validate().catch(() => {});
+    assert.ok(sameId(school.district, SPRINGFIELD._id));
+  });
+});
+
+test('tokens only work in the district they were issued for', async () => {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    test.mock.method(District, 'findOne', ({ slug }) => fakeQuery(
+      [SPRINGFIELD, SHELBYVILLE].find(district => district.slug === slug) || null
+    ));
+    // The user is only found when the lookup is scoped to its own district
+    const userCalls = recordCollection(User, {
+      findOne: filter => (sameId(filter.district, ADMIN.district) ? ADMIN.toObject() : null)
+    });
+    const studentCalls = recordCollection(Student);
+
+    const get = slug => fetch(`${baseUrl}/api/students`, {
+      headers: { 'X-District': slug, Authorization: `Bearer ${signToken(ADMIN)}` }
+    });
+
+    assert.equal((await get('shelbyville')).status, 401);
+    assert.ok(sameId(userCalls[0].filter.district, SHELBYVILLE._id));
+    assert.equal(studentCalls.length, 0);
+
+    assert.equal((await get('springfield')).status, 200);
+    assert.ok(studentCalls.length > 0);
+    studentCalls.forEach(call => assert.ok(sameId(call.filter.district, SPRINGFIELD._id), call.op));
+
+    assert.equal((await get('ogdenville')).status, 404);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+  }
+});
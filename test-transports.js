@@ -0,0 +1,61 @@
+#!/usr/bin/env node
+
+/**
+ * Transports Test Script
+ * Unit tests of how services/transports picks the transport of each
+ * notification channel from the environment.
+ * Usage: node --test test-transports.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getTransport, assertTransportsConfigured } = require('./services/transports');
+
+const SETTINGS = ['NODE_ENV', 'NOTIFY_EMAIL_TRANSPORT', 'NOTIFY_SMS_TRANSPORT', 'SMTP_HOST'];
+
+// Run `fn` with the given settings, the others unset
+const withEnv = (values, fn) => {
+  const saved = Object.fromEntries(SETTINGS.map(name => [name, process.env[name]]));
+  SETTINGS.forEach((name) => {
+    if (values[name] === undefined) delete process.env[name];
+    else process.env[name] = values[name];
+  });
+  try {
+    return fn();
+  } finally {
+    SETTINGS.forEach((name) => {
+      if (saved[name] === undefined) delete process.env[name];
+      else process.env[name] = saved[name];
+    });
+  }
+};
+
+test('outside production an unset channel falls back to the console transport', () => {
+  withEnv({ NODE_ENV: 'development' }, () => {
+    assert.equal(getTransport('email').name, 'console');
+    assert.doesNotThrow(assertTransportsConfigured);
+  });
+});
+
+test('in production an unset channel fails instead of logging messages', () => {
+  withEnv({ NODE_ENV: 'production', NOTIFY_EMAIL_TRANSPORT: 'file' }, () => {
+    assert.equal(getTransport('email').name, 'file');
+    assert.throws(() => getTransport('sms'), /NOTIFY_SMS_TRANSPORT must be set in production/);
+    assert.throws(assertTransportsConfigured, /NOTIFY_SMS_TRANSPORT must be set in production/);
+  });
+});
+
+test('in production smtp needs a server', () => {
+  withEnv({ NODE_ENV: 'production', NOTIFY_EMAIL_TRANSPORT: 'smtp', NOTIFY_SMS_TRANSPORT: 'console' }, () => {
+    assert.throws(assertTransportsConfigured, /SMTP_HOST must be set/);
+  });
+  withEnv({ NODE_ENV: 'production', NOTIFY_EMAIL_TRANSPORT: 'smtp', NOTIFY_SMS_TRANSPORT: 'console', SMTP_HOST: 'mail.example.org' }, () => {
+    assert.doesNotThrow(assertTransportsConfigured);
+  });
+});
+
+test('unknown transports are reported at startup', () => {
+  withEnv({ NODE_ENV: 'development', NOTIFY_SMS_TRANSPORT: 'pigeon' }, () => {
+    assert.throws(assertTransportsConfigured, /pigeon/);
+  });
+});
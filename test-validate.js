@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+
+/**
+ * Validation Test Script
+ * Unit tests of middleware/validate.js: schema checks and the middleware.
+ * Usage: node --test test-validate.js
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OBJECT_ID, checkValue, validate, validateId } = require('./middleware/validate');
+
+const BODY = {
+  type: 'object',
+  required: ['name', 'school'],
+  properties: {
+    name: { type: 'string', minLength: 2, maxLength: 10 },
+    school: OBJECT_ID,
+    email: { type: 'string', format: 'email' },
+    grade: { type: 'string', enum: ['K', '1st'] },
+    score: { type: 'number', minimum: 0, maximum: 100 },
+    isActive: { type: 'boolean' },
+    ids: { type: 'array', maxItems: 2, items: OBJECT_ID },
+    address: { type: 'object', properties: { zipCode: { type: 'string', pattern: '^\\d{5}$' } } }
+  }
+};
+
+const SCHOOL = '0123456789abcdef01234567';
+
+const codes = errors => errors.map(({ code, field }) => `${field}:${code}`);
+
+// Run a validate() middleware on a fake request; resolves to the error
+const run = (middleware, req) => new Promise((resolve) => {
+  middleware({ params: {}, query: {}, ...req }, {}, resolve);
+});
+
+test('checkValue accepts a valid value', () => {
+  assert.deepEqual(checkValue(BODY, {
+    name: 'Ann',
+    school: SCHOOL,
+    email: 'ann@example.com',
+    grade: 'K',
+    score: 0,
+    isActive: false,
+    ids: [SCHOOL],
+    address: { zipCode: '12345' }
+  }, ''), []);
+});
+
+test('checkValue reports the first failed check of each field by dotted path', () => {
+  const errors = checkValue(BODY, {
+    name: 'A',
+    email: 'nope',
+    grade: '2nd',
+    score: 101,
+    isActive: 'true',
+    ids: [SCHOOL, 'x'],
+    address: { zipCode: '123' }
+  }, '');
+
+  assert.deepEqual(codes(errors), [
+    'school:REQUIRED',
+    'name:TOO_SHORT',
+    'email:INVALID_FORMAT',
+    'grade:INVALID_VALUE',
+    'score:TOO_LARGE',
+    'isActive:INVALID_TYPE',
+    'ids.1:INVALID_FORMAT',
+    'address.zipCode:INVALID_FORMAT'
+  ]);
+});
+
+test('checkValue parses query strings only when asked to', () => {
+  const schema = { type: 'object', properties: { limit: { type: 'integer', minimum: 1 }, archived: { type: 'boolean' } } };
+
+  assert.deepEqual(checkValue(schema, { limit: '5', archived: 'true' }, '', { strings: true }), []);
+  assert.deepEqual(codes(checkValue(schema, { limit: '0', archived: 'yes' }, '', { strings: true })), [
+    'limit:TOO_SMALL',
+    'archived:INVALID_TYPE'
+  ]);
+  assert.deepEqual(codes(checkValue(schema, { limit: '5' }, '')), ['limit:INVALID_TYPE']);
+});
+
+test('checkValue accepts any of oneOf and nullable values', () => {
+  const schema = { oneOf: [{ type: 'string' }, { type: 'array', items: { type: 'string' } }], nullable: true };
+
+  assert.deepEqual(checkValue(schema, 'a', 'tags'), []);
+  assert.deepEqual(checkValue(schema, ['a'], 'tags'), []);
+  assert.deepEqual(checkValue(schema, null, 'tags'), []);
+  assert.deepEqual(codes(checkValue(schema, 1, 'tags')), ['tags:INVALID_TYPE']);
+});
+
+test('validate passes valid requests on and rejects invalid ones', async () => {
+  const middleware = validate({ query: { type: { type: 'string' } }, body: BODY });
+
+  assert.equal(await run(middleware, { query: { type: 'students' }, body: { name: 'Ann', school: SCHOOL } }), undefined);
+
+  const error = await run(middleware, { query: { type: ['students', 'schools'] }, body: {} });
+  assert.equal(error.statusCode, 400);
+  assert.equal(error.code, 'VALIDATION_ERROR');
+  assert.deepEqual(codes(error.errors), ['type:INVALID_TYPE', 'name:REQUIRED', 'school:REQUIRED']);
+  assert.deepEqual(middleware.schemas.body, BODY);
+});
+
+test('validateId rejects malformed ids', async () => {
+  const check = value => new Promise((resolve) => {
+    validateId({}, {}, resolve, value, 'id');
+  });
+
+  assert.equal(await check(SCHOOL), undefined);
+  assert.deepEqual(codes((await check('42')).errors), ['id:INVALID_FORMAT']);
+});
+
+// The validate() middleware of a route, e.g. routeValidator(router, 'get', '/:id/schedule')
+const routeValidator = (router, method, path) => {
+  const layer = router.stack.find(item => item.route && item.route.path === path && item.route.methods[method]);
+  return layer.route.stack.find(item => item.handle.schemas).handle;
+};
+
+test('query operators are rejected before they reach a filter', async () => {
+  const students = require('./routes/students');
+  const schools = require('./routes/schools');
+  const users = require('./routes/users');
+  const operator = { $ne: 'x' };
+
+  const cases = [
+    [students, 'get', '/:id/schedule', { query: { term: operator } }, 'term'],
+    [students, 'get', '/:id/report-card', { query: { term: operator } }, 'term'],
+    [students, 'get', '/:id/attendance', { query: { from: operator } }, 'from'],
+    [schools, 'get', '/:id/classes', { query: { term: operator } }, 'term'],
+    [schools, 'get', '/:id/attendance', { query: { date: '2024-09-02', grade: operator } }, 'grade'],
+    [schools, 'get', '/:id/attendance/summary', { query: { grade: operator } }, 'grade'],
+    [users, 'get', '/', { query: { role: operator } }, 'role'],
+    [users, 'post', '/', { body: { name: 'Ann', email: 'ann@example.com', password: { $gt: '' }, role: 'teacher' } }, 'password'],
+    [users, 'put', '/:id', { body: { role: { $ne: 'parent' } } }, 'role']
+  ];
+
+  for (const [router, method, path, req, field] of cases) {
+    const error = await run(routeValidator(router, method, path), req);
+    assert.equal(error && error.statusCode, 400, `${method} ${path}`);
+    assert.equal(error.errors[0].field, field);
+  }
+});
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Paths that change on every write and carry no information
+const IGNORED_PATHS = ['updatedAt', '__v'];
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  !(value instanceof Date) &&
+  !(value instanceof mongoose.Types.ObjectId) &&
+  !Buffer.isBuffer(value);
+
+// Flatten nested objects into dotted paths; arrays are compared as a whole
+const flatten = (value, prefix = '', result = {}) => {
+  Object.keys(value || {}).forEach((key) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(value[key])) {
+      flatten(value[key], path, result);
+    } else {
+      result[path] = value[key];
+    }
+  });
+  return result;
+};
+
+const serialize = (value) => JSON.stringify(value === undefined ? null : value);
+
+// Members of `list` that are not in `other`
+const missingFrom = (list, other) => {
+  const keys = new Set((other || []).map(serialize));
+  return (list || []).filter(item => !keys.has(serialize(item)));
+};
+
+const valueChange = (path, before, after) => ({
+  path,
+  before: before === undefined ? null : before,
+  after: after === undefined ? null : after
+});
+
+const setChange = (path, before, after) => {
+  const added = missingFrom(after, before);
+  const removed = missingFrom(before, after);
+  return added.length || removed.length ? { path, added, removed } : null;
+};
+
+/**
+ * Field-level differences between two plain objects, as
+ * [{ path, before, after }]. Arrays named in `sets` (such as a school's
+ * student ids) are treated as unordered sets and reported as
+ * { path, added, removed }, so a change to a long list does not store it
+ * twice.
+ */
+const diffObjects = (before = {}, after = {}, { sets = [] } = {}) => {
+  const flatBefore = flatten(before);
+  const flatAfter = flatten(after);
+  const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  return [...paths]
+    .filter(path => !IGNORED_PATHS.includes(path) && path !== '_id')
+    .filter(path => serialize(flatBefore[path]) !== serialize(flatAfter[path]))
+    .sort()
+    .map(path => (sets.includes(path)
+      ? setChange(path, flatBefore[path], flatAfter[path])
+      : valueChange(path, flatBefore[path], flatAfter[path])))
+    .filter(Boolean);
+};
+
+module.exports = { diffObjects };
@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+
+/**
+ * Errors the API reports to clients. Each carries an HTTP status, a stable
+ * machine-readable `code` and optional field-level `errors`, each
+ * { code, field, message }; middleware/errorHandler.js renders them.
+ */
+
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  412: 'PRECONDITION_FAILED',
+  413: 'PAYLOAD_TOO_LARGE',
+  415: 'UNSUPPORTED_MEDIA_TYPE',
+  429: 'TOO_MANY_REQUESTS',
+  500: 'INTERNAL_ERROR'
+};
+
+// Codes of field errors, by the kind of mongoose validator that failed
+const KIND_CODES = {
+  required: 'REQUIRED',
+  enum: 'INVALID_VALUE',
+  min: 'TOO_SMALL',
+  max: 'TOO_LARGE',
+  minlength: 'TOO_SHORT',
+  maxlength: 'TOO_LONG',
+  regexp: 'INVALID_FORMAT'
+};
+
+// Field errors may be given as plain messages
+const toFieldError = item => (typeof item === 'string' ? { code: 'INVALID', message: item } : item);
+
+class ApiError extends Error {
+  constructor(message, { statusCode = 500, code = STATUS_CODES[statusCode] || 'ERROR', errors = [] } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.errors = errors.map(toFieldError);
+  }
+}
+
+class BadRequestError extends ApiError {
+  constructor(message, errors = []) {
+    super(message, { statusCode: 400, errors });
+    this.name = 'BadRequestError';
+  }
+}
+
+// The request did not match the schema of its route or model
+class RequestValidationError extends ApiError {
+  constructor(message = 'Validation error', errors = []) {
+    super(message, { statusCode: 400, code: 'VALIDATION_ERROR', errors });
+    this.name = 'RequestValidationError';
+  }
+}
+
+class UnauthorizedError extends ApiError {
+  constructor(message = 'Authentication required') {
+    super(message, { statusCode: 401 });
+    this.name = 'UnauthorizedError';
+  }
+}
+
+class ForbiddenError extends ApiError {
+  constructor(message = 'You do not have permission to perform this action') {
+    super(message, { statusCode: 403 });
+    this.name = 'ForbiddenError';
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(message = 'Not found') {
+    super(message, { statusCode: 404 });
+    this.name = 'NotFoundError';
+  }
+}
+
+class ConflictError extends ApiError {
+  constructor(message, errors = []) {
+    super(message, { statusCode: 409, errors });
+    this.name = 'ConflictError';
+  }
+}
+
+// An If-Match header named a version other than the current one
+class PreconditionFailedError extends ApiError {
+  constructor(message = 'The resource has changed; fetch it again and retry') {
+    super(message, { statusCode: 412 });
+    this.name = 'PreconditionFailedError';
+  }
+}
+
+// A unique index rejected a write; `fields` are the indexed fields
+class DuplicateKeyError extends ApiError {
+  constructor(fields) {
+    const label = fields.join(' and ');
+    const message = `${label.charAt(0).toUpperCase()}${label.slice(1)} already exists`;
+    super(message, {
+      statusCode: 409,
+      code: 'DUPLICATE_KEY',
+      errors: fields.map(field => ({ code: 'DUPLICATE_KEY', field, message }))
+    });
+    this.name = 'DuplicateKeyError';
+  }
+}
+
+/**
+ * Field errors of a mongoose ValidationError, with paths under `prefix`
+ * for documents validated as part of a larger request.
+ */
+const toFieldErrors = (error, prefix = '') => Object.values(error.errors).map(err => ({
+  code: err.name === 'CastError' ? 'INVALID_TYPE' : KIND_CODES[err.kind] || 'INVALID',
+  field: prefix ? `${prefix}.${err.path}` : err.path,
+  message: prefix ? `${prefix}: ${err.message}` : err.message
+}));
+
+const fromCastError = (error) => {
+  const field = error.path === '_id' ? 'id' : error.path;
+  return new BadRequestError(`Invalid ${field}: ${JSON.stringify(error.value)}`, [
+    { code: 'INVALID_TYPE', field, message: `${field} must be a valid ${error.kind}` }
+  ]);
+};
+
+// Districts scope every unique index and are never the clashing field
+const duplicateFields = (error) => {
+  const fields = Object.keys(error.keyPattern || error.keyValue || {}).filter(field => field !== 'district');
+  return fields.length ? fields : ['value'];
+};
+
+/**
+ * Turn any error into an ApiError: API errors pass through, mongoose
+ * validation, cast and duplicate key errors and body parser errors become
+ * client errors, and anything else an internal error.
+ */
+const toApiError = (error) => {
+  if (error instanceof ApiError) return error;
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new RequestValidationError('Validation error', toFieldErrors(error));
+  }
+  if (error instanceof mongoose.Error.CastError) return fromCastError(error);
+  // Another request saved the document since it was read
+  if (error instanceof mongoose.Error.VersionError) {
+    return new ConflictError('The resource was changed by another request; fetch it again and retry');
+  }
+  if (error.code === 11000) return new DuplicateKeyError(duplicateFields(error));
+  if (error.type === 'entity.parse.failed') {
+    return new ApiError('Request body is not valid JSON', { statusCode: 400, code: 'INVALID_JSON' });
+  }
+  // Errors of express middleware that are safe to show, e.g. a body too large
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return new ApiError(error.message, { statusCode: error.status });
+  }
+  return new ApiError('Internal server error');
+};
+
+module.exports = {
+  ApiError,
+  BadRequestError,
+  RequestValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  DuplicateKeyError,
+  toFieldErrors,
+  toApiError
+};
@@ -0,0 +1,30 @@
+const { PreconditionFailedError } = require('./errors');
+
+/**
+ * ETags of versioned records (see models/plugins/version.js): the version
+ * key, quoted. Writes may send it back in If-Match; a write whose If-Match
+ * no longer matches is refused with 412.
+ */
+
+const etagOf = doc => `"${doc.__v}"`;
+
+const setETag = (res, doc) => res.set('ETag', etagOf(doc));
+
+/**
+ * Throw a PreconditionFailedError unless the request's If-Match header is
+ * absent, "*" or lists the current ETag of `doc`. Weak tags (W/"3") match
+ * their strong form.
+ */
+const checkIfMatch = (req, doc) => {
+  const header = req.get('If-Match');
+  if (!header || header.trim() === '*') return;
+
+  const tags = header.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+  if (!tags.includes(etagOf(doc))) throw new PreconditionFailedError();
+};
+
+module.exports = {
+  etagOf,
+  setETag,
+  checkIfMatch
+};
@@ -0,0 +1,97 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Outbound requests to addresses given by API users (webhook URLs) must
+ * not reach the API's own network: loopback, private ranges, link-local
+ * (which includes cloud metadata services) and other reserved addresses
+ * are refused, both when the URL is registered and when the connection is
+ * made, so a DNS record changed in between does not get through.
+ */
+
+const BLOCKED = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED.addSubnet(address, prefix, 'ipv6'));
+
+// "::ffff:127.0.0.1" and "::ffff:7f00:1" are IPv4 addresses in disguise
+const unmapIPv4 = (address) => {
+  const match = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(address);
+  if (!match) return null;
+  if (match[1]) return match[1];
+  const high = parseInt(match[2], 16);
+  const low = parseInt(match[3], 16);
+  return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+};
+
+const isPublicAddress = (address) => {
+  const version = net.isIP(address);
+  if (version === 4) return !BLOCKED.check(address, 'ipv4');
+  if (version === 6) {
+    const ipv4 = unmapIPv4(address);
+    return ipv4 ? isPublicAddress(ipv4) : !BLOCKED.check(address, 'ipv6');
+  }
+  return false;
+};
+
+const refused = address => new Error(`${address} is a private or reserved address`);
+
+/**
+ * dns.lookup refusing non-public addresses, for the `lookup` option of
+ * http.request and net.connect.
+ */
+const publicLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+    if (blocked) return callback(refused(blocked.address));
+    return callback(null, address, family);
+  });
+};
+
+// Host name of a URL without the brackets of IPv6 literals
+const hostOf = url => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+/**
+ * Resolve the host of `url` and throw unless every address it resolves to
+ * is public.
+ */
+const assertPublicUrl = async (url) => {
+  const host = hostOf(url);
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true });
+  const blocked = addresses.find(entry => !isPublicAddress(entry.address));
+  if (blocked) throw refused(blocked.address);
+};
+
+module.exports = {
+  isPublicAddress,
+  publicLookup,
+  hostOf,
+  assertPublicUrl
+};
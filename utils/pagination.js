@@ -0,0 +1,168 @@
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Fields usable for sorting: _id plus the leading key of every schema index.
+// Queries on tenant models always match one district, so an index leading
+// with district sorts by its next key.
+const getSortableFields = (model) => {
+  const fields = new Set(['_id']);
+  model.schema.indexes().forEach(([spec]) => {
+    const keys = Object.keys(spec);
+    const first = keys[0] === 'district' && keys.length > 1 ? keys[1] : keys[0];
+    if (spec[first] === 1 || spec[first] === -1) fields.add(first);
+  });
+  return fields;
+};
+
+// Top-level and nested paths that can be requested with ?fields=
+const getSelectableFields = (model) => {
+  const fields = new Set();
+  model.schema.eachPath((path) => {
+    if (path === '__v') return;
+    fields.add(path);
+    // Allow selecting a whole nested object, e.g. "address"
+    if (path.includes('.')) fields.add(path.split('.')[0]);
+  });
+  return fields;
+};
+
+const splitList = (value) => String(value)
+  .split(',')
+  .map(item => item.trim())
+  .filter(Boolean);
+
+/**
+ * Parse page/limit/after/sort/fields query parameters for a list endpoint.
+ * Returns the parsed options, with `errors` ({ code, field, message }) when
+ * the query is invalid.
+ */
+const parseListQuery = (model, query, { defaultSort = '_id' } = {}) => {
+  const errors = [];
+
+  let limit = query.limit !== undefined ? parseInt(query.limit, 10) : DEFAULT_LIMIT;
+  if (Number.isNaN(limit) || limit < 1) {
+    errors.push({ code: 'INVALID_VALUE', field: 'limit', message: 'limit must be a positive integer' });
+    limit = DEFAULT_LIMIT;
+  }
+  limit = Math.min(limit, MAX_LIMIT);
+
+  let page = query.page !== undefined ? parseInt(query.page, 10) : 1;
+  if (Number.isNaN(page) || page < 1) {
+    errors.push({ code: 'INVALID_VALUE', field: 'page', message: 'page must be a positive integer' });
+    page = 1;
+  }
+
+  // Sort: comma-separated list, "-" prefix for descending
+  const sortable = getSortableFields(model);
+  const sort = {};
+  splitList(query.sort || defaultSort).forEach((item) => {
+    const direction = item.startsWith('-') ? -1 : 1;
+    const field = item.replace(/^[-+]/, '');
+    if (!sortable.has(field)) {
+      errors.push({
+        code: 'INVALID_VALUE',
+        field: 'sort',
+        message: `Cannot sort by '${field}'. Sortable fields: ${[...sortable].join(', ')}`
+      });
+      return;
+    }
+    sort[field] = direction;
+  });
+  // Tie-break on _id so pages are stable
+  if (sort._id === undefined) sort._id = 1;
+
+  // Cursor pagination only makes sense when ordering by _id alone
+  let after = null;
+  if (query.after !== undefined) {
+    if (!mongoose.Types.ObjectId.isValid(query.after)) {
+      errors.push({ code: 'INVALID_TYPE', field: 'after', message: 'after must be a valid id' });
+    } else if (Object.keys(sort).length !== 1) {
+      errors.push({ code: 'INVALID_VALUE', field: 'after', message: 'after can only be combined with sort=_id or sort=-_id' });
+    } else {
+      after = query.after;
+    }
+  }
+
+  // Field projection
+  let projection = null;
+  if (query.fields) {
+    const selectable = getSelectableFields(model);
+    const fields = splitList(query.fields);
+    const unknown = fields.filter(field => !selectable.has(field));
+    if (unknown.length) {
+      errors.push({ code: 'INVALID_VALUE', field: 'fields', message: `Unknown fields: ${unknown.join(', ')}` });
+    } else {
+      projection = fields.join(' ');
+    }
+  }
+
+  return {
+    errors,
+    page,
+    limit,
+    skip: after ? 0 : (page - 1) * limit,
+    sort,
+    after,
+    projection,
+    fields: projection ? projection.split(' ') : []
+  };
+};
+
+// Add the cursor condition to a filter when ?after= is used
+const applyCursor = (filter, { after, sort }) => {
+  if (!after) return filter;
+  // $and keeps any _id condition of the filter, e.g. a user's scope
+  return {
+    $and: [filter, { _id: { [sort._id === -1 ? '$lt' : '$gt']: new mongoose.Types.ObjectId(after) } }]
+  };
+};
+
+const buildLink = (req, params) => {
+  const query = new URLSearchParams({ ...req.query, ...params });
+  Object.keys(params).forEach((key) => {
+    if (params[key] === undefined) query.delete(key);
+  });
+  return `${req.baseUrl}${req.path === '/' ? '' : req.path}?${query.toString()}`;
+};
+
+/**
+ * Build the pagination part of a list response: total, page info and
+ * next/prev links that keep the caller's other query parameters.
+ */
+const buildPageInfo = (req, options, total, docs) => {
+  const { page, limit, after } = options;
+
+  if (after || req.query.after !== undefined) {
+    const last = docs[docs.length - 1];
+    return {
+      total,
+      limit,
+      links: {
+        next: docs.length === limit && last ? buildLink(req, { after: String(last._id), page: undefined }) : null,
+        prev: null
+      }
+    };
+  }
+
+  const pages = Math.max(Math.ceil(total / limit), 1);
+  return {
+    total,
+    page,
+    pages,
+    limit,
+    links: {
+      next: page < pages ? buildLink(req, { page: page + 1 }) : null,
+      prev: page > 1 ? buildLink(req, { page: Math.min(page - 1, pages) }) : null
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseListQuery,
+  applyCursor,
+  buildPageInfo
+};
@@ -0,0 +1,240 @@
+const { ApiError, ConflictError, RequestValidationError } = require('./errors');
+
+/**
+ * PATCH bodies: JSON Merge Patch (RFC 7396, application/merge-patch+json
+ * or application/json) and JSON Patch (RFC 6902,
+ * application/json-patch+json). Patches apply to the mutable fields of a
+ * record only; a patch touching any other field is rejected as a whole.
+ */
+
+const MERGE_PATCH = 'application/merge-patch+json';
+const JSON_PATCH = 'application/json-patch+json';
+
+const JSON_PATCH_OPS = ['add', 'remove', 'replace', 'move', 'copy', 'test'];
+
+const JSON_PATCH_SCHEMA = {
+  type: 'array',
+  items: {
+    type: 'object',
+    required: ['op', 'path'],
+    properties: {
+      op: { type: 'string', enum: JSON_PATCH_OPS },
+      path: { type: 'string', example: '/address/city' },
+      from: { type: 'string' },
+      value: {}
+    }
+  }
+};
+
+// Keys that would reach an object's prototype rather than a field
+const UNSAFE_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+const isObject = value => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const clone = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+const sameJson = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+const readOnly = field => ({ code: 'READ_ONLY', field, message: `${field} cannot be changed` });
+
+const hasOwn = (object, key) => Object.prototype.hasOwnProperty.call(object, key);
+
+const assertSafeKey = (key, field) => {
+  if (UNSAFE_KEYS.includes(key)) {
+    throw new RequestValidationError('Invalid patch', [
+      { code: 'INVALID_PATH', field, message: `${key} is not a field` }
+    ]);
+  }
+};
+
+/**
+ * Reject a body that sets fields other than `fields`, e.g. a PUT or merge
+ * patch writing `students` or `gpa`.
+ */
+const assertMutable = (body, fields) => {
+  const errors = Object.keys(body).filter(key => !fields.includes(key)).map(readOnly);
+  if (errors.length) throw new RequestValidationError('Only some fields can be changed', errors);
+};
+
+// RFC 7396: null removes a member, objects merge recursively and anything
+// else replaces the target
+const mergePatch = (target, patch, path = '') => {
+  if (!isObject(patch)) return clone(patch);
+
+  const result = isObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    const field = path ? `${path}.${key}` : key;
+    assertSafeKey(key, field);
+    if (value === null) delete result[key];
+    else result[key] = mergePatch(hasOwn(result, key) ? result[key] : undefined, value, field);
+  });
+  return result;
+};
+
+// "/address/city" -> ['address', 'city'], with ~1 and ~0 unescaped
+const parsePointer = (pointer, field) => {
+  if (pointer === '' || !pointer.startsWith('/')) {
+    throw new RequestValidationError('Invalid JSON Patch', [
+      { code: 'INVALID_FORMAT', field, message: `${field} must be a JSON pointer to a field, e.g. /firstName` }
+    ]);
+  }
+  const tokens = pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+  tokens.forEach(token => assertSafeKey(token, field));
+  return tokens;
+};
+
+const patchError = (field, message) => new RequestValidationError('JSON Patch cannot be applied', [
+  { code: 'INVALID_PATH', field, message }
+]);
+
+// The container holding the last token of `tokens`, and that token
+const locate = (document, tokens, field) => {
+  let container = document;
+  tokens.slice(0, -1).forEach((token) => {
+    const next = container !== null && typeof container === 'object' && hasOwn(container, token)
+      ? container[token]
+      : undefined;
+    if (next === null || typeof next !== 'object') {
+      throw patchError(field, `${field} does not exist`);
+    }
+    container = next;
+  });
+  return { container, key: tokens[tokens.length - 1] };
+};
+
+const arrayIndex = (array, key, field, { append = false } = {}) => {
+  if (append && key === '-') return array.length;
+  const index = /^(0|[1-9]\d*)$/.test(key) ? Number(key) : NaN;
+  if (Number.isNaN(index) || index > array.length || (!append && index === array.length)) {
+    throw patchError(field, `${field} is not an index of the array`);
+  }
+  return index;
+};
+
+const getValue = (document, tokens, field) => {
+  const { container, key } = locate(document, tokens, field);
+  const index = Array.isArray(container) ? arrayIndex(container, key, field) : key;
+  if (!hasOwn(container, index) || container[index] === undefined) {
+    throw patchError(field, `${field} does not exist`);
+  }
+  return container[index];
+};
+
+const addValue = (document, tokens, value, field) => {
+  const { container, key } = locate(document, tokens, field);
+  if (Array.isArray(container)) {
+    container.splice(arrayIndex(container, key, field, { append: true }), 0, clone(value));
+  } else {
+    container[key] = clone(value);
+  }
+};
+
+const removeValue = (document, tokens, field) => {
+  const value = getValue(document, tokens, field);
+  const { container, key } = locate(document, tokens, field);
+  if (Array.isArray(container)) container.splice(Number(key), 1);
+  else delete container[key];
+  return value;
+};
+
+/**
+ * Apply JSON Patch `operations` to a copy of `document`, all or nothing.
+ * Paths must lie within `fields`; a failed "test" is a conflict.
+ */
+const applyJsonPatch = (document, operations, fields) => {
+  if (!Array.isArray(operations)) {
+    throw new RequestValidationError('Invalid JSON Patch', [
+      { code: 'INVALID_TYPE', field: 'body', message: 'A JSON Patch is an array of operations' }
+    ]);
+  }
+
+  const result = clone(document);
+  operations.forEach((operation, index) => {
+    const label = String(index);
+    if (!isObject(operation) || !JSON_PATCH_OPS.includes(operation.op) || typeof operation.path !== 'string') {
+      throw new RequestValidationError('Invalid JSON Patch', [
+        { code: 'INVALID_VALUE', field: label, message: `Operation ${index} needs an op (${JSON_PATCH_OPS.join(', ')}) and a path` }
+      ]);
+    }
+
+    const { op, path, from, value } = operation;
+    const tokens = parsePointer(path, `${label}.path`);
+    const fromTokens = ['move', 'copy'].includes(op) ? parsePointer(String(from), `${label}.from`) : null;
+
+    [tokens, fromTokens].filter(Boolean).forEach((pointer) => {
+      if (!fields.includes(pointer[0])) {
+        throw new RequestValidationError('Only some fields can be changed', [readOnly(pointer[0])]);
+      }
+    });
+    if (['add', 'replace', 'test'].includes(op) && value === undefined) {
+      throw new RequestValidationError('Invalid JSON Patch', [
+        { code: 'REQUIRED', field: `${label}.value`, message: `Operation ${index} (${op}) needs a value` }
+      ]);
+    }
+
+    // Errors name fields by dotted path, like every other field error
+    const field = tokens.join('.');
+    const fromField = fromTokens && fromTokens.join('.');
+
+    if (op === 'add') {
+      addValue(result, tokens, value, field);
+    } else if (op === 'remove') {
+      removeValue(result, tokens, field);
+    } else if (op === 'replace') {
+      removeValue(result, tokens, field);
+      addValue(result, tokens, value, field);
+    } else if (op === 'move') {
+      if (path.startsWith(`${from}/`)) throw patchError(field, `${fromField} cannot be moved into itself`);
+      addValue(result, tokens, removeValue(result, fromTokens, fromField), field);
+    } else if (op === 'copy') {
+      addValue(result, tokens, getValue(result, fromTokens, fromField), field);
+    } else if (!sameJson(getValue(result, tokens, field), value)) {
+      throw new ConflictError('JSON Patch test failed', [
+        { code: 'TEST_FAILED', field, message: `${field} does not have the tested value` }
+      ]);
+    }
+  });
+  return result;
+};
+
+/**
+ * The top-level fields a PATCH request changes on `doc`, limited to
+ * `fields`: { field: value }, with null for removed fields so that e.g.
+ * removing a student's school unenrolls them. The patch format follows
+ * the request's Content-Type.
+ */
+const patchFields = (req, doc, fields) => {
+  const plain = doc.toObject({ depopulate: true, virtuals: false, transform: false });
+  const current = clone(fields.reduce((picked, field) => (
+    plain[field] === undefined ? picked : { ...picked, [field]: plain[field] }
+  ), {}));
+
+  let patched;
+  if (req.is(JSON_PATCH)) {
+    patched = applyJsonPatch(current, req.body, fields);
+  } else if (req.is(MERGE_PATCH) || req.is('application/json')) {
+    if (!isObject(req.body)) {
+      throw new RequestValidationError('Invalid merge patch', [
+        { code: 'INVALID_TYPE', field: 'body', message: 'A merge patch is a JSON object' }
+      ]);
+    }
+    assertMutable(req.body, fields);
+    patched = mergePatch(current, req.body);
+  } else {
+    throw new ApiError(`PATCH bodies must be ${MERGE_PATCH} or ${JSON_PATCH}`, { statusCode: 415 });
+  }
+
+  return fields
+    .filter(field => !sameJson(current[field], patched[field]))
+    .reduce((changes, field) => ({ ...changes, [field]: patched[field] === undefined ? null : patched[field] }), {});
+};
+
+module.exports = {
+  MERGE_PATCH,
+  JSON_PATCH,
+  JSON_PATCH_SCHEMA,
+  assertMutable,
+  mergePatch,
+  applyJsonPatch,
+  patchFields
+};
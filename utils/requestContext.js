@@ -0,0 +1,46 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const crypto = require('crypto');
+
+/**
+ * Per-request context (request id, acting user and district) that is
+ * available anywhere in the call chain, e.g. in mongoose middleware, without
+ * passing `req` around.
+ */
+
+const storage = new AsyncLocalStorage();
+
+// Express middleware; register it after the body parsers so the context
+// survives their stream callbacks
+const requestContext = (req, res, next) => {
+  const requestId = req.headers['x-request-id'] || crypto.randomUUID();
+  res.setHeader('X-Request-Id', requestId);
+  storage.run({ requestId, actor: null, actorRole: null, district: null }, next);
+};
+
+const getContext = () => storage.getStore() || {};
+
+const setActor = (user) => {
+  const store = storage.getStore();
+  if (!store || !user) return;
+  store.actor = user._id;
+  store.actorRole = user.role;
+};
+
+// Scope the rest of the request to one district (see models/plugins/tenant.js)
+const setDistrict = (districtId) => {
+  const store = storage.getStore();
+  if (!store) return;
+  store.district = districtId;
+};
+
+// Run `fn` scoped to a district outside of a request, e.g. in a job
+const runAsDistrict = (districtId, fn) =>
+  storage.run({ requestId: null, actor: null, actorRole: null, district: districtId }, fn);
+
+module.exports = {
+  requestContext,
+  getContext,
+  setActor,
+  setDistrict,
+  runAsDistrict
+};
@@ -0,0 +1,141 @@
+const MAX_TOKENS = 5;
+
+// Longer words are cut to this length
+const MAX_TOKEN_LENGTH = 40;
+
+// Tokens of this many letters also match words one typo away; the pattern
+// grows with the square of the length, so longer tokens match exactly
+const FUZZY_MIN_LENGTH = 4;
+const FUZZY_MAX_LENGTH = 20;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const tokenize = (q) => String(q)
+  .toLowerCase()
+  .split(/\s+/)
+  .map(token => token.trim())
+  .filter(Boolean)
+  .slice(0, MAX_TOKENS)
+  .map(token => token.slice(0, MAX_TOKEN_LENGTH));
+
+// Field weights come from the model's text index so both stay in sync
+const getTextWeights = (model) => {
+  const textIndex = model.schema.indexes().find(([spec]) =>
+    Object.values(spec).includes('text')
+  );
+  if (!textIndex) {
+    throw new Error(`${model.modelName} has no text index`);
+  }
+
+  const [spec, options] = textIndex;
+  const weights = {};
+  Object.keys(spec).forEach((field) => {
+    weights[field] = (options.weights && options.weights[field]) || 1;
+  });
+  return weights;
+};
+
+const getPath = (doc, path) => path
+  .split('.')
+  .reduce((value, key) => (value == null ? value : value[key]), doc);
+
+/**
+ * Pattern matching the start of a word that begins with `token` give or
+ * take one typo: a wrong, missing or extra letter ("jonh" finds John,
+ * "smyth" finds Smith). Short and long tokens must match exactly.
+ */
+const fuzzyPattern = (token) => {
+  const chars = [...token].map(escapeRegex);
+  if (chars.length < FUZZY_MIN_LENGTH || chars.length > FUZZY_MAX_LENGTH) return chars.join('');
+
+  const variants = [];
+  for (let i = 0; i <= chars.length; i += 1) {
+    const before = chars.slice(0, i).join('');
+    // A letter the query left out
+    variants.push(`${before}.${chars.slice(i).join('')}`);
+    // A wrong or extra letter in the query
+    if (i < chars.length) variants.push(`${before}.?${chars.slice(i + 1).join('')}`);
+  }
+  return `(?:${variants.join('|')})`;
+};
+
+// Every token must match the start of a word in at least one field, give
+// or take one typo
+const buildWordFilter = (fields, tokens) => ({
+  $and: tokens.map(token => ({
+    $or: fields.map(field => ({
+      [field]: { $regex: `\\b${fuzzyPattern(token)}`, $options: 'i' }
+    }))
+  }))
+});
+
+// Weighted score: whole-word matches count double, prefix matches once and
+// matches with a typo half
+const scoreDocument = (doc, weights, tokens) => {
+  let score = 0;
+
+  tokens.forEach((token) => {
+    const fuzzy = new RegExp(`^${fuzzyPattern(token)}`);
+    let best = 0;
+    Object.keys(weights).forEach((field) => {
+      const value = getPath(doc, field);
+      if (typeof value !== 'string') return;
+
+      const words = value.toLowerCase().split(/[^a-z0-9]+/);
+      if (words.includes(token)) {
+        best = Math.max(best, weights[field] * 2);
+      } else if (words.some(word => word.startsWith(token))) {
+        best = Math.max(best, weights[field]);
+      } else if (words.some(word => fuzzy.test(word))) {
+        best = Math.max(best, weights[field] / 2);
+      }
+    });
+    score += best;
+  });
+
+  return score;
+};
+
+/**
+ * Search a model with its text index and with typo-tolerant word-prefix
+ * matching, then merge both result sets and rank them by a combined score.
+ */
+const searchModel = async (model, q, { limit, populate, filter = {} } = {}) => {
+  const tokens = tokenize(q);
+  const weights = getTextWeights(model);
+
+  const buildQuery = (criteria, projection) => {
+    let query = model.find({ ...criteria, ...filter }, projection).limit(limit);
+    if (populate) query = query.populate(populate);
+    return query.lean();
+  };
+
+  const [textResults, wordResults] = await Promise.all([
+    buildQuery({ $text: { $search: q } }, { score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } }),
+    buildQuery(buildWordFilter(Object.keys(weights), tokens))
+  ]);
+
+  const merged = new Map();
+  [...textResults, ...wordResults].forEach((doc) => {
+    const id = String(doc._id);
+    const existing = merged.get(id);
+    const textScore = doc.score || (existing && existing.textScore) || 0;
+    merged.set(id, { ...doc, textScore });
+  });
+
+  return [...merged.values()]
+    .map(({ score, textScore, ...doc }) => ({
+      ...doc,
+      score: Math.round((textScore + scoreDocument(doc, weights, tokens)) * 100) / 100
+    }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+module.exports = {
+  MAX_TOKEN_LENGTH,
+  tokenize,
+  fuzzyPattern,
+  searchModel
+};
@@ -0,0 +1,42 @@
+/**
+ * In-memory cache whose entries expire `ttlMs` after they are stored. Holds
+ * at most `maxEntries`, dropping the oldest first. Each API process keeps
+ * its own copy, so results can differ between processes by up to the TTL.
+ */
+const createTtlCache = ({ ttlMs, maxEntries = 500 }) => {
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    if (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    return value;
+  };
+
+  // Resolve `key` from the cache or store what `load` resolves to
+  const wrap = async (key, load) => {
+    const cached = get(key);
+    if (cached !== undefined) return { value: cached, cached: true };
+    return { value: set(key, await load()), cached: false };
+  };
+
+  return {
+    get,
+    set,
+    wrap,
+    delete: key => entries.delete(key),
+    clear: () => entries.clear()
+  };
+};
+
+module.exports = { createTtlCache };